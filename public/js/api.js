@@ -26,6 +26,11 @@ export async function api(endpoint, method = 'GET', body = null) {
   const response = await fetch(endpoint, options);
 
   if (response.status === 403) {
+    const data = await response.json().catch(() => ({}));
+    // Ownership / GM refusals are not admin failures — keep the admin logged in
+    if (data.code && data.code !== 'ADMIN_REQUIRED') {
+      throw new Error(data.error);
+    }
     setState({ isAdminAuthenticated: false, adminPassword: '' });
     throw new Error('Admin access required');
   }
@@ -3,13 +3,13 @@
 // ============================================
 
 import { getState, setState } from './state.js';
-import { initSocket } from './socket.js';
+import { initSocket, joinCharacterRoom } from './socket.js';
 
 // Modules
 import { restoreSession, saveAppState, submitAdminLogin, closeAdminModal, promptAdminLogin } from './modules/auth.js';
 import {
   loadCharacters, renderCharactersList, updateCharacterSelect, updatePartyList,
-  deleteCharacter, resetXP, resetLevel,
+  deleteCharacter, resetXP, resetLevel, removeCondition,
   toggleSection, expandAllSections, collapseAllSections,
   startCharacterCreation, sendCharacterMessage, resetCharacterCreation,
   loadSectionStates, attachSectionToggleListeners,
@@ -26,24 +26,30 @@ import {
   rollActionDice, getCurrentDiceRoll,
   updateInspirationDisplay,
   displayChoices, selectChoice, dismissChoices, toggleChoicesDrawer, generateChoices,
-  togglePOVView, reRenderStory, retryTurn, restoreDiceState
+  togglePOVView, retryTurn, restoreDiceState
 } from './modules/sessions.js';
 import {
   loadSettings, saveSettings,
   addApiConfig, testNewConfig, activateApiConfig, testApiConfig, deleteApiConfig, testConnection,
   loadGMSessionInfo, sendGMMessage,
   loadSessionSummary, saveSummary, forceCompact,
-  loadAutoReplyCharacters, onAutoReplyCharacterChange, generateAutoReply
+  loadAutoReplyCharacters, onAutoReplyCharacterChange, generateAutoReply,
+  setPlayerRole, loadSessionGMs, assignSessionGM, removeSessionGM
 } from './modules/settings.js';
+import { newHomebrewEntry, editHomebrewEntry, saveHomebrewEntry, deleteHomebrewEntry, changeHomebrewType } from './modules/homebrew.js';
 import { editApiConfig, closeApiEditModal, saveApiConfigEdit } from './modules/modals/apiConfig.js';
 import { openEditModal, closeModal, sendModalMessage } from './modules/modals/characterEdit.js';
-import { levelUpCharacter } from './modules/modals/levelUp.js';
-import { openInventoryModal, closeInventoryModal, updateGold, addItemToInventory, removeItemFromInventory } from './modules/modals/inventory.js';
+import { levelUpCharacter, closeLevelUpModal, renderLevelUpChoice, applyLevelUp } from './modules/modals/levelUp.js';
+import { openInventoryModal, closeInventoryModal, updateGold, addItemToInventory, removeItemFromInventory, toggleEquipItem, toggleAttuneItem } from './modules/modals/inventory.js';
 import {
   openSpellSlotsModal, closeSpellSlotsModal,
   updateAcBase, addAcEffect, removeAcEffect, clearTempAcEffects,
   useSpellSlot, restoreSpellSlot, longRest, addSpellSlotLevel, removeSpellSlotLevel
 } from './modules/modals/spellSlots.js';
+import {
+  openSpellbookModal, closeSpellbookModal, searchSpellbookSpells,
+  learnSpell, forgetSpell, prepareSpell, setSpellbookSubclass, castSpell, endConcentration
+} from './modules/modals/spellbook.js';
 import { openQuickEditModal, closeQuickEditModal, saveQuickEdit, showQuickEditSection } from './modules/modals/quickEdit.js';
 import { toggleTheme, loadTheme } from './modules/theme.js';
 import { ttsManager, handleTTSClick } from './modules/tts.js';
@@ -53,6 +59,16 @@ import './utils/modalManager.js'; // Registers Escape-to-close handler
 import { initKeyboardNavigation, updateTabAriaStates } from './utils/keyboard.js';
 import { initWeather, cycleWeather, setWeather } from './modules/weather.js';
 import { initCharacterBuilder, saveNewCharacter, resetBuilder } from './modules/characterBuilder.js';
+import { startCombat, addCombatEnemies, nextCombatTurn, removeCombatant, endCombat } from './modules/combat.js';
+import { loadTimeline, rewindToTurn, forkAtTurn } from './modules/timeline.js';
+import { loadNpcs, addNpc, saveNpc, deleteNpc } from './modules/npcs.js';
+import { loadEncounterBuilder, searchEncounterMonsters, addEncounterMonster, setEncounterMonsterCount, pushEncounter } from './modules/encounters.js';
+import { addQuest, addQuestObjective, toggleQuestObjective, setQuestStatus, deleteQuest } from './modules/quests.js';
+import { rollDeathSave } from './modules/deathSaves.js';
+import { rollCheck } from './modules/checks.js';
+import { spendHitDice, finishShortRest } from './modules/shortRest.js';
+import { undoLedgerEntry, undoLedgerTurn, undoLedgerAfterTurn } from './modules/ledger.js';
+import { loadCurrentPlayer, showPlayerModal, closePlayerModal, submitPlayerLogin, claimCharacter, hasRole } from './modules/players.js';
 
 // ============================================
 // Expose functions to window for onclick handlers in HTML
@@ -62,6 +78,12 @@ import { initCharacterBuilder, saveNewCharacter, resetBuilder } from './modules/
 window.submitAdminLogin = submitAdminLogin;
 window.closeAdminModal = closeAdminModal;
 
+// Players (login + character ownership)
+window.showPlayerModal = showPlayerModal;
+window.closePlayerModal = closePlayerModal;
+window.submitPlayerLogin = submitPlayerLogin;
+window.claimCharacter = claimCharacter;
+
 // Theme
 window.toggleTheme = toggleTheme;
 
@@ -73,6 +95,7 @@ window.toggleGameDrawer = toggleGameDrawer;
 // Characters
 window.deleteCharacter = deleteCharacter;
 window.resetXP = resetXP;
+window.removeCondition = removeCondition;
 window.resetLevel = resetLevel;
 window.toggleSection = toggleSection;
 window.expandAllSections = expandAllSections;
@@ -107,6 +130,49 @@ window.generateChoices = generateChoices;
 window.togglePOVView = togglePOVView;
 window.retryTurn = retryTurn;
 
+// Combat
+window.startCombat = startCombat;
+window.addCombatEnemies = addCombatEnemies;
+window.nextCombatTurn = nextCombatTurn;
+window.removeCombatant = removeCombatant;
+window.endCombat = endCombat;
+
+// Timeline
+window.loadTimeline = loadTimeline;
+window.rewindToTurn = rewindToTurn;
+window.forkAtTurn = forkAtTurn;
+
+// NPCs
+window.loadNpcs = loadNpcs;
+window.addNpc = addNpc;
+window.saveNpc = saveNpc;
+window.deleteNpc = deleteNpc;
+
+// Encounter builder
+window.loadEncounterBuilder = loadEncounterBuilder;
+window.searchEncounterMonsters = searchEncounterMonsters;
+window.addEncounterMonster = addEncounterMonster;
+window.setEncounterMonsterCount = setEncounterMonsterCount;
+window.pushEncounter = pushEncounter;
+
+// Quests
+window.addQuest = addQuest;
+window.addQuestObjective = addQuestObjective;
+window.toggleQuestObjective = toggleQuestObjective;
+window.setQuestStatus = setQuestStatus;
+window.deleteQuest = deleteQuest;
+
+// Death saves
+window.rollDeathSave = rollDeathSave;
+window.rollCheck = rollCheck;
+window.spendHitDice = spendHitDice;
+window.finishShortRest = finishShortRest;
+
+// Ledger
+window.undoLedgerEntry = undoLedgerEntry;
+window.undoLedgerTurn = undoLedgerTurn;
+window.undoLedgerAfterTurn = undoLedgerAfterTurn;
+
 // Settings
 window.saveSettings = saveSettings;
 window.addApiConfig = addApiConfig;
@@ -123,6 +189,17 @@ window.forceCompact = forceCompact;
 window.loadAutoReplyCharacters = loadAutoReplyCharacters;
 window.onAutoReplyCharacterChange = onAutoReplyCharacterChange;
 window.generateAutoReply = generateAutoReply;
+window.setPlayerRole = setPlayerRole;
+window.loadSessionGMs = loadSessionGMs;
+window.assignSessionGM = assignSessionGM;
+window.removeSessionGM = removeSessionGM;
+
+// Homebrew
+window.newHomebrewEntry = newHomebrewEntry;
+window.editHomebrewEntry = editHomebrewEntry;
+window.saveHomebrewEntry = saveHomebrewEntry;
+window.deleteHomebrewEntry = deleteHomebrewEntry;
+window.changeHomebrewType = changeHomebrewType;
 
 // Modals
 window.editApiConfig = editApiConfig;
@@ -132,11 +209,16 @@ window.openEditModal = openEditModal;
 window.closeModal = closeModal;
 window.sendModalMessage = sendModalMessage;
 window.levelUpCharacter = levelUpCharacter;
+window.closeLevelUpModal = closeLevelUpModal;
+window.renderLevelUpChoice = renderLevelUpChoice;
+window.applyLevelUp = applyLevelUp;
 window.openInventoryModal = openInventoryModal;
 window.closeInventoryModal = closeInventoryModal;
 window.updateGold = updateGold;
 window.addItemToInventory = addItemToInventory;
 window.removeItemFromInventory = removeItemFromInventory;
+window.toggleEquipItem = toggleEquipItem;
+window.toggleAttuneItem = toggleAttuneItem;
 window.openSpellSlotsModal = openSpellSlotsModal;
 window.closeSpellSlotsModal = closeSpellSlotsModal;
 window.updateAcBase = updateAcBase;
@@ -148,6 +230,15 @@ window.restoreSpellSlot = restoreSpellSlot;
 window.longRest = longRest;
 window.addSpellSlotLevel = addSpellSlotLevel;
 window.removeSpellSlotLevel = removeSpellSlotLevel;
+window.openSpellbookModal = openSpellbookModal;
+window.closeSpellbookModal = closeSpellbookModal;
+window.searchSpellbookSpells = searchSpellbookSpells;
+window.learnSpell = learnSpell;
+window.forgetSpell = forgetSpell;
+window.prepareSpell = prepareSpell;
+window.setSpellbookSubclass = setSpellbookSubclass;
+window.castSpell = castSpell;
+window.endConcentration = endConcentration;
 window.openQuickEditModal = openQuickEditModal;
 window.closeQuickEditModal = closeQuickEditModal;
 window.saveQuickEdit = saveQuickEdit;
@@ -236,12 +327,14 @@ document.addEventListener('DOMContentLoaded', () => {
   const charSelect = document.getElementById('action-character');
   if (charSelect) charSelect.addEventListener('change', () => {
     localStorage.setItem('dnd-selected-character', charSelect.value);
+    joinCharacterRoom(charSelect.value);
     updateInspirationDisplay();
     // Re-filter choices for newly selected character
     const pendingChoices = getState('pendingChoices');
     if (pendingChoices) displayChoices(pendingChoices);
-    // Re-render story locally to switch POV narration for selected character (no network fetch)
-    reRenderStory();
+    // Re-fetch the session: history only carries the selected character's POV
+    const currentSession = getState('currentSession');
+    if (currentSession) loadSession(currentSession.id);
     // Restore any persisted dice roll for this character
     restoreDiceState();
   });
@@ -251,8 +344,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const currentTab = document.querySelector('.tab-btn.active')?.dataset.tab
                     || document.querySelector('.bottom-nav-btn.active')?.dataset.tab;
 
-    // Require admin password for settings tab
-    if (targetTab === 'settings' && !getState('isAdminAuthenticated')) {
+    // Settings tab needs GM tools access: co-GMs go straight in, everyone else needs the admin password
+    if (targetTab === 'settings' && !hasRole('cogm')) {
       const authenticated = await promptAdminLogin();
       if (!authenticated) return;
     }
@@ -294,6 +387,11 @@ document.addEventListener('DOMContentLoaded', () => {
       loadSettings();
     }
 
+    // Character updates are only pushed to session/character rooms, so refresh the full roster
+    if (targetTab === 'characters') {
+      loadCharacters();
+    }
+
     saveAppState();
   }
 
@@ -323,6 +421,14 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Enter key on player password input
+  const playerPasswordInput = document.getElementById('player-password-input');
+  if (playerPasswordInput) {
+    playerPasswordInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') submitPlayerLogin();
+    });
+  }
+
   // Shift+Enter to send in char chat
   const charChatInput = document.getElementById('char-chat-input');
   if (charChatInput) {
@@ -376,6 +482,9 @@ document.addEventListener('DOMContentLoaded', () => {
   // Show app screen immediately (auth handled by EasyPanel basic auth)
   document.getElementById('app-screen').classList.add('active');
 
+  // Know who we are before rendering "my" characters
+  await loadCurrentPlayer();
+
   const restored = await restoreSession();
   if (!restored) {
     // First visit — initialize socket and load data
@@ -6,6 +6,7 @@
 import { getState, setState } from '../state.js';
 import { escapeHtml, formatChatMessage } from '../utils/formatters.js';
 import { scrollChatToBottom } from '../utils/dom.js';
+import { applyRoleVisibility } from './players.js';
 
 // ============================================
 // State persistence
@@ -146,6 +147,7 @@ export async function submitAdminLogin() {
 
     if (result.ok) {
       setState({ adminPassword: pwd, isAdminAuthenticated: true });
+      applyRoleVisibility();
       document.getElementById('admin-modal').classList.remove('active');
       const resolve = getState('adminLoginResolve');
       if (resolve) {
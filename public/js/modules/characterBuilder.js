@@ -207,7 +207,7 @@ export function initCharacterBuilder() {
 // Data Loading
 // ============================================
 
-async function loadBuilderData() {
+export async function loadBuilderData() {
   try {
     const [races, classes, skills, backgrounds] = await Promise.all([
       getRaces().catch(err => { console.error('Failed to load races:', err); return []; }),
@@ -236,8 +236,11 @@ async function loadBuilderData() {
 function populateSelect(selectId, items, placeholder) {
   const select = document.getElementById(selectId);
   if (!select) return;
+  // Keep the current pick when the lists are reloaded (homebrew was edited)
+  const current = select.value;
   select.innerHTML = `<option value="">${escapeHtml(placeholder)}</option>` +
-    items.map(item => `<option value="${escapeHtml(item.index)}">${escapeHtml(item.name)}</option>`).join('');
+    items.map(item => `<option value="${escapeHtml(item.index)}">${escapeHtml(item.name)}${item.source === 'homebrew' ? ' (Homebrew)' : ''}</option>`).join('');
+  if (items.some(item => item.index === current)) select.value = current;
 }
 
 // ============================================
@@ -11,6 +11,8 @@ import { getRequiredXP, canLevelUp } from '../utils/gameRules.js';
 import { showNotification, scrollChatToBottom } from '../utils/dom.js';
 import { saveAppState } from './auth.js';
 import { getCachedInventory } from '../utils/inventoryCache.js';
+import { isMyCharacter, canControlCharacter } from './players.js';
+import { isDown, LIFE_STATE_LABELS, renderPips } from './deathSaves.js';
 
 // ============================================
 // Available sections for expand/collapse
@@ -196,6 +198,78 @@ export function formatAcShort(character) {
   return `<span class="ac-info${hasEffects ? ' has-effects' : ''}" title="${escapeHtml(title)}">AC: ${totalAc}${hasEffects ? '*' : ''}</span>`;
 }
 
+/** Time left on a condition, e.g. "3 rounds", "9 min", "until rest" (a round is 6 seconds) */
+function formatConditionDuration(condition) {
+  if (condition.expires === 'rest') return 'until rest';
+  if (condition.expires !== 'rounds') return '';
+  const rounds = condition.rounds_left;
+  if (rounds < 10) return `${rounds} round${rounds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(rounds / 10);
+  return minutes < 60 ? `${minutes} min` : `${Math.ceil(minutes / 60)} h`;
+}
+
+/** "Dying" badge (with the death save tally), "Unconscious" or "Dead"; '' while conscious */
+function formatLifeStateBadge(character) {
+  if (!isDown(character)) return '';
+  const tally = character.life_state === 'dying'
+    ? ` ${renderPips(character.death_successes || 0, 'success')}${renderPips(character.death_failures || 0, 'failure')}`
+    : '';
+  return `<span class="life-state-badge ${character.life_state}">${LIFE_STATE_LABELS[character.life_state]}${tally}</span>`;
+}
+
+const ABILITY_LABELS = {
+  strength: 'STR', dexterity: 'DEX', constitution: 'CON',
+  intelligence: 'INT', wisdom: 'WIS', charisma: 'CHA'
+};
+
+function formatBonus(value) {
+  return value >= 0 ? `+${value}` : `${value}`;
+}
+
+/**
+ * The computed sheet (derived on the server): proficiency, saves, skills, passives and spellcasting.
+ * Proficient saves and skills are highlighted.
+ */
+function formatDerivedSheet(derived) {
+  if (!derived) return '';
+  const entry = (label, modifier, proficiency) =>
+    `<span class="sheet-entry ${proficiency ? `sheet-${proficiency}` : ''}">${escapeHtml(label)} ${formatBonus(modifier)}</span>`;
+
+  const saves = Object.entries(derived.saves)
+    .map(([ability, save]) => entry(ABILITY_LABELS[ability], save.modifier, save.proficient ? 'proficient' : null))
+    .join('');
+  const skills = Object.values(derived.skills)
+    .map(skill => entry(skill.name, skill.modifier, skill.proficiency))
+    .join('');
+  const spellcasting = derived.spellcasting.map(casting => `
+    <div class="sheet-line"><strong>Spellcasting (${escapeHtml(casting.classes.join(', '))})</strong>
+      save DC ${casting.save_dc}, attack ${formatBonus(casting.attack_bonus)}</div>
+  `).join('');
+
+  return `
+    <div class="sheet-line"><strong>Proficiency</strong> ${formatBonus(derived.proficiency_bonus)}</div>
+    <div class="sheet-line"><strong>Saves</strong> <div class="sheet-entries">${saves}</div></div>
+    <div class="sheet-line"><strong>Skills</strong> <div class="sheet-entries">${skills}</div></div>
+    <div class="sheet-line"><strong>Passive</strong> Perception ${derived.passives.perception},
+      Investigation ${derived.passives.investigation}, Insight ${derived.passives.insight}</div>
+    ${spellcasting}
+  `;
+}
+
+export function formatConditionBadges(character) {
+  let conditions = [];
+  try { conditions = JSON.parse(character.conditions || '[]'); } catch (e) { conditions = []; }
+  if (conditions.length === 0) return '';
+
+  const canRemove = canControlCharacter(character);
+  return `<div class="condition-badges">${conditions.map(cond => {
+    const title = [cond.name, formatConditionDuration(cond), cond.source].filter(Boolean).join(' · ');
+    return `<span class="condition-badge" title="${escapeHtml(title)}" data-name="${escapeHtml(cond.name).replace(/"/g, '&quot;')}">${escapeHtml(cond.name)}${canRemove
+      ? `<button class="condition-remove" onclick="event.stopPropagation(); removeCondition('${character.id}', this.parentElement.dataset.name)" aria-label="Remove">×</button>`
+      : ''}</span>`;
+  }).join('')}</div>`;
+}
+
 // ============================================
 // Load & render characters
 // ============================================
@@ -260,7 +334,7 @@ export function renderCharactersList() {
     };
 
     return `
-    <div class="character-card ${canLevel ? 'ready-to-level' : ''}" data-id="${c.id}">
+    <div class="character-card ${canLevel ? 'ready-to-level' : ''} ${isMyCharacter(c) ? 'my-character' : ''}" data-id="${c.id}">
       <button class="delete-btn" onclick="event.stopPropagation(); deleteCharacter('${c.id}')">X</button>
 
       <div class="card-header">
@@ -268,7 +342,7 @@ export function renderCharactersList() {
           ${c.image_url ? `<img src="${escapeHtml(c.image_url)}" class="char-avatar" alt="${escapeHtml(c.character_name)}">` : `<div class="char-avatar-placeholder"></div>`}
           <div>
             <h3>${escapeHtml(c.character_name)}</h3>
-            <div class="player">Played by ${escapeHtml(c.player_name)}</div>
+            <div class="player">Played by ${escapeHtml(c.player_name)} ${formatOwnerBadge(c)}${c.branch_session_id ? ' <span class="owner-badge branch-copy" title="Copy of the party made for a branched session">Branch copy</span>' : ''}</div>
           </div>
         </div>
         <div class="race-class">${escapeHtml(c.race)} ${escapeHtml(classDisplay)}</div>
@@ -300,6 +374,7 @@ export function renderCharactersList() {
         </div>
         ${createSection('appearance', 'Appearance', c.appearance, 'section-appearance')}
         ${createSection('backstory', 'Backstory', c.backstory, 'section-backstory')}
+        ${createSection('sheet', 'Sheet', formatDerivedSheet(c.derived), 'section-sheet', true)}
         ${hasSpellSlots ? createSection('spellSlots', 'Spell Slots', spellSlotsDisplay, 'section-spellslots', true) : ''}
         ${createSection('skills', 'Skills', c.skills, 'section-skills')}
         ${createSection('spells', 'Spells', c.spells, 'section-spells')}
@@ -322,6 +397,7 @@ export function renderCharactersList() {
         <div class="btn-row">
           <button class="btn-levelup" onclick="event.stopPropagation(); levelUpCharacter('${c.id}')" ${canLevel ? '' : 'disabled'}>${canLevel ? 'Level Up!' : 'Need XP'}</button>
           <button class="btn-spells" onclick="event.stopPropagation(); openSpellSlotsModal('${c.id}')">Spell Slots</button>
+          <button class="btn-spells" onclick="event.stopPropagation(); openSpellbookModal('${c.id}')">Spellbook</button>
         </div>
         <div class="btn-row">
           <button class="btn-reset-xp" onclick="event.stopPropagation(); resetXP('${c.id}', '${escapeHtml(c.character_name).replace(/'/g, "\\'")}')">Reset XP</button>
@@ -334,6 +410,15 @@ export function renderCharactersList() {
   attachSectionToggleListeners();
 }
 
+function formatOwnerBadge(c) {
+  if (isMyCharacter(c)) return '<span class="owner-badge mine">Yours</span>';
+  if (c.owner_id) return '<span class="owner-badge">Claimed</span>';
+  if (getState('currentPlayer')) {
+    return `<button class="btn-tiny btn-claim" onclick="event.stopPropagation(); claimCharacter('${c.id}')">Claim</button>`;
+  }
+  return '';
+}
+
 export function updateCharacterSelect() {
   const sessionCharacters = getState('sessionCharacters');
   const select = document.getElementById('action-character');
@@ -342,12 +427,19 @@ export function updateCharacterSelect() {
   // Remember current selection (from element or localStorage)
   const savedId = select.value || localStorage.getItem('dnd-selected-character');
 
+  // Own characters first; characters owned by other players can't be acted for
+  const mine = sessionCharacters.filter(c => isMyCharacter(c));
+  const others = sessionCharacters.filter(c => !isMyCharacter(c));
   select.innerHTML = '<option value="">Select your character</option>' +
-    sessionCharacters.map(c => `<option value="${c.id}">${escapeHtml(c.character_name)} (${escapeHtml(c.player_name)})</option>`).join('');
+    [...mine, ...others].map(c => `<option value="${c.id}" ${canControlCharacter(c) ? '' : 'disabled'}>${isMyCharacter(c) ? '\u2605 ' : ''}${escapeHtml(c.character_name)} (${escapeHtml(c.player_name)})</option>`).join('');
 
-  // Restore selection if the character is still in this session
-  if (savedId && sessionCharacters.some(c => c.id === savedId)) {
+  // Restore selection if the character is still in this session and playable; otherwise pre-select my own
+  const saved = sessionCharacters.find(c => c.id === savedId);
+  if (saved && canControlCharacter(saved)) {
     select.value = savedId;
+  } else if (mine.length > 0) {
+    select.value = mine[0].id;
+    localStorage.setItem('dnd-selected-character', mine[0].id);
   }
 }
 
@@ -402,7 +494,9 @@ export function updatePartyList() {
           <div class="combat-info">
             <span class="hp">HP: ${c.hp}/${c.max_hp}</span>
             ${acShortDisplay}
+            ${formatLifeStateBadge(c)}
           </div>
+          ${formatConditionBadges(c)}
           <div class="gold-info">Money: ${gold}</div>
           <div class="xp-info">XP: ${xp}/${requiredXP} ${canLevel ? '(Ready!)' : ''}</div>
           <div class="party-stats">
@@ -432,6 +526,7 @@ export function updatePartyList() {
       <div class="party-actions">
         <button class="party-btn" onclick="event.stopPropagation(); openInventoryModal('${c.id}')">Inv</button>
         <button class="party-btn" onclick="event.stopPropagation(); openSpellSlotsModal('${c.id}')">Spells</button>
+        <button class="party-btn" onclick="event.stopPropagation(); openSpellbookModal('${c.id}')">Cast</button>
         <button class="party-btn ${canLevel ? 'party-btn-levelup' : ''}" onclick="event.stopPropagation(); levelUpCharacter('${c.id}')" ${canLevel ? '' : 'disabled'}>${canLevel ? 'Level Up!' : 'Need XP'}</button>
       </div>
     </div>
@@ -477,6 +572,16 @@ export async function resetXP(id, name) {
   }
 }
 
+export async function removeCondition(id, name) {
+  try {
+    await api(`/api/characters/${id}/conditions`, 'POST', { action: 'remove', name });
+    loadCharacters();
+  } catch (error) {
+    console.error('Failed to remove condition:', error);
+    alert('Failed to remove condition: ' + error.message);
+  }
+}
+
 export async function resetLevel(id, name) {
   if (!confirm(`Reset ${name} to Level 1?\n\nThis will:\n- Set level to 1\n- Set XP to 0\n- Reset HP to level 1 value\n- AI will determine which spells, skills, passives, feats, and class features to keep\n\nThis cannot be undone!`)) return;
   try {
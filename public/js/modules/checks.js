@@ -0,0 +1,106 @@
+// ============================================
+// Checks Module
+// - Checks and saving throws the DM calls for mid-turn ([CHECK:] tags)
+// - The turn pauses until each named character rolls (on the server); the last roll resumes it
+// ============================================
+
+import { getState, setState } from '../state.js';
+import { api } from '../api.js';
+import { escapeHtml } from '../utils/formatters.js';
+import { showNotification } from '../utils/dom.js';
+import { canControlCharacter, hasRole } from './players.js';
+
+const OUTCOME_LABELS = {
+  success: 'Success',
+  failure: 'Failure',
+  rolled: 'Rolled',
+  auto_fail: 'Fails (unconscious)'
+};
+
+const MODE_LABELS = { adv: 'Advantage', dis: 'Disadvantage' };
+
+// ============================================
+// Render
+// ============================================
+
+function renderCheck(check) {
+  const character = getState('sessionCharacters').find(c => c.id === check.character_id);
+  const dc = check.dc !== null ? ` <span class="check-dc">DC ${check.dc}</span>` : '';
+  const mode = check.mode ? ` <span class="check-dc">${MODE_LABELS[check.mode]}</span>` : '';
+  // Advantage comes from the DM's tag; only a GM can override it
+  const canOverride = hasRole('cogm', getState('currentSession')?.id);
+  let status;
+  if (check.outcome) {
+    status = `<span class="check-result ${check.outcome}">${check.total !== null ? `${check.total} — ` : ''}${OUTCOME_LABELS[check.outcome]}</span>`;
+  } else if (canControlCharacter(character)) {
+    status = `
+      ${canOverride ? `
+      <select class="check-mode" id="check-mode-${check.id}" aria-label="Advantage or disadvantage">
+        <option value="d20">Normal</option>
+        <option value="adv"${check.mode === 'adv' ? ' selected' : ''}>Adv</option>
+        <option value="dis"${check.mode === 'dis' ? ' selected' : ''}>Dis</option>
+      </select>` : ''}
+      <button class="btn-small btn-accent" onclick="rollCheck('${check.id}')">Roll</button>
+    `;
+  } else {
+    status = '<span class="check-waiting">Waiting...</span>';
+  }
+
+  return `
+    <div class="check-item">
+      <span class="check-label"><strong>${escapeHtml(check.character_name || character?.character_name || '')}</strong>: ${escapeHtml(check.label)}${dc}${mode}</span>
+      <span class="check-status">${status}</span>
+    </div>
+  `;
+}
+
+/**
+ * Show the checks the turn is waiting on (hidden when there are none).
+ */
+export function renderCheckPanel() {
+  const panel = document.getElementById('check-panel');
+  if (!panel) return;
+  const checks = getState('currentChecks');
+  if (checks.length === 0) {
+    panel.innerHTML = '';
+    return;
+  }
+  panel.innerHTML = `
+    <div class="check-panel-title">The Narrator calls for a roll</div>
+    ${checks.map(renderCheck).join('')}
+  `;
+}
+
+export function setCurrentChecks(checks) {
+  setState({ currentChecks: checks || [] });
+  renderCheckPanel();
+}
+
+/**
+ * Record a check result (from the roll response or the check_rolled broadcast).
+ */
+export function updateCheck(check) {
+  const checks = getState('currentChecks');
+  if (!checks.some(c => c.id === check.id)) return;
+  setCurrentChecks(checks.map(c => c.id === check.id ? { ...c, ...check } : c));
+}
+
+// ============================================
+// Roll
+// ============================================
+
+export async function rollCheck(checkId) {
+  const currentSession = getState('currentSession');
+  if (!currentSession) return;
+  // Only a GM gets the override select; a player's roll uses the check's own mode
+  const mode = document.getElementById(`check-mode-${checkId}`)?.value;
+
+  try {
+    const result = await api(`/api/sessions/${currentSession.id}/checks/${checkId}/roll`, 'POST', mode ? { mode } : {});
+    updateCheck(result.check);
+    showNotification(`${result.check.label}: ${result.check.total} — ${OUTCOME_LABELS[result.check.outcome]}`);
+  } catch (error) {
+    console.error('Failed to roll check:', error);
+    showNotification('Roll failed: ' + error.message);
+  }
+}
@@ -0,0 +1,149 @@
+// ============================================
+// Combat Module
+// - Initiative tracker (drawer), round/turn indicator
+// - Start / advance / end combat
+// ============================================
+
+import { getState, setState } from '../state.js';
+import { api } from '../api.js';
+import { escapeHtml } from '../utils/formatters.js';
+import { showNotification } from '../utils/dom.js';
+import { applyRoleVisibility } from './players.js';
+
+// ============================================
+// Render
+// ============================================
+
+export function renderCombatTracker() {
+  const combat = getState('currentCombat');
+  const tracker = document.getElementById('combat-tracker');
+  const indicator = document.getElementById('combat-indicator');
+  const startBtn = document.getElementById('combat-start-btn');
+  const controls = document.getElementById('combat-controls');
+
+  if (startBtn) startBtn.classList.toggle('hidden', !!combat);
+  if (controls) controls.classList.toggle('hidden', !combat);
+
+  if (!combat) {
+    if (tracker) tracker.innerHTML = '<div class="combat-empty">No active combat</div>';
+    if (indicator) indicator.classList.add('hidden');
+    return;
+  }
+
+  const current = combat.combatants[combat.current_turn];
+  const sessionCharacters = getState('sessionCharacters');
+
+  if (indicator) {
+    indicator.textContent = `Round ${combat.round}${current ? ' · ' + current.name : ''}`;
+    indicator.classList.remove('hidden');
+  }
+
+  if (!tracker) return;
+  tracker.innerHTML = `
+    <div class="combat-header">
+      <span class="combat-name">${escapeHtml(combat.name)}</span>
+      <span class="combat-round">Round ${combat.round}</span>
+    </div>
+    ${combat.combatants.map((c, idx) => {
+      let hpDisplay = '';
+      if (c.type === 'character') {
+        const char = sessionCharacters.find(ch => ch.id === c.character_id);
+        if (char) hpDisplay = `HP ${char.hp}/${char.max_hp}`;
+      } else if (c.hp !== undefined) {
+        hpDisplay = `HP ${c.hp}/${c.max_hp}`;
+      }
+      return `
+      <div class="combatant ${c.type === 'enemy' ? 'combatant-enemy' : 'combatant-character'} ${idx === combat.current_turn ? 'active-turn' : ''}">
+        <span class="combatant-init" title="d20 ${c.initiative_roll} ${c.initiative_bonus >= 0 ? '+' : ''}${c.initiative_bonus}">${c.initiative}</span>
+        <span class="combatant-name">${escapeHtml(c.name)}</span>
+        <span class="combatant-hp">${hpDisplay}</span>
+        ${c.type === 'enemy' ? `<button class="btn-cancel-action" onclick="removeCombatant('${c.id}')" title="Remove from combat" data-min-role="cogm" data-role-scope="session">✕</button>` : ''}
+      </div>`;
+    }).join('')}
+  `;
+  applyRoleVisibility();
+}
+
+export function setCurrentCombat(combat) {
+  setState({ currentCombat: combat || null });
+  renderCombatTracker();
+}
+
+// ============================================
+// Actions
+// ============================================
+
+function readEnemyInput() {
+  const input = document.getElementById('combat-enemies-input');
+  const value = input ? input.value.trim() : '';
+  if (input) input.value = '';
+  return value;
+}
+
+export async function startCombat() {
+  const currentSession = getState('currentSession');
+  if (!currentSession) { showNotification('Select a session first'); return; }
+
+  try {
+    const result = await api(`/api/sessions/${currentSession.id}/combat/start`, 'POST', {
+      enemies: readEnemyInput()
+    });
+    setCurrentCombat(result.combat);
+  } catch (error) {
+    console.error('Failed to start combat:', error);
+    alert('Failed to start combat: ' + error.message);
+  }
+}
+
+export async function addCombatEnemies() {
+  const currentSession = getState('currentSession');
+  if (!currentSession) return;
+  const enemies = readEnemyInput();
+  if (!enemies) return;
+
+  try {
+    const result = await api(`/api/sessions/${currentSession.id}/combat/enemies`, 'POST', { enemies });
+    setCurrentCombat(result.combat);
+  } catch (error) {
+    console.error('Failed to add enemies:', error);
+    alert('Failed to add enemies: ' + error.message);
+  }
+}
+
+export async function nextCombatTurn() {
+  const currentSession = getState('currentSession');
+  if (!currentSession) return;
+
+  try {
+    const result = await api(`/api/sessions/${currentSession.id}/combat/next`, 'POST');
+    setCurrentCombat(result.combat);
+  } catch (error) {
+    console.error('Failed to advance combat:', error);
+  }
+}
+
+export async function removeCombatant(combatantId) {
+  const currentSession = getState('currentSession');
+  if (!currentSession) return;
+
+  try {
+    const result = await api(`/api/sessions/${currentSession.id}/combat/combatants/${combatantId}`, 'DELETE');
+    setCurrentCombat(result.combat);
+  } catch (error) {
+    console.error('Failed to remove combatant:', error);
+  }
+}
+
+export async function endCombat() {
+  const currentSession = getState('currentSession');
+  if (!currentSession) return;
+  if (!confirm('End the current combat?')) return;
+
+  try {
+    await api(`/api/sessions/${currentSession.id}/combat/end`, 'POST');
+    setCurrentCombat(null);
+  } catch (error) {
+    console.error('Failed to end combat:', error);
+    alert('Failed to end combat: ' + error.message);
+  }
+}
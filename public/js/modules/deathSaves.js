@@ -0,0 +1,104 @@
+// ============================================
+// Death Saves Module
+// - While the selected character is down, the action box becomes a death save prompt
+// - Rolls happen on the server; the result is the character's action for the turn
+// ============================================
+
+import { getState } from '../state.js';
+import { api } from '../api.js';
+import { escapeHtml } from '../utils/formatters.js';
+import { showNotification } from '../utils/dom.js';
+
+export const LIFE_STATE_LABELS = {
+  dying: 'Dying',
+  stable: 'Unconscious',
+  dead: 'Dead'
+};
+
+const OUTCOME_TEXT = {
+  success: 'success',
+  failure: 'failure',
+  fumble: 'natural 1, two failures',
+  critical: 'natural 20, back on your feet with 1 HP!'
+};
+
+/** Whether a character is dying, unconscious or dead (and so can't take actions) */
+export function isDown(character) {
+  return Boolean(LIFE_STATE_LABELS[character.life_state]);
+}
+
+function getSelectedCharacter() {
+  const characterId = document.getElementById('action-character')?.value;
+  if (!characterId) return null;
+  return getState('sessionCharacters').find(c => c.id === characterId) || null;
+}
+
+// Three pips, the first `count` filled
+export function renderPips(count, kind) {
+  return [0, 1, 2].map(i => `<span class="death-pip ${kind}${i < count ? ' filled' : ''}"></span>`).join('');
+}
+
+// ============================================
+// Render
+// ============================================
+
+/**
+ * Show or hide the death save prompt for the selected character.
+ */
+export function updateDeathSavePanel() {
+  const bar = document.getElementById('action-bar');
+  const panel = document.getElementById('death-save-panel');
+  if (!bar || !panel) return;
+
+  const char = getSelectedCharacter();
+  const lifeState = char?.life_state;
+  bar.classList.toggle('incapacitated', Boolean(char && isDown(char)));
+  if (!char || !isDown(char)) {
+    panel.innerHTML = '';
+    return;
+  }
+
+  const name = escapeHtml(char.character_name);
+  if (lifeState === 'dying') {
+    panel.innerHTML = `
+      <div class="death-save-text">
+        <strong>${name} is dying.</strong> Roll a death save this turn: 10 or higher is a success.
+      </div>
+      <div class="death-save-tally">
+        <span title="Successes">${renderPips(char.death_successes || 0, 'success')}</span>
+        <span title="Failures">${renderPips(char.death_failures || 0, 'failure')}</span>
+      </div>
+      <button class="btn-submit" id="death-save-btn" onclick="rollDeathSave()">Roll Death Save</button>
+    `;
+  } else {
+    panel.innerHTML = `
+      <div class="death-save-text">
+        ${lifeState === 'dead'
+          ? `<strong>${name} is dead.</strong> Only magic can bring them back now.`
+          : `<strong>${name} is unconscious but stable.</strong> Any healing will wake them.`}
+      </div>
+    `;
+  }
+}
+
+// ============================================
+// Roll
+// ============================================
+
+export async function rollDeathSave() {
+  const currentSession = getState('currentSession');
+  const char = getSelectedCharacter();
+  if (!currentSession || !char) return;
+
+  const btn = document.getElementById('death-save-btn');
+  if (btn) btn.disabled = true;
+
+  try {
+    const result = await api(`/api/sessions/${currentSession.id}/death-save`, 'POST', { character_id: char.id });
+    showNotification(`Death save: ${result.roll} (${OUTCOME_TEXT[result.outcome]})`);
+  } catch (error) {
+    console.error('Failed to roll death save:', error);
+    showNotification('Death save failed: ' + error.message);
+    if (btn) btn.disabled = false;
+  }
+}
@@ -0,0 +1,176 @@
+// ============================================
+// Encounters Module
+// - Encounter builder panel (drawer, co-GM): pick SRD monsters,
+//   see how hard they are for the party (5e XP thresholds)
+// - Push the encounter as a combat and/or a GM nudge with the stat blocks
+// ============================================
+
+import { getState, setState } from '../state.js';
+import { api } from '../api.js';
+import { escapeHtml } from '../utils/formatters.js';
+import { showNotification } from '../utils/dom.js';
+import { searchMonsters } from '../utils/dndData.js';
+import { setCurrentCombat } from './combat.js';
+
+const MAX_COUNT = 20;
+
+let searchTimer = null;
+
+// ============================================
+// Render
+// ============================================
+
+export function loadEncounterBuilder() {
+  const container = document.getElementById('encounter-builder');
+  if (!container) return;
+  if (!getState('currentSession')) {
+    container.innerHTML = '<div class="encounter-empty">No session selected</div>';
+    return;
+  }
+
+  if (!document.getElementById('encounter-search')) {
+    container.innerHTML = `
+      <div class="encounter-search">
+        <input type="text" id="encounter-search" placeholder="Search monsters" aria-label="Search monsters" oninput="searchEncounterMonsters()">
+        <input type="text" id="encounter-cr" placeholder="CR" aria-label="Challenge rating" oninput="searchEncounterMonsters()">
+      </div>
+      <div id="encounter-results" class="encounter-results"></div>
+      <div id="encounter-selected" class="encounter-selected"></div>
+      <div id="encounter-rating" class="encounter-rating"></div>
+      <div class="encounter-push">
+        <input type="text" id="encounter-name" placeholder="Encounter name (optional)" aria-label="Encounter name">
+        <label><input type="checkbox" id="encounter-combat" checked> Start combat</label>
+        <label><input type="checkbox" id="encounter-nudge" checked> Send GM nudge</label>
+        <button class="btn-small btn-accent" onclick="pushEncounter()">Push</button>
+      </div>
+    `;
+  }
+  searchEncounterMonsters();
+  renderSelected();
+}
+
+export function searchEncounterMonsters() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(async () => {
+    const results = document.getElementById('encounter-results');
+    if (!results) return;
+    const name = document.getElementById('encounter-search').value.trim();
+    const cr = document.getElementById('encounter-cr').value.trim();
+
+    try {
+      const monsters = await searchMonsters({ name, cr, limit: 20 });
+      results.innerHTML = monsters.length === 0
+        ? '<div class="encounter-empty">No monsters found</div>'
+        : monsters.map(m => `
+          <button class="encounter-result" onclick="addEncounterMonster('${m.index}')" title="${escapeHtml(`${m.size} ${m.type}, AC ${m.armor_class}, HP ${m.hit_points}`)}">
+            <span class="encounter-monster-name">${escapeHtml(m.name)}</span>
+            <span class="encounter-cr">CR ${escapeHtml(m.cr)}</span>
+          </button>
+        `).join('');
+    } catch (error) {
+      console.error('Failed to search monsters:', error);
+      results.innerHTML = `<div class="encounter-empty">${escapeHtml(error.message)}</div>`;
+    }
+  }, 250);
+}
+
+function renderSelected() {
+  const container = document.getElementById('encounter-selected');
+  if (!container) return;
+  const monsters = getState('encounterMonsters');
+
+  if (monsters.length === 0) {
+    container.innerHTML = '<div class="encounter-empty">Click a monster to add it</div>';
+    document.getElementById('encounter-rating').innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = monsters.map(m => `
+    <div class="encounter-monster">
+      <span class="encounter-monster-name">${escapeHtml(m.name)}</span>
+      <span class="encounter-cr">CR ${escapeHtml(m.cr)} · ${m.xp} XP</span>
+      <input type="number" min="1" max="${MAX_COUNT}" value="${m.count}" aria-label="How many ${escapeHtml(m.name)}" onchange="setEncounterMonsterCount('${m.index}', this.value)">
+      <button class="btn-small btn-secondary" onclick="setEncounterMonsterCount('${m.index}', 0)" aria-label="Remove ${escapeHtml(m.name)}">&times;</button>
+    </div>
+  `).join('');
+  rateEncounter();
+}
+
+async function rateEncounter() {
+  const currentSession = getState('currentSession');
+  const rating = document.getElementById('encounter-rating');
+  const monsters = getState('encounterMonsters');
+  if (!currentSession || !rating || monsters.length === 0) return;
+
+  try {
+    const { encounter } = await api(`/api/sessions/${currentSession.id}/encounter/rate`, 'POST', {
+      monsters: monsters.map(m => ({ index: m.index, count: m.count }))
+    });
+    const t = encounter.thresholds;
+    rating.innerHTML = `
+      <div class="encounter-difficulty encounter-${encounter.difficulty}">${encounter.difficulty}</div>
+      <div>${encounter.base_xp} XP &times; ${encounter.multiplier} = ${encounter.adjusted_xp} adjusted XP</div>
+      <div class="encounter-thresholds">Party of ${encounter.party.length}: easy ${t.easy} · medium ${t.medium} · hard ${t.hard} · deadly ${t.deadly}</div>
+    `;
+  } catch (error) {
+    rating.innerHTML = `<div class="encounter-empty">${escapeHtml(error.message)}</div>`;
+  }
+}
+
+// ============================================
+// Edit
+// ============================================
+
+export async function addEncounterMonster(index) {
+  const monsters = getState('encounterMonsters');
+  const existing = monsters.find(m => m.index === index);
+  if (existing) {
+    setEncounterMonsterCount(index, existing.count + 1);
+    return;
+  }
+
+  try {
+    const monster = await api(`/api/dnd/monsters/${index}`);
+    setState({ encounterMonsters: [...monsters, { index, name: monster.name, cr: monster.cr, xp: monster.xp, count: 1 }] });
+    renderSelected();
+  } catch (error) {
+    console.error('Failed to add monster:', error);
+    showNotification('Failed to add monster: ' + error.message);
+  }
+}
+
+export function setEncounterMonsterCount(index, count) {
+  const value = Math.min(MAX_COUNT, parseInt(count) || 0);
+  const monsters = getState('encounterMonsters')
+    .map(m => m.index === index ? { ...m, count: value } : m)
+    .filter(m => m.count > 0);
+  setState({ encounterMonsters: monsters });
+  renderSelected();
+}
+
+export async function pushEncounter() {
+  const currentSession = getState('currentSession');
+  const monsters = getState('encounterMonsters');
+  if (!currentSession || monsters.length === 0) return;
+
+  const combat = document.getElementById('encounter-combat').checked;
+  const nudge = document.getElementById('encounter-nudge').checked;
+  if (!combat && !nudge) { showNotification('Choose a combat, a GM nudge, or both'); return; }
+
+  try {
+    const result = await api(`/api/sessions/${currentSession.id}/encounter/push`, 'POST', {
+      name: document.getElementById('encounter-name').value.trim(),
+      monsters: monsters.map(m => ({ index: m.index, count: m.count })),
+      combat,
+      nudge
+    });
+    if (result.combat) setCurrentCombat(result.combat);
+    setState({ encounterMonsters: [] });
+    document.getElementById('encounter-name').value = '';
+    renderSelected();
+    showNotification(`Encounter pushed (${result.encounter.difficulty})`);
+  } catch (error) {
+    console.error('Failed to push encounter:', error);
+    alert('Failed to push encounter: ' + error.message);
+  }
+}
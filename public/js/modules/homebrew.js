@@ -0,0 +1,174 @@
+// ============================================
+// Homebrew Module
+// - Homebrew content manager (settings tab, admin): races, classes, subclasses,
+//   backgrounds and magic items edited as JSON in their SRD shape
+// - Saved entries show up in the character builder marked as homebrew
+// ============================================
+
+import { getState, setState } from '../state.js';
+import { api } from '../api.js';
+import { escapeHtml } from '../utils/formatters.js';
+import { showNotification } from '../utils/dom.js';
+import { clearDndDataCache } from '../utils/dndData.js';
+import { loadBuilderData } from './characterBuilder.js';
+
+// Starting points for a new entry, shaped like the matching server/data/srd file
+const TEMPLATES = {
+  race: {
+    name: 'New Race',
+    speed: 30,
+    size: 'Medium',
+    ability_bonuses: [{ ability: 'STR', bonus: 2 }],
+    traits: ['Darkvision'],
+    languages: ['Common'],
+    subraces: []
+  },
+  class: {
+    name: 'New Class',
+    hit_die: 8,
+    saving_throws: ['DEX', 'INT'],
+    proficiencies: ['Light armor', 'Simple weapons'],
+    proficiency_choices: [{
+      choose: 2,
+      from: { options: [{ item: { name: 'Skill: Arcana' } }, { item: { name: 'Skill: Stealth' } }, { item: { name: 'Skill: Perception' } }] }
+    }],
+    is_caster: false,
+    spellcasting_ability: null,
+    spellcasting_progression: null,
+    multiclass_prerequisites: [{ DEX: 13 }],
+    asi_levels: [4, 8, 12, 16, 19],
+    features: { '1': ['First Feature'], '2': ['Second Feature'] }
+  },
+  subclass: {
+    name: 'New Subclass',
+    class: 'Fighter',
+    features: { '3': ['Subclass Feature'], '7': ['Later Feature'] },
+    spells: {}
+  },
+  background: {
+    name: 'New Background',
+    feature: { name: 'Feature Name', desc: ['What the feature lets the character do.'] },
+    starting_proficiencies: ['Insight', 'Persuasion'],
+    starting_equipment: []
+  },
+  item: {
+    name: 'New Magic Item',
+    category: 'wondrous-items',
+    type: 'Wondrous item',
+    rarity: 'Uncommon',
+    attunement: null,
+    desc: ['What the item does.']
+  }
+};
+
+function selectedType() {
+  return document.getElementById('homebrew-type')?.value || 'race';
+}
+
+function setStatus(text) {
+  const status = document.getElementById('homebrew-status');
+  if (status) status.textContent = text;
+}
+
+// ============================================
+// Render
+// ============================================
+
+export async function loadHomebrew() {
+  const list = document.getElementById('homebrew-list');
+  if (!list) return;
+
+  try {
+    const entries = await api(`/api/dnd/homebrew?type=${selectedType()}`);
+    list.innerHTML = entries.length === 0
+      ? '<p class="settings-note">No homebrew of this type yet.</p>'
+      : entries.map(entry => `
+        <div class="player-role-row homebrew-row ${entry.id === getState('editingHomebrewId') ? 'editing' : ''}">
+          <span class="player-role-name">${escapeHtml(entry.name)} <small>${escapeHtml(entry.index)}</small></span>
+          <span class="homebrew-actions">
+            <button class="btn-small btn-secondary" onclick="editHomebrewEntry('${entry.id}')">Edit</button>
+            <button class="btn-cancel-action" onclick="deleteHomebrewEntry('${entry.id}')" title="Delete">\u2715</button>
+          </span>
+        </div>`).join('');
+  } catch (error) {
+    console.error('Failed to load homebrew:', error);
+    list.innerHTML = `<p class="settings-note">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+export function newHomebrewEntry() {
+  setState({ editingHomebrewId: null });
+  document.getElementById('homebrew-json').value = JSON.stringify(TEMPLATES[selectedType()], null, 2);
+  setStatus(`New ${selectedType()} — edit the template and save`);
+  loadHomebrew();
+}
+
+export async function editHomebrewEntry(entryId) {
+  try {
+    const entry = await api(`/api/dnd/homebrew/${entryId}`);
+    setState({ editingHomebrewId: entry.id });
+    document.getElementById('homebrew-json').value = JSON.stringify(entry.data, null, 2);
+    setStatus(`Editing ${entry.name}`);
+    loadHomebrew();
+  } catch (error) {
+    alert('Failed to load entry: ' + error.message);
+  }
+}
+
+// ============================================
+// Save
+// ============================================
+
+// The builder caches the race/class/background lists; drop them so it lists the change
+async function afterHomebrewChange() {
+  clearDndDataCache();
+  await Promise.all([loadHomebrew(), loadBuilderData()]);
+}
+
+export async function saveHomebrewEntry() {
+  let data;
+  try {
+    data = JSON.parse(document.getElementById('homebrew-json').value);
+  } catch (error) {
+    setStatus('Invalid JSON: ' + error.message);
+    return;
+  }
+
+  const editingId = getState('editingHomebrewId');
+  try {
+    const entry = editingId
+      ? await api(`/api/dnd/homebrew/${editingId}`, 'PUT', { data })
+      : await api('/api/dnd/homebrew', 'POST', { type: selectedType(), data });
+    setState({ editingHomebrewId: entry.id });
+    document.getElementById('homebrew-json').value = JSON.stringify(entry.data, null, 2);
+    setStatus(`Saved ${entry.name}`);
+    await afterHomebrewChange();
+  } catch (error) {
+    setStatus('Not saved: ' + error.message);
+  }
+}
+
+export async function deleteHomebrewEntry(entryId) {
+  if (!confirm('Delete this homebrew entry? Characters already using it keep it on their sheet.')) return;
+
+  try {
+    await api(`/api/dnd/homebrew/${entryId}`, 'DELETE');
+    if (getState('editingHomebrewId') === entryId) {
+      setState({ editingHomebrewId: null });
+      document.getElementById('homebrew-json').value = '';
+      setStatus('');
+    }
+    await afterHomebrewChange();
+    showNotification('Homebrew entry deleted');
+  } catch (error) {
+    alert('Failed to delete entry: ' + error.message);
+  }
+}
+
+// Switching type starts over rather than saving one type's JSON as another
+export function changeHomebrewType() {
+  setState({ editingHomebrewId: null });
+  document.getElementById('homebrew-json').value = '';
+  setStatus('');
+  loadHomebrew();
+}
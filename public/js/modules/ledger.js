@@ -0,0 +1,172 @@
+// ============================================
+// Ledger Module
+// - "What changed this turn" list under each narration
+// - Undo a single change, a whole turn, or everything after a turn (co-GM)
+// ============================================
+
+import { getState } from '../state.js';
+import { api } from '../api.js';
+import { escapeHtml } from '../utils/formatters.js';
+import { showNotification } from '../utils/dom.js';
+import { hasRole } from './players.js';
+
+const FIELD_LABELS = {
+  hp: 'HP',
+  xp: 'XP',
+  gold: 'Gold',
+  ac: 'AC',
+  inspiration_points: 'Inspiration',
+  inventory: 'Inventory',
+  spell_slots: 'Spell slots',
+  conditions: 'Conditions',
+  life_state: 'Status',
+  death_successes: 'Death save successes',
+  death_failures: 'Death save failures'
+};
+
+// ============================================
+// Formatting
+// ============================================
+
+function parseJSON(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function signed(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
+
+/** Per-item quantity differences, e.g. "+1 Rope, -2 Torch" */
+function describeInventoryChange(before, after) {
+  const count = items => {
+    const counts = {};
+    for (const item of parseJSON(items, [])) {
+      counts[item.name] = (counts[item.name] || 0) + (item.quantity || 1);
+    }
+    return counts;
+  };
+  const was = count(before);
+  const now = count(after);
+  const names = [...new Set([...Object.keys(was), ...Object.keys(now)])];
+  return names
+    .filter(name => (was[name] || 0) !== (now[name] || 0))
+    .map(name => `${signed((now[name] || 0) - (was[name] || 0))} ${escapeHtml(name)}`)
+    .join(', ');
+}
+
+/** Per-level slot differences, e.g. "L1 3 → 2" */
+function describeSpellSlotChange(before, after) {
+  const was = parseJSON(before, {});
+  const now = parseJSON(after, {});
+  const levels = [...new Set([...Object.keys(was), ...Object.keys(now)])].sort();
+  return levels
+    .filter(level => was[level]?.current !== now[level]?.current)
+    .map(level => `L${escapeHtml(level)} ${was[level]?.current ?? 0} → ${now[level]?.current ?? 0}`)
+    .join(', ');
+}
+
+/** Conditions gained and lost, e.g. "+Poisoned, -Prone" */
+function describeConditionChange(before, after) {
+  const names = value => parseJSON(value, []).map(c => c.name);
+  const was = names(before);
+  const now = names(after);
+  return [
+    ...now.filter(name => !was.includes(name)).map(name => `+${escapeHtml(name)}`),
+    ...was.filter(name => !now.includes(name)).map(name => `-${escapeHtml(name)}`)
+  ].join(', ') || 'durations changed';
+}
+
+function describeChange(change) {
+  if (change.field === 'conditions') return describeConditionChange(change.before_value, change.after_value);
+  if (change.field === 'inventory') return describeInventoryChange(change.before_value, change.after_value);
+  if (change.field === 'spell_slots') return describeSpellSlotChange(change.before_value, change.after_value);
+  if (change.field === 'life_state') return `${escapeHtml(change.before_value || 'conscious')} → ${escapeHtml(change.after_value || 'conscious')}`;
+
+  const before = Number(change.before_value || 0);
+  const after = Number(change.after_value || 0);
+  const delta = change.field === 'ac' ? '' : ` (${signed(after - before)})`;
+  return `${before} → ${after}${delta}`;
+}
+
+// ============================================
+// Render
+// ============================================
+
+/**
+ * Collapsible list of the character changes a narration's tags applied.
+ * @param {Object} entry - History entry with `changes` (ledger rows) from GET /messages
+ */
+export function renderTurnChanges(entry) {
+  // The AC effects list always changes alongside AC, which already describes it
+  const changes = (entry.changes || []).filter(c => c.field !== 'ac_effects');
+  if (changes.length === 0) return '';
+
+  const canUndo = hasRole('cogm', getState('currentSession')?.id);
+  const turn = changes[0].turn;
+  const activeCount = changes.filter(c => !c.undone_at).length;
+
+  return `
+    <details class="turn-changes">
+      <summary>What changed this turn (${changes.length})</summary>
+      <ul class="turn-changes-list">
+        ${changes.map(change => `
+          <li class="turn-change ${change.undone_at ? 'undone' : ''}">
+            <span class="turn-change-character">${escapeHtml(change.character_name || 'Unknown')}</span>
+            <span class="turn-change-field">${FIELD_LABELS[change.field] || escapeHtml(change.field)}</span>
+            <span class="turn-change-value">${describeChange(change)}</span>
+            ${canUndo && !change.undone_at
+              ? `<button class="turn-change-undo" onclick="undoLedgerEntry('${escapeHtml(change.id)}')" title="Undo this change">↶</button>`
+              : ''}
+          </li>
+        `).join('')}
+      </ul>
+      ${canUndo && activeCount > 0 ? `
+        <div class="turn-changes-actions">
+          <button class="btn-secondary btn-small" onclick="undoLedgerTurn(${turn})">Undo this turn</button>
+          <button class="btn-secondary btn-small" onclick="undoLedgerAfterTurn(${turn})">Undo all later turns</button>
+        </div>
+      ` : ''}
+    </details>
+  `;
+}
+
+// ============================================
+// Undo
+// ============================================
+
+async function sendUndo(path, body, successMessage) {
+  const currentSession = getState('currentSession');
+  if (!currentSession) return;
+
+  try {
+    const result = await api(`/api/sessions/${currentSession.id}/ledger/${path}`, 'POST', body);
+    const { loadSession } = await import('./sessions.js');
+    await loadSession(currentSession.id);
+    if (result.conflicts.length > 0) {
+      showNotification(`${successMessage} — ${result.conflicts.length} change(s) were edited since and left as they are`);
+    } else {
+      showNotification(successMessage);
+    }
+  } catch (error) {
+    console.error('Failed to undo:', error);
+    alert('Failed to undo: ' + error.message);
+  }
+}
+
+export async function undoLedgerEntry(entryId) {
+  await sendUndo(`${encodeURIComponent(entryId)}/undo`, null, 'Change undone');
+}
+
+export async function undoLedgerTurn(turn) {
+  if (!confirm('Undo every character change from this turn?')) return;
+  await sendUndo('undo-turn', { turn }, 'Turn changes undone');
+}
+
+export async function undoLedgerAfterTurn(turn) {
+  if (!confirm('Undo every character change made after this turn?')) return;
+  await sendUndo('undo-after', { turn }, 'Later changes undone');
+}
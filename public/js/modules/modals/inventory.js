@@ -30,20 +30,71 @@ export function closeInventoryModal() {
   setState({ inventoryModalCharId: null });
 }
 
-function renderInventoryModalList(char) {
-  const inventory = getCachedInventory(char.id, char.inventory);
+function formatWeight(weight) {
+  return weight === null || weight === undefined ? '' : `${weight} lb`;
+}
 
+async function renderInventoryModalList(char) {
   const listEl = document.getElementById('inventory-modal-list');
+  const loadEl = document.getElementById('inventory-load');
+
+  // Show what we already have, then the full records (type, weight, equipped...) from the server
+  let inventory = getCachedInventory(char.id, char.inventory);
+  let load = null;
+  try {
+    const result = await api(`/api/characters/${char.id}/inventory`);
+    inventory = result.inventory;
+    load = result.load;
+  } catch (e) {}
+
+  loadEl.innerHTML = load ? `
+    <span class="inventory-load-${load.status.replace(/ /g, '-')}">${load.weight}/${load.capacity} lb (${escapeHtml(load.status)})</span>
+    <span>Attuned ${load.attuned}/${load.attunement_limit}</span>
+    ${load.warnings.map(w => `<div class="inventory-warning">${escapeHtml(w)}</div>`).join('')}
+  ` : '';
+
   if (inventory.length === 0) {
     listEl.innerHTML = '<div class="inventory-empty">No items in inventory</div>';
   } else {
-    listEl.innerHTML = inventory.map((item, idx) => `
-      <div class="inventory-modal-item">
-        <span class="item-name">${escapeHtml(item.name)}</span>
-        <span class="item-qty">x${item.quantity || 1}</span>
-        <button class="btn-tiny" onclick="removeItemFromInventory('${escapeHtml(item.name.replace(/'/g, "\\'"))}')">-</button>
-      </div>
-    `).join('');
+    listEl.innerHTML = inventory.map(item => {
+      const name = escapeHtml(item.name.replace(/'/g, "\\'"));
+      const details = [item.type && item.type !== 'other' ? item.type : '', formatWeight(item.weight)]
+        .concat(item.charges ? `${item.charges.current}/${item.charges.max} charges` : [])
+        .filter(Boolean);
+      return `
+        <div class="inventory-modal-item ${item.equipped ? 'inventory-equipped' : ''}">
+          <span class="item-name" ${item.notes ? `title="${escapeHtml(item.notes)}"` : ''}>${escapeHtml(item.name)}${details.length > 0 ? ` <small>${escapeHtml(details.join(' · '))}</small>` : ''}</span>
+          <span class="item-qty">x${item.quantity || 1}</span>
+          ${item.type !== undefined ? `<label class="checkbox-label"><input type="checkbox" ${item.equipped ? 'checked' : ''} onchange="toggleEquipItem('${name}', this.checked)"> Equipped</label>` : ''}
+          ${item.requires_attunement ? `<label class="checkbox-label"><input type="checkbox" ${item.attuned ? 'checked' : ''} onchange="toggleAttuneItem('${name}', this.checked)"> Attuned</label>` : ''}
+          <button class="btn-tiny" onclick="removeItemFromInventory('${name}')">-</button>
+        </div>
+      `;
+    }).join('');
+  }
+}
+
+// Every change returns the character row (not nested under .character)
+async function changeInventory(body, failure) {
+  const inventoryModalCharId = getState('inventoryModalCharId');
+  if (!inventoryModalCharId) return null;
+
+  try {
+    const result = await api(`/api/characters/${inventoryModalCharId}/inventory`, 'POST', body);
+    const characters = [...getState('characters')];
+    const charIdx = characters.findIndex(c => c.id === inventoryModalCharId);
+    if (charIdx !== -1) {
+      characters[charIdx] = result;
+      setState({ characters });
+      renderInventoryModalList(result);
+    }
+    loadCharacters();
+    return result;
+  } catch (error) {
+    alert(`${failure}: ${error.message}`);
+    const char = getState('characters').find(c => c.id === inventoryModalCharId);
+    if (char) renderInventoryModalList(char);
+    return null;
   }
 }
 
@@ -68,59 +119,30 @@ export async function updateGold() {
 }
 
 export async function addItemToInventory() {
-  const inventoryModalCharId = getState('inventoryModalCharId');
-  if (!inventoryModalCharId) return;
-
   const itemName = document.getElementById('new-item-name').value.trim();
   const quantity = parseInt(document.getElementById('new-item-qty').value) || 1;
 
   if (!itemName) { alert('Please enter an item name'); return; }
 
-  try {
-    const result = await api(`/api/characters/${inventoryModalCharId}/inventory`, 'POST', {
-      action: 'add',
-      item: itemName,
-      quantity: quantity
-    });
-
+  const result = await changeInventory({ action: 'add', item: itemName, quantity }, 'Failed to add item');
+  if (result) {
     document.getElementById('new-item-name').value = '';
     document.getElementById('new-item-qty').value = '1';
-
-    // Server returns character object directly (not nested under .character)
-    const characters = [...getState('characters')];
-    const charIdx = characters.findIndex(c => c.id === inventoryModalCharId);
-    if (charIdx !== -1) {
-      characters[charIdx] = result;
-      setState({ characters });
-      renderInventoryModalList(result);
-    }
-    loadCharacters();
-  } catch (error) {
-    alert('Failed to add item: ' + error.message);
   }
 }
 
-export async function removeItemFromInventory(itemName) {
-  const inventoryModalCharId = getState('inventoryModalCharId');
-  if (!inventoryModalCharId) return;
-
-  try {
-    const result = await api(`/api/characters/${inventoryModalCharId}/inventory`, 'POST', {
-      action: 'remove',
-      item: itemName,
-      quantity: 1
-    });
+export function removeItemFromInventory(itemName) {
+  return changeInventory({ action: 'remove', item: itemName, quantity: 1 }, 'Failed to remove item');
+}
 
-    // Server returns character object directly (not nested under .character)
-    const characters = [...getState('characters')];
-    const charIdx = characters.findIndex(c => c.id === inventoryModalCharId);
-    if (charIdx !== -1) {
-      characters[charIdx] = result;
-      setState({ characters });
-      renderInventoryModalList(result);
-    }
-    loadCharacters();
-  } catch (error) {
-    alert('Failed to remove item: ' + error.message);
+export async function toggleEquipItem(itemName, equipped) {
+  const before = getState('characters').find(c => c.id === getState('inventoryModalCharId'));
+  const result = await changeInventory({ action: 'equip', item: itemName, equipped }, 'Failed to equip item');
+  if (result && before && result.ac !== before.ac) {
+    showNotification(`${result.character_name}'s AC is now ${result.ac}`);
   }
 }
+
+export function toggleAttuneItem(itemName, attuned) {
+  return changeInventory({ action: 'attune', item: itemName, attuned }, 'Could not change attunement');
+}
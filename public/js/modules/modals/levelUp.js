@@ -1,5 +1,7 @@
 // ============================================
 // Level Up Modal
+// - Rules-driven: the server works out hit points, features, ASIs and spell slots
+// - The player picks the class, how to gain HP and (at ASI levels) an improvement or feat
 // ============================================
 
 import { getState, setState } from '../../state.js';
@@ -8,6 +10,22 @@ import { escapeHtml, formatChatMessage } from '../../utils/formatters.js';
 import { showNotification } from '../../utils/dom.js';
 import { getRequiredXP, canLevelUp } from '../../utils/gameRules.js';
 import { loadCharacters } from '../characters.js';
+import { refreshSessionCharacters } from '../sessions.js';
+
+const ABILITY_OPTIONS = [
+  ['strength', 'STR'], ['dexterity', 'DEX'], ['constitution', 'CON'],
+  ['intelligence', 'INT'], ['wisdom', 'WIS'], ['charisma', 'CHA']
+];
+
+function formatBonus(value) {
+  return value >= 0 ? `+${value}` : `${value}`;
+}
+
+function formatSlots(slots) {
+  const levels = Object.entries(slots || {});
+  if (levels.length === 0) return '';
+  return levels.map(([level, count]) => `${count}× level ${level}`).join(', ');
+}
 
 export function levelUpCharacter(charId) {
   const characters = getState('characters');
@@ -23,44 +41,145 @@ export function levelUpCharacter(charId) {
   openLevelUpModal(charId);
 }
 
-function openLevelUpModal(charId) {
-  setState({ levelUpModalCharId: charId, levelUpMessages: [] });
-
-  const characters = getState('characters');
-  const char = characters.find(c => c.id === charId);
+async function openLevelUpModal(charId) {
+  const char = getState('characters').find(c => c.id === charId);
   if (!char) return;
 
-  document.getElementById('modal-title').textContent = `Level Up ${char.character_name} to Level ${char.level + 1}`;
-  document.getElementById('modal-chat-messages').innerHTML = `
-    <div class="chat-message assistant">
-      <div class="message-content">Starting level up process...</div>
+  setState({ levelUpCharId: charId, levelUpOptions: null });
+  document.getElementById('levelup-modal-title').textContent = `Level Up ${char.character_name} to Level ${char.level + 1}`;
+  document.getElementById('levelup-modal-body').innerHTML = '<div class="levelup-loading">Loading...</div>';
+  document.getElementById('levelup-apply-btn').style.display = 'none';
+  document.getElementById('levelup-modal').classList.add('active');
+
+  try {
+    const options = await api(`/api/characters/${charId}/levelup`);
+    setState({ levelUpOptions: options });
+    renderLevelUpForm(options);
+  } catch (error) {
+    document.getElementById('levelup-modal-body').innerHTML =
+      `<div class="levelup-error">Error: ${escapeHtml(error.message)}</div>`;
+  }
+}
+
+export function closeLevelUpModal() {
+  document.getElementById('levelup-modal').classList.remove('active');
+  setState({ levelUpCharId: null, levelUpOptions: null });
+}
+
+// ============================================
+// Render
+// ============================================
+
+function renderLevelUpForm(options) {
+  const classOptions = options.classes.map((c, i) => {
+    const label = c.multiclass ? `Multiclass: ${c.name} 1` : `${c.name} ${c.class_level}`;
+    return `<option value="${i}" ${c.eligible ? '' : 'disabled'}>${escapeHtml(label)}${c.reason ? ` — ${escapeHtml(c.reason)}` : ''}</option>`;
+  }).join('');
+
+  document.getElementById('levelup-modal-body').innerHTML = `
+    <div class="form-group">
+      <label for="levelup-class">Class</label>
+      <select id="levelup-class" onchange="renderLevelUpChoice()">${classOptions}</select>
     </div>
+    <div id="levelup-details"></div>
+    <label class="levelup-flavor">
+      <input type="checkbox" id="levelup-flavor"> Add a few lines of narration (AI)
+    </label>
   `;
-  document.getElementById('modal-input').value = '';
-  document.getElementById('char-modal').classList.add('active');
+  document.getElementById('levelup-apply-btn').style.display = '';
+  renderLevelUpChoice();
+}
 
-  startLevelUpConversation(charId);
+/**
+ * Show what the selected class level gives (HP, features, ASI, spell slots).
+ */
+export function renderLevelUpChoice() {
+  const options = getState('levelUpOptions');
+  const select = document.getElementById('levelup-class');
+  if (!options || !select) return;
+  const choice = options.classes[parseInt(select.value)];
+  if (!choice) return;
+
+  const abilitySelect = (id) => `
+    <select id="${id}">${ABILITY_OPTIONS.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}</select>
+  `;
+  const asi = choice.asi ? `
+    <div class="levelup-section">
+      <strong>Ability Score Improvement</strong>
+      <label><input type="radio" name="levelup-asi-mode" value="asi" checked> +1 to ${abilitySelect('levelup-asi-first')} and +1 to ${abilitySelect('levelup-asi-second')}</label>
+      <small class="form-hint">Pick the same ability twice for +2.</small>
+      <label><input type="radio" name="levelup-asi-mode" value="feat"> Feat instead: <input type="text" id="levelup-feat" placeholder="Alert, Tough, War Caster..."></label>
+    </div>
+  ` : '';
+  const slots = formatSlots(choice.spell_slots);
+
+  document.getElementById('levelup-details').innerHTML = `
+    <div class="levelup-section">
+      <strong>Hit Points</strong> (d${choice.hit_die} ${formatBonus(options.con_modifier)} CON)
+      <label><input type="radio" name="levelup-hp" value="average" checked> Take the average: +${choice.hp_average}</label>
+      <label><input type="radio" name="levelup-hp" value="roll"> Roll d${choice.hit_die} (at least +1)</label>
+    </div>
+    <div class="levelup-section">
+      <strong>Features</strong>
+      ${choice.features.length > 0
+        ? `<ul class="levelup-features">${choice.features.map(f => `<li>${escapeHtml(f)}</li>`).join('')}</ul>`
+        : '<div class="levelup-none">No new class features at this level</div>'}
+    </div>
+    ${asi}
+    ${slots ? `<div class="levelup-section"><strong>Spell slots</strong> ${escapeHtml(slots)}</div>` : ''}
+  `;
+}
+
+// ============================================
+// Apply
+// ============================================
+
+function readAsiChoice(choice) {
+  if (!choice.asi) return {};
+  const mode = document.querySelector('input[name="levelup-asi-mode"]:checked')?.value;
+  if (mode === 'feat') return { feat: document.getElementById('levelup-feat').value.trim() };
+  const first = document.getElementById('levelup-asi-first').value;
+  const second = document.getElementById('levelup-asi-second').value;
+  return { asi: first === second ? { [first]: 2 } : { [first]: 1, [second]: 1 } };
 }
 
-async function startLevelUpConversation(charId) {
-  const msgs = [{ role: 'user', content: 'I want to level up my character. Please guide me through the process.' }];
-  setState({ levelUpMessages: msgs });
+export async function applyLevelUp() {
+  const charId = getState('levelUpCharId');
+  const options = getState('levelUpOptions');
+  const select = document.getElementById('levelup-class');
+  if (!charId || !options || !select) return;
+  const choice = options.classes[parseInt(select.value)];
+  if (!choice || !choice.eligible) return;
+
+  const btn = document.getElementById('levelup-apply-btn');
+  btn.disabled = true;
 
   try {
-    const result = await api(`/api/characters/${charId}/levelup`, 'POST', { messages: msgs });
-    setState({ levelUpMessages: [...msgs, { role: 'assistant', content: result.message }] });
-
-    const messagesContainer = document.getElementById('modal-chat-messages');
-    messagesContainer.innerHTML = `<div class="chat-message assistant"><div class="message-content">${formatChatMessage(result.message)}</div></div>`;
-    messagesContainer.scrollTop = messagesContainer.scrollHeight;
-
-    if (result.complete) {
-      messagesContainer.innerHTML += `<div class="chat-message assistant"><div class="message-content"><strong>Level up complete!</strong></div></div>`;
-      loadCharacters();
-      showNotification(`${result.character.character_name} is now level ${result.character.level}!`);
-    }
+    const result = await api(`/api/characters/${charId}/levelup`, 'POST', {
+      class_name: choice.name,
+      hp_method: document.querySelector('input[name="levelup-hp"]:checked')?.value || 'average',
+      flavor: document.getElementById('levelup-flavor')?.checked || false,
+      ...readAsiChoice(choice)
+    });
+
+    const hp = result.hp.roll !== null
+      ? `Rolled ${result.hp.roll} on d${result.hp.die}: +${result.hp.gained} max HP`
+      : `+${result.hp.gained} max HP`;
+    document.getElementById('levelup-modal-body').innerHTML = `
+      <div class="levelup-result">
+        <div class="levelup-result-title">${escapeHtml(result.character.character_name)} is now level ${result.level}!</div>
+        <div>${escapeHtml(hp)}</div>
+        <div>${escapeHtml(result.summary)}</div>
+        ${result.flavor ? `<div class="levelup-flavor-text">${formatChatMessage(result.flavor)}</div>` : ''}
+      </div>
+    `;
+    btn.style.display = 'none';
+    loadCharacters();
+    await refreshSessionCharacters();
+    showNotification(`${result.character.character_name} is now level ${result.level}!`);
   } catch (error) {
-    const messagesContainer = document.getElementById('modal-chat-messages');
-    messagesContainer.innerHTML = `<div class="chat-message assistant"><div class="message-content">Error: ${escapeHtml(error.message)}</div></div>`;
+    showNotification('Level up failed: ' + error.message);
+  } finally {
+    btn.disabled = false;
   }
 }
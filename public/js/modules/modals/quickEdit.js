@@ -5,9 +5,57 @@
 import { getState, setState } from '../../state.js';
 import { api } from '../../api.js';
 import { showNotification } from '../../utils/dom.js';
+import { escapeHtml } from '../../utils/formatters.js';
 import { loadCharacters } from '../characters.js';
 import { refreshSessionCharacters } from '../sessions.js';
 
+const SAVE_LABELS = {
+  strength: 'STR', dexterity: 'DEX', constitution: 'CON',
+  intelligence: 'INT', wisdom: 'WIS', charisma: 'CHA'
+};
+
+// Proficiencies as the modal opened, so they are only saved when changed
+// (until then characters made before structured proficiencies keep reading their skills text)
+let initialProficiencies = null;
+
+/**
+ * Fill the proficiency controls from the character's computed sheet
+ */
+function renderProficiencies(derived) {
+  const saves = document.getElementById('quick-edit-save-proficiencies');
+  const skills = document.getElementById('quick-edit-skill-proficiencies');
+  if (!derived) {
+    saves.innerHTML = '';
+    skills.innerHTML = '';
+    return;
+  }
+
+  saves.innerHTML = Object.entries(derived.saves).map(([ability, save]) => `
+    <label>${SAVE_LABELS[ability]}
+      <input type="checkbox" data-save="${ability}" ${save.proficient ? 'checked' : ''}>
+    </label>
+  `).join('');
+  skills.innerHTML = Object.entries(derived.skills).map(([index, skill]) => `
+    <label>${escapeHtml(skill.name)}
+      <select data-skill="${index}">
+        <option value="">—</option>
+        <option value="proficient" ${skill.proficiency === 'proficient' ? 'selected' : ''}>Proficient</option>
+        <option value="expertise" ${skill.proficiency === 'expertise' ? 'selected' : ''}>Expertise</option>
+      </select>
+    </label>
+  `).join('');
+}
+
+function readProficiencies() {
+  const skillProficiencies = {};
+  document.querySelectorAll('#quick-edit-skill-proficiencies select[data-skill]').forEach(select => {
+    if (select.value) skillProficiencies[select.dataset.skill] = select.value;
+  });
+  const saveProficiencies = [...document.querySelectorAll('#quick-edit-save-proficiencies input[data-save]:checked')]
+    .map(input => input.dataset.save);
+  return { skill_proficiencies: skillProficiencies, save_proficiencies: saveProficiencies };
+}
+
 export function showQuickEditSection(sectionName) {
   document.querySelectorAll('.quick-edit-section').forEach(s => s.classList.remove('active'));
   document.querySelectorAll('.quick-edit-tab').forEach(t => t.classList.remove('active'));
@@ -59,6 +107,10 @@ export function openQuickEditModal(charId) {
   document.getElementById('quick-edit-passives').value = char.passives || '';
   document.getElementById('quick-edit-feats').value = char.feats || '';
 
+  // Proficiencies
+  renderProficiencies(char.derived);
+  initialProficiencies = JSON.stringify(readProficiencies());
+
   // Story
   document.getElementById('quick-edit-appearance').value = char.appearance || '';
   document.getElementById('quick-edit-backstory').value = char.backstory || '';
@@ -109,6 +161,9 @@ export async function saveQuickEdit() {
     backstory: document.getElementById('quick-edit-backstory').value
   };
 
+  const proficiencies = readProficiencies();
+  if (JSON.stringify(proficiencies) !== initialProficiencies) Object.assign(data, proficiencies);
+
   try {
     await api(`/api/characters/${quickEditCharId}/quick-update`, 'POST', data);
     await loadCharacters();
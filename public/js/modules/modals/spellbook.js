@@ -0,0 +1,240 @@
+// ============================================
+// Spellbook Modal
+// - Known and prepared spells (SRD entries) with each class's limits
+// - Cast: the server spends the slot and tracks concentration;
+//   the spell's text is shown after casting
+// ============================================
+
+import { getState, setState } from '../../state.js';
+import { api } from '../../api.js';
+import { escapeHtml } from '../../utils/formatters.js';
+import { showNotification } from '../../utils/dom.js';
+import { searchSpells } from '../../utils/dndData.js';
+import { loadCharacters } from '../characters.js';
+
+let searchTimer = null;
+
+function levelLabel(level) {
+  if (level === 0) return 'Cantrip';
+  return level === 1 ? '1st' : level === 2 ? '2nd' : level === 3 ? '3rd' : `${level}th`;
+}
+
+function updateCharacter(character) {
+  const characters = [...getState('characters')];
+  const charIdx = characters.findIndex(c => c.id === character.id);
+  if (charIdx !== -1) {
+    characters[charIdx] = character;
+    setState({ characters });
+  }
+  loadCharacters();
+}
+
+export async function openSpellbookModal(charId) {
+  const char = getState('characters').find(c => c.id === charId);
+  if (!char) return;
+
+  setState({ spellbookModalCharId: charId });
+  document.getElementById('spellbook-modal-title').textContent = `${char.character_name}'s Spellbook`;
+  document.getElementById('spellbook-search').value = '';
+  document.getElementById('spellbook-results').innerHTML = '';
+  document.getElementById('spellbook-cast-result').innerHTML = '';
+  document.getElementById('spellbook-modal').classList.add('active');
+
+  try {
+    renderSpellbook(char, await api(`/api/characters/${charId}/spellbook`));
+  } catch (error) {
+    document.getElementById('spellbook-list').innerHTML = `<div class="spellbook-empty">${escapeHtml(error.message)}</div>`;
+  }
+}
+
+export function closeSpellbookModal() {
+  document.getElementById('spellbook-modal').classList.remove('active');
+  setState({ spellbookModalCharId: null, spellbook: null });
+}
+
+// ============================================
+// Render
+// ============================================
+
+function renderSpellbook(char, spellbook) {
+  setState({ spellbook });
+
+  const concentration = document.getElementById('spellbook-concentration');
+  concentration.innerHTML = spellbook.concentration
+    ? `<span>Concentrating on <strong>${escapeHtml(spellbook.concentration.spell || 'a spell')}</strong>${spellbook.concentration.duration ? ` (${escapeHtml(spellbook.concentration.duration)} left)` : ''}</span>
+       <button class="btn-tiny" onclick="endConcentration()">End</button>`
+    : '';
+
+  document.getElementById('spellbook-classes').innerHTML = spellbook.classes.length === 0
+    ? '<div class="spellbook-empty">No spellcasting class</div>'
+    : spellbook.classes.map(c => {
+      const limits = [`Cantrips ${c.cantrips.count}${c.cantrips.max !== null ? `/${c.cantrips.max}` : ''}`];
+      if (c.spells_known) limits.push(`Known ${c.spells_known.count}${c.spells_known.max !== null ? `/${c.spells_known.max}` : ''}`);
+      if (c.prepared) limits.push(`Prepared ${c.prepared.count}/${c.prepared.max}`);
+      return `<div class="spellbook-class"><strong>${escapeHtml(c.name)} ${c.level}</strong> (${c.ability}, up to ${levelLabel(c.max_spell_level)}): ${limits.join(' · ')}</div>`;
+    }).join('');
+
+  const subclass = document.getElementById('spellbook-subclass');
+  subclass.style.display = spellbook.subclasses.length > 0 ? '' : 'none';
+  subclass.innerHTML = '<option value="">No subclass</option>' + spellbook.subclasses
+    .map(s => `<option value="${s.index}" ${s.index === spellbook.subclass ? 'selected' : ''}>${escapeHtml(s.name)} (${escapeHtml(s.class)})</option>`)
+    .join('');
+
+  let slots = {};
+  try { slots = JSON.parse(char.spell_slots || '{}'); } catch (e) { slots = {}; }
+  const slotLevels = Object.keys(slots).map(Number).sort((a, b) => a - b)
+    .filter(lvl => (slots[lvl].current ?? slots[lvl].max ?? 0) > 0);
+
+  const listEl = document.getElementById('spellbook-list');
+  if (spellbook.spells.length === 0) {
+    listEl.innerHTML = '<div class="spellbook-empty">No spells yet. Search below to learn some.</div>';
+    return;
+  }
+
+  const casting = name => spellbook.classes.find(c => c.name === name);
+  listEl.innerHTML = spellbook.spells.map(s => {
+    const prepares = casting(s.class)?.prepares && s.level > 0 && !s.always;
+    const upcast = s.level > 0 ? slotLevels.filter(lvl => lvl >= s.level) : [];
+    const flags = [
+      s.concentration ? '<span class="spell-flag" title="Concentration">C</span>' : '',
+      s.ritual ? '<span class="spell-flag" title="Ritual">R</span>' : '',
+      s.always ? `<span class="spell-flag spell-flag-always" title="${escapeHtml(s.subclass || 'Always prepared')}">Always</span>` : ''
+    ].join('');
+    return `
+      <div class="spellbook-row ${s.ready ? '' : 'spellbook-unprepared'}">
+        <span class="spellbook-level">${levelLabel(s.level)}</span>
+        <span class="spellbook-name" title="${escapeHtml(`${s.school || ''} · ${s.casting_time || ''} · ${s.range || ''} · ${s.duration || ''}`)}">${escapeHtml(s.name)} ${flags}</span>
+        ${prepares ? `<label class="checkbox-label"><input type="checkbox" ${s.prepared ? 'checked' : ''} onchange="prepareSpell('${s.index}', this.checked)"> Prepared</label>` : ''}
+        ${upcast.length > 1 ? `<select id="cast-level-${s.index}" aria-label="Slot level for ${escapeHtml(s.name)}">${upcast.map(lvl => `<option value="${lvl}">${levelLabel(lvl)}</option>`).join('')}</select>` : ''}
+        <button class="btn-tiny" onclick="castSpell('${s.index}')" ${s.ready && (s.level === 0 || upcast.length > 0) ? '' : 'disabled'}>Cast</button>
+        ${s.ritual ? `<button class="btn-tiny" onclick="castSpell('${s.index}', true)" title="Takes 10 minutes longer, spends no slot">Ritual</button>` : ''}
+        <button class="btn-tiny btn-remove" onclick="forgetSpell('${s.index}')" ${s.subclass ? 'disabled title="A subclass spell"' : ''}>X</button>
+      </div>
+    `;
+  }).join('');
+}
+
+function renderCastResult(result) {
+  const spell = result.spell;
+  const parts = [];
+  if (result.ritual) parts.push('cast as a ritual');
+  else if (result.slot_level) parts.push(`${levelLabel(result.slot_level)}-level slot spent`);
+  if (result.concentration) {
+    parts.push(result.concentration.ended
+      ? `concentrating (ended ${escapeHtml(result.concentration.ended)})`
+      : 'concentrating');
+  }
+
+  document.getElementById('spellbook-cast-result').innerHTML = `
+    <div class="spell-card">
+      <h4>${escapeHtml(spell.name)} <small>${levelLabel(spell.level)} ${escapeHtml(spell.school)}</small></h4>
+      <div class="spell-card-meta">${escapeHtml(spell.casting_time)} · ${escapeHtml(spell.range)} · ${escapeHtml(spell.components.join(', '))}${spell.material ? ` (${escapeHtml(spell.material)})` : ''} · ${escapeHtml(spell.duration)}</div>
+      ${parts.length > 0 ? `<div class="spell-card-cast">${parts.join(' · ')}</div>` : ''}
+      ${spell.desc.map(p => `<p>${escapeHtml(p)}</p>`).join('')}
+      ${spell.higher_level.length > 0 ? `<p><strong>At Higher Levels.</strong> ${escapeHtml(spell.higher_level.join(' '))}</p>` : ''}
+    </div>
+  `;
+}
+
+// ============================================
+// Edit
+// ============================================
+
+async function changeSpellbook(body) {
+  const charId = getState('spellbookModalCharId');
+  if (!charId) return;
+
+  try {
+    const result = await api(`/api/characters/${charId}/spellbook`, 'POST', body);
+    updateCharacter(result.character);
+    renderSpellbook(result.character, result.spellbook);
+  } catch (error) {
+    alert('Spellbook not changed: ' + error.message);
+  }
+}
+
+export function searchSpellbookSpells() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(async () => {
+    const results = document.getElementById('spellbook-results');
+    const name = document.getElementById('spellbook-search').value.trim();
+    const spellbook = getState('spellbook');
+    if (!name || !spellbook) {
+      results.innerHTML = '';
+      return;
+    }
+
+    try {
+      const spells = await searchSpells({ name, limit: 20 });
+      results.innerHTML = spells.length === 0
+        ? '<div class="spellbook-empty">No spells found</div>'
+        : spells.map(s => {
+          const classes = spellbook.classes.filter(c => s.classes.some(name => name.toLowerCase() === c.index));
+          return `
+            <div class="spellbook-result">
+              <span class="spellbook-level">${levelLabel(s.level)}</span>
+              <span class="spellbook-name">${escapeHtml(s.name)} <small>${escapeHtml(s.classes.join(', '))}</small></span>
+              ${(classes.length > 0 ? classes : spellbook.classes).map(c =>
+                `<button class="btn-tiny" onclick="learnSpell('${s.index}', '${escapeHtml(c.name)}', ${classes.length === 0})">${classes.length === 0 ? 'Always' : 'Learn'} (${escapeHtml(c.name)})</button>`
+              ).join('')}
+            </div>
+          `;
+        }).join('');
+    } catch (error) {
+      results.innerHTML = `<div class="spellbook-empty">${escapeHtml(error.message)}</div>`;
+    }
+  }, 250);
+}
+
+export function learnSpell(index, className, always = false) {
+  return changeSpellbook({ action: 'add', spell: index, class: className, always });
+}
+
+export function forgetSpell(index) {
+  return changeSpellbook({ action: 'remove', spell: index });
+}
+
+export function prepareSpell(index, prepared) {
+  return changeSpellbook({ action: 'prepare', spell: index, prepared });
+}
+
+export function setSpellbookSubclass(subclass) {
+  return changeSpellbook({ action: 'subclass', subclass: subclass || null });
+}
+
+// ============================================
+// Cast
+// ============================================
+
+export async function castSpell(index, ritual = false) {
+  const charId = getState('spellbookModalCharId');
+  if (!charId) return;
+  const slotSelect = document.getElementById(`cast-level-${index}`);
+
+  try {
+    const result = await api(`/api/characters/${charId}/cast`, 'POST', {
+      spell: index,
+      ritual,
+      slot_level: !ritual && slotSelect ? parseInt(slotSelect.value) : undefined
+    });
+    updateCharacter(result.character);
+    renderSpellbook(result.character, result.spellbook);
+    renderCastResult(result);
+    if (result.concentration?.ended) showNotification(`Concentration on ${result.concentration.ended} ended`);
+  } catch (error) {
+    alert('Could not cast: ' + error.message);
+  }
+}
+
+export async function endConcentration() {
+  const charId = getState('spellbookModalCharId');
+  if (!charId) return;
+
+  try {
+    const character = await api(`/api/characters/${charId}/conditions`, 'POST', { action: 'remove', name: 'Concentrating' });
+    updateCharacter(character);
+    renderSpellbook(character, await api(`/api/characters/${charId}/spellbook`));
+  } catch (error) {
+    alert('Failed to end concentration: ' + error.message);
+  }
+}
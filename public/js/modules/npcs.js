@@ -0,0 +1,158 @@
+// ============================================
+// NPCs Module
+// - NPC registry panel (drawer, co-GM): who the party has met,
+//   where they are, how they feel about each character
+// - Filled in by the DM's [NPC:] tags; edited here by hand
+// ============================================
+
+import { getState } from '../state.js';
+import { api } from '../api.js';
+import { escapeHtml } from '../utils/formatters.js';
+import { showNotification } from '../utils/dom.js';
+
+const NPC_STATUSES = ['alive', 'dead', 'missing', 'unknown'];
+
+// ============================================
+// Render
+// ============================================
+
+export async function loadNpcs() {
+  const currentSession = getState('currentSession');
+  const container = document.getElementById('npc-list');
+  if (!container) return;
+  if (!currentSession) {
+    container.innerHTML = '<div class="npc-empty">No session selected</div>';
+    return;
+  }
+
+  try {
+    const npcs = await api(`/api/sessions/${currentSession.id}/npcs`);
+    renderNpcs(npcs);
+  } catch (error) {
+    console.error('Failed to load NPCs:', error);
+    container.innerHTML = `<div class="npc-empty">${escapeHtml(error.message)}</div>`;
+  }
+}
+
+// Attitudes are edited as one "Character: attitude" per line
+function attitudesToText(attitudes) {
+  return Object.entries(attitudes || {}).map(([name, attitude]) => `${name}: ${attitude}`).join('\n');
+}
+
+function textToAttitudes(text) {
+  const attitudes = {};
+  for (const line of text.split('\n')) {
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+    const name = line.slice(0, colon).trim();
+    const attitude = line.slice(colon + 1).trim();
+    if (name && attitude) attitudes[name] = attitude;
+  }
+  return attitudes;
+}
+
+// escapeHtml leaves quotes alone — values inside attributes need them escaped too
+function escapeAttr(text) {
+  return escapeHtml(text || '').replace(/"/g, '&quot;');
+}
+
+function renderNpcs(npcs) {
+  const container = document.getElementById('npc-list');
+  // Keep whichever entries the GM had open across re-renders (socket refreshes)
+  const openIds = new Set([...container.querySelectorAll('.npc-entry[open]')].map(el => el.dataset.npcId));
+
+  const addForm = `
+    <div class="npc-add">
+      <input type="text" id="npc-new-name" placeholder="New NPC name" aria-label="New NPC name" onkeydown="if (event.key === 'Enter') addNpc()">
+      <button class="btn-small btn-secondary" onclick="addNpc()">Add</button>
+    </div>
+  `;
+  if (npcs.length === 0) {
+    container.innerHTML = addForm + '<div class="npc-empty">No NPCs yet — the DM adds them as the party meets them</div>';
+    return;
+  }
+
+  container.innerHTML = addForm + npcs.map(npc => `
+    <details class="npc-entry npc-${npc.status}" data-npc-id="${npc.id}" ${openIds.has(npc.id) ? 'open' : ''}>
+      <summary>
+        <span class="npc-name">${escapeHtml(npc.name)}</span>
+        ${npc.status !== 'alive' ? `<span class="npc-status">${escapeHtml(npc.status)}</span>` : ''}
+        ${npc.location ? `<span class="npc-location">${escapeHtml(npc.location)}</span>` : ''}
+      </summary>
+      <div class="npc-form">
+        <input type="text" data-field="name" value="${escapeAttr(npc.name)}" aria-label="Name" placeholder="Name">
+        <input type="text" data-field="description" value="${escapeAttr(npc.description)}" aria-label="Description" placeholder="Description">
+        <input type="text" data-field="location" value="${escapeAttr(npc.location)}" aria-label="Location" placeholder="Location">
+        <select data-field="status" aria-label="Status">
+          ${NPC_STATUSES.map(s => `<option value="${s}" ${s === npc.status ? 'selected' : ''}>${s}</option>`).join('')}
+        </select>
+        <textarea data-field="attitudes" rows="2" aria-label="Attitudes" placeholder="Attitudes, one per line (Thorin: friendly)">${escapeHtml(attitudesToText(npc.attitudes))}</textarea>
+        <textarea data-field="notes" rows="3" aria-label="Notes" placeholder="Notes">${escapeHtml(npc.notes)}</textarea>
+        <div class="npc-form-buttons">
+          <span class="npc-seen">Last seen turn ${npc.last_seen_turn}</span>
+          <button class="btn-small btn-secondary" onclick="deleteNpc('${npc.id}')">Delete</button>
+          <button class="btn-small btn-accent" onclick="saveNpc('${npc.id}')">Save</button>
+        </div>
+      </div>
+    </details>
+  `).join('');
+}
+
+// ============================================
+// Edit
+// ============================================
+
+export async function addNpc() {
+  const currentSession = getState('currentSession');
+  const input = document.getElementById('npc-new-name');
+  if (!currentSession || !input) return;
+  const name = input.value.trim();
+  if (!name) return;
+
+  try {
+    const npc = await api(`/api/sessions/${currentSession.id}/npcs`, 'POST', { name });
+    await loadNpcs();
+    const entry = document.querySelector(`.npc-entry[data-npc-id="${npc.id}"]`);
+    if (entry) entry.open = true;
+  } catch (error) {
+    console.error('Failed to add NPC:', error);
+    alert('Failed to add NPC: ' + error.message);
+  }
+}
+
+export async function saveNpc(npcId) {
+  const currentSession = getState('currentSession');
+  const entry = document.querySelector(`.npc-entry[data-npc-id="${npcId}"]`);
+  if (!currentSession || !entry) return;
+
+  const field = name => entry.querySelector(`[data-field="${name}"]`).value;
+  try {
+    await api(`/api/sessions/${currentSession.id}/npcs/${npcId}`, 'PUT', {
+      name: field('name'),
+      description: field('description'),
+      location: field('location'),
+      status: field('status'),
+      attitudes: textToAttitudes(field('attitudes')),
+      notes: field('notes')
+    });
+    await loadNpcs();
+    showNotification('NPC saved');
+  } catch (error) {
+    console.error('Failed to save NPC:', error);
+    alert('Failed to save NPC: ' + error.message);
+  }
+}
+
+export async function deleteNpc(npcId) {
+  const currentSession = getState('currentSession');
+  if (!currentSession) return;
+  if (!confirm('Delete this NPC? The DM will no longer be reminded of them.')) return;
+
+  try {
+    await api(`/api/sessions/${currentSession.id}/npcs/${npcId}`, 'DELETE');
+    await loadNpcs();
+  } catch (error) {
+    console.error('Failed to delete NPC:', error);
+    alert('Failed to delete NPC: ' + error.message);
+  }
+}
@@ -0,0 +1,174 @@
+// ============================================
+// Players Module
+// - Player login / registration / logout
+// - "My characters" (ownership) helpers
+// - Roles (player / co-GM / admin) and role-gated UI
+// ============================================
+
+import { getState, setState } from '../state.js';
+import { api } from '../api.js';
+import { escapeHtml } from '../utils/formatters.js';
+import { showNotification } from '../utils/dom.js';
+
+// ============================================
+// Roles
+// ============================================
+
+const ROLE_LEVELS = { player: 0, cogm: 1, admin: 2 };
+
+/**
+ * Effective role, optionally for one session (per-session co-GM assignments).
+ * Without a session, co-GM of any session counts as co-GM.
+ */
+export function getRole(sessionId) {
+  const role = getState('currentRole');
+  if (getState('isAdminAuthenticated') || role === 'admin') return 'admin';
+  if (role === 'cogm') return 'cogm';
+  const gmSessionIds = getState('gmSessionIds');
+  if (sessionId ? gmSessionIds.includes(sessionId) : gmSessionIds.length > 0) return 'cogm';
+  return 'player';
+}
+
+export function hasRole(minRole, sessionId) {
+  return ROLE_LEVELS[getRole(sessionId)] >= ROLE_LEVELS[minRole];
+}
+
+/**
+ * Show/hide elements marked data-min-role="cogm|admin".
+ * data-role-scope="session" checks the role for the open session instead of any session.
+ */
+export function applyRoleVisibility() {
+  const currentSession = getState('currentSession');
+  document.querySelectorAll('[data-min-role]').forEach(el => {
+    const sessionId = el.dataset.roleScope === 'session' ? currentSession?.id : undefined;
+    el.classList.toggle('hidden', !hasRole(el.dataset.minRole, sessionId));
+  });
+}
+
+// ============================================
+// Ownership helpers
+// ============================================
+
+export function isMyCharacter(character) {
+  const player = getState('currentPlayer');
+  return !!player && !!character && character.owner_id === player.id;
+}
+
+/** Whether this client may act for a character (owner, unowned, or GM of the open session) */
+export function canControlCharacter(character) {
+  if (!character) return false;
+  if (!character.owner_id || hasRole('cogm', getState('currentSession')?.id)) return true;
+  return isMyCharacter(character);
+}
+
+// ============================================
+// Current player
+// ============================================
+
+export async function loadCurrentPlayer() {
+  try {
+    const { player, role, gmSessionIds } = await api('/api/players/me');
+    setState({ currentPlayer: player, currentRole: role, gmSessionIds });
+  } catch (error) {
+    console.error('Failed to load current player:', error);
+    setState({ currentPlayer: null, currentRole: 'player', gmSessionIds: [] });
+  }
+  renderPlayerBadge();
+  applyRoleVisibility();
+}
+
+export function renderPlayerBadge() {
+  const player = getState('currentPlayer');
+  const btn = document.getElementById('player-btn');
+  if (!btn) return;
+
+  btn.innerHTML = player
+    ? `<span class="player-name">${escapeHtml(player.display_name)}</span>`
+    : 'Log in';
+  btn.title = player ? `Logged in as ${player.username} — click to log out` : 'Log in as a player';
+}
+
+// Login changes role and which characters are "mine": reconnect the socket (new cookie) and refresh views
+async function afterPlayerChange() {
+  await loadCurrentPlayer();
+  const { initSocket } = await import('../socket.js');
+  const { loadCharacters, updateCharacterSelect } = await import('./characters.js');
+  initSocket();
+  await loadCharacters();
+  updateCharacterSelect();
+}
+
+// ============================================
+// Login modal
+// ============================================
+
+export function showPlayerModal() {
+  if (getState('currentPlayer')) {
+    logoutPlayer();
+    return;
+  }
+  document.getElementById('player-modal').classList.add('active');
+  document.getElementById('player-username-input').value = '';
+  document.getElementById('player-password-input').value = '';
+  document.getElementById('player-login-error').textContent = '';
+  document.getElementById('player-username-input').focus();
+}
+
+export function closePlayerModal() {
+  document.getElementById('player-modal').classList.remove('active');
+}
+
+export async function submitPlayerLogin(mode = 'login') {
+  const username = document.getElementById('player-username-input').value.trim();
+  const password = document.getElementById('player-password-input').value;
+  const errorEl = document.getElementById('player-login-error');
+
+  if (!username || !password) {
+    errorEl.textContent = 'Please enter a username and password';
+    return;
+  }
+
+  try {
+    const endpoint = mode === 'register' ? '/api/players/register' : '/api/players/login';
+    const { player } = await api(endpoint, 'POST', { username, password });
+    closePlayerModal();
+    showNotification(`Welcome, ${player.display_name}!`);
+    await afterPlayerChange();
+  } catch (error) {
+    errorEl.textContent = error.message;
+  }
+}
+
+export async function logoutPlayer() {
+  const player = getState('currentPlayer');
+  if (!player || !confirm(`Log out ${player.display_name}?`)) return;
+
+  try {
+    await api('/api/players/logout', 'POST');
+  } catch (error) {
+    console.error('Failed to log out:', error);
+  }
+  localStorage.removeItem('dnd-selected-character');
+  await afterPlayerChange();
+}
+
+// ============================================
+// Claiming characters
+// ============================================
+
+export async function claimCharacter(charId) {
+  if (!getState('currentPlayer')) {
+    showPlayerModal();
+    return;
+  }
+
+  try {
+    await api(`/api/characters/${charId}/claim`, 'POST');
+    showNotification('Character claimed');
+    const { loadCharacters, updateCharacterSelect } = await import('./characters.js');
+    await loadCharacters();
+    updateCharacterSelect();
+  } catch (error) {
+    alert('Failed to claim character: ' + error.message);
+  }
+}
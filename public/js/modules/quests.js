@@ -0,0 +1,143 @@
+// ============================================
+// Quests Module
+// - Quest log (drawer), shared by everyone at the table
+// - Kept up to date by the DM's [QUEST:] tags
+// - Co-GMs can add quests, tick objectives and resolve quests by hand
+// ============================================
+
+import { getState, setState } from '../state.js';
+import { api } from '../api.js';
+import { escapeHtml } from '../utils/formatters.js';
+import { hasRole } from './players.js';
+
+// ============================================
+// Render
+// ============================================
+
+function renderQuest(quest, canEdit) {
+  const objectives = quest.objectives.map((o, idx) => `
+    <li class="quest-objective ${o.done ? 'done' : ''}">
+      <input type="checkbox" ${o.done ? 'checked' : ''} ${canEdit ? `onchange="toggleQuestObjective('${quest.id}', ${idx})"` : 'disabled'} aria-label="${o.done ? 'Done' : 'Open'}">
+      <span>${escapeHtml(o.text)}</span>
+    </li>
+  `).join('');
+
+  const buttons = !canEdit ? '' : quest.status === 'active'
+    ? `<button class="btn-small btn-secondary" onclick="addQuestObjective('${quest.id}')">+ Objective</button>
+       <button class="btn-small btn-secondary" onclick="setQuestStatus('${quest.id}', 'failed')">Fail</button>
+       <button class="btn-small btn-accent" onclick="setQuestStatus('${quest.id}', 'completed')">Complete</button>`
+    : `<button class="btn-small btn-secondary" onclick="deleteQuest('${quest.id}')">Delete</button>
+       <button class="btn-small btn-secondary" onclick="setQuestStatus('${quest.id}', 'active')">Reopen</button>`;
+
+  return `
+    <div class="quest quest-${quest.status}">
+      <div class="quest-header">
+        <span class="quest-title">${escapeHtml(quest.title)}</span>
+        ${quest.status !== 'active' ? `<span class="quest-status">${quest.status}</span>` : ''}
+      </div>
+      ${quest.giver ? `<div class="quest-meta">From ${escapeHtml(quest.giver)}</div>` : ''}
+      ${quest.description ? `<div class="quest-description">${escapeHtml(quest.description)}</div>` : ''}
+      ${objectives ? `<ul class="quest-objectives">${objectives}</ul>` : ''}
+      ${quest.reward ? `<div class="quest-meta">Reward: ${escapeHtml(quest.reward)}</div>` : ''}
+      ${buttons ? `<div class="quest-buttons">${buttons}</div>` : ''}
+    </div>
+  `;
+}
+
+export function renderQuestLog() {
+  const container = document.getElementById('quest-list');
+  if (!container) return;
+  const quests = getState('currentQuests');
+  const canEdit = hasRole('cogm', getState('currentSession')?.id);
+
+  const active = quests.filter(q => q.status === 'active');
+  const finished = quests.filter(q => q.status !== 'active');
+
+  if (quests.length === 0) {
+    container.innerHTML = '<div class="quest-empty">No quests yet</div>';
+    return;
+  }
+
+  container.innerHTML = (active.length > 0
+    ? active.map(q => renderQuest(q, canEdit)).join('')
+    : '<div class="quest-empty">No open quests</div>') +
+    (finished.length > 0 ? `
+      <details class="quest-finished">
+        <summary>Finished (${finished.length})</summary>
+        ${finished.map(q => renderQuest(q, canEdit)).join('')}
+      </details>
+    ` : '');
+}
+
+export function setCurrentQuests(quests) {
+  setState({ currentQuests: quests || [] });
+  renderQuestLog();
+}
+
+// ============================================
+// Edit (co-GM)
+// ============================================
+
+async function updateQuest(questId, fields) {
+  const currentSession = getState('currentSession');
+  if (!currentSession) return;
+  try {
+    await api(`/api/sessions/${currentSession.id}/quests/${questId}`, 'PUT', fields);
+    // The quests_updated broadcast re-renders the log
+  } catch (error) {
+    console.error('Failed to update quest:', error);
+    alert('Failed to update quest: ' + error.message);
+    renderQuestLog();
+  }
+}
+
+function findQuest(questId) {
+  return getState('currentQuests').find(q => q.id === questId);
+}
+
+export async function addQuest() {
+  const currentSession = getState('currentSession');
+  if (!currentSession) { alert('Please select a session first'); return; }
+  const title = prompt('Quest title:');
+  if (!title || !title.trim()) return;
+
+  try {
+    await api(`/api/sessions/${currentSession.id}/quests`, 'POST', { title: title.trim() });
+  } catch (error) {
+    console.error('Failed to add quest:', error);
+    alert('Failed to add quest: ' + error.message);
+  }
+}
+
+export async function addQuestObjective(questId) {
+  const quest = findQuest(questId);
+  if (!quest) return;
+  const text = prompt(`New objective for "${quest.title}":`);
+  if (!text || !text.trim()) return;
+  await updateQuest(questId, { objectives: [...quest.objectives, { text: text.trim(), done: false }] });
+}
+
+export async function toggleQuestObjective(questId, index) {
+  const quest = findQuest(questId);
+  if (!quest) return;
+  const objectives = quest.objectives.map((o, idx) => idx === index ? { ...o, done: !o.done } : o);
+  await updateQuest(questId, { objectives });
+}
+
+export async function setQuestStatus(questId, status) {
+  await updateQuest(questId, { status });
+}
+
+export async function deleteQuest(questId) {
+  const quest = findQuest(questId);
+  const currentSession = getState('currentSession');
+  if (!quest || !currentSession) return;
+  if (!confirm(`Remove "${quest.title}" from the quest log?`)) return;
+
+  try {
+    await api(`/api/sessions/${currentSession.id}/quests/${questId}`, 'DELETE');
+  } catch (error) {
+    console.error('Failed to delete quest:', error);
+    alert('Failed to delete quest: ' + error.message);
+  }
+}
@@ -1,7 +1,7 @@
 // ============================================
 // Sessions Module
 // - Session CRUD, story rendering, actions
-// - Virtual scrolling for story history
+// - Story history paged from the server (older pages fetched on scroll)
 // - Slash commands for action textarea
 // ============================================
 
@@ -11,16 +11,27 @@ import { escapeHtml, formatContent } from '../utils/formatters.js';
 import { showNotification, scrollStoryToBottom, hideNarratorTyping, closeGameDrawer } from '../utils/dom.js';
 import { loadCharacters, updateCharacterSelect, updatePartyList } from './characters.js';
 import { saveAppState } from './auth.js';
+import { setCurrentCombat } from './combat.js';
+import { setCurrentQuests } from './quests.js';
+import { updateDeathSavePanel, isDown, LIFE_STATE_LABELS } from './deathSaves.js';
+import { setCurrentChecks } from './checks.js';
+import { updateShortRestPanel } from './shortRest.js';
+import { joinSessionRoom, joinCharacterRoom } from '../socket.js';
+import { applyRoleVisibility } from './players.js';
+import { renderTurnChanges } from './ledger.js';
+import { parse as parseDice, describe as describeDice } from '../utils/dice.js';
 
 // ============================================
-// Virtual scrolling constants
+// History paging constants
 // ============================================
 const INITIAL_MESSAGE_COUNT = 50;
 const LOAD_MORE_COUNT = 30;
 
-// Track full history and how many are rendered
-let _fullRenderedHistory = [];
-let _renderedCount = 0;
+// Messages fetched so far (a contiguous tail of the history) and where they start
+let _loadedMessages = [];
+let _loadedStartIndex = 0;
+let _hasOlderMessages = false;
+let _loadingOlder = false;
 let _scrollObserver = null;
 let _sentinelEl = null;
 
@@ -51,17 +62,47 @@ export async function loadSessions() {
     const currentSession = getState('currentSession');
     const list = document.getElementById('session-list');
     if (!list) return;
-    list.innerHTML = sessions.map(s => `
-      <div class="session-item ${currentSession && currentSession.id === s.id ? 'active' : ''}">
-        <span class="session-name" onclick="loadSession('${s.id}')">${escapeHtml(s.name)}</span>
-        <button class="session-delete-btn" onclick="event.stopPropagation(); deleteSession('${s.id}', '${escapeHtml(s.name).replace(/'/g, "\\'")}')" title="Delete session">X</button>
+    list.innerHTML = orderByLineage(sessions).map(({ session: s, depth }) => `
+      <div class="session-item ${currentSession && currentSession.id === s.id ? 'active' : ''} ${depth > 0 ? 'session-branch' : ''}" style="--branch-depth: ${depth}">
+        <span class="session-name" onclick="loadSession('${s.id}')">
+          ${depth > 0 ? '<span class="branch-marker" aria-hidden="true">\u2514</span>' : ''}${escapeHtml(s.name)}
+          ${s.parent_session_id ? `<span class="branch-badge" title="Branched at turn ${s.forked_at_turn}">turn ${s.forked_at_turn}</span>` : ''}
+        </span>
+        <button class="session-delete-btn" onclick="event.stopPropagation(); deleteSession('${s.id}', '${escapeHtml(s.name).replace(/'/g, "\\'")}')" title="Delete session" data-min-role="admin">X</button>
       </div>
     `).join('');
+    applyRoleVisibility();
   } catch (error) {
     console.error('Failed to load sessions:', error);
   }
 }
 
+/**
+ * Put each branch right under the session it was forked from (newest first at every level).
+ * Branches whose parent was deleted are listed as top-level sessions.
+ * @returns {Array} [{ session, depth }]
+ */
+function orderByLineage(sessions) {
+  const ids = new Set(sessions.map(s => s.id));
+  const children = {};
+  const roots = [];
+  for (const s of sessions) {
+    if (s.parent_session_id && ids.has(s.parent_session_id)) {
+      (children[s.parent_session_id] = children[s.parent_session_id] || []).push(s);
+    } else {
+      roots.push(s);
+    }
+  }
+
+  const ordered = [];
+  const visit = (session, depth) => {
+    ordered.push({ session, depth });
+    for (const child of children[session.id] || []) visit(child, depth + 1);
+  };
+  roots.forEach(s => visit(s, 0));
+  return ordered;
+}
+
 export async function deleteSession(id, name) {
   if (!confirm(`Are you sure you want to delete the session "${name}"?\n\nThis will permanently delete all story history and progress!`)) return;
 
@@ -106,7 +147,8 @@ function renderCharacterSelection() {
     return;
   }
 
-  container.innerHTML = characters.map(c => {
+  // Party copies made for a branch session stay with that branch
+  container.innerHTML = characters.filter(c => !c.branch_session_id).map(c => {
     let classDisplay;
     try {
       const classes = JSON.parse(c.classes || '{}');
@@ -225,30 +267,44 @@ export async function loadSession(id) {
       currentSession: data.session,
       sessionCharacters: data.sessionCharacters || []
     });
+    joinSessionRoom(id);
+    applyRoleVisibility();
 
     updateCharacterSelect();
+    const selectedId = document.getElementById('action-character')?.value || '';
+    joinCharacterRoom(selectedId);
     updatePartyList();
     updateInspirationDisplay();
+    updateDeathSavePanel();
+    updateShortRestPanel();
+    setCurrentCombat(data.combat);
+    setCurrentQuests(data.quests);
+    setCurrentChecks(data.checks);
 
     const currentSession = data.session;
     document.getElementById('turn-counter').textContent = `Turn: ${currentSession.current_turn}`;
     document.getElementById('token-counter').textContent = `Tokens: ${currentSession.total_tokens}`;
 
-    const history = JSON.parse(currentSession.full_history || '[]');
+    // Fetch only the latest page; older pages load as the user scrolls up
+    const page = await fetchMessagePage(id, { limit: INITIAL_MESSAGE_COUNT });
+    _loadedMessages = page.messages;
+    _loadedStartIndex = page.startIndex;
+    _hasOlderMessages = page.hasMore;
+    _loadingOlder = false;
 
-    // Use virtual scrolling: render only the last N messages initially
-    _fullRenderedHistory = history;
     const historyContainer = document.getElementById('story-history');
     if (historyContainer) {
-      // Render only the tail portion initially
-      const startIndex = Math.max(0, history.length - INITIAL_MESSAGE_COUNT);
-      _renderedCount = history.length - startIndex;
-      const visibleHistory = history.slice(startIndex);
-      historyContainer.innerHTML = renderStoryHistory(visibleHistory, startIndex);
+      historyContainer.innerHTML = renderStoryHistory(_loadedMessages, _loadedStartIndex);
+      applyRoleVisibility();
 
       // Set up IntersectionObserver for lazy loading older messages
       setupScrollObserver(historyContainer);
     }
+    // A turn waiting on check rolls: its narration so far isn't in history yet
+    if (data.checkNarration) {
+      appendStreamChunk(data.checkNarration);
+      pauseStreamedContent();
+    }
 
     scrollStoryToBottom();
     updatePendingActions(data.pendingActions);
@@ -264,11 +320,24 @@ export async function loadSession(id) {
 }
 
 /**
- * Re-render the story history locally (no network request).
- * Used when the selected character changes to switch POV display.
+ * Fetch one page of history. The server only returns the POV narration
+ * for the character we are playing (admins and the session's GMs get all).
+ * @param {string} sessionId
+ * @param {Object} options - { before: ordinal cursor (omit for the latest page), limit }
+ */
+function fetchMessagePage(sessionId, { before, limit }) {
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (before !== undefined) params.set('before', String(before));
+  const characterId = document.getElementById('action-character')?.value || '';
+  if (characterId) params.set('character_id', characterId);
+  return api(`/api/sessions/${sessionId}/messages?${params}`);
+}
+
+/**
+ * Re-render the loaded story history locally (no network request).
  */
 export function reRenderStory() {
-  if (_fullRenderedHistory.length === 0) return;
+  if (_loadedMessages.length === 0) return;
   const historyContainer = document.getElementById('story-history');
   if (!historyContainer) return;
 
@@ -277,9 +346,9 @@ export function reRenderStory() {
     ? (storyContainer.scrollHeight - storyContainer.scrollTop - storyContainer.clientHeight < 50)
     : false;
 
-  const startIndex = Math.max(0, _fullRenderedHistory.length - _renderedCount);
-  const visibleHistory = _fullRenderedHistory.slice(startIndex);
-  historyContainer.innerHTML = renderStoryHistory(visibleHistory, startIndex);
+  historyContainer.innerHTML = renderStoryHistory(_loadedMessages, _loadedStartIndex);
+  applyRoleVisibility();
+  setupScrollObserver(historyContainer);
 
   if (scrollWasAtBottom) scrollStoryToBottom();
 }
@@ -297,8 +366,8 @@ function setupScrollObserver(historyContainer) {
     _sentinelEl.remove();
   }
 
-  // If all messages are already rendered, no need for observer
-  if (_renderedCount >= _fullRenderedHistory.length) return;
+  // If the whole history is already loaded, no need for observer
+  if (!_hasOlderMessages) return;
 
   // Create sentinel element at the top
   _sentinelEl = document.createElement('div');
@@ -317,10 +386,10 @@ function setupScrollObserver(historyContainer) {
 }
 
 /**
- * Load more older messages when the user scrolls to the top.
+ * Fetch and prepend the next older page when the user scrolls to the top.
  */
-function loadMoreMessages() {
-  if (_renderedCount >= _fullRenderedHistory.length) {
+async function loadMoreMessages() {
+  if (!_hasOlderMessages) {
     // All messages loaded, disconnect observer
     if (_scrollObserver) {
       _scrollObserver.disconnect();
@@ -332,21 +401,36 @@ function loadMoreMessages() {
     return;
   }
 
+  const currentSession = getState('currentSession');
+  if (_loadingOlder || !currentSession || _loadedMessages.length === 0) return;
+
+  _loadingOlder = true;
+  let page;
+  try {
+    page = await fetchMessagePage(currentSession.id, { before: _loadedMessages[0].ordinal, limit: LOAD_MORE_COUNT });
+  } catch (error) {
+    console.error('Failed to load older messages:', error);
+    return;
+  } finally {
+    _loadingOlder = false;
+  }
+
+  // The user may have switched sessions while the page was loading
+  if (getState('currentSession')?.id !== currentSession.id) return;
+
   const historyContainer = document.getElementById('story-history');
   const storyContainer = document.getElementById('story-container');
   if (!historyContainer || !storyContainer) return;
 
+  _loadedMessages = [...page.messages, ..._loadedMessages];
+  _loadedStartIndex = page.startIndex;
+  _hasOlderMessages = page.hasMore;
+
   // Remember scroll position to maintain it after prepending
   const scrollHeightBefore = storyContainer.scrollHeight;
 
-  // Calculate the slice of history to prepend
-  const currentStart = _fullRenderedHistory.length - _renderedCount;
-  const newStart = Math.max(0, currentStart - LOAD_MORE_COUNT);
-  const newSlice = _fullRenderedHistory.slice(newStart, currentStart);
-  _renderedCount += (currentStart - newStart);
-
   // Render the new chunk
-  const newHtml = renderStoryHistory(newSlice, newStart);
+  const newHtml = renderStoryHistory(page.messages, page.startIndex);
 
   // Remove old sentinel, prepend new content, then re-add sentinel
   if (_sentinelEl && _sentinelEl.parentNode) {
@@ -360,13 +444,14 @@ function loadMoreMessages() {
     fragment.appendChild(tempDiv.firstChild);
   }
   historyContainer.insertBefore(fragment, historyContainer.firstChild);
+  applyRoleVisibility();
 
   // Restore scroll position
   const scrollHeightAfter = storyContainer.scrollHeight;
   storyContainer.scrollTop += (scrollHeightAfter - scrollHeightBefore);
 
   // Re-add sentinel at top if there are still more messages
-  if (_renderedCount < _fullRenderedHistory.length) {
+  if (_hasOlderMessages) {
     _sentinelEl = document.createElement('div');
     _sentinelEl.className = 'scroll-sentinel';
     _sentinelEl.setAttribute('aria-hidden', 'true');
@@ -439,7 +524,7 @@ export function renderStoryHistory(history, indexOffset = 0) {
               <div class="narration-controls">
                 <button class="pov-toggle-btn" onclick="togglePOVView(${globalIndex})" title="Switch POV view">\uD83D\uDC41\uFE0F</button>
                 <button class="tts-play-btn" id="${ttsId}" data-tts-content="${ttsContent}" onclick="handleTTSClick(this)" title="Play narration">\uD83D\uDD0A</button>
-                <button class="delete-msg-btn" onclick="deleteStoryMessage(${globalIndex})" title="Delete this message">\uD83D\uDDD1\uFE0F</button>
+                <button class="delete-msg-btn" data-min-role="cogm" data-role-scope="session" onclick="deleteStoryMessage(${globalIndex})" title="Delete this message">\uD83D\uDDD1\uFE0F</button>
               </div>
             </div>
             <div class="content pov-content" data-pov-for="${escapeHtml(selectedCharName)}">${formatContent(povContent)}</div>
@@ -451,6 +536,7 @@ export function renderStoryHistory(history, indexOffset = 0) {
                 </div>
               `).join('')}
             </div>
+            ${renderTurnChanges(entry)}
           </div>
         `;
       } else if (hasPOVs && !selectedCharName) {
@@ -464,7 +550,7 @@ export function renderStoryHistory(history, indexOffset = 0) {
               <div class="role">Dungeon Master <span class="pov-badge">All POVs</span></div>
               <div class="narration-controls">
                 <button class="tts-play-btn" id="${ttsId}" data-tts-content="${ttsContent}" onclick="handleTTSClick(this)" title="Play narration">\uD83D\uDD0A</button>
-                <button class="delete-msg-btn" onclick="deleteStoryMessage(${globalIndex})" title="Delete this message">\uD83D\uDDD1\uFE0F</button>
+                <button class="delete-msg-btn" data-min-role="cogm" data-role-scope="session" onclick="deleteStoryMessage(${globalIndex})" title="Delete this message">\uD83D\uDDD1\uFE0F</button>
               </div>
             </div>
             ${Object.entries(entry.povs).map(([name, content]) => `
@@ -473,6 +559,7 @@ export function renderStoryHistory(history, indexOffset = 0) {
                 <div class="pov-section-content">${formatContent(content)}</div>
               </div>
             `).join('')}
+            ${renderTurnChanges(entry)}
           </div>
         `;
       } else {
@@ -485,10 +572,11 @@ export function renderStoryHistory(history, indexOffset = 0) {
               <div class="role">Dungeon Master</div>
               <div class="narration-controls">
                 <button class="tts-play-btn" id="${ttsId}" data-tts-content="${ttsContent}" onclick="handleTTSClick(this)" title="Play narration">\uD83D\uDD0A</button>
-                <button class="delete-msg-btn" onclick="deleteStoryMessage(${globalIndex})" title="Delete this message">\uD83D\uDDD1\uFE0F</button>
+                <button class="delete-msg-btn" data-min-role="cogm" data-role-scope="session" onclick="deleteStoryMessage(${globalIndex})" title="Delete this message">\uD83D\uDDD1\uFE0F</button>
               </div>
             </div>
             <div class="content">${formatContent(entry.content)}</div>
+            ${renderTurnChanges(entry)}
           </div>
         `;
       }
@@ -515,7 +603,7 @@ export function renderStoryHistory(history, indexOffset = 0) {
           <div class="story-entry user" data-index="${globalIndex}">
             <div class="role">Players</div>
             <div class="content">${formatContent(entry.content)}</div>
-            <button class="delete-msg-btn" onclick="deleteStoryMessage(${globalIndex})" title="Delete this message">\uD83D\uDDD1\uFE0F</button>
+            <button class="delete-msg-btn" data-min-role="cogm" data-role-scope="session" onclick="deleteStoryMessage(${globalIndex})" title="Delete this message">\uD83D\uDDD1\uFE0F</button>
           </div>
         `;
       }
@@ -585,7 +673,7 @@ function renderPlayerActionsGroup(actions, indices = []) {
           <div class="action-character-name">${escapeHtml(charName)}${playerName ? ` <span class="action-player-name">(${escapeHtml(playerName)})</span>` : ''}</div>
           <div class="action-text">${formatContent(action.content)}</div>
         </div>
-        ${index >= 0 ? `<button class="delete-action-btn" onclick="deleteStoryMessage(${index})" title="Delete this action">\uD83D\uDDD1\uFE0F</button>` : ''}
+        ${index >= 0 ? `<button class="delete-action-btn" data-min-role="cogm" data-role-scope="session" onclick="deleteStoryMessage(${index})" title="Delete this action">\uD83D\uDDD1\uFE0F</button>` : ''}
       </div>
     `;
   }
@@ -622,6 +710,9 @@ export function appendStreamChunk(text) {
     historyContainer.appendChild(streamEl);
   }
 
+  const indicatorEl = streamEl.querySelector('.streaming-indicator');
+  if (indicatorEl) indicatorEl.textContent = 'streaming...';
+
   const contentEl = streamEl.querySelector('.streaming-content');
   if (contentEl) {
     // Append text with typewriter effect by adding character by character
@@ -635,6 +726,14 @@ export function appendStreamChunk(text) {
   }
 }
 
+/**
+ * Keep the narration streamed so far on screen while the turn waits on check rolls.
+ */
+export function pauseStreamedContent() {
+  const indicatorEl = document.querySelector('#streaming-response .streaming-indicator');
+  if (indicatorEl) indicatorEl.textContent = 'waiting for rolls...';
+}
+
 /**
  * Remove the temporary streaming element.
  * Called when turn_processed arrives to replace with final formatted content.
@@ -654,7 +753,8 @@ export function updatePendingActions(pendingActions) {
   const sessionCharacters = getState('sessionCharacters');
   const container = document.getElementById('pending-actions');
   if (!container) return;
-  const waitingCount = sessionCharacters.length - pendingActions.length;
+  // Characters who are down roll death saves (or nothing) and never hold up the turn
+  const waitingCount = sessionCharacters.filter(c => !isDown(c) && !pendingActions.some(a => a.character_id === c.id)).length;
 
   document.getElementById('waiting-counter').textContent = `Waiting for: ${waitingCount} players`;
 
@@ -666,7 +766,7 @@ export function updatePendingActions(pendingActions) {
         <div class="action-status">
           ${action ? `<span class="action-preview" title="${escapeHtml(action.action)}">Action submitted</span>
             <button class="btn-cancel-action" onclick="cancelAction('${c.id}')" title="Cancel action">\u2715</button>`
-            : 'Waiting...'}
+            : isDown(c) ? LIFE_STATE_LABELS[c.life_state] : 'Waiting...'}
         </div>
       </div>
     `;
@@ -693,7 +793,7 @@ export async function cancelAction(characterId) {
 // Dice Roller for Actions
 // ============================================
 
-let _currentDiceRoll = null; // { value, modifier, modValue, stat, total, timestamp }
+let _currentDiceRoll = null; // { value, modifier, modValue, stat, total, timestamp, rollId, mode, detail }
 let _rollCount = 0; // Track rolls this turn (max 2: initial + 1 reroll)
 
 /**
@@ -746,6 +846,7 @@ export function restoreDiceState() {
     if (valueEl) valueEl.textContent = _currentDiceRoll.value;
     if (diceText) diceText.textContent = _currentDiceRoll.value;
     if (roller) roller.classList.add('rolled');
+    showDiceMode(_currentDiceRoll.mode, _currentDiceRoll.detail);
 
     if (_currentDiceRoll.value === 20 && roller) roller.classList.add('nat20');
     if (_currentDiceRoll.value === 1 && roller) roller.classList.add('nat1');
@@ -767,8 +868,7 @@ export function restoreDiceState() {
         btn.disabled = true;
         btn.classList.add('dice-locked');
         btn.title = 'No inspiration points — submit your action';
-        const statSelect = document.getElementById('dice-stat-select');
-        if (statSelect) statSelect.disabled = true;
+        lockDiceSelects(true);
       } else {
         btn.title = `Reroll (costs 1 inspiration, ${inspirationLeft} left)`;
         btn.classList.add('inspiration-reroll');
@@ -849,7 +949,7 @@ function calcModifier(score) {
 
 /**
  * Get the selected character's stat value for the chosen stat.
- * Returns { modifier, statName, score } or null.
+ * Returns { modifier, statName, score } or null; saves and skills return just { statName, stat }.
  */
 function getSelectedStatInfo() {
   const statSelect = document.getElementById('dice-stat-select');
@@ -862,6 +962,11 @@ function getSelectedStatInfo() {
   const characterId = charSelect.value;
   if (!characterId) return null;
 
+  // Saves and skills ("save:dexterity", "skill:perception") get their proficiency added on the server
+  if (stat.includes(':')) {
+    return { statName: statSelect.selectedOptions[0].textContent, stat };
+  }
+
   // Look up the character from session characters or all characters
   const sessionChars = getState('sessionCharacters');
   const allChars = getState('characters');
@@ -880,7 +985,31 @@ function getSelectedStatInfo() {
 }
 
 /**
- * Roll a d20 for action submission.
+ * Enable or disable the stat and advantage pickers (locked once the rolls run out).
+ */
+function lockDiceSelects(locked) {
+  for (const id of ['dice-stat-select', 'dice-adv-select']) {
+    const select = document.getElementById(id);
+    if (select) select.disabled = locked;
+  }
+}
+
+/**
+ * Label the result display with how the d20 was rolled ("d20", "ADV", "DIS");
+ * hovering an advantage roll shows both dice.
+ * @param {string} mode - 'd20' | 'adv' | 'dis'
+ * @param {string} [detail] - describeDice() of the roll
+ */
+function showDiceMode(mode, detail) {
+  const label = document.querySelector('#dice-result-display .dice-label');
+  if (!label) return;
+  const advantage = mode === 'adv' || mode === 'dis';
+  label.textContent = advantage ? mode.toUpperCase() : 'd20';
+  label.title = advantage && detail ? `Rolled ${detail}` : '';
+}
+
+/**
+ * Roll a d20 for action submission (on the server — the action submits the roll's signed id).
  * Must be called before submitting an action.
  */
 export function rollActionDice() {
@@ -906,42 +1035,60 @@ export function rollActionDice() {
     spendInspirationPoint(charId);
   }
 
+  const currentSession = getState('currentSession');
+  if (!currentSession) return;
+
   // Trigger rolling animation
   btn.classList.add('rolling');
+  btn.disabled = true;
   roller.classList.remove('rolled', 'nat20', 'nat1', 'must-roll');
 
-  // Quick visual number cycling during animation
+  // Quick visual number cycling during animation (display only — the real roll is the server's)
   const cycleInterval = setInterval(() => {
     const fakeNum = Math.floor(Math.random() * 20) + 1;
     valueEl.textContent = fakeNum;
     if (diceText) diceText.textContent = fakeNum;
   }, 60);
 
-  // Resolve after animation
-  setTimeout(() => {
+  const statInfo = getSelectedStatInfo();
+  // 'd20', or 'adv' / 'dis' (2d20 keeping the higher / lower)
+  const mode = document.getElementById('dice-adv-select')?.value || 'd20';
+  const rollRequest = api(`/api/sessions/${currentSession.id}/roll`, 'POST', {
+    expression: mode,
+    character_id: document.getElementById('action-character')?.value || undefined,
+    stat: statInfo ? statInfo.stat : undefined
+  });
+  const animation = new Promise(resolve => setTimeout(resolve, 600));
+
+  // Resolve after animation and the server roll
+  Promise.all([rollRequest, animation]).then(([result]) => {
     clearInterval(cycleInterval);
     btn.classList.remove('rolling');
+    btn.disabled = false;
 
-    const rawRoll = Math.floor(Math.random() * 20) + 1;
-    const statInfo = getSelectedStatInfo();
-
-    const mod = statInfo ? statInfo.modifier : 0;
-    const total = rawRoll + mod;
+    const rawRoll = result.natural;
+    const detail = describeDice(result.rolls);
+    const mod = result.modifier;
+    const total = result.total;
 
     _currentDiceRoll = {
       value: rawRoll,
       modifier: mod,
       modValue: mod,
       stat: statInfo ? statInfo.statName : null,
-      score: statInfo ? statInfo.score : null,
+      score: result.score,
       total,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      rollId: result.signed_id,
+      mode,
+      detail
     };
 
     // Update display
     valueEl.textContent = rawRoll;
     valueEl.classList.add('pop');
     if (diceText) diceText.textContent = rawRoll;
+    showDiceMode(mode, detail);
 
     if (modEl) {
       if (statInfo) {
@@ -987,8 +1134,7 @@ export function rollActionDice() {
         btn.disabled = true;
         btn.classList.add('dice-locked');
         btn.title = 'No inspiration points — submit your action';
-        const statSelect = document.getElementById('dice-stat-select');
-        if (statSelect) statSelect.disabled = true;
+        lockDiceSelects(true);
       } else {
         // Has inspiration — allow spending it to reroll
         btn.title = `Reroll (costs 1 inspiration, ${inspirationLeft} left)`;
@@ -1000,7 +1146,17 @@ export function rollActionDice() {
     }
 
     setTimeout(() => valueEl.classList.remove('pop'), 400);
-  }, 600);
+  }).catch(error => {
+    clearInterval(cycleInterval);
+    btn.classList.remove('rolling');
+    btn.disabled = false;
+    valueEl.textContent = _currentDiceRoll ? _currentDiceRoll.value : '--';
+    if (diceText) diceText.textContent = _currentDiceRoll ? _currentDiceRoll.value : '?';
+    if (_currentDiceRoll) roller.classList.add('rolled');
+    showDiceMode(_currentDiceRoll?.mode, _currentDiceRoll?.detail);
+    console.error('Failed to roll:', error);
+    showNotification('Roll failed: ' + error.message);
+  });
 }
 
 /**
@@ -1029,8 +1185,8 @@ function resetDiceRoll() {
     btn.classList.remove('dice-locked', 'inspiration-reroll');
     btn.title = 'Roll d20';
   }
-  const statSelect = document.getElementById('dice-stat-select');
-  if (statSelect) statSelect.disabled = false;
+  lockDiceSelects(false);
+  showDiceMode('d20');
 }
 
 /**
@@ -1193,25 +1349,20 @@ export async function generateChoices() {
 // ============================================
 
 /**
- * Parse a dice expression like "2d6+3" and roll it.
- * @param {string} expression - Dice expression (e.g., "2d6+3", "d20", "4d8-2")
- * @returns {Object|null} Roll result or null if invalid
+ * Roll a dice expression like "2d6+3" on the server (logged with the session's rolls).
+ * A free roll: it can't go with an action, so it leaves the action roll alone.
+ * @param {string} expression - Dice expression (e.g., "2d6+3", "adv+DEX", "4d6dl1", "d6!", "2d6r1")
+ * @param {string} characterId - Character rolling, if one is selected (needed for STR..CHA and PROF)
+ * @returns {Promise<Object>} Roll result {rolls (terms with each die), modifier, total, expression}
  */
-function rollDice(expression) {
-  const match = expression.match(/^(\d+)?d(\d+)([+-]\d+)?$/i);
-  if (!match) return null;
-  const count = parseInt(match[1] || '1');
-  const sides = parseInt(match[2]);
-  const modifier = parseInt(match[3] || '0');
-
-  if (count < 1 || count > 100 || sides < 1 || sides > 1000) return null;
-
-  const rolls = [];
-  for (let i = 0; i < count; i++) {
-    rolls.push(Math.floor(Math.random() * sides) + 1);
-  }
-  const total = rolls.reduce((a, b) => a + b, 0) + modifier;
-  return { rolls, modifier, total, expression };
+function rollDice(expression, characterId) {
+  const currentSession = getState('currentSession');
+  if (!currentSession) return Promise.reject(new Error('Please select a session first'));
+  return api(`/api/sessions/${currentSession.id}/roll`, 'POST', {
+    expression,
+    character_id: characterId || undefined,
+    kind: 'free'
+  });
 }
 
 /**
@@ -1230,22 +1381,15 @@ function handleSlashCommand(text, characterId) {
 
   switch (command) {
     case '/roll': {
-      if (!args) {
-        showNotification('Usage: /roll 2d6+3');
+      if (!args || !parseDice(args)) {
+        showNotification('Usage: /roll 2d6+3, /roll adv+DEX, /roll 4d6dl1, /roll d6!, /roll 2d6r1');
         return true;
       }
-      const result = rollDice(args.trim());
-      if (!result) {
-        showNotification('Invalid dice expression. Use format like: 2d6+3, d20, 4d8-2');
-        return true;
-      }
-      const modStr = result.modifier !== 0
-        ? ` ${result.modifier > 0 ? '+' : ''}${result.modifier}`
-        : '';
-      const rollDetail = result.rolls.length > 1
-        ? ` (${result.rolls.join(' + ')}${modStr})`
-        : modStr ? ` (${result.rolls[0]}${modStr})` : '';
-      showNotification(`🎲 ${result.expression}: ${result.total}${rollDetail}`);
+      rollDice(args.trim(), characterId).then(result => {
+        const detail = describeDice(result.rolls);
+        const rollDetail = detail === String(result.total) ? '' : ` (${detail})`;
+        showNotification(`🎲 ${result.expression}: ${result.total}${rollDetail}`);
+      }).catch(error => showNotification(error.message));
       return true;
     }
 
@@ -1326,8 +1470,8 @@ export async function submitAction() {
     return;
   }
 
-  // Enforce dice roll before submission
-  if (!_currentDiceRoll) {
+  // Enforce a server dice roll before submission
+  if (!_currentDiceRoll?.rollId) {
     showNotification('Roll the d20 before submitting your action!');
     const roller = document.getElementById('dice-roller');
     const submitBtn = document.getElementById('submit-action-btn');
@@ -1336,16 +1480,8 @@ export async function submitAction() {
     return;
   }
 
-  // Build action text with dice roll + stat modifier included
+  // The server adds the roll's [DICE ROLL:] tag to the action
   const roll = _currentDiceRoll;
-  let rollTag;
-  if (roll.stat) {
-    const sign = roll.modifier >= 0 ? '+' : '';
-    rollTag = `[DICE ROLL: d20 = ${roll.value} ${sign}${roll.modifier} ${roll.stat} (score ${roll.score}) = ${roll.total}]`;
-  } else {
-    rollTag = `[DICE ROLL: d20 = ${roll.value}]`;
-  }
-  const actionWithRoll = `${action}\n${rollTag}`;
 
   actionTextarea.value = '';
   resetDiceRoll();
@@ -1362,7 +1498,8 @@ export async function submitAction() {
   try {
     const result = await api(`/api/sessions/${currentSession.id}/action`, 'POST', {
       character_id: characterId,
-      action: actionWithRoll
+      action,
+      roll_id: roll.rollId
     });
 
     if (result.processed) {
@@ -1380,6 +1517,10 @@ export async function submitAction() {
     if (error.message && error.message.includes('processing')) {
       setState({ isTurnProcessing: true });
       showNotification('Please wait - turn is being processed');
+    } else if (error.message && /roll/i.test(error.message)) {
+      // Used, stale (earlier turn) or for another character: roll again
+      resetDiceRoll();
+      showNotification(`${error.message} — roll again`);
     } else {
       alert('Failed to submit action: ' + error.message);
     }
@@ -1449,10 +1590,16 @@ export function updateActionFormState() {
   const diceBtn = document.getElementById('dice-roll-btn');
   const statSelect = document.getElementById('dice-stat-select');
 
+  // Actions are locked in while the turn waits on check rolls
+  const awaitingChecks = getState('currentChecks').some(c => !c.outcome);
+
   if (submitBtn) {
     if (isTurnProcessing) {
       submitBtn.disabled = true;
       submitBtn.textContent = 'Narrator is typing...';
+    } else if (awaitingChecks) {
+      submitBtn.disabled = true;
+      submitBtn.textContent = 'Waiting for rolls...';
     } else {
       submitBtn.disabled = false;
       submitBtn.textContent = 'Submit Action';
@@ -1489,6 +1636,8 @@ export function updateActionFormState() {
   if (statSelect) {
     statSelect.disabled = isTurnProcessing;
   }
+  const advSelect = document.getElementById('dice-adv-select');
+  if (advSelect) advSelect.disabled = isTurnProcessing;
 }
 
 export async function forceProcessTurn() {
@@ -1521,10 +1670,15 @@ export async function deleteStoryMessage(index) {
   if (!currentSession) { alert('No session selected'); return; }
   if (!confirm('Delete this message? This cannot be undone.')) return;
 
+  // Offer to take back the character changes the narration's tags applied
+  const entry = _loadedMessages[index - _loadedStartIndex];
+  const hasActiveChanges = (entry?.changes || []).some(c => !c.undone_at);
+  const rollback = hasActiveChanges && confirm('Also roll back the character changes this message applied (HP, XP, gold, items...)?');
+
   try {
-    await api(`/api/sessions/${currentSession.id}/delete-message`, 'POST', { index });
+    const result = await api(`/api/sessions/${currentSession.id}/delete-message`, 'POST', { index, rollback });
     await loadSession(currentSession.id);
-    showNotification('Message deleted');
+    showNotification(result.rolledBack > 0 ? `Message deleted and ${result.rolledBack} change(s) rolled back` : 'Message deleted');
   } catch (error) {
     console.error('Failed to delete message:', error);
     alert('Failed to delete message: ' + error.message);
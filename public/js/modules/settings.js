@@ -1,6 +1,7 @@
 // ============================================
 // Settings Module
 // - Settings tab, GM mode, TTS, summary management
+// - Players & roles (admin)
 // ============================================
 
 import { getState, setState } from '../state.js';
@@ -11,16 +12,25 @@ import { ttsManager } from './tts.js';
 import { loadCharacters } from './characters.js';
 import { refreshSessionCharacters, loadSession } from './sessions.js';
 import { saveAppState } from './auth.js';
+import { hasRole, applyRoleVisibility } from './players.js';
+import { loadHomebrew } from './homebrew.js';
 
 // ============================================
 // Load settings
 // ============================================
 
 export async function loadSettings() {
+  // Co-GMs only get the GM tools; API configs, game settings and roles stay admin-only
+  applyRoleVisibility();
+
   try {
-    const settings = await api('/api/settings');
-    document.getElementById('max-tokens').value = settings.max_tokens_before_compact || 8000;
-    await loadApiConfigs();
+    if (hasRole('admin')) {
+      const settings = await api('/api/settings');
+      document.getElementById('max-tokens').value = settings.max_tokens_before_compact || 8000;
+      await loadApiConfigs();
+      await loadPlayersAndRoles();
+      await loadHomebrew();
+    }
 
     // Restore TTS settings from localStorage
     const ttsVoiceEl = document.getElementById('tts-voice');
@@ -218,7 +228,8 @@ export async function testConnection() {
 
 export async function loadGMSessionDropdown() {
   try {
-    const sessions = await api('/api/sessions');
+    // Only sessions this user may GM
+    const sessions = (await api('/api/sessions')).filter(s => hasRole('cogm', s.id));
     const sessionOptions = '<option value="">-- Select a session --</option>' +
       sessions.map(s => `<option value="${s.id}">${escapeHtml(s.name)}</option>`).join('');
 
@@ -289,7 +300,7 @@ export async function sendGMMessage() {
 
 export async function loadSummarySessionDropdown() {
   try {
-    const sessions = await api('/api/sessions');
+    const sessions = (await api('/api/sessions')).filter(s => hasRole('cogm', s.id));
     const select = document.getElementById('summary-session-select');
     if (!select) return;
     select.innerHTML = '<option value="">-- Select a session --</option>' +
@@ -446,3 +457,104 @@ export async function generateAutoReply() {
     btn.textContent = 'Generate & Send Action';
   }
 }
+
+// ============================================
+// Players & Roles (admin)
+// ============================================
+
+const ROLE_LABELS = { player: 'Player', cogm: 'Co-GM (all sessions)', admin: 'Admin' };
+
+export async function loadPlayersAndRoles() {
+  try {
+    const [players, sessions] = await Promise.all([api('/api/players'), api('/api/sessions')]);
+
+    const list = document.getElementById('players-roles-list');
+    if (list) {
+      list.innerHTML = players.length === 0
+        ? '<p class="settings-note">No player accounts yet.</p>'
+        : players.map(p => `
+          <div class="player-role-row">
+            <span class="player-role-name">${escapeHtml(p.display_name)} <small>@${escapeHtml(p.username)}</small></span>
+            <select onchange="setPlayerRole('${p.id}', this.value)">
+              ${Object.entries(ROLE_LABELS).map(([role, label]) => `<option value="${role}" ${p.role === role ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+          </div>`).join('');
+    }
+
+    const sessionSelect = document.getElementById('gm-assign-session-select');
+    if (sessionSelect) {
+      sessionSelect.innerHTML = '<option value="">-- Select a session --</option>' +
+        sessions.map(s => `<option value="${s.id}">${escapeHtml(s.name)}</option>`).join('');
+    }
+
+    const playerSelect = document.getElementById('gm-assign-player-select');
+    if (playerSelect) {
+      playerSelect.innerHTML = '<option value="">-- Select a player --</option>' +
+        players.map(p => `<option value="${p.id}">${escapeHtml(p.display_name)}</option>`).join('');
+    }
+
+    const gmList = document.getElementById('session-gms-list');
+    if (gmList) gmList.innerHTML = '';
+  } catch (error) {
+    console.error('Failed to load players:', error);
+  }
+}
+
+export async function setPlayerRole(playerId, role) {
+  try {
+    await api(`/api/players/${playerId}/role`, 'PUT', { role });
+    showNotification('Role updated');
+  } catch (error) {
+    alert('Failed to update role: ' + error.message);
+    loadPlayersAndRoles();
+  }
+}
+
+function renderSessionGMs(gms) {
+  const list = document.getElementById('session-gms-list');
+  if (!list) return;
+  list.innerHTML = gms.length === 0
+    ? '<p class="settings-note">No co-GMs assigned to this session.</p>'
+    : gms.map(p => `
+      <div class="player-role-row">
+        <span class="player-role-name">${escapeHtml(p.display_name)}</span>
+        <button class="btn-cancel-action" onclick="removeSessionGM('${p.id}')" title="Remove co-GM">\u2715</button>
+      </div>`).join('');
+}
+
+export async function loadSessionGMs() {
+  const sessionId = document.getElementById('gm-assign-session-select').value;
+  if (!sessionId) { renderSessionGMs([]); return; }
+
+  try {
+    const { gms } = await api(`/api/sessions/${sessionId}/gms`);
+    renderSessionGMs(gms);
+  } catch (error) {
+    console.error('Failed to load session GMs:', error);
+  }
+}
+
+export async function assignSessionGM() {
+  const sessionId = document.getElementById('gm-assign-session-select').value;
+  const playerId = document.getElementById('gm-assign-player-select').value;
+  if (!sessionId || !playerId) { alert('Select a session and a player first.'); return; }
+
+  try {
+    const { gms } = await api(`/api/sessions/${sessionId}/gms`, 'POST', { player_id: playerId });
+    renderSessionGMs(gms);
+  } catch (error) {
+    alert('Failed to add co-GM: ' + error.message);
+  }
+}
+
+export async function removeSessionGM(playerId) {
+  const sessionId = document.getElementById('gm-assign-session-select').value;
+  if (!sessionId) return;
+
+  try {
+    const { gms } = await api(`/api/sessions/${sessionId}/gms/${playerId}`, 'DELETE');
+    renderSessionGMs(gms);
+  } catch (error) {
+    alert('Failed to remove co-GM: ' + error.message);
+  }
+}
@@ -0,0 +1,139 @@
+// ============================================
+// Short Rest Module
+// - After a [SHORT REST:] tag the selected character can spend hit dice until the next turn
+// - Hit dice are rolled on the server (die + CON modifier each)
+// ============================================
+
+import { getState } from '../state.js';
+import { api } from '../api.js';
+import { escapeHtml } from '../utils/formatters.js';
+import { showNotification } from '../utils/dom.js';
+import { getClasses } from '../utils/dndData.js';
+import { isDown } from './deathSaves.js';
+
+// Classes without SRD data roll a d8 (same as the server)
+const DEFAULT_HIT_DIE = 8;
+
+function getSelectedCharacter() {
+  const characterId = document.getElementById('action-character')?.value;
+  if (!characterId) return null;
+  return getState('sessionCharacters').find(c => c.id === characterId) || null;
+}
+
+function parseJson(text, fallback) {
+  try {
+    return JSON.parse(text || '') || fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * A character's hit dice, largest die first: [{className, die, max, available}]
+ */
+async function getHitDice(char) {
+  let classData = [];
+  try {
+    classData = await getClasses();
+  } catch (e) {
+    console.error('Failed to load class data:', e);
+  }
+  const classes = parseJson(char.classes, {});
+  const levels = Object.keys(classes).length > 0 ? classes : { [char.class]: char.level || 1 };
+  const spent = parseJson(char.hit_dice_spent, {});
+
+  return Object.entries(levels)
+    .map(([className, level]) => {
+      const max = parseInt(level) || 0;
+      const hitDie = classData.find(c => c.index === className.toLowerCase())?.hit_die || DEFAULT_HIT_DIE;
+      return { className, die: hitDie, max, available: Math.max(0, max - (parseInt(spent[className]) || 0)) };
+    })
+    .filter(h => h.max > 0)
+    .sort((a, b) => b.die - a.die);
+}
+
+// ============================================
+// Render
+// ============================================
+
+/**
+ * Show or hide the hit dice prompt for the selected character.
+ */
+export async function updateShortRestPanel() {
+  const panel = document.getElementById('short-rest-panel');
+  if (!panel) return;
+
+  const char = getSelectedCharacter();
+  if (!char || !char.short_rest_open || isDown(char)) {
+    panel.innerHTML = '';
+    return;
+  }
+
+  const hitDice = await getHitDice(char);
+  const left = hitDice.filter(h => h.available > 0);
+  const inputs = left.map(h => `
+    <label class="short-rest-die">
+      <input type="number" min="0" max="${h.available}" value="0" data-class="${escapeHtml(h.className)}">
+      d${h.die} <span class="short-rest-left">(${escapeHtml(h.className)}, ${h.available} left)</span>
+    </label>
+  `).join('');
+
+  panel.innerHTML = `
+    <div class="short-rest-text">
+      <strong>Short rest.</strong> ${escapeHtml(char.character_name)} has ${char.hp}/${char.max_hp} HP.
+      ${left.length > 0 ? 'Spend hit dice to heal (each adds your CON modifier):' : 'No hit dice left until a long rest.'}
+    </div>
+    <div class="short-rest-dice">${inputs}</div>
+    ${left.length > 0 ? '<button class="btn-small btn-accent" id="short-rest-spend-btn" onclick="spendHitDice()">Spend</button>' : ''}
+    <button class="btn-small" onclick="finishShortRest()">Done</button>
+  `;
+}
+
+// ============================================
+// Actions
+// ============================================
+
+export async function spendHitDice() {
+  const currentSession = getState('currentSession');
+  const char = getSelectedCharacter();
+  if (!currentSession || !char) return;
+
+  const hitDice = {};
+  document.querySelectorAll('#short-rest-panel input[data-class]').forEach(input => {
+    const count = parseInt(input.value) || 0;
+    if (count > 0) hitDice[input.dataset.class] = count;
+  });
+  if (Object.keys(hitDice).length === 0) {
+    showNotification('Choose how many hit dice to spend');
+    return;
+  }
+
+  const btn = document.getElementById('short-rest-spend-btn');
+  if (btn) btn.disabled = true;
+
+  try {
+    const result = await api(`/api/sessions/${currentSession.id}/short-rest`, 'POST', {
+      character_id: char.id,
+      hit_dice: hitDice
+    });
+    const rolls = result.rolls.map(r => r.total).join(', ');
+    showNotification(`Hit dice: ${rolls} — healed ${result.healed} (HP ${result.hp})`);
+  } catch (error) {
+    console.error('Failed to spend hit dice:', error);
+    showNotification('Failed to spend hit dice: ' + error.message);
+    if (btn) btn.disabled = false;
+  }
+}
+
+export async function finishShortRest() {
+  const currentSession = getState('currentSession');
+  const char = getSelectedCharacter();
+  if (!currentSession || !char) return;
+
+  try {
+    await api(`/api/sessions/${currentSession.id}/short-rest/finish`, 'POST', { character_id: char.id });
+  } catch (error) {
+    console.error('Failed to finish short rest:', error);
+    showNotification('Failed to finish short rest: ' + error.message);
+  }
+}
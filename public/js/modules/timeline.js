@@ -0,0 +1,110 @@
+// ============================================
+// Timeline Module
+// - Turn list (drawer) built from the session's snapshots
+// - Rewind the session to the start of an earlier turn (co-GM)
+// - Branch the session into a new one at any turn (co-GM)
+// ============================================
+
+import { getState } from '../state.js';
+import { api } from '../api.js';
+import { escapeHtml } from '../utils/formatters.js';
+import { showNotification } from '../utils/dom.js';
+
+// ============================================
+// Render
+// ============================================
+
+export async function loadTimeline() {
+  const currentSession = getState('currentSession');
+  const container = document.getElementById('timeline-list');
+  if (!container) return;
+  if (!currentSession) {
+    container.innerHTML = '<div class="timeline-empty">No session selected</div>';
+    return;
+  }
+
+  container.innerHTML = '<div class="timeline-empty">Loading...</div>';
+  try {
+    const { turns, currentTurn } = await api(`/api/sessions/${currentSession.id}/timeline`);
+    renderTimeline(turns, currentTurn);
+  } catch (error) {
+    console.error('Failed to load timeline:', error);
+    container.innerHTML = `<div class="timeline-empty">${escapeHtml(error.message)}</div>`;
+  }
+}
+
+function renderTimeline(turns, currentTurn) {
+  const container = document.getElementById('timeline-list');
+  const branchNow = `
+    <div class="timeline-turn timeline-now">
+      <div class="timeline-turn-header">
+        <span class="timeline-turn-number">Now (turn ${currentTurn})</span>
+        <button class="btn-small btn-secondary" onclick="forkAtTurn(${currentTurn})" title="Copy the session as it is now into a new branch">Branch</button>
+      </div>
+    </div>
+  `;
+  if (turns.length === 0) {
+    container.innerHTML = branchNow + '<div class="timeline-empty">No turns played yet</div>';
+    return;
+  }
+
+  // Newest first — the usual target is a few turns back
+  container.innerHTML = branchNow + [...turns].reverse().map(t => `
+    <div class="timeline-turn ${t.rewindable ? '' : 'not-rewindable'}">
+      <div class="timeline-turn-header">
+        <span class="timeline-turn-number">Turn ${t.turn}</span>
+        ${t.rewindable
+          ? `<span class="timeline-turn-buttons">
+              <button class="btn-small btn-secondary" onclick="forkAtTurn(${t.turn})" title="Play this turn again in a new branch, keeping this session as it is">Branch</button>
+              <button class="btn-small btn-secondary" onclick="rewindToTurn(${t.turn})" title="Discard this turn and everything after it">Replay from here</button>
+            </span>`
+          : '<span class="timeline-turn-note" title="Played before rewind was available">No save point</span>'}
+      </div>
+      ${t.preview ? `<div class="timeline-turn-preview">${escapeHtml(t.preview)}…</div>` : ''}
+    </div>
+  `).join('');
+}
+
+// ============================================
+// Rewind
+// ============================================
+
+export async function rewindToTurn(turn) {
+  const currentSession = getState('currentSession');
+  if (!currentSession) { alert('Please select a session first'); return; }
+  if (!confirm(`Rewind to the start of turn ${turn}? The story and all character changes from that turn on will be discarded.`)) return;
+
+  try {
+    const result = await api(`/api/sessions/${currentSession.id}/rewind`, 'POST', { turn });
+    const { loadSession } = await import('./sessions.js');
+    await loadSession(currentSession.id);
+    loadTimeline();
+    showNotification(`Rewound to turn ${turn} (${result.removedMessages} messages removed)`);
+  } catch (error) {
+    console.error('Failed to rewind:', error);
+    alert('Failed to rewind: ' + error.message);
+  }
+}
+
+// ============================================
+// Branch
+// ============================================
+
+export async function forkAtTurn(turn) {
+  const currentSession = getState('currentSession');
+  if (!currentSession) { alert('Please select a session first'); return; }
+  const name = prompt('Name for the new branch:', `${currentSession.name} (branch at turn ${turn})`);
+  if (name === null) return;
+
+  try {
+    const branch = await api(`/api/sessions/${currentSession.id}/fork`, 'POST', { turn, name: name.trim() || undefined });
+    const { loadSession } = await import('./sessions.js');
+    const { loadCharacters } = await import('./characters.js');
+    await loadCharacters();
+    await loadSession(branch.id);
+    showNotification(`Branched into "${branch.name}"`);
+  } catch (error) {
+    console.error('Failed to branch session:', error);
+    alert('Failed to branch session: ' + error.message);
+  }
+}
@@ -5,8 +5,14 @@
 import { getState, setState } from './state.js';
 import { showConnectionStatus, hideConnectionStatus, showNotification, showNarratorTyping, hideNarratorTyping } from './utils/dom.js';
 import { loadCharacters } from './modules/characters.js';
-import { loadSessions, loadSession, updatePendingActions, updateActionFormState, appendStreamChunk, finalizeStreamedContent, displayChoices, showTurnError } from './modules/sessions.js';
+import { loadSessions, loadSession, updatePendingActions, updateActionFormState, appendStreamChunk, pauseStreamedContent, finalizeStreamedContent, displayChoices, showTurnError } from './modules/sessions.js';
 import { loadSessionSummary } from './modules/settings.js';
+import { setCurrentCombat, renderCombatTracker } from './modules/combat.js';
+import { loadNpcs } from './modules/npcs.js';
+import { setCurrentQuests } from './modules/quests.js';
+import { updateDeathSavePanel } from './modules/deathSaves.js';
+import { setCurrentChecks, updateCheck } from './modules/checks.js';
+import { updateShortRestPanel } from './modules/shortRest.js';
 
 /**
  * Play a short two-tone chime using Web Audio API.
@@ -49,6 +55,23 @@ function playNotificationChime() {
   }
 }
 
+/**
+ * Join the room for a session so this client receives its events.
+ * Only one session room at a time — the server leaves the previous one.
+ */
+export function joinSessionRoom(sessionId) {
+  const socket = getState('socket');
+  if (socket && sessionId) socket.emit('join_session', sessionId);
+}
+
+/**
+ * Join the room for the character this client is playing (empty id leaves it).
+ */
+export function joinCharacterRoom(characterId) {
+  const socket = getState('socket');
+  if (socket) socket.emit('join_character', characterId || '');
+}
+
 export function initSocket() {
   // Clean up existing socket if any
   const existingSocket = getState('socket');
@@ -151,10 +174,47 @@ export function initSocket() {
       document.getElementById('token-counter').textContent = 'Tokens: 0';
       document.getElementById('waiting-counter').textContent = 'Waiting for: 0 players';
       document.getElementById('pending-actions').innerHTML = '';
+      setCurrentCombat(null);
     }
     loadSessions();
   });
 
+  // Story or party changed outside a turn (message deleted, ledger undo, character added/removed)
+  socket.off('session_updated');
+  socket.on('session_updated', ({ id }) => {
+    const currentSession = getState('currentSession');
+    if (currentSession && currentSession.id === id && !getState('isTurnProcessing')) {
+      loadSession(id);
+    }
+  });
+
+  socket.off('quests_updated');
+  socket.on('quests_updated', ({ sessionId, quests }) => {
+    const currentSession = getState('currentSession');
+    if (currentSession && currentSession.id === sessionId) {
+      setCurrentQuests(quests);
+    }
+  });
+
+  // The roller sees their own result from the API response
+  socket.off('death_save_rolled');
+  socket.on('death_save_rolled', ({ sessionId, character_id, character_name, roll, life_state }) => {
+    const currentSession = getState('currentSession');
+    if (!currentSession || currentSession.id !== sessionId) return;
+    if (document.getElementById('action-character')?.value === character_id) return;
+    const result = life_state === 'dead' ? 'and dies' : life_state === 'stable' ? 'and stabilizes' : `(${roll})`;
+    showNotification(`${character_name} rolls a death save ${life_state === 'conscious' ? 'and wakes up' : result}`);
+  });
+
+  socket.off('npcs_updated');
+  socket.on('npcs_updated', ({ sessionId }) => {
+    const currentSession = getState('currentSession');
+    const panel = document.getElementById('npc-panel');
+    if (currentSession && currentSession.id === sessionId && panel && panel.open) {
+      loadNpcs();
+    }
+  });
+
   socket.off('action_submitted');
   socket.on('action_submitted', ({ sessionId, pendingActions, character_id }) => {
     const currentSession = getState('currentSession');
@@ -222,6 +282,30 @@ export function initSocket() {
     }
   });
 
+  // The DM called for checks: the turn pauses (narration so far stays up) until they are rolled
+  socket.off('checks_requested');
+  socket.on('checks_requested', ({ sessionId, checks }) => {
+    const currentSession = getState('currentSession');
+    if (currentSession && currentSession.id === sessionId) {
+      setState({ isTurnProcessing: false });
+      hideNarratorTyping();
+      pauseStreamedContent();
+      setCurrentChecks(checks);
+      updateActionFormState();
+      playNotificationChime();
+      showNotification('The Narrator calls for a roll!');
+    }
+  });
+
+  socket.off('check_rolled');
+  socket.on('check_rolled', ({ sessionId, check }) => {
+    const currentSession = getState('currentSession');
+    if (currentSession && currentSession.id === sessionId) {
+      updateCheck(check);
+      updateActionFormState();
+    }
+  });
+
   // Turn processing error — show retry button
   socket.off('turn_error');
   socket.on('turn_error', ({ sessionId, error }) => {
@@ -251,6 +335,9 @@ export function initSocket() {
     if (sessionIdx !== -1) {
       sessionCharacters[sessionIdx] = character;
       setState({ sessionCharacters });
+      if (getState('currentCombat')) renderCombatTracker();
+      updateDeathSavePanel();
+      updateShortRestPanel();
     }
     loadCharacters();
   });
@@ -267,6 +354,28 @@ export function initSocket() {
     showNotification(`${character.character_name} leveled up to ${character.level}! ${summary}`);
   });
 
+  // Combat: initiative order and whose turn it is
+  socket.off('combat_updated');
+  socket.on('combat_updated', ({ sessionId, combat }) => {
+    const currentSession = getState('currentSession');
+    if (currentSession && currentSession.id === sessionId) {
+      const previous = getState('currentCombat');
+      setCurrentCombat(combat);
+      if (!previous || previous.id !== combat.id) {
+        showNotification(`Combat started: ${combat.name}! Roll for initiative.`);
+      }
+    }
+  });
+
+  socket.off('combat_ended');
+  socket.on('combat_ended', ({ sessionId }) => {
+    const currentSession = getState('currentSession');
+    if (currentSession && currentSession.id === sessionId) {
+      setCurrentCombat(null);
+      showNotification('Combat has ended.');
+    }
+  });
+
   socket.off('session_compacted');
   socket.on('session_compacted', ({ sessionId, compactedCount }) => {
     showNotification(`Session history compacted! ${compactedCount} entries summarized.`);
@@ -5,6 +5,9 @@
 const state = {
   adminPassword: '',
   isAdminAuthenticated: false,
+  currentPlayer: null,
+  currentRole: 'player',
+  gmSessionIds: [],
   currentSession: null,
   characters: [],
   sessionCharacters: [],
@@ -23,8 +26,8 @@ const state = {
   adminLoginResolve: null,
 
   // Level up modal
-  levelUpModalCharId: null,
-  levelUpMessages: [],
+  levelUpCharId: null,
+  levelUpOptions: null,
 
   // Inventory modal
   inventoryModalCharId: null,
@@ -32,12 +35,19 @@ const state = {
   // Spell slots modal
   spellSlotsModalCharId: null,
 
+  // Spellbook modal (spellbook: the server's view of the open character's spellbook)
+  spellbookModalCharId: null,
+  spellbook: null,
+
   // Quick edit modal
   quickEditCharId: null,
 
   // API config edit
   editingConfigId: null,
 
+  // Homebrew entry open in the settings editor
+  editingHomebrewId: null,
+
   // Session creation
   selectedScenario: 'classic_fantasy',
   selectedCharacterIds: [],
@@ -48,6 +58,18 @@ const state = {
 
   // AI-generated choices for current turn
   pendingChoices: null,
+
+  // Active combat for the current session (initiative tracker)
+  currentCombat: null,
+
+  // Quest log of the current session
+  currentQuests: [],
+
+  // Checks the current turn is paused for ([CHECK:] tags)
+  currentChecks: [],
+
+  // GM encounter builder: [{ index, name, cr, xp, count }] picked from the SRD bestiary
+  encounterMonsters: [],
 };
 
 const subscribers = {};
@@ -0,0 +1,8 @@
+// ============================================
+// Dice Expressions (the server's parser, from /shared/dice.js)
+// ============================================
+
+import '/shared/dice.js';
+
+// /shared/dice.js is not an ES module; loaded in the browser it sets globalThis.DiceExpression
+export const { parse, roll, describe, characterModifiers } = globalThis.DiceExpression;
@@ -6,6 +6,11 @@ import { api } from '../api.js';
 
 const cache = new Map();
 
+// Forget cached lists (homebrew changed what the server returns)
+export function clearDndDataCache() {
+  cache.clear();
+}
+
 async function fetchCached(key, endpoint) {
   if (cache.has(key)) return cache.get(key);
   const data = await api(endpoint);
@@ -33,6 +38,31 @@ export async function getEquipment(category) {
   return fetchCached(`equipment:${category}`, `/api/dnd/equipment/${category}`);
 }
 
+function searchQuery(filters) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters || {})) {
+    if (value !== undefined && value !== null && value !== '') params.set(key, value);
+  }
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+export async function searchSpells(filters) {
+  return api(`/api/dnd/spells${searchQuery(filters)}`);
+}
+
+export async function searchEquipment(filters) {
+  return api(`/api/dnd/equipment${searchQuery(filters)}`);
+}
+
+export async function searchMagicItems(filters) {
+  return api(`/api/dnd/magic-items${searchQuery(filters)}`);
+}
+
+export async function searchMonsters(filters) {
+  return api(`/api/dnd/monsters${searchQuery(filters)}`);
+}
+
 export async function getSkills() {
   return fetchCached('skills', '/api/dnd/skills');
 }
@@ -9,6 +9,7 @@ const fs = require('fs');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../lib/logger');
+const messageStore = require('../services/messageStore');
 
 // Ensure data directory exists
 const dbPath = process.env.DB_PATH || './data/dnd.db';
@@ -60,13 +61,30 @@ function initializeTables() {
       id TEXT PRIMARY KEY,
       name TEXT,
       story_summary TEXT,
-      full_history TEXT,
+      full_history TEXT, -- legacy JSON blob, moved to session_messages on startup
       current_turn INTEGER DEFAULT 0,
       total_tokens INTEGER DEFAULT 0,
       is_active INTEGER DEFAULT 1,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
 
+    CREATE TABLE IF NOT EXISTS session_messages (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      ordinal INTEGER NOT NULL,
+      role TEXT NOT NULL,
+      type TEXT,
+      character_id TEXT,
+      content TEXT,
+      povs TEXT,
+      hidden INTEGER DEFAULT 0,
+      meta TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES game_sessions(id),
+      UNIQUE(session_id, ordinal)
+    );
+
     CREATE TABLE IF NOT EXISTS pending_actions (
       id TEXT PRIMARY KEY,
       session_id TEXT,
@@ -114,11 +132,129 @@ function initializeTables() {
       FOREIGN KEY (session_id) REFERENCES game_sessions(id)
     );
 
+    CREATE TABLE IF NOT EXISTS state_ledger (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      turn INTEGER NOT NULL,
+      message_ordinal INTEGER,
+      character_id TEXT NOT NULL,
+      field TEXT NOT NULL,
+      before_value TEXT,
+      after_value TEXT,
+      source_tag TEXT,
+      undone_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES game_sessions(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS npcs (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      name TEXT NOT NULL COLLATE NOCASE,
+      description TEXT DEFAULT '',
+      location TEXT DEFAULT '',
+      attitudes TEXT DEFAULT '{}', -- JSON {characterName: attitude}
+      status TEXT DEFAULT 'alive',
+      notes TEXT DEFAULT '',
+      last_seen_turn INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(session_id, name),
+      FOREIGN KEY (session_id) REFERENCES game_sessions(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS quests (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      title TEXT NOT NULL COLLATE NOCASE,
+      giver TEXT DEFAULT '',
+      description TEXT DEFAULT '',
+      objectives TEXT DEFAULT '[]', -- JSON [{text, done}]
+      status TEXT DEFAULT 'active',
+      reward TEXT DEFAULT '',
+      started_turn INTEGER DEFAULT 0,
+      resolved_turn INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(session_id, title),
+      FOREIGN KEY (session_id) REFERENCES game_sessions(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS dice_rolls (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      character_id TEXT,
+      player_id TEXT,                -- Who pressed the button (null for the shared game password)
+      turn INTEGER DEFAULT 0,
+      expression TEXT NOT NULL,      -- e.g. "d20", "2d6+3"
+      stat TEXT,                     -- Ability added to the roll, e.g. "dexterity"
+      score INTEGER,                 -- That ability's score at the time
+      modifier INTEGER DEFAULT 0,    -- Everything added to the dice (expression + stat)
+      rolls TEXT DEFAULT '[]',       -- JSON array of each die
+      total INTEGER NOT NULL,
+      action_id TEXT,                -- pending_actions (or ability_checks) row the roll was used for
+      claimed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES game_sessions(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS ability_checks (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      turn INTEGER DEFAULT 0,        -- Turn paused for the roll
+      character_id TEXT NOT NULL,
+      label TEXT NOT NULL,           -- As the DM asked, e.g. "DEX save"
+      ability TEXT NOT NULL,         -- e.g. "dexterity"
+      skill TEXT,                    -- e.g. "perception" for a skill check
+      kind TEXT DEFAULT 'check',     -- 'check' | 'save'
+      dc INTEGER,
+      roll_id TEXT,                  -- dice_rolls row once rolled
+      total INTEGER,
+      outcome TEXT,                  -- null while waiting; 'success' | 'failure' | 'rolled' (no DC) | 'auto_fail'
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES game_sessions(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS players (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      display_name TEXT,
+      password_hash TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS player_tokens (
+      token_hash TEXT PRIMARY KEY,
+      player_id TEXT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (player_id) REFERENCES players(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS session_gms (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      player_id TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(session_id, player_id)
+    );
+
     CREATE TABLE IF NOT EXISTS dnd_data_cache (
       key TEXT PRIMARY KEY,
       data TEXT NOT NULL,
       fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
+
+    CREATE TABLE IF NOT EXISTS homebrew (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,            -- 'race' | 'class' | 'subclass' | 'background' | 'item'
+      entry_index TEXT NOT NULL,     -- e.g. "half-giant", unique per type and not shared with an SRD entry
+      name TEXT NOT NULL,
+      data TEXT NOT NULL,            -- JSON in the shape of the matching server/data/srd file
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(type, entry_index)
+    );
   `);
 
   // Create indexes for better performance
@@ -133,6 +269,16 @@ function initializeTables() {
       CREATE INDEX IF NOT EXISTS idx_characters_created ON characters(created_at);
       CREATE INDEX IF NOT EXISTS idx_game_sessions_created ON game_sessions(created_at);
       CREATE INDEX IF NOT EXISTS idx_snapshots_session ON game_snapshots(session_id);
+      CREATE INDEX IF NOT EXISTS idx_session_messages_character ON session_messages(character_id);
+      CREATE INDEX IF NOT EXISTS idx_state_ledger_session_turn ON state_ledger(session_id, turn);
+      CREATE INDEX IF NOT EXISTS idx_state_ledger_message ON state_ledger(session_id, message_ordinal);
+      CREATE INDEX IF NOT EXISTS idx_npcs_session ON npcs(session_id, last_seen_turn);
+      CREATE INDEX IF NOT EXISTS idx_quests_session ON quests(session_id, status);
+      CREATE INDEX IF NOT EXISTS idx_dice_rolls_session ON dice_rolls(session_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_dice_rolls_action ON dice_rolls(action_id);
+      CREATE INDEX IF NOT EXISTS idx_ability_checks_session ON ability_checks(session_id);
+      CREATE INDEX IF NOT EXISTS idx_player_tokens_player ON player_tokens(player_id);
+      CREATE INDEX IF NOT EXISTS idx_session_gms_player ON session_gms(player_id);
     `);
   } catch (e) {
     // Indexes may already exist
@@ -163,6 +309,17 @@ function runMigrations() {
     { col: 'initiative_bonus', sql: "ALTER TABLE characters ADD COLUMN initiative_bonus INTEGER DEFAULT 0" },
     { col: 'image_url', sql: "ALTER TABLE characters ADD COLUMN image_url TEXT DEFAULT ''" },
     { col: 'inspiration_points', sql: 'ALTER TABLE characters ADD COLUMN inspiration_points INTEGER DEFAULT 4' },
+    { col: 'owner_id', sql: 'ALTER TABLE characters ADD COLUMN owner_id TEXT' },
+    { col: 'conditions', sql: "ALTER TABLE characters ADD COLUMN conditions TEXT DEFAULT '[]'" },
+    { col: 'life_state', sql: "ALTER TABLE characters ADD COLUMN life_state TEXT DEFAULT 'conscious'" },
+    { col: 'death_successes', sql: 'ALTER TABLE characters ADD COLUMN death_successes INTEGER DEFAULT 0' },
+    { col: 'death_failures', sql: 'ALTER TABLE characters ADD COLUMN death_failures INTEGER DEFAULT 0' },
+    { col: 'hit_dice_spent', sql: "ALTER TABLE characters ADD COLUMN hit_dice_spent TEXT DEFAULT '{}'" },
+    { col: 'short_rest_open', sql: 'ALTER TABLE characters ADD COLUMN short_rest_open INTEGER DEFAULT 0' },
+    { col: 'skill_proficiencies', sql: 'ALTER TABLE characters ADD COLUMN skill_proficiencies TEXT' },
+    { col: 'save_proficiencies', sql: 'ALTER TABLE characters ADD COLUMN save_proficiencies TEXT' },
+    { col: 'spellbook', sql: `ALTER TABLE characters ADD COLUMN spellbook TEXT DEFAULT '{"subclass":null,"spells":[]}'` },
+    { col: 'branch_session_id', sql: 'ALTER TABLE characters ADD COLUMN branch_session_id TEXT' },
   ];
 
   for (const { col, sql } of migrations) {
@@ -181,6 +338,9 @@ function runMigrations() {
   const sessionMigrations = [
     { col: 'compacted_count', sql: 'ALTER TABLE game_sessions ADD COLUMN compacted_count INTEGER DEFAULT 0' },
     { col: 'scenario', sql: "ALTER TABLE game_sessions ADD COLUMN scenario TEXT DEFAULT 'classic_fantasy'" },
+    { col: 'parent_session_id', sql: 'ALTER TABLE game_sessions ADD COLUMN parent_session_id TEXT' },
+    { col: 'forked_at_turn', sql: 'ALTER TABLE game_sessions ADD COLUMN forked_at_turn INTEGER' },
+    { col: 'check_narration', sql: 'ALTER TABLE game_sessions ADD COLUMN check_narration TEXT' },
   ];
 
   for (const { col, sql } of sessionMigrations) {
@@ -193,6 +353,78 @@ function runMigrations() {
       }
     }
   }
+
+  // Player table migrations
+  const playerColumns = db.prepare("PRAGMA table_info(players)").all().map(c => c.name);
+  const playerMigrations = [
+    { col: 'role', sql: "ALTER TABLE players ADD COLUMN role TEXT DEFAULT 'player'" },
+  ];
+
+  for (const { col, sql } of playerMigrations) {
+    if (!playerColumns.includes(col)) {
+      try {
+        db.exec(sql);
+        logger.info(`Migration: Added player column ${col}`);
+      } catch (e) {
+        logger.error(`Migration failed for players.${col}:`, e.message);
+      }
+    }
+  }
+
+  // Dice roll migrations (which rolls an action can still use, and how many it replaced)
+  const rollColumns = db.prepare("PRAGMA table_info(dice_rolls)").all().map(c => c.name);
+  const rollMigrations = [
+    { col: 'kind', sql: "ALTER TABLE dice_rolls ADD COLUMN kind TEXT DEFAULT 'action'" },
+    { col: 'voided_at', sql: 'ALTER TABLE dice_rolls ADD COLUMN voided_at DATETIME' },
+    { col: 'discarded', sql: 'ALTER TABLE dice_rolls ADD COLUMN discarded INTEGER DEFAULT 0' },
+  ];
+
+  for (const { col, sql } of rollMigrations) {
+    if (!rollColumns.includes(col)) {
+      try {
+        db.exec(sql);
+        logger.info(`Migration: Added dice roll column ${col}`);
+      } catch (e) {
+        logger.error(`Migration failed for dice_rolls.${col}:`, e.message);
+      }
+    }
+  }
+
+  // Check migrations (advantage / disadvantage the DM or a GM gave the roll)
+  const checkColumns = db.prepare("PRAGMA table_info(ability_checks)").all().map(c => c.name);
+  const checkMigrations = [
+    { col: 'mode', sql: 'ALTER TABLE ability_checks ADD COLUMN mode TEXT' },
+  ];
+
+  for (const { col, sql } of checkMigrations) {
+    if (!checkColumns.includes(col)) {
+      try {
+        db.exec(sql);
+        logger.info(`Migration: Added check column ${col}`);
+      } catch (e) {
+        logger.error(`Migration failed for ability_checks.${col}:`, e.message);
+      }
+    }
+  }
+
+  // Snapshot table migrations (where the story stood when the turn began, for rewind)
+  const snapshotColumns = db.prepare("PRAGMA table_info(game_snapshots)").all().map(c => c.name);
+  const snapshotMigrations = [
+    { col: 'message_ordinal', sql: 'ALTER TABLE game_snapshots ADD COLUMN message_ordinal INTEGER' },
+    { col: 'story_summary', sql: 'ALTER TABLE game_snapshots ADD COLUMN story_summary TEXT' },
+    { col: 'compacted_count', sql: 'ALTER TABLE game_snapshots ADD COLUMN compacted_count INTEGER' },
+  ];
+
+  for (const { col, sql } of snapshotMigrations) {
+    if (!snapshotColumns.includes(col)) {
+      try {
+        db.exec(sql);
+        logger.info(`Migration: Added snapshot column ${col}`);
+      } catch (e) {
+        logger.error(`Migration failed for game_snapshots.${col}:`, e.message);
+      }
+    }
+  }
 }
 
 /**
@@ -287,6 +519,32 @@ function migrateEquipmentToInventory() {
   }
 }
 
+/**
+ * Move session history out of the full_history JSON blob into session_messages
+ * Each session is converted in its own transaction and its blob cleared, so this is safe to re-run.
+ */
+function migrateHistoryToMessages() {
+  const sessions = db.prepare("SELECT id, full_history FROM game_sessions WHERE full_history IS NOT NULL AND full_history != ''").all();
+  let migrated = 0;
+  for (const session of sessions) {
+    try {
+      let history = JSON.parse(session.full_history);
+      if (!Array.isArray(history)) history = [];
+
+      db.transaction(() => {
+        messageStore.appendMessages(db, session.id, history);
+        db.prepare('UPDATE game_sessions SET full_history = NULL WHERE id = ?').run(session.id);
+      })();
+      if (history.length > 0) migrated++;
+    } catch (e) {
+      logger.error(`Failed to migrate history for session ${session.id}`, { error: e.message });
+    }
+  }
+  if (migrated > 0) {
+    logger.info(`Migrated history of ${migrated} sessions to session_messages`);
+  }
+}
+
 /**
  * Seed API config from legacy settings if needed
  */
@@ -351,6 +609,9 @@ function initializePasswords() {
   initSetting.run('api_key', '');
   initSetting.run('api_model', 'gpt-4');
   initSetting.run('max_tokens_before_compact', '8000');
+
+  // Key that signs dice roll ids (server/services/diceService.js)
+  initSetting.run('dice_roll_secret', generateSecurePassword());
 }
 
 // Initialize on module load
@@ -359,6 +620,7 @@ runMigrations();
 migrateMulticlass();
 migrateAcEffects();
 migrateEquipmentToInventory();
+migrateHistoryToMessages();
 seedApiConfig();
 initializePasswords();
 
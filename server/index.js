@@ -9,6 +9,7 @@ const path = require('path');
 const logger = require('./lib/logger');
 const { securityHeaders, corsMiddleware } = require('./middleware/security');
 const { errorHandler } = require('./middleware/errorHandler');
+const { registerRoomHandlers } = require('./lib/rooms');
 
 // Import database (runs all migrations on load)
 const { db } = require('./config/database');
@@ -18,6 +19,7 @@ const aiService = require('./services/aiService');
 const tagParser = require('./services/tagParser');
 const { parseAcEffects, calculateTotalAC, updateCharacterAC, getSessionCharacters } = require('./services/characterService');
 const { applyAllTags } = require('./services/tagApplicator');
+const messageStore = require('./services/messageStore');
 const { processAITurn: processAITurnCore, streamAITurn: streamAITurnCore, compactHistory, estimateTokens } = require('./services/turnProcessor');
 
 // Import auth middleware factory
@@ -69,13 +71,17 @@ app.use(securityHeaders);
 const allowedOrigins = process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : [];
 app.use(corsMiddleware(allowedOrigins));
 app.use(express.static(path.join(__dirname, '../public')));
+// Code used by both server and browser (e.g. the dice expression parser)
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
 app.use('/uploads', express.static(path.join(__dirname, '../data/uploads')));
 
 // ============================================
 // Auth
 // ============================================
-const { checkPassword, checkAdminPassword } = createAuthMiddleware(db);
-const auth = { checkPassword, checkAdminPassword };
+const auth = createAuthMiddleware(db);
+
+// Resolve the logged-in player (if any) for every API request
+app.use('/api', auth.attachPlayer);
 
 // ============================================
 // Helper: Get active API config (formatted for routes)
@@ -107,20 +113,22 @@ const turnDeps = {
 
 function processAITurn(sessionId, pendingActions, characters) {
   // Use streaming by default, fall back to non-streaming only if stream fails BEFORE any state mutation
+  const messageCountBefore = messageStore.countMessages(turnDeps.db, sessionId);
   return streamAITurnCore(turnDeps, sessionId, pendingActions, characters)
     .catch(streamError => {
       // Only safe to fallback if the error is a connection/setup error (before history was mutated)
-      // Check if history was already modified by re-reading session
-      const session = turnDeps.db.prepare('SELECT full_history FROM game_sessions WHERE id = ?').get(sessionId);
-      const history = JSON.parse(session?.full_history || '[]');
-      const lastEntry = history[history.length - 1];
-      if (lastEntry && lastEntry.type === 'narration') {
-        // Stream already wrote a narration — don't double-process
+      // The turn's entries are appended in one transaction, so any new rows mean it was committed
+      if (messageStore.countMessages(turnDeps.db, sessionId) !== messageCountBefore) {
+        // Stream already wrote its entries — don't double-process
         throw new Error('Streaming failed after partial processing: ' + streamError.message);
       }
       console.warn('Streaming failed before processing, falling back to non-streaming:', streamError.message);
       return processAITurnCore(turnDeps, sessionId, pendingActions, characters);
-    });
+    })
+    // Paused for checks nobody has to roll (e.g. an unconscious character's DEX save) — resume now
+    .then(result => result.paused && result.checks.every(c => c.outcome)
+      ? processAITurn(sessionId, pendingActions, characters)
+      : result);
 }
 
 // ============================================
@@ -147,10 +155,19 @@ const routes = initializeRoutes({
 });
 
 app.use('/api', routes.auth);
+app.use('/api/players', routes.players);
 app.use('/api/characters', routes.characters);
 app.use('/api/api-configs', routes.apiConfig);
 app.use('/api/sessions', routes.sessions);
+app.use('/api/sessions/:id/combat', routes.combat);
+app.use('/api/sessions/:id/ledger', routes.ledger);
+app.use('/api/sessions/:id/npcs', routes.npcs);
+app.use('/api/sessions/:id/quests', routes.quests);
+app.use('/api/sessions/:id/checks', routes.checks);
+app.use('/api/sessions/:id/encounter', routes.encounters);
+app.use('/api/sessions/:id', routes.dice);
 app.use('/api/tts', routes.tts);
+app.use('/api/dnd/homebrew', routes.homebrew);
 app.use('/api/dnd', routes.dndData);
 
 // Global error handler (must be last middleware)
@@ -159,8 +176,10 @@ app.use(errorHandler);
 // ============================================
 // Socket.IO
 // ============================================
+// Clients join a room per session (and per played character); server emits are scoped to those rooms
 io.on('connection', (socket) => {
   logger.debug('Client connected', { socketId: socket.id });
+  registerRoomHandlers(socket, db);
   socket.on('disconnect', () => {
     logger.debug('Client disconnected', { socketId: socket.id });
   });
@@ -0,0 +1,48 @@
+/**
+ * Roles & Permissions
+ * player < cogm < admin
+ *
+ * - player: plays their own characters
+ * - cogm:   GM tools for a session (nudges, rerolls, summaries, auto-reply) —
+ *           either globally (players.role) or per session (session_gms)
+ * - admin:  everything, including API configs, settings and role management
+ *
+ * Routes declare the minimum role they need with auth.requireRole(ROLES.X).
+ */
+
+const ROLES = Object.freeze({
+  PLAYER: 'player',
+  COGM: 'cogm',
+  ADMIN: 'admin'
+});
+
+const ROLE_LEVELS = {
+  [ROLES.PLAYER]: 0,
+  [ROLES.COGM]: 1,
+  [ROLES.ADMIN]: 2
+};
+
+/**
+ * Whether a role string is a known role
+ * @param {string} role - Role name
+ * @returns {boolean}
+ */
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_LEVELS, role);
+}
+
+/**
+ * Whether a role meets a minimum role
+ * @param {string} role - Role held
+ * @param {string} minRole - Role required
+ * @returns {boolean}
+ */
+function roleAtLeast(role, minRole) {
+  return (ROLE_LEVELS[role] ?? 0) >= ROLE_LEVELS[minRole];
+}
+
+module.exports = {
+  ROLES,
+  isValidRole,
+  roleAtLeast
+};
@@ -0,0 +1,123 @@
+/**
+ * Socket.IO Room Helpers
+ * Scopes broadcasts to the session (table) and character they concern
+ *
+ * Rooms:
+ *   session:<sessionId>     - every client viewing that session
+ *   character:<characterId> - the client(s) playing that character
+ */
+
+const logger = require('./logger');
+const { findPlayerByToken, readTokenFromCookie, canControlCharacter } = require('../services/playerService');
+
+/**
+ * Room name for a game session
+ * @param {string} sessionId - Session ID
+ * @returns {string} Room name
+ */
+function sessionRoom(sessionId) {
+  return `session:${sessionId}`;
+}
+
+/**
+ * Room name for a character
+ * @param {string} characterId - Character ID
+ * @returns {string} Room name
+ */
+function characterRoom(characterId) {
+  return `character:${characterId}`;
+}
+
+/**
+ * Emit an event to everyone viewing a session
+ * @param {Object} io - Socket.IO server
+ * @param {string} sessionId - Session ID
+ * @param {string} event - Event name
+ * @param {*} payload - Event payload
+ */
+function emitToSession(io, sessionId, event, payload) {
+  io.to(sessionRoom(sessionId)).emit(event, payload);
+}
+
+/**
+ * Emit an event about a character to its own room and every session it plays in
+ * Socket.IO de-duplicates sockets that are in several of the target rooms.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} db - Database instance
+ * @param {string} characterId - Character ID
+ * @param {string} event - Event name
+ * @param {*} payload - Event payload
+ */
+function emitToCharacter(io, db, characterId, event, payload) {
+  const sessionIds = db.prepare('SELECT session_id FROM session_characters WHERE character_id = ?')
+    .all(characterId)
+    .map(row => row.session_id);
+  const rooms = [characterRoom(characterId), ...sessionIds.map(sessionRoom)];
+  io.to(rooms).emit(event, payload);
+}
+
+/**
+ * Broadcast a character_updated event for a character
+ * @param {Object} io - Socket.IO server
+ * @param {Object} db - Database instance
+ * @param {Object} character - Character row (must include id)
+ */
+function emitCharacterUpdated(io, db, character) {
+  emitToCharacter(io, db, character.id, 'character_updated', character);
+}
+
+/**
+ * Leave every room with the given prefix (a socket views one session / plays one character at a time)
+ * @param {Object} socket - Socket.IO socket
+ * @param {string} prefix - Room prefix ("session:" or "character:")
+ */
+function leaveRoomsWithPrefix(socket, prefix) {
+  for (const room of socket.rooms) {
+    if (room.startsWith(prefix)) socket.leave(room);
+  }
+}
+
+/**
+ * Register join/leave handlers on a newly connected socket
+ * Clients emit join_session when they open a session and join_character when they pick a character.
+ * @param {Object} socket - Socket.IO socket
+ * @param {Object} db - Database instance
+ */
+function registerRoomHandlers(socket, db) {
+  socket.on('join_session', (sessionId) => {
+    if (typeof sessionId !== 'string') return;
+    const session = db.prepare('SELECT id FROM game_sessions WHERE id = ?').get(sessionId);
+    if (!session) return;
+
+    leaveRoomsWithPrefix(socket, 'session:');
+    socket.join(sessionRoom(sessionId));
+    logger.debug('Socket joined session room', { socketId: socket.id, sessionId });
+  });
+
+  socket.on('leave_session', () => {
+    leaveRoomsWithPrefix(socket, 'session:');
+  });
+
+  socket.on('join_character', (characterId) => {
+    leaveRoomsWithPrefix(socket, 'character:');
+    if (typeof characterId !== 'string' || !characterId) return;
+    const character = db.prepare('SELECT id, owner_id FROM characters WHERE id = ?').get(characterId);
+    if (!character) return;
+
+    // Character rooms carry private updates — only the owner may listen in
+    const player = findPlayerByToken(db, readTokenFromCookie(socket.handshake.headers.cookie));
+    if (!canControlCharacter(character, player, false)) return;
+
+    socket.join(characterRoom(characterId));
+    logger.debug('Socket joined character room', { socketId: socket.id, characterId });
+  });
+}
+
+module.exports = {
+  sessionRoom,
+  characterRoom,
+  emitToSession,
+  emitToCharacter,
+  emitCharacterUpdated,
+  registerRoomHandlers
+};
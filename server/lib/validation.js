@@ -87,6 +87,11 @@ const schemas = {
   },
   adminAuth: {
     adminPassword: { required: true, type: 'string', maxLen: 200 }
+  },
+  player: {
+    username: { required: true, type: 'string', maxLen: 32 },
+    password: { required: true, type: 'string', maxLen: 200 },
+    display_name: { type: 'string', maxLen: 100 }
   }
 };
 
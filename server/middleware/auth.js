@@ -1,9 +1,12 @@
 /**
  * Authentication Middleware
- * Handles game password and admin password verification
+ * Handles admin password verification, player login tokens, roles, and character ownership
  */
 
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const { findPlayerByToken, readTokenFromCookie, canControlCharacter } = require('../services/playerService');
+const { ROLES, roleAtLeast } = require('../lib/permissions');
 
 /**
  * Create authentication middleware with database dependency
@@ -19,22 +22,130 @@ function createAuthMiddleware(db) {
     next();
   };
 
+  // bcrypt is deliberately slow — remember the last header that verified against the current hash
+  let verifiedAdmin = null;
+
   /**
-   * Check admin password (requires game password first)
+   * Whether the request carries the admin password header
+   * @param {Object} req - Express request
+   * @returns {boolean}
    */
-  const checkAdminPassword = (req, res, next) => {
+  const hasAdminPassword = (req) => {
     const adminPwd = req.headers['x-admin-password'];
+    if (!adminPwd) return false;
     const storedHash = db.prepare('SELECT value FROM settings WHERE key = ?').get('admin_password');
+    if (!storedHash) return false;
+
+    const digest = crypto.createHash('sha256').update(adminPwd).digest('hex');
+    if (verifiedAdmin && verifiedAdmin.digest === digest && verifiedAdmin.hash === storedHash.value) {
+      return true;
+    }
+    if (!bcrypt.compareSync(adminPwd, storedHash.value)) return false;
+
+    verifiedAdmin = { digest, hash: storedHash.value };
+    return true;
+  };
+
+  /**
+   * Whether the request is from an admin (admin password, or a player with the admin role)
+   * Non-blocking check.
+   * @param {Object} req - Express request
+   * @returns {boolean}
+   */
+  const isAdminRequest = (req) => {
+    if (req.player && req.player.role === ROLES.ADMIN) return true;
+    return hasAdminPassword(req);
+  };
+
+  /**
+   * Resolve the requester's role, optionally for a specific session
+   * @param {Object} req - Express request
+   * @param {string} [sessionId] - Session the request concerns (per-session GM assignment)
+   * @returns {string} One of ROLES
+   */
+  const getRole = (req, sessionId) => {
+    if (isAdminRequest(req)) return ROLES.ADMIN;
+    if (!req.player) return ROLES.PLAYER;
+    if (req.player.role === ROLES.COGM) return ROLES.COGM;
+    if (sessionId) {
+      const assigned = db.prepare('SELECT 1 FROM session_gms WHERE session_id = ? AND player_id = ?').get(sessionId, req.player.id);
+      if (assigned) return ROLES.COGM;
+    }
+    return ROLES.PLAYER;
+  };
+
+  /**
+   * Require a minimum role
+   * @param {string} minRole - One of ROLES
+   * @param {Function} [getSessionId] - Extracts the session ID from req (defaults to req.params.id)
+   * @returns {Function} Express middleware
+   */
+  const requireRole = (minRole, getSessionId = (req) => req.params.id) => (req, res, next) => {
+    if (roleAtLeast(getRole(req, getSessionId(req)), minRole)) return next();
+
+    if (minRole === ROLES.ADMIN) {
+      return res.status(403).json({ error: 'Admin access required', code: 'ADMIN_REQUIRED' });
+    }
+    res.status(403).json({ error: 'GM access required', code: 'GM_REQUIRED' });
+  };
+
+  /**
+   * Check admin access (admin password or admin player)
+   */
+  const checkAdminPassword = requireRole(ROLES.ADMIN, () => null);
+
+  /**
+   * Resolve the logged-in player (cookie, or X-Player-Token header) onto req.player
+   * Never blocks — anonymous requests get req.player = null.
+   */
+  const attachPlayer = (req, res, next) => {
+    const token = readTokenFromCookie(req.headers.cookie) || req.headers['x-player-token'];
+    req.player = findPlayerByToken(db, token);
+    next();
+  };
+
+  /**
+   * Require a logged-in player
+   */
+  const requirePlayer = (req, res, next) => {
+    if (!req.player) {
+      return res.status(401).json({ error: 'Please log in as a player first' });
+    }
+    next();
+  };
+
+  /**
+   * Require that the requester owns the character (or is admin / a GM of the session)
+   * Missing or unknown characters fall through so the route can answer 400/404 itself.
+   * @param {Function} [getCharacterId] - Extracts the character ID from req (defaults to req.params.id)
+   * @param {Function} [getSessionId] - Extracts the session ID; its GMs may act for any character (omit for admin-only override)
+   * @returns {Function} Express middleware
+   */
+  const requireCharacterOwner = (getCharacterId = (req) => req.params.id, getSessionId = null) => (req, res, next) => {
+    const characterId = getCharacterId(req);
+    if (!characterId) return next();
+
+    const character = db.prepare('SELECT id, owner_id FROM characters WHERE id = ?').get(characterId);
+    if (!character) return next();
 
-    if (!storedHash || !bcrypt.compareSync(adminPwd || '', storedHash.value)) {
-      return res.status(403).json({ error: 'Admin access required' });
+    const canOverride = getSessionId
+      ? roleAtLeast(getRole(req, getSessionId(req)), ROLES.COGM)
+      : isAdminRequest(req);
+    if (!canControlCharacter(character, req.player, canOverride)) {
+      return res.status(403).json({ error: 'You do not control this character', code: 'NOT_OWNER' });
     }
     next();
   };
 
   return {
     checkPassword,
-    checkAdminPassword
+    checkAdminPassword,
+    isAdminRequest,
+    getRole,
+    requireRole,
+    attachPlayer,
+    requirePlayer,
+    requireCharacterOwner
   };
 }
 
@@ -10,18 +10,18 @@ const { testConnection } = require('../services/aiService');
 /**
  * Create API config router with dependencies
  * @param {Object} db - Database instance
- * @param {Object} auth - Auth middleware {checkPassword}
+ * @param {Object} auth - Auth middleware {checkPassword, checkAdminPassword}
  * @returns {express.Router} Configured router
  */
 function createApiConfigRoutes(db, auth) {
   const router = express.Router();
-  const { checkPassword } = auth;
+  const { checkPassword, checkAdminPassword } = auth;
 
   /**
    * GET /api/api-configs
    * List all API configurations (keys masked)
    */
-  router.get('/', checkPassword, (req, res) => {
+  router.get('/', checkPassword, checkAdminPassword, (req, res) => {
     const configs = db.prepare('SELECT * FROM api_configs ORDER BY created_at DESC').all();
     // Mask API keys for security
     const maskedConfigs = configs.map(config => ({
@@ -35,7 +35,7 @@ function createApiConfigRoutes(db, auth) {
    * POST /api/api-configs
    * Create new API configuration
    */
-  router.post('/', checkPassword, (req, res) => {
+  router.post('/', checkPassword, checkAdminPassword, (req, res) => {
     const { name, endpoint, api_key, model, is_active } = req.body;
 
     if (!name || !endpoint || !api_key || !model) {
@@ -60,7 +60,7 @@ function createApiConfigRoutes(db, auth) {
    * PUT /api/api-configs/:id
    * Update API configuration
    */
-  router.put('/:id', checkPassword, (req, res) => {
+  router.put('/:id', checkPassword, checkAdminPassword, (req, res) => {
     const { id } = req.params;
     const { name, endpoint, api_key, model } = req.body;
 
@@ -89,7 +89,7 @@ function createApiConfigRoutes(db, auth) {
    * DELETE /api/api-configs/:id
    * Delete API configuration
    */
-  router.delete('/:id', checkPassword, (req, res) => {
+  router.delete('/:id', checkPassword, checkAdminPassword, (req, res) => {
     const { id } = req.params;
 
     const existing = db.prepare('SELECT * FROM api_configs WHERE id = ?').get(id);
@@ -110,7 +110,7 @@ function createApiConfigRoutes(db, auth) {
    * POST /api/api-configs/:id/activate
    * Activate specific API configuration
    */
-  router.post('/:id/activate', checkPassword, (req, res) => {
+  router.post('/:id/activate', checkPassword, checkAdminPassword, (req, res) => {
     const { id } = req.params;
 
     const existing = db.prepare('SELECT * FROM api_configs WHERE id = ?').get(id);
@@ -128,7 +128,7 @@ function createApiConfigRoutes(db, auth) {
    * POST /api/test-connection
    * Test API connection with provided credentials
    */
-  router.post('/test-connection', checkPassword, async (req, res) => {
+  router.post('/test-connection', checkPassword, checkAdminPassword, async (req, res) => {
     const { api_endpoint, api_key, api_model } = req.body;
 
     if (!api_endpoint || !api_key || !api_model) {
@@ -156,7 +156,7 @@ function createApiConfigRoutes(db, auth) {
    * POST /api/test-connection/:id
    * Test API connection by config ID
    */
-  router.post('/test-connection/:id', checkPassword, async (req, res) => {
+  router.post('/test-connection/:id', checkPassword, checkAdminPassword, async (req, res) => {
     const { id } = req.params;
 
     const config = db.prepare('SELECT * FROM api_configs WHERE id = ?').get(id);
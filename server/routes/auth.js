@@ -35,7 +35,7 @@ function createAuthRoutes(db, auth, rateLimiter) {
     const settings = {};
     const rows = db.prepare('SELECT key, value FROM settings').all();
     rows.forEach(row => {
-      if (row.key === 'game_password' || row.key === 'admin_password') {
+      if (row.key === 'game_password' || row.key === 'admin_password' || row.key === 'dice_roll_secret') {
         settings[row.key] = '********';
       } else {
         settings[row.key] = row.value;
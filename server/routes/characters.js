@@ -7,21 +7,34 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { validate, validateBody, schemas } = require('../lib/validation');
 const { getCached, setCache, invalidateCache } = require('../lib/cache');
+const { emitToCharacter, emitCharacterUpdated } = require('../lib/rooms');
+const conditionService = require('../services/conditionService');
+const deathSaveService = require('../services/deathSaveService');
+const derivedStatsService = require('../services/derivedStatsService');
+const levelUpService = require('../services/levelUpService');
+const spellbookService = require('../services/spellbookService');
+const inventoryService = require('../services/inventoryService');
+const dndData = require('../services/dndDataService');
+const dice = require('../../shared/dice');
 
 /**
  * Create character router with dependencies
  * @param {Object} deps - Dependencies object
  * @param {Object} deps.db - Database instance
  * @param {Object} deps.io - Socket.IO instance
- * @param {Object} deps.auth - Auth middleware {checkPassword, checkAdminPassword}
+ * @param {Object} deps.auth - Auth middleware {checkPassword, requirePlayer, requireCharacterOwner}
  * @param {Object} deps.aiService - AI service module
  * @param {Function} deps.getActiveApiConfig - Function to get active API config
+ * @param {Function} deps.parseAcEffects - Parse a character's ac_effects column
+ * @param {Function} deps.updateCharacterAC - Save AC effects and the total AC they give
  * @returns {express.Router} Configured router
  */
 function createCharacterRoutes(deps) {
-  const { db, io, auth, aiService, getActiveApiConfig } = deps;
+  const { db, io, auth, aiService, getActiveApiConfig, parseAcEffects, updateCharacterAC } = deps;
   const router = express.Router();
-  const { checkPassword } = auth;
+  const { checkPassword, requirePlayer, requireCharacterOwner } = auth;
+  // Only the owning player (or admin) may change a character
+  const checkOwner = requireCharacterOwner();
   const { upload } = require('../middleware/upload');
   const fs = require('fs');
   const path = require('path');
@@ -29,10 +42,6 @@ function createCharacterRoutes(deps) {
   // XP thresholds for each level (D&D 5e)
   const XP_THRESHOLDS = [0, 300, 900, 2700, 6500, 14000, 23000, 34000, 48000, 64000, 85000, 100000, 120000, 140000, 165000, 195000, 225000, 265000, 305000, 355000];
 
-  const STATIC_CLASSES = JSON.parse(
-    fs.readFileSync(path.join(__dirname, '../data/srd/classes.json'), 'utf-8')
-  );
-
   const CLASS_FEATURES_L1 = {
     'Barbarian': 'Rage (2/long rest, +2 damage), Unarmored Defense (AC = 10 + DEX + CON)',
     'Bard': 'Bardic Inspiration (d6, CHA mod/long rest), Spellcasting',
@@ -67,12 +76,11 @@ function createCharacterRoutes(deps) {
     const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(id);
     if (!character) return;
 
-    const calcMod = (score) => Math.floor(((score || 10) - 10) / 2);
     const updates = {};
 
     // Passives — check skill proficiency for bonus
-    const wisMod = calcMod(character.wisdom);
-    const intMod = calcMod(character.intelligence);
+    const wisMod = dice.abilityModifier(character.wisdom);
+    const intMod = dice.abilityModifier(character.intelligence);
     const skills = (character.skills || '').toLowerCase();
     const profBonus = 2; // Level 1
     const passivePerception = 10 + wisMod + (skills.includes('perception') ? profBonus : 0);
@@ -81,8 +89,8 @@ function createCharacterRoutes(deps) {
     updates.passives = `Passive Perception: ${passivePerception}, Passive Insight: ${passiveInsight}, Passive Investigation: ${passiveInvestigation}`;
 
     // AC — class-specific unarmored defense
-    const dexMod = calcMod(character.dexterity);
-    const conMod = calcMod(character.constitution);
+    const dexMod = dice.abilityModifier(character.dexterity);
+    const conMod = dice.abilityModifier(character.constitution);
     const className = character.class || '';
     let ac = 10 + dexMod;
     let acSource = 'Unarmored';
@@ -91,7 +99,7 @@ function createCharacterRoutes(deps) {
       ac = 10 + dexMod + conMod;
       acSource = 'Unarmored Defense (Barbarian)';
     } else if (className === 'Monk') {
-      ac = 10 + dexMod + calcMod(character.wisdom);
+      ac = 10 + dexMod + dice.abilityModifier(character.wisdom);
       acSource = 'Unarmored Defense (Monk)';
     }
 
@@ -99,7 +107,7 @@ function createCharacterRoutes(deps) {
     updates.ac_effects = JSON.stringify({ base_source: acSource, base_value: ac, effects: [] });
 
     // HP from class hit die
-    const classData = STATIC_CLASSES.find(c => c.name === className);
+    const classData = dndData.findClass(db, className);
     const hitDie = classData ? classData.hit_die : 10;
     const hp = hitDie + conMod;
     updates.hp = hp;
@@ -133,7 +141,7 @@ function createCharacterRoutes(deps) {
 
   /**
    * GET /api/characters
-   * List all characters
+   * List all characters, each with its computed sheet (derived)
    * Supports optional pagination: ?page=1&limit=20
    * - If no page param: returns flat array (backward compatible)
    * - If page param present: returns { characters, total, page, limit, totalPages }
@@ -149,7 +157,8 @@ function createCharacterRoutes(deps) {
         return res.json(cached);
       }
 
-      const characters = db.prepare('SELECT * FROM characters ORDER BY created_at DESC').all();
+      const characters = db.prepare('SELECT * FROM characters ORDER BY created_at DESC').all()
+        .map(c => derivedStatsService.withDerivedStats(db, c));
       setCache(cacheKey, characters);
       return res.json(characters);
     }
@@ -167,7 +176,8 @@ function createCharacterRoutes(deps) {
 
     const total = db.prepare('SELECT COUNT(*) as count FROM characters').get().count;
     const totalPages = Math.ceil(total / limitNum);
-    const characters = db.prepare('SELECT * FROM characters ORDER BY created_at DESC LIMIT ? OFFSET ?').all(limitNum, offset);
+    const characters = db.prepare('SELECT * FROM characters ORDER BY created_at DESC LIMIT ? OFFSET ?').all(limitNum, offset)
+      .map(c => derivedStatsService.withDerivedStats(db, c));
 
     const result = {
       characters,
@@ -205,10 +215,10 @@ function createCharacterRoutes(deps) {
       id, player_name, character_name, race, class,
       strength, dexterity, constitution, intelligence, wisdom, charisma,
       hp, max_hp, background, skills, spells, passives, class_features, feats,
-      appearance, backstory, gold, inventory, spell_slots, ac, classes
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(
+      appearance, backstory, gold, inventory, spell_slots, ac, classes, owner_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(
       id,
-      validate.sanitizeString(player_name || 'Player', 100),
+      validate.sanitizeString(player_name || (req.player && req.player.display_name) || 'Player', 100),
       validate.sanitizeString(character_name, 100),
       validate.sanitizeString(race, 50),
       validate.sanitizeString(charClass, 50),
@@ -221,7 +231,8 @@ function createCharacterRoutes(deps) {
       typeof inventory === 'string' ? inventory : JSON.stringify(inventory || []),
       typeof spell_slots === 'string' ? spell_slots : JSON.stringify(spell_slots || {}),
       ac || 10,
-      typeof classes === 'string' ? classes : JSON.stringify(classes || { [charClass]: 1 })
+      typeof classes === 'string' ? classes : JSON.stringify(classes || { [charClass]: 1 }),
+      req.player ? req.player.id : null
     );
 
     enrichCharacter(id);
@@ -268,18 +279,36 @@ function createCharacterRoutes(deps) {
    * DELETE /api/characters/:id
    * Delete a character
    */
-  router.delete('/:id', checkPassword, (req, res) => {
+  router.delete('/:id', checkPassword, checkOwner, (req, res) => {
     db.prepare('DELETE FROM characters WHERE id = ?').run(req.params.id);
     invalidateCache('characters:');
     io.emit('character_deleted', req.params.id);
     res.json({ success: true });
   });
 
+  /**
+   * POST /api/characters/:id/claim
+   * Take ownership of a character (unowned characters, or any character for admin)
+   */
+  router.post('/:id/claim', checkPassword, requirePlayer, checkOwner, (req, res) => {
+    const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
+
+    if (!character) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    db.prepare('UPDATE characters SET owner_id = ? WHERE id = ?').run(req.player.id, req.params.id);
+    const updated = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
+    invalidateCache('characters:');
+    emitCharacterUpdated(io, db, updated);
+    res.json(updated);
+  });
+
   /**
    * POST /api/characters/:id/xp
    * Award XP to a character
    */
-  router.post('/:id/xp', checkPassword, (req, res) => {
+  router.post('/:id/xp', checkPassword, checkOwner, (req, res) => {
     const { amount } = req.body;
     const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
 
@@ -292,7 +321,7 @@ function createCharacterRoutes(deps) {
 
     const updated = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
     invalidateCache('characters:');
-    io.emit('character_updated', updated);
+    emitCharacterUpdated(io, db, updated);
     res.json(updated);
   });
 
@@ -300,7 +329,7 @@ function createCharacterRoutes(deps) {
    * POST /api/characters/:id/reset-xp
    * Reset XP to 0
    */
-  router.post('/:id/reset-xp', checkPassword, (req, res) => {
+  router.post('/:id/reset-xp', checkPassword, checkOwner, (req, res) => {
     const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
 
     if (!character) {
@@ -310,7 +339,7 @@ function createCharacterRoutes(deps) {
     db.prepare('UPDATE characters SET xp = 0 WHERE id = ?').run(req.params.id);
     const updated = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
     invalidateCache('characters:');
-    io.emit('character_updated', updated);
+    emitCharacterUpdated(io, db, updated);
     res.json(updated);
   });
 
@@ -318,7 +347,7 @@ function createCharacterRoutes(deps) {
    * POST /api/characters/:id/gold
    * Update gold for a character
    */
-  router.post('/:id/gold', checkPassword, (req, res) => {
+  router.post('/:id/gold', checkPassword, checkOwner, (req, res) => {
     const { amount } = req.body;
     const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
 
@@ -330,73 +359,108 @@ function createCharacterRoutes(deps) {
     db.prepare('UPDATE characters SET gold = ? WHERE id = ?').run(newGold, req.params.id);
     const updated = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
     invalidateCache('characters:');
-    io.emit('character_updated', updated);
+    emitCharacterUpdated(io, db, updated);
     res.json(updated);
   });
 
   /**
-   * GET /api/characters/:id/inventory
-   * Get character inventory
+   * POST /api/characters/:id/conditions
+   * Add or remove a condition by hand
+   * Body: { action: 'add' | 'remove', name, duration?: "3 rounds" | "10 min" | "1h" | "until rest", source? }
    */
-  router.get('/:id/inventory', checkPassword, (req, res) => {
+  router.post('/:id/conditions', checkPassword, checkOwner, (req, res) => {
+    const { action, duration, source } = req.body;
+    const name = validate.sanitizeString(String(req.body.name || ''), 100).trim();
     const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
 
     if (!character) {
       return res.status(404).json({ error: 'Character not found' });
     }
+    if (!name || !['add', 'remove'].includes(action)) {
+      return res.status(400).json({ error: "name and action ('add' or 'remove') are required" });
+    }
+    const expiry = conditionService.parseDuration(duration);
+    if (action === 'add' && !expiry) {
+      return res.status(400).json({ error: 'duration must look like "3 rounds", "10 min", "1h" or "until rest"' });
+    }
 
-    let inventory = [];
-    try {
-      inventory = JSON.parse(character.inventory || '[]');
-    } catch (e) {
-      inventory = [];
+    const current = conditionService.parseConditions(character.conditions);
+    const conditions = action === 'add'
+      ? conditionService.addCondition(current, { name, source: validate.sanitizeString(String(source || ''), 100), ...expiry })
+      : conditionService.removeCondition(current, name);
+    db.prepare('UPDATE characters SET conditions = ? WHERE id = ?').run(JSON.stringify(conditions), req.params.id);
+    const updated = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
+    invalidateCache('characters:');
+    emitCharacterUpdated(io, db, updated);
+    res.json(updated);
+  });
+
+  /**
+   * GET /api/characters/:id/inventory
+   * Get character inventory as full item records, with carried weight and attunement
+   */
+  router.get('/:id/inventory', checkPassword, (req, res) => {
+    const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
+
+    if (!character) {
+      return res.status(404).json({ error: 'Character not found' });
     }
 
-    res.json({ inventory, gold: character.gold || 0 });
+    const inventory = inventoryService.normalizeInventory(db, inventoryService.parseInventory(character.inventory));
+    res.json({
+      inventory,
+      gold: character.gold || 0,
+      load: inventoryService.getLoad(db, character, inventory)
+    });
   });
 
   /**
    * POST /api/characters/:id/inventory
-   * Update character inventory (add/remove items)
+   * Update character inventory: add/remove/set items, equip/attune them or edit their details.
+   * Putting on or taking off armor or a shield recalculates AC.
    */
-  router.post('/:id/inventory', checkPassword, (req, res) => {
+  router.post('/:id/inventory', checkPassword, checkOwner, (req, res) => {
     const { action, item, quantity = 1 } = req.body;
     const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
 
     if (!character) {
       return res.status(404).json({ error: 'Character not found' });
     }
-
-    let inventory = [];
-    try {
-      inventory = JSON.parse(character.inventory || '[]');
-    } catch (e) {
-      inventory = [];
+    if (action !== 'set' && (typeof item !== 'string' || !item.trim())) {
+      return res.status(400).json({ error: 'item is required' });
     }
 
+    const before = inventoryService.normalizeInventory(db, inventoryService.parseInventory(character.inventory));
+    let result;
     if (action === 'add') {
-      const existingIndex = inventory.findIndex(i => i.name.toLowerCase() === item.toLowerCase());
-      if (existingIndex >= 0) {
-        inventory[existingIndex].quantity = (inventory[existingIndex].quantity || 1) + quantity;
-      } else {
-        inventory.push({ name: item, quantity });
-      }
+      result = { inventory: inventoryService.addItem(db, before, item, quantity) };
     } else if (action === 'remove') {
-      const existingIndex = inventory.findIndex(i => i.name.toLowerCase() === item.toLowerCase());
-      if (existingIndex >= 0) {
-        inventory[existingIndex].quantity = Math.max(0, (inventory[existingIndex].quantity || 1) - quantity);
-        if (inventory[existingIndex].quantity <= 0) {
-          inventory.splice(existingIndex, 1);
-        }
-      }
+      result = { inventory: inventoryService.removeItem(db, before, item, quantity) };
     } else if (action === 'set') {
-      inventory = Array.isArray(req.body.inventory) ? req.body.inventory : inventory;
+      result = Array.isArray(req.body.inventory)
+        ? inventoryService.setInventory(db, req.body.inventory)
+        : { inventory: before };
+    } else if (action === 'equip') {
+      result = inventoryService.setEquipped(db, before, item, req.body.equipped !== false);
+    } else if (action === 'attune') {
+      result = inventoryService.setAttuned(db, before, item, req.body.attuned !== false);
+    } else if (action === 'update') {
+      result = inventoryService.updateItem(db, before, item, req.body.changes || {});
+    } else {
+      return res.status(400).json({ error: 'action must be add, remove, set, equip, attune or update' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
     }
 
-    db.prepare('UPDATE characters SET inventory = ? WHERE id = ?').run(JSON.stringify(inventory), req.params.id);
+    db.prepare('UPDATE characters SET inventory = ? WHERE id = ?').run(JSON.stringify(result.inventory), req.params.id);
+    if (inventoryService.armorChanged(before, result.inventory)) {
+      const acEffects = inventoryService.applyArmor(db, character, result.inventory, parseAcEffects(character.ac_effects));
+      updateCharacterAC(db, req.params.id, acEffects);
+    }
     const updated = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
     invalidateCache('characters:');
-    io.emit('character_updated', updated);
+    emitCharacterUpdated(io, db, updated);
     res.json(updated);
   });
 
@@ -404,7 +468,7 @@ function createCharacterRoutes(deps) {
    * POST /api/characters/:id/spell-slots
    * Get/Update spell slots
    */
-  router.post('/:id/spell-slots', checkPassword, (req, res) => {
+  router.post('/:id/spell-slots', checkPassword, checkOwner, (req, res) => {
     const { action, level, slots } = req.body;
     const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
 
@@ -436,15 +500,75 @@ function createCharacterRoutes(deps) {
     db.prepare('UPDATE characters SET spell_slots = ? WHERE id = ?').run(JSON.stringify(spellSlots), req.params.id);
     const updated = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
     invalidateCache('characters:');
-    io.emit('character_updated', updated);
+    emitCharacterUpdated(io, db, updated);
     res.json(updated);
   });
 
+  /**
+   * GET /api/characters/:id/spellbook
+   * The spellbook with each class's limits, the subclass's always-prepared spells and active concentration
+   */
+  router.get('/:id/spellbook', checkPassword, (req, res) => {
+    const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
+    if (!character) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+    res.json(spellbookService.getSpellbookView(db, character));
+  });
+
+  /**
+   * POST /api/characters/:id/spellbook
+   * Learn, forget or prepare a spell, or pick the SRD subclass
+   * Body: { action: 'add', spell, class?, always? } | { action: 'remove', spell }
+   *     | { action: 'prepare', spell, prepared } | { action: 'subclass', subclass }
+   */
+  router.post('/:id/spellbook', checkPassword, checkOwner, (req, res) => {
+    const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
+    if (!character) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    const result = spellbookService.changeSpellbook(db, character, req.body);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    db.prepare('UPDATE characters SET spellbook = ? WHERE id = ?').run(result.spellbook, req.params.id);
+    const updated = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
+    invalidateCache('characters:');
+    emitCharacterUpdated(io, db, updated);
+    res.json({ character: updated, spellbook: spellbookService.getSpellbookView(db, updated) });
+  });
+
+  /**
+   * POST /api/characters/:id/cast
+   * Cast a spell from the spellbook: spends the slot and starts concentration (ending any other)
+   * Body: { spell, slot_level?, ritual? }
+   */
+  router.post('/:id/cast', checkPassword, checkOwner, (req, res) => {
+    const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
+    if (!character) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    const result = spellbookService.castSpell(db, character, req.body);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    db.prepare('UPDATE characters SET spell_slots = ?, conditions = ? WHERE id = ?')
+      .run(result.spell_slots, result.conditions, req.params.id);
+    const updated = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
+    invalidateCache('characters:');
+    emitCharacterUpdated(io, db, updated);
+    res.json({ character: updated, spellbook: spellbookService.getSpellbookView(db, updated), ...result.cast });
+  });
+
   /**
    * POST /api/characters/:id/ac
    * Update AC and AC effects
    */
-  router.post('/:id/ac', checkPassword, (req, res) => {
+  router.post('/:id/ac', checkPassword, checkOwner, (req, res) => {
     const { action, ac, base_source, base_value, effect } = req.body;
     const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
 
@@ -482,7 +606,7 @@ function createCharacterRoutes(deps) {
 
     const updated = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
     invalidateCache('characters:');
-    io.emit('character_updated', updated);
+    emitCharacterUpdated(io, db, updated);
     res.json(updated);
   });
 
@@ -490,7 +614,7 @@ function createCharacterRoutes(deps) {
    * POST /api/characters/:id/quick-update
    * Quick update character fields (direct, no AI)
    */
-  router.post('/:id/quick-update', checkPassword, (req, res) => {
+  router.post('/:id/quick-update', checkPassword, checkOwner, (req, res) => {
     const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
     if (!character) {
       return res.status(404).json({ error: 'Character not found' });
@@ -521,6 +645,16 @@ function createCharacterRoutes(deps) {
       values.push(typeof req.body.classes === 'string' ? req.body.classes : JSON.stringify(req.body.classes));
     }
 
+    // Structured proficiencies: {skillIndex: 'proficient' | 'expertise'} and [ability]
+    const proficiencies = derivedStatsService.normalizeProficiencies(req.body.skill_proficiencies, req.body.save_proficiencies);
+    if (proficiencies.error) {
+      return res.status(400).json({ error: proficiencies.error });
+    }
+    for (const [field, value] of Object.entries(proficiencies)) {
+      updates.push(`${field} = ?`);
+      values.push(value);
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No valid fields to update' });
     }
@@ -528,9 +662,15 @@ function createCharacterRoutes(deps) {
     values.push(req.params.id);
     db.prepare(`UPDATE characters SET ${updates.join(', ')} WHERE id = ?`).run(...values);
 
+    // A hand-edited HP is taken at its word: 0 means dying, anything above wakes (or raises) the character
+    const hp = parseInt(req.body.hp);
+    if (!isNaN(hp)) {
+      deathSaveService.applyHpChange(db, req.params.id, hp, { revive: hp > 0 });
+    }
+
     const updated = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
     invalidateCache('characters:');
-    io.emit('character_updated', updated);
+    emitCharacterUpdated(io, db, updated);
     res.json(updated);
   });
 
@@ -538,7 +678,7 @@ function createCharacterRoutes(deps) {
    * POST /api/characters/:id/image
    * Upload a character image
    */
-  router.post('/:id/image', checkPassword, upload.single('image'), (req, res) => {
+  router.post('/:id/image', checkPassword, checkOwner, upload.single('image'), (req, res) => {
     const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
     if (!character) return res.status(404).json({ error: 'Character not found' });
     if (!req.file) return res.status(400).json({ error: 'No image file provided' });
@@ -554,7 +694,7 @@ function createCharacterRoutes(deps) {
 
     const updated = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
     invalidateCache('characters:');
-    io.emit('character_updated', updated);
+    emitCharacterUpdated(io, db, updated);
     res.json(updated);
   });
 
@@ -581,7 +721,7 @@ function createCharacterRoutes(deps) {
    * POST /api/characters/:id/reset-level
    * Reset character level to 1
    */
-  router.post('/:id/reset-level', checkPassword, async (req, res) => {
+  router.post('/:id/reset-level', checkPassword, checkOwner, async (req, res) => {
     const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
 
     if (!character) {
@@ -605,16 +745,35 @@ function createCharacterRoutes(deps) {
 
     const updated = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
     invalidateCache('characters:');
-    io.emit('character_updated', updated);
+    emitCharacterUpdated(io, db, updated);
     res.json(updated);
   });
 
+  /**
+   * GET /api/characters/:id/levelup
+   * What the next level would give in each class (levelUpService.getLevelUpOptions), plus the XP check
+   */
+  router.get('/:id/levelup', checkPassword, (req, res) => {
+    const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
+    if (!character) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    res.json({
+      ...levelUpService.getLevelUpOptions(db, character),
+      can_level: canLevelUp(character.xp || 0, character.level),
+      current_xp: character.xp || 0,
+      required_xp: getRequiredXP(character.level)
+    });
+  });
+
   /**
    * POST /api/characters/:id/levelup
-   * AI-assisted level up
+   * Level up by the rules ({ class_name, hp_method: 'roll'|'average', asi?: {ability: 1|2}, feat?, flavor? }).
+   * With flavor the AI adds a few lines of narration; the level up itself never depends on it.
    */
-  router.post('/:id/levelup', checkPassword, async (req, res) => {
-    const { messages } = req.body;
+  router.post('/:id/levelup', checkPassword, checkOwner, async (req, res) => {
+    const { class_name, hp_method, asi, feat, flavor } = req.body;
     const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
 
     if (!character) {
@@ -629,159 +788,53 @@ function createCharacterRoutes(deps) {
       });
     }
 
-    const apiConfig = getActiveApiConfig();
-    if (!apiConfig || !apiConfig.api_key) {
-      return res.status(400).json({ error: 'No active API configuration. Please add and activate one in Settings.' });
+    // A rolled hit die goes in the dice log of the session the character joined last
+    const session = db.prepare(`
+      SELECT gs.id, gs.current_turn FROM game_sessions gs
+      INNER JOIN session_characters sc ON sc.session_id = gs.id
+      WHERE sc.character_id = ?
+      ORDER BY sc.created_at DESC LIMIT 1
+    `).get(character.id);
+    const result = levelUpService.applyLevelUp(db, character, {
+      className: class_name,
+      hpMethod: hp_method,
+      asi,
+      feat,
+      session,
+      playerId: req.player ? req.player.id : null
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
     }
 
-    const newLevel = character.level + 1;
-    const conMod = Math.floor((character.constitution - 10) / 2);
-
-    // Parse current classes
-    let currentClasses = {};
-    try {
-      currentClasses = JSON.parse(character.classes || '{}');
-    } catch (e) {
-      currentClasses = {};
-      if (character.class) {
-        currentClasses[character.class] = character.level;
+    const updatedChar = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
+    invalidateCache('characters:');
+    emitCharacterUpdated(io, db, updatedChar);
+    emitToCharacter(io, db, updatedChar.id, 'character_leveled_up', { character: updatedChar, summary: result.summary });
+
+    let flavorText = null;
+    const apiConfig = flavor ? getActiveApiConfig() : null;
+    if (apiConfig && apiConfig.api_key) {
+      try {
+        const aiConfig = { endpoint: apiConfig.api_endpoint, api_key: apiConfig.api_key, model: apiConfig.api_model };
+        const data = await aiService.callAI(aiConfig, [
+          { role: 'system', content: 'You are a D&D 5e narrator. In two or three vivid sentences, describe the moment a character grows in power. Do not mention game mechanics or numbers.' },
+          { role: 'user', content: `${updatedChar.character_name}, a ${updatedChar.race} (${Object.entries(JSON.parse(updatedChar.classes)).map(([cls, lvl]) => `${cls} ${lvl}`).join(' / ')}), just gained: ${result.summary}. Backstory: ${updatedChar.backstory || 'unknown'}` }
+        ], { maxTokens: 300 });
+        flavorText = (aiService.extractAIMessage(data) || '').trim() || null;
+      } catch (error) {
+        console.error('Level up flavor error:', error.message);
       }
     }
-    const classesDisplay = Object.entries(currentClasses).map(([cls, lvl]) => `${cls} ${lvl}`).join(' / ') || character.class;
-
-    const levelUpSystemPrompt = `You are a friendly D&D 5e level up assistant. Help ${character.character_name} level up from ${character.level} to ${newLevel}.
-
-CURRENT CHARACTER:
-- Name: ${character.character_name}
-- Race: ${character.race}
-- Classes: ${classesDisplay}
-- Total Level: ${character.level}
-- Stats: STR ${character.strength}, DEX ${character.dexterity}, CON ${character.constitution}, INT ${character.intelligence}, WIS ${character.wisdom}, CHA ${character.charisma}
-- Current HP: ${character.max_hp}
-- Current Spells: ${character.spells || 'None'}
-- Current Skills: ${character.skills || 'None'}
-- Current Passives: ${character.passives || 'None'}
-- Current Class Features: ${character.class_features || 'None'}
-- Current Feats: ${character.feats || 'None'}
-
-LEVEL UP RULES:
-1. FIRST, ask if they want to:
-   a) Continue in their current class (${character.class})
-   b) MULTICLASS into a new class (must meet multiclass requirements - usually 13+ in key ability)
-
-2. HP Increase: Roll the hit die of the class they're taking a level in + CON modifier (${conMod}).
-
-3. Check if this class level grants new features (check the specific class level, not total level!)
-
-4. ASI/FEAT LEVELS: At class levels 4, 8, 12, 16, 19 in ANY class, offer the choice:
-   - Ability Score Improvement: +2 to one stat OR +1 to two stats
-   - OR take a FEAT instead
-
-5. For spellcasters, check for new spell slots and spells (based on class level, not total level)
-
-Guide the player through their choices conversationally. When ALL choices are finalized, output:
-LEVELUP_COMPLETE:{"hp_increase":N,"class_leveled":"ClassName","new_class_level":N,"new_spells":"spells gained or None","new_skills":"skills gained or None","new_passives":"passives gained or None","new_class_features":"class features gained or None","stat_changes":"any stat increases or None","new_feat":"feat taken or None","summary":"Brief exciting summary"}`;
-
-    try {
-      const allMessages = [
-        { role: 'system', content: levelUpSystemPrompt },
-        ...(messages || [])
-      ];
-
-      const aiConfig = { endpoint: apiConfig.api_endpoint, api_key: apiConfig.api_key, model: apiConfig.api_model };
-      const data = await aiService.callAI(aiConfig, allMessages, { maxTokens: 4096 });
-      const aiMessage = aiService.extractAIMessage(data);
-
-      if (!aiMessage) {
-        throw new Error('Could not parse AI response');
-      }
-
-      // Check if level up is complete
-      if (aiMessage.includes('LEVELUP_COMPLETE:')) {
-        let jsonStr = null;
-        const startIdx = aiMessage.indexOf('LEVELUP_COMPLETE:') + 'LEVELUP_COMPLETE:'.length;
-        const jsonStart = aiMessage.indexOf('{', startIdx);
-
-        if (jsonStart !== -1) {
-          let braceCount = 0;
-          let jsonEnd = jsonStart;
-          for (let i = jsonStart; i < aiMessage.length; i++) {
-            if (aiMessage[i] === '{') braceCount++;
-            if (aiMessage[i] === '}') braceCount--;
-            if (braceCount === 0) {
-              jsonEnd = i + 1;
-              break;
-            }
-          }
-          jsonStr = aiMessage.substring(jsonStart, jsonEnd);
-        }
-
-        if (jsonStr) {
-          try {
-            const levelData = JSON.parse(jsonStr);
-
-            const newMaxHP = character.max_hp + (levelData.hp_increase || 0);
-            const newSpells = levelData.new_spells && levelData.new_spells !== 'None'
-              ? (character.spells ? `${character.spells}, ${levelData.new_spells}` : levelData.new_spells)
-              : character.spells;
-            const newSkills = levelData.new_skills && levelData.new_skills !== 'None'
-              ? (character.skills ? `${character.skills}, ${levelData.new_skills}` : levelData.new_skills)
-              : character.skills;
-            const newPassives = levelData.new_passives && levelData.new_passives !== 'None'
-              ? (character.passives ? `${character.passives}, ${levelData.new_passives}` : levelData.new_passives)
-              : character.passives;
-            const newClassFeatures = levelData.new_class_features && levelData.new_class_features !== 'None'
-              ? (character.class_features ? `${character.class_features}, ${levelData.new_class_features}` : levelData.new_class_features)
-              : character.class_features;
-            const newFeats = levelData.new_feat && levelData.new_feat !== 'None'
-              ? (character.feats ? `${character.feats}, ${levelData.new_feat}` : levelData.new_feat)
-              : character.feats;
-
-            let updatedClasses = {};
-            try {
-              updatedClasses = JSON.parse(character.classes || '{}');
-            } catch (e) {
-              updatedClasses = {};
-              if (character.class) {
-                updatedClasses[character.class] = character.level;
-              }
-            }
-
-            const classLeveled = levelData.class_leveled || character.class;
-            updatedClasses[classLeveled] = (updatedClasses[classLeveled] || 0) + 1;
-
-            const primaryClass = Object.entries(updatedClasses)
-              .sort((a, b) => b[1] - a[1])[0][0];
-
-            db.prepare(`
-              UPDATE characters SET level = ?, hp = ?, max_hp = ?, spells = ?, skills = ?, passives = ?, class_features = ?, feats = ?, classes = ?, class = ? WHERE id = ?
-            `).run(newLevel, newMaxHP, newMaxHP, newSpells || '', newSkills || '', newPassives || '', newClassFeatures || '', newFeats || '', JSON.stringify(updatedClasses), primaryClass, req.params.id);
-
-            const updatedChar = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
-            invalidateCache('characters:');
-            io.emit('character_updated', updatedChar);
-            io.emit('character_leveled_up', { character: updatedChar, summary: levelData.summary });
-
-            const cleanMessage = aiMessage.substring(0, aiMessage.indexOf('LEVELUP_COMPLETE:')).trim();
-            return res.json({ message: cleanMessage || 'Level up complete!', complete: true, character: updatedChar, levelUp: levelData });
-          } catch (parseError) {
-            console.error('Failed to parse level up JSON:', parseError.message);
-          }
-        }
-      }
 
-      res.json({ message: aiMessage, complete: false });
-    } catch (error) {
-      console.error('Level up error:', error);
-      res.status(500).json({ error: error.message });
-    }
+    res.json({ ...result, character: updatedChar, flavor: flavorText });
   });
 
   /**
    * POST /api/characters/:id/edit
    * AI-assisted character editing
    */
-  router.post('/:id/edit', checkPassword, async (req, res) => {
+  router.post('/:id/edit', checkPassword, checkOwner, async (req, res) => {
     const { editRequest, messages } = req.body;
     const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
 
@@ -817,14 +870,7 @@ LEVELUP_COMPLETE:{"hp_increase":N,"class_leveled":"ClassName","new_class_level":
       }
     } catch (e) { }
 
-    // Parse inventory for display
-    let inventoryDisplay = 'None';
-    try {
-      const inv = JSON.parse(character.inventory || '[]');
-      if (inv.length > 0) {
-        inventoryDisplay = inv.map(i => i.quantity > 1 ? `${i.name} x${i.quantity}` : i.name).join(', ');
-      }
-    } catch (e) {}
+    const inventoryDisplay = inventoryService.formatInventoryForContext(inventoryService.parseInventory(character.inventory)) || 'None';
 
     // Parse AC effects for display
     let acDisplay = `${character.ac || 10}`;
@@ -928,7 +974,7 @@ IMPORTANT: Output EDIT_COMPLETE: immediately followed by the JSON on ONE line. N
 
             const updatedChar = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
             invalidateCache('characters:');
-            io.emit('character_updated', updatedChar);
+            emitCharacterUpdated(io, db, updatedChar);
 
             const markerIdx = aiMessage.indexOf('EDIT_COMPLETE:');
             const cleanMessage = markerIdx >= 0 ? aiMessage.substring(0, markerIdx).trim() : '';
@@ -972,7 +1018,7 @@ IMPORTANT: Output EDIT_COMPLETE: immediately followed by the JSON on ONE line. N
               db.prepare(`UPDATE characters SET ${updates.join(', ')} WHERE id = ?`).run(...values);
               const updatedChar = db.prepare('SELECT * FROM characters WHERE id = ?').get(req.params.id);
               invalidateCache('characters:');
-              io.emit('character_updated', updatedChar);
+              emitCharacterUpdated(io, db, updatedChar);
               console.log('Edit saved via fallback JSON detection');
               return res.json({ message: 'Character updated!', complete: true, character: updatedChar });
             }
@@ -1045,8 +1091,8 @@ IMPORTANT: Output EDIT_COMPLETE: immediately followed by the JSON on ONE line. N
             const classesJson = charData.classes ? JSON.stringify(charData.classes) : JSON.stringify({ [charData.class]: 1 });
 
             db.prepare(`
-              INSERT INTO characters (id, player_name, character_name, race, class, classes, level, strength, dexterity, constitution, intelligence, wisdom, charisma, hp, max_hp, background, appearance, backstory, spells, skills, passives, class_features, feats)
-              VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+              INSERT INTO characters (id, player_name, character_name, race, class, classes, level, strength, dexterity, constitution, intelligence, wisdom, charisma, hp, max_hp, background, appearance, backstory, spells, skills, passives, class_features, feats, owner_id)
+              VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `).run(
               id,
               charData.player_name,
@@ -1069,7 +1115,8 @@ IMPORTANT: Output EDIT_COMPLETE: immediately followed by the JSON on ONE line. N
               charData.skills || '',
               charData.passives || '',
               charData.class_features || '',
-              charData.feats || ''
+              charData.feats || '',
+              req.player ? req.player.id : null
             );
 
             enrichCharacter(id);
@@ -0,0 +1,97 @@
+/**
+ * Check Routes
+ * Rolls for the checks and saving throws a paused turn is waiting on ([CHECK:] tags)
+ */
+
+const express = require('express');
+const checkService = require('../services/checkService');
+const { emitToSession } = require('../lib/rooms');
+const { ROLES, roleAtLeast } = require('../lib/permissions');
+
+/**
+ * Create check router with dependencies
+ * Mounted at /api/sessions/:id/checks (uses mergeParams for :id)
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.db - Database instance
+ * @param {Object} deps.io - Socket.IO instance
+ * @param {Object} deps.auth - Auth middleware
+ * @param {Set} deps.processingSessions - Set tracking sessions being processed
+ * @param {Function} deps.processAITurn - Function to process AI turn
+ * @param {Function} deps.getSessionCharacters - Get session characters (takes db, sessionId)
+ * @returns {express.Router}
+ */
+function createCheckRoutes(deps) {
+  const { db, io, auth, processingSessions, processAITurn, getSessionCharacters } = deps;
+
+  const router = express.Router({ mergeParams: true });
+  const { checkPassword, getRole, requireCharacterOwner } = auth;
+  // Only the character's player (or the session's GMs) rolls their check
+  const checkCharacterOwner = requireCharacterOwner(
+    req => db.prepare('SELECT character_id FROM ability_checks WHERE id = ?').get(req.params.checkId)?.character_id,
+    req => req.params.id
+  );
+
+  /**
+   * GET /api/sessions/:id/checks
+   * Checks the current turn is waiting on (empty unless paused)
+   */
+  router.get('/', checkPassword, (req, res) => {
+    res.json(checkService.listChecks(db, req.params.id));
+  });
+
+  /**
+   * POST /api/sessions/:id/checks/:checkId/roll
+   * Roll a check on the server. Advantage / disadvantage comes from the [CHECK:] tag; a GM of the
+   * session may override it ({ mode: 'adv' | 'dis' | 'd20' }), a player's mode is ignored.
+   * The last roll resumes the turn.
+   */
+  router.post('/:checkId/roll', checkPassword, checkCharacterOwner, async (req, res) => {
+    const sessionId = req.params.id;
+
+    if (processingSessions.has(sessionId)) {
+      return res.status(409).json({ error: 'Turn is already being processed.', processing: true });
+    }
+
+    const check = db.prepare('SELECT * FROM ability_checks WHERE id = ? AND session_id = ?').get(req.params.checkId, sessionId);
+    if (!check) return res.status(404).json({ error: 'Check not found' });
+    if (check.outcome) return res.status(409).json({ error: 'This check has already been rolled' });
+
+    const session = db.prepare('SELECT * FROM game_sessions WHERE id = ?').get(sessionId);
+    const characters = getSessionCharacters(db, sessionId);
+    const character = characters.find(c => c.id === check.character_id);
+    if (!character) return res.status(404).json({ error: 'Character not found in this session' });
+
+    const rolled = checkService.rollCheck(db, {
+      session,
+      check,
+      character,
+      playerId: req.player ? req.player.id : null,
+      mode: roleAtLeast(getRole(req, sessionId), ROLES.COGM) ? req.body.mode : undefined
+    });
+    emitToSession(io, sessionId, 'check_rolled', { sessionId, check: rolled });
+
+    const waiting = checkService.listChecks(db, sessionId).filter(c => !c.outcome).length;
+    if (waiting > 0) {
+      return res.json({ check: rolled, processed: false, waiting });
+    }
+
+    processingSessions.add(sessionId);
+    emitToSession(io, sessionId, 'turn_processing', { sessionId });
+
+    try {
+      const pendingActions = db.prepare('SELECT * FROM pending_actions WHERE session_id = ?').all(sessionId);
+      const result = await processAITurn(sessionId, pendingActions, characters);
+      res.json({ check: rolled, processed: true, result });
+    } catch (error) {
+      console.error('AI processing error:', error);
+      emitToSession(io, sessionId, 'turn_error', { sessionId, error: error.message });
+      res.json({ check: rolled, processed: false, error: error.message });
+    } finally {
+      processingSessions.delete(sessionId);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCheckRoutes };
@@ -0,0 +1,150 @@
+/**
+ * Combat Routes
+ * Initiative tracker for a session: start, advance, and end encounters
+ */
+
+const express = require('express');
+const combatService = require('../services/combatService');
+const { parseEnemyList } = require('../services/tagParser');
+const conditionService = require('../services/conditionService');
+const { emitToSession, emitCharacterUpdated } = require('../lib/rooms');
+const { invalidateCache } = require('../lib/cache');
+const { ROLES } = require('../lib/permissions');
+
+/**
+ * Create combat router with dependencies
+ * Mounted at /api/sessions/:id/combat (uses mergeParams for :id)
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.db - Database instance
+ * @param {Object} deps.io - Socket.IO instance
+ * @param {Object} deps.auth - Auth middleware
+ * @param {Function} deps.getSessionCharacters - Get session characters (takes db, sessionId)
+ * @returns {express.Router}
+ */
+function createCombatRoutes(deps) {
+  const { db, io, auth, getSessionCharacters } = deps;
+
+  const router = express.Router({ mergeParams: true });
+  const { checkPassword, requireRole } = auth;
+  // Anyone in the session can see the tracker; running it is the GM's job
+  const checkGM = requireRole(ROLES.COGM);
+
+  // Make sure the session exists before touching its combat state
+  router.use((req, res, next) => {
+    const session = db.prepare('SELECT id FROM game_sessions WHERE id = ?').get(req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    next();
+  });
+
+  // Enemies may be sent as an array or in tag shorthand ("Goblin x3 +2, Bugbear +1")
+  function normalizeEnemies(enemies) {
+    if (typeof enemies === 'string') return parseEnemyList(enemies);
+    return enemies;
+  }
+
+  /**
+   * GET /api/sessions/:id/combat
+   * Get the active combat (null if none)
+   */
+  router.get('/', checkPassword, (req, res) => {
+    res.json({ combat: combatService.getActiveCombat(db, req.params.id) });
+  });
+
+  /**
+   * POST /api/sessions/:id/combat/start
+   * Start combat, rolling initiative for all session characters plus enemies
+   * Body: { name?, enemies?: [{ name, initiative_bonus?, count?, hp?, ac? }] | "Goblin x3 +2" }
+   */
+  router.post('/start', checkPassword, checkGM, (req, res) => {
+    const sessionId = req.params.id;
+    const name = req.body.name;
+    const enemies = normalizeEnemies(req.body.enemies);
+
+    if (enemies !== undefined && !Array.isArray(enemies)) {
+      return res.status(400).json({ error: 'enemies must be an array' });
+    }
+
+    try {
+      const characters = getSessionCharacters(db, sessionId);
+      const combat = combatService.startCombat(db, sessionId, characters, enemies || [], name);
+      emitToSession(io, sessionId, 'combat_updated', { sessionId, combat });
+      res.json({ combat });
+    } catch (error) {
+      console.error('Error starting combat:', error);
+      res.status(500).json({ error: 'Failed to start combat: ' + error.message });
+    }
+  });
+
+  /**
+   * POST /api/sessions/:id/combat/next
+   * Advance to the next combatant's turn; a new round ticks down the party's timed conditions
+   */
+  router.post('/next', checkPassword, checkGM, (req, res) => {
+    const sessionId = req.params.id;
+    const previous = combatService.getActiveCombat(db, sessionId);
+    const combat = combatService.advanceTurn(db, sessionId);
+    if (!combat) return res.status(404).json({ error: 'No active combat' });
+
+    if (previous && combat.round > previous.round) {
+      const characterIds = combat.combatants.filter(c => c.type === 'character').map(c => c.character_id);
+      const changed = conditionService.advanceRound(db, characterIds);
+      if (changed.length > 0) invalidateCache('characters:');
+      for (const id of changed) {
+        emitCharacterUpdated(io, db, db.prepare('SELECT * FROM characters WHERE id = ?').get(id));
+      }
+    }
+
+    emitToSession(io, sessionId, 'combat_updated', { sessionId, combat });
+    res.json({ combat });
+  });
+
+  /**
+   * POST /api/sessions/:id/combat/enemies
+   * Add enemies to the active combat
+   * Body: { enemies: [{ name, initiative_bonus?, count?, hp?, ac? }] | "Goblin x3 +2" }
+   */
+  router.post('/enemies', checkPassword, checkGM, (req, res) => {
+    const sessionId = req.params.id;
+    const enemies = normalizeEnemies(req.body.enemies);
+
+    if (!Array.isArray(enemies) || enemies.length === 0) {
+      return res.status(400).json({ error: 'enemies array is required' });
+    }
+
+    const combat = combatService.addCombatants(db, sessionId, enemies);
+    if (!combat) return res.status(404).json({ error: 'No active combat' });
+
+    emitToSession(io, sessionId, 'combat_updated', { sessionId, combat });
+    res.json({ combat });
+  });
+
+  /**
+   * DELETE /api/sessions/:id/combat/combatants/:combatantId
+   * Remove a combatant from the initiative order
+   */
+  router.delete('/combatants/:combatantId', checkPassword, checkGM, (req, res) => {
+    const sessionId = req.params.id;
+    const combat = combatService.removeCombatant(db, sessionId, req.params.combatantId);
+    if (!combat) return res.status(404).json({ error: 'No active combat' });
+
+    emitToSession(io, sessionId, 'combat_updated', { sessionId, combat });
+    res.json({ combat });
+  });
+
+  /**
+   * POST /api/sessions/:id/combat/end
+   * End the active combat
+   */
+  router.post('/end', checkPassword, checkGM, (req, res) => {
+    const sessionId = req.params.id;
+    const combat = combatService.endCombat(db, sessionId);
+    if (!combat) return res.status(404).json({ error: 'No active combat' });
+
+    emitToSession(io, sessionId, 'combat_ended', { sessionId, combatId: combat.id });
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = { createCombatRoutes };
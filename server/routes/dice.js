@@ -0,0 +1,106 @@
+/**
+ * Dice Routes
+ * Server-side rolls for a session, and the audit log of every roll made
+ */
+
+const express = require('express');
+const diceService = require('../services/diceService');
+const derivedStatsService = require('../services/derivedStatsService');
+const dice = require('../../shared/dice');
+const { ROLES } = require('../lib/permissions');
+
+// Rolls a player can ask for: one to go with their action, or a free roll just to see
+const ROLL_KINDS = ['action', 'free'];
+
+// Audit log paging
+const DEFAULT_LOG_SIZE = 100;
+const MAX_LOG_SIZE = 500;
+
+/**
+ * Create dice router with dependencies
+ * Mounted at /api/sessions/:id (uses mergeParams for :id)
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.db - Database instance
+ * @param {Object} deps.auth - Auth middleware
+ * @param {Function} deps.getSessionCharacters - Get session characters (takes db, sessionId)
+ * @returns {express.Router}
+ */
+function createDiceRoutes(deps) {
+  const { db, auth, getSessionCharacters } = deps;
+
+  const router = express.Router({ mergeParams: true });
+  const { checkPassword, requireRole, requireCharacterOwner } = auth;
+  // Players roll only for their own characters (the session's GMs roll for anyone)
+  const checkBodyCharacterOwner = requireCharacterOwner(req => req.body.character_id, req => req.params.id);
+
+  /**
+   * POST /api/sessions/:id/roll
+   * Roll dice ({ expression, character_id?, stat?, kind? }). Returns the roll with its signed_id,
+   * which an action submits as roll_id. Expressions use the shared/dice.js syntax
+   * ("4d6dl1", "adv+DEX", "1d8+2d6+3"); stat references resolve from the character.
+   * kind is 'action' (default) or 'free'. A character's action roll may not add flat numbers, and
+   * voids their unused action rolls from this turn; a free roll (the /roll command) can't go with an action.
+   * stat is an ability, or a save / skill ("save:dexterity", "skill:perception") that also adds
+   * the character's proficiency (twice with expertise).
+   */
+  router.post('/roll', checkPassword, checkBodyCharacterOwner, (req, res) => {
+    const { character_id, kind = 'action' } = req.body;
+    let { expression = 'd20', stat } = req.body;
+
+    if (!ROLL_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${ROLL_KINDS.join(', ')}` });
+    }
+
+    const session = db.prepare('SELECT id, current_turn FROM game_sessions WHERE id = ?').get(req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    let character = null;
+    if (character_id) {
+      character = getSessionCharacters(db, session.id).find(c => c.id === character_id);
+      if (!character) return res.status(404).json({ error: 'Character not found in this session' });
+    }
+    const terms = dice.parse(expression);
+    if (!terms) {
+      return res.status(400).json({ error: 'Invalid dice expression. Use a format like: 2d6+3, adv+DEX, 4d6dl1, d6!, 2d6r1' });
+    }
+    // A character's bonuses come from their sheet, not from numbers typed into the expression
+    if (character && kind === 'action' && terms.some(t => t.type === 'number')) {
+      return res.status(400).json({ error: 'Rolls for a character use dice and stat references only (e.g. d20+DEX+PROF, 1d8+STR)' });
+    }
+    if (/^(save|skill):/.test(stat || '')) {
+      if (!character) return res.status(400).json({ error: 'Saves and skills need a character' });
+      const rollStat = derivedStatsService.resolveRollStat(db, character, stat);
+      if (!rollStat) return res.status(400).json({ error: `Unknown save or skill: ${stat}` });
+      expression += rollStat.bonus;
+      stat = rollStat.stat;
+    } else if (stat && stat !== 'none' && !diceService.STATS.includes(stat)) {
+      return res.status(400).json({ error: `stat must be one of: ${diceService.STATS.join(', ')}` });
+    }
+
+    const roll = diceService.createRoll(db, {
+      session,
+      character,
+      playerId: req.player ? req.player.id : null,
+      expression,
+      stat: stat === 'none' ? null : stat,
+      kind
+    });
+    if (!roll) {
+      return res.status(400).json({ error: 'Stat references (STR, DEX, PROF...) need a character' });
+    }
+    res.json({ ...roll, tag: diceService.formatRollTag(roll) });
+  });
+
+  /**
+   * GET /api/sessions/:id/rolls
+   * Audit log of the session's rolls, newest first (?limit=100)
+   */
+  router.get('/rolls', checkPassword, requireRole(ROLES.COGM), (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LOG_SIZE, MAX_LOG_SIZE);
+    res.json(diceService.listRolls(db, req.params.id, limit));
+  });
+
+  return router;
+}
+
+module.exports = { createDiceRoutes };
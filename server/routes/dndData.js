@@ -1,13 +1,13 @@
 /**
  * D&D Data Routes
- * Proxies D&D 5e API data with SQLite caching
+ * SRD reference data (bundled in server/data/srd) and search over spells, equipment, magic items and monsters
  */
 
 const express = require('express');
 
 function createDndDataRoutes(db, auth) {
   const router = express.Router();
-  const { checkPassword } = auth;
+  const { checkPassword, checkAdminPassword } = auth;
   const dndData = require('../services/dndDataService');
 
   router.get('/races', checkPassword, async (req, res, next) => {
@@ -35,9 +35,37 @@ function createDndDataRoutes(db, auth) {
     }
   });
 
+  /**
+   * GET /api/dnd/spells
+   * Search spells: ?name=&level=&school=&class=&ritual=&concentration=&limit=
+   */
+  router.get('/spells', checkPassword, async (req, res, next) => {
+    try {
+      res.json(await dndData.searchSpells(db, req.query));
+    } catch (e) {
+      next(e);
+    }
+  });
+
   router.get('/spells/:spellIndex', checkPassword, async (req, res, next) => {
     try {
-      res.json(await dndData.getSpellDetail(db, req.params.spellIndex));
+      const spell = await dndData.getSpellDetail(db, req.params.spellIndex);
+      if (!spell) {
+        return res.status(404).json({ error: 'Spell not found' });
+      }
+      res.json(spell);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  /**
+   * GET /api/dnd/equipment
+   * Search equipment: ?name=&category=&min_cost=&max_cost=&limit= (costs in gp)
+   */
+  router.get('/equipment', checkPassword, async (req, res, next) => {
+    try {
+      res.json(await dndData.searchEquipment(db, req.query));
     } catch (e) {
       next(e);
     }
@@ -51,6 +79,54 @@ function createDndDataRoutes(db, auth) {
     }
   });
 
+  /**
+   * GET /api/dnd/magic-items
+   * Search magic items: ?name=&rarity=&category=&attunement=&limit=
+   */
+  router.get('/magic-items', checkPassword, async (req, res, next) => {
+    try {
+      res.json(await dndData.searchMagicItems(db, req.query));
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.get('/magic-items/:itemIndex', checkPassword, async (req, res, next) => {
+    try {
+      const item = await dndData.getMagicItemDetail(db, req.params.itemIndex);
+      if (!item) {
+        return res.status(404).json({ error: 'Magic item not found' });
+      }
+      res.json(item);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  /**
+   * GET /api/dnd/monsters
+   * Search monsters: ?name=&cr=&min_cr=&max_cr=&type=&size=&limit= (CR as "1/4" or 0.25)
+   */
+  router.get('/monsters', checkPassword, async (req, res, next) => {
+    try {
+      res.json(await dndData.searchMonsters(db, req.query));
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.get('/monsters/:monsterIndex', checkPassword, async (req, res, next) => {
+    try {
+      const monster = await dndData.getMonsterDetail(db, req.params.monsterIndex);
+      if (!monster) {
+        return res.status(404).json({ error: 'Monster not found' });
+      }
+      res.json(monster);
+    } catch (e) {
+      next(e);
+    }
+  });
+
   router.get('/skills', checkPassword, async (req, res, next) => {
     try {
       res.json(await dndData.getSkills(db));
@@ -67,6 +143,19 @@ function createDndDataRoutes(db, auth) {
     }
   });
 
+  /**
+   * POST /api/dnd/refresh
+   * Re-download spells, equipment and magic items from the D&D 5e API (admin only).
+   * Optional: the bundled SRD files are used whenever this has never run or the API is unreachable.
+   */
+  router.post('/refresh', checkAdminPassword, async (req, res, next) => {
+    try {
+      res.json(await dndData.refreshFromApi(db));
+    } catch (e) {
+      next(e);
+    }
+  });
+
   return router;
 }
 
@@ -0,0 +1,99 @@
+/**
+ * Encounter Routes
+ * GM encounter builder for a session: rate SRD monsters against the party and push them into play
+ */
+
+const express = require('express');
+const { validate } = require('../lib/validation');
+const encounterService = require('../services/encounterService');
+const combatService = require('../services/combatService');
+const messageStore = require('../services/messageStore');
+const { emitToSession } = require('../lib/rooms');
+const { ROLES } = require('../lib/permissions');
+
+/**
+ * Create encounter router with dependencies
+ * Mounted at /api/sessions/:id/encounter (uses mergeParams for :id)
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.db - Database instance
+ * @param {Object} deps.io - Socket.IO instance
+ * @param {Object} deps.auth - Auth middleware
+ * @param {Function} deps.getSessionCharacters - Get session characters (takes db, sessionId)
+ * @returns {express.Router}
+ */
+function createEncounterRoutes(deps) {
+  const { db, io, auth, getSessionCharacters } = deps;
+
+  const router = express.Router({ mergeParams: true });
+  const { checkPassword, requireRole } = auth;
+
+  // Building encounters is the GM's job — the players shouldn't see what's coming
+  router.use(checkPassword, requireRole(ROLES.COGM), (req, res, next) => {
+    const session = db.prepare('SELECT id FROM game_sessions WHERE id = ?').get(req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    next();
+  });
+
+  /**
+   * POST /api/sessions/:id/encounter/rate
+   * Rate an encounter against the session's party
+   * Body: { monsters: [{ index, count? }] }
+   */
+  router.post('/rate', (req, res) => {
+    const encounter = encounterService.rateEncounter(getSessionCharacters(db, req.params.id), req.body.monsters);
+    if (encounter.error) return res.status(400).json({ error: encounter.error });
+    res.json({ encounter });
+  });
+
+  /**
+   * POST /api/sessions/:id/encounter/push
+   * Put an encounter into play: start a combat with its monsters (or add them to the running one)
+   * and/or send the DM a GM nudge with their stat blocks
+   * Body: { monsters: [{ index, count? }], name?, combat?: boolean (default true), nudge?: boolean (default true) }
+   */
+  router.post('/push', (req, res) => {
+    const sessionId = req.params.id;
+    const startCombat = req.body.combat !== false;
+    const sendNudge = req.body.nudge !== false;
+    if (!startCombat && !sendNudge) {
+      return res.status(400).json({ error: 'Choose a combat, a GM nudge, or both' });
+    }
+
+    const characters = getSessionCharacters(db, sessionId);
+    const encounter = encounterService.rateEncounter(characters, req.body.monsters);
+    if (encounter.error) return res.status(400).json({ error: encounter.error });
+    const name = validate.sanitizeString(String(req.body.name || ''), 100).trim();
+
+    try {
+      let combat = null;
+      if (startCombat) {
+        const enemies = encounterService.toCombatEnemies(encounter);
+        combat = combatService.addCombatants(db, sessionId, enemies)
+          || combatService.startCombat(db, sessionId, characters, enemies, name || undefined);
+        emitToSession(io, sessionId, 'combat_updated', { sessionId, combat });
+      }
+
+      let nudge = null;
+      if (sendNudge) {
+        nudge = encounterService.formatEncounterNudge(encounter, name);
+        messageStore.appendMessages(db, sessionId, [{
+          role: 'user',
+          content: nudge,
+          type: 'gm_nudge',
+          hidden: true,
+          timestamp: new Date().toISOString()
+        }]);
+      }
+
+      console.log(`Encounter pushed to session ${sessionId}: ${encounter.monsters.map(m => `${m.name} x${m.count}`).join(', ')} (${encounter.difficulty})`);
+      res.json({ encounter, combat, nudge });
+    } catch (error) {
+      console.error('Error pushing encounter:', error);
+      res.status(500).json({ error: 'Failed to push encounter: ' + error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createEncounterRoutes };
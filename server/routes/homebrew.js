@@ -0,0 +1,105 @@
+/**
+ * Homebrew Routes
+ * The table's own races, classes, subclasses, backgrounds and magic items. Entries are validated against the shape
+ * of the SRD files and show up in the /api/dnd lists and searches labelled source: 'homebrew'.
+ */
+
+const express = require('express');
+const homebrew = require('../services/homebrewService');
+const dndData = require('../services/dndDataService');
+
+/**
+ * Create homebrew router
+ * Mounted at /api/dnd/homebrew
+ * @param {Object} db - Database instance
+ * @param {Object} auth - Auth middleware
+ * @returns {express.Router}
+ */
+function createHomebrewRoutes(db, auth) {
+  const router = express.Router();
+  const { checkPassword, checkAdminPassword } = auth;
+
+  // Validate an entry and make sure its index is free; sends the error response and returns null if not
+  function readEntry(type, data, res, entryId = null) {
+    const { entry, error } = homebrew.validateEntry(type, data);
+    if (error) {
+      res.status(400).json({ error });
+      return null;
+    }
+    if (dndData.hasSrdEntry(db, type, entry.index)) {
+      res.status(409).json({ error: `The SRD already has a ${type} "${entry.index}" — give the homebrew one another index` });
+      return null;
+    }
+    const existing = homebrew.findEntry(db, type, entry.index);
+    if (existing && existing.id !== entryId) {
+      res.status(409).json({ error: `There is already a homebrew ${type} "${entry.index}"` });
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * GET /api/dnd/homebrew
+   * List homebrew entries (?type=race|class|subclass|background|item)
+   */
+  router.get('/', checkPassword, (req, res) => {
+    const { type } = req.query;
+    if (type && !homebrew.HOMEBREW_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${homebrew.HOMEBREW_TYPES.join(', ')}` });
+    }
+    res.json(homebrew.listEntries(db, type));
+  });
+
+  /**
+   * GET /api/dnd/homebrew/:entryId
+   */
+  router.get('/:entryId', checkPassword, (req, res) => {
+    const entry = homebrew.getEntry(db, req.params.entryId);
+    if (!entry) return res.status(404).json({ error: 'Homebrew entry not found' });
+    res.json(entry);
+  });
+
+  /**
+   * POST /api/dnd/homebrew
+   * Add an entry (admin)
+   * Body: { type, data } — data in the shape of the type's SRD file; index defaults to the name as a slug
+   */
+  router.post('/', checkAdminPassword, (req, res) => {
+    const { type, data } = req.body;
+    const entry = readEntry(type, data, res);
+    if (!entry) return;
+
+    const created = homebrew.createEntry(db, type, entry);
+    console.log(`Homebrew ${type} added: ${created.name}`);
+    res.json(created);
+  });
+
+  /**
+   * PUT /api/dnd/homebrew/:entryId
+   * Replace an entry's data (admin); its type can't change
+   * Body: { data }
+   */
+  router.put('/:entryId', checkAdminPassword, (req, res) => {
+    const existing = homebrew.getEntry(db, req.params.entryId);
+    if (!existing) return res.status(404).json({ error: 'Homebrew entry not found' });
+
+    const entry = readEntry(existing.type, req.body.data, res, existing.id);
+    if (!entry) return;
+    res.json(homebrew.updateEntry(db, existing.id, entry));
+  });
+
+  /**
+   * DELETE /api/dnd/homebrew/:entryId
+   * Remove an entry (admin). Characters already made with it keep their race / class / background names.
+   */
+  router.delete('/:entryId', checkAdminPassword, (req, res) => {
+    if (!homebrew.deleteEntry(db, req.params.entryId)) {
+      return res.status(404).json({ error: 'Homebrew entry not found' });
+    }
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = { createHomebrewRoutes };
@@ -9,6 +9,15 @@ const { createApiConfigRoutes } = require('./apiConfig');
 const { createSessionRoutes } = require('./sessions');
 const { createTTSRoutes } = require('./tts');
 const { createDndDataRoutes } = require('./dndData');
+const { createHomebrewRoutes } = require('./homebrew');
+const { createCombatRoutes } = require('./combat');
+const { createLedgerRoutes } = require('./ledger');
+const { createNpcRoutes } = require('./npcs');
+const { createQuestRoutes } = require('./quests');
+const { createDiceRoutes } = require('./dice');
+const { createCheckRoutes } = require('./checks');
+const { createPlayerRoutes } = require('./players');
+const { createEncounterRoutes } = require('./encounters');
 
 /**
  * Initialize all routes with dependencies
@@ -26,7 +35,12 @@ function initializeRoutes(deps) {
 
   return {
     auth: createAuthRoutes(db, auth, authLimiter),
-    characters: createCharacterRoutes({ db, io, auth, aiService, getActiveApiConfig }),
+    players: createPlayerRoutes(db, auth),
+    characters: createCharacterRoutes({
+      db, io, auth, aiService, getActiveApiConfig,
+      parseAcEffects,
+      updateCharacterAC
+    }),
     apiConfig: createApiConfigRoutes(db, auth),
     sessions: createSessionRoutes({
       db, io, auth, aiService,
@@ -42,7 +56,15 @@ function initializeRoutes(deps) {
       getSessionCharacters
     }),
     tts: createTTSRoutes({ db, auth, getOpenAIApiKey }),
-    dndData: createDndDataRoutes(db, auth)
+    dndData: createDndDataRoutes(db, auth),
+    homebrew: createHomebrewRoutes(db, auth),
+    combat: createCombatRoutes({ db, io, auth, getSessionCharacters }),
+    ledger: createLedgerRoutes({ db, io, auth }),
+    npcs: createNpcRoutes({ db, io, auth }),
+    quests: createQuestRoutes({ db, io, auth }),
+    dice: createDiceRoutes({ db, auth, getSessionCharacters }),
+    checks: createCheckRoutes({ db, io, auth, processingSessions, processAITurn, getSessionCharacters }),
+    encounters: createEncounterRoutes({ db, io, auth, getSessionCharacters })
   };
 }
 
@@ -53,5 +75,14 @@ module.exports = {
   createApiConfigRoutes,
   createSessionRoutes,
   createTTSRoutes,
-  createDndDataRoutes
+  createDndDataRoutes,
+  createHomebrewRoutes,
+  createCombatRoutes,
+  createLedgerRoutes,
+  createNpcRoutes,
+  createQuestRoutes,
+  createDiceRoutes,
+  createCheckRoutes,
+  createPlayerRoutes,
+  createEncounterRoutes
 };
@@ -0,0 +1,101 @@
+/**
+ * Ledger Routes
+ * What each turn changed (from AI tags) and undo of single changes, whole turns, or everything after a turn
+ */
+
+const express = require('express');
+const ledgerService = require('../services/ledgerService');
+const { emitToSession, emitCharacterUpdated } = require('../lib/rooms');
+const { ROLES } = require('../lib/permissions');
+const { invalidateCache } = require('../lib/cache');
+
+/**
+ * Create ledger router with dependencies
+ * Mounted at /api/sessions/:id/ledger (uses mergeParams for :id)
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.db - Database instance
+ * @param {Object} deps.io - Socket.IO instance
+ * @param {Object} deps.auth - Auth middleware
+ * @returns {express.Router}
+ */
+function createLedgerRoutes(deps) {
+  const { db, io, auth } = deps;
+
+  const router = express.Router({ mergeParams: true });
+  const { checkPassword, requireRole } = auth;
+  const requireGM = requireRole(ROLES.COGM);
+
+  router.use((req, res, next) => {
+    const session = db.prepare('SELECT id FROM game_sessions WHERE id = ?').get(req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    next();
+  });
+
+  // Push restored values to clients and tell them to refresh the story's "what changed" lists
+  function sendUndoResult(req, res, result) {
+    if (result.characterIds.length > 0) invalidateCache('characters:');
+    for (const characterId of result.characterIds) {
+      const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(characterId);
+      if (character) emitCharacterUpdated(io, db, character);
+    }
+    emitToSession(io, req.params.id, 'session_updated', { id: req.params.id });
+    res.json({ success: true, undone: result.undone.length, conflicts: result.conflicts });
+  }
+
+  function readTurn(req, res) {
+    const turn = parseInt(req.body.turn, 10);
+    if (isNaN(turn) || turn < 0) {
+      res.status(400).json({ error: 'turn must be a non-negative number' });
+      return null;
+    }
+    return turn;
+  }
+
+  /**
+   * GET /api/sessions/:id/ledger
+   * Ledger rows, oldest first. Query: turn (optional)
+   */
+  router.get('/', checkPassword, (req, res) => {
+    const turn = req.query.turn !== undefined ? parseInt(req.query.turn, 10) : undefined;
+    if (turn !== undefined && isNaN(turn)) {
+      return res.status(400).json({ error: 'turn must be a number' });
+    }
+    res.json({ entries: ledgerService.getEntries(db, req.params.id, { turn }) });
+  });
+
+  /**
+   * POST /api/sessions/:id/ledger/undo-turn
+   * Undo everything one turn changed (co-GM)
+   * Body: { turn }
+   */
+  router.post('/undo-turn', checkPassword, requireGM, (req, res) => {
+    const turn = readTurn(req, res);
+    if (turn === null) return;
+    sendUndoResult(req, res, ledgerService.undoTurn(db, req.params.id, turn));
+  });
+
+  /**
+   * POST /api/sessions/:id/ledger/undo-after
+   * Undo everything changed after a turn (co-GM)
+   * Body: { turn } — the last turn to keep
+   */
+  router.post('/undo-after', checkPassword, requireGM, (req, res) => {
+    const turn = readTurn(req, res);
+    if (turn === null) return;
+    sendUndoResult(req, res, ledgerService.undoAfterTurn(db, req.params.id, turn));
+  });
+
+  /**
+   * POST /api/sessions/:id/ledger/:entryId/undo
+   * Undo a single change (co-GM)
+   */
+  router.post('/:entryId/undo', checkPassword, requireGM, (req, res) => {
+    const result = ledgerService.undoEntry(db, req.params.id, req.params.entryId);
+    if (!result) return res.status(404).json({ error: 'Ledger entry not found' });
+    sendUndoResult(req, res, result);
+  });
+
+  return router;
+}
+
+module.exports = { createLedgerRoutes };
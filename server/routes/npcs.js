@@ -0,0 +1,136 @@
+/**
+ * NPC Routes
+ * GM panel for a session's NPC registry: list, add, edit and remove NPCs
+ */
+
+const express = require('express');
+const { validate } = require('../lib/validation');
+const npcService = require('../services/npcService');
+const { emitToSession } = require('../lib/rooms');
+const { ROLES } = require('../lib/permissions');
+
+/**
+ * Create NPC router with dependencies
+ * Mounted at /api/sessions/:id/npcs (uses mergeParams for :id)
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.db - Database instance
+ * @param {Object} deps.io - Socket.IO instance
+ * @param {Object} deps.auth - Auth middleware
+ * @returns {express.Router}
+ */
+function createNpcRoutes(deps) {
+  const { db, io, auth } = deps;
+
+  const router = express.Router({ mergeParams: true });
+  const { checkPassword, requireRole } = auth;
+
+  // NPC notes can hold secrets the players haven't uncovered — the whole registry is GM-only
+  router.use(checkPassword, requireRole(ROLES.COGM), (req, res, next) => {
+    const session = db.prepare('SELECT id FROM game_sessions WHERE id = ?').get(req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    next();
+  });
+
+  // Validate and clean the editable fields of a request body (only those present)
+  function readFields(body, res) {
+    const fields = {};
+    if (body.name !== undefined) {
+      fields.name = validate.sanitizeString(String(body.name), 100).trim();
+      if (!fields.name) {
+        res.status(400).json({ error: 'NPC name is required' });
+        return null;
+      }
+    }
+    for (const key of ['description', 'location']) {
+      if (body[key] !== undefined) fields[key] = validate.sanitizeString(String(body[key] || ''), 500);
+    }
+    if (body.notes !== undefined) fields.notes = validate.sanitizeString(String(body.notes || ''), 5000);
+    if (body.status !== undefined) {
+      if (!npcService.NPC_STATUSES.includes(body.status)) {
+        res.status(400).json({ error: `status must be one of: ${npcService.NPC_STATUSES.join(', ')}` });
+        return null;
+      }
+      fields.status = body.status;
+    }
+    if (body.attitudes !== undefined) {
+      if (!body.attitudes || typeof body.attitudes !== 'object' || Array.isArray(body.attitudes)) {
+        res.status(400).json({ error: 'attitudes must be an object of character name -> attitude' });
+        return null;
+      }
+      fields.attitudes = {};
+      for (const [name, attitude] of Object.entries(body.attitudes)) {
+        const cleanName = validate.sanitizeString(String(name), 100).trim();
+        const cleanAttitude = validate.sanitizeString(String(attitude || ''), 200).trim();
+        if (cleanName && cleanAttitude) fields.attitudes[cleanName] = cleanAttitude;
+      }
+    }
+    return fields;
+  }
+
+  function nameTaken(sessionId, name, exceptId) {
+    const existing = npcService.findNpcByName(db, sessionId, name);
+    return !!existing && existing.id !== exceptId;
+  }
+
+  /**
+   * GET /api/sessions/:id/npcs
+   * The session's NPCs, most recently seen first
+   */
+  router.get('/', (req, res) => {
+    res.json(npcService.listNpcs(db, req.params.id));
+  });
+
+  /**
+   * POST /api/sessions/:id/npcs
+   * Add an NPC
+   * Body: { name, description?, location?, attitudes?, status?, notes? }
+   */
+  router.post('/', (req, res) => {
+    const fields = readFields({ ...req.body, name: req.body.name ?? '' }, res);
+    if (!fields) return;
+    if (nameTaken(req.params.id, fields.name)) {
+      return res.status(409).json({ error: `An NPC named "${fields.name}" already exists` });
+    }
+
+    const session = db.prepare('SELECT current_turn FROM game_sessions WHERE id = ?').get(req.params.id);
+    const npc = npcService.createNpc(db, req.params.id, { ...fields, last_seen_turn: session.current_turn });
+    emitToSession(io, req.params.id, 'npcs_updated', { sessionId: req.params.id });
+    res.json(npc);
+  });
+
+  /**
+   * PUT /api/sessions/:id/npcs/:npcId
+   * Edit an NPC
+   * Body: any of { name, description, location, attitudes, status, notes }
+   */
+  router.put('/:npcId', (req, res) => {
+    if (!npcService.getNpc(db, req.params.id, req.params.npcId)) {
+      return res.status(404).json({ error: 'NPC not found' });
+    }
+    const fields = readFields(req.body, res);
+    if (!fields) return;
+    if (fields.name && nameTaken(req.params.id, fields.name, req.params.npcId)) {
+      return res.status(409).json({ error: `An NPC named "${fields.name}" already exists` });
+    }
+
+    const npc = npcService.updateNpc(db, req.params.id, req.params.npcId, fields);
+    emitToSession(io, req.params.id, 'npcs_updated', { sessionId: req.params.id });
+    res.json(npc);
+  });
+
+  /**
+   * DELETE /api/sessions/:id/npcs/:npcId
+   * Remove an NPC
+   */
+  router.delete('/:npcId', (req, res) => {
+    if (!npcService.deleteNpc(db, req.params.id, req.params.npcId)) {
+      return res.status(404).json({ error: 'NPC not found' });
+    }
+    emitToSession(io, req.params.id, 'npcs_updated', { sessionId: req.params.id });
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = { createNpcRoutes };
@@ -0,0 +1,137 @@
+/**
+ * Player Routes
+ * Lightweight player accounts: register, login, logout, current player, and role management
+ */
+
+const express = require('express');
+const { validate, validateBody, schemas } = require('../lib/validation');
+const playerService = require('../services/playerService');
+const { ROLES, isValidRole } = require('../lib/permissions');
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 4;
+
+/**
+ * Create player router
+ * @param {Object} db - Database instance
+ * @param {Object} auth - Auth middleware {requirePlayer, getRole, requireRole}
+ * @returns {express.Router}
+ */
+function createPlayerRoutes(db, auth) {
+  const router = express.Router();
+  const { requirePlayer, getRole, requireRole } = auth;
+
+  // Hand the login token to the browser as an HttpOnly cookie (and in the body for non-browser clients)
+  function sendLogin(req, res, player) {
+    const { token, expiresAt } = playerService.issueToken(db, player.id);
+    res.cookie(playerService.PLAYER_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      maxAge: playerService.TOKEN_TTL_MS,
+      path: '/'
+    });
+    res.json({ player, token, expiresAt });
+  }
+
+  /**
+   * POST /api/players/register
+   * Create a player account and log in
+   * Body: { username, password, display_name? }
+   */
+  router.post('/register', validateBody(schemas.player), (req, res) => {
+    const username = validate.sanitizeString(req.body.username, 32);
+    const password = req.body.password;
+    const displayName = validate.sanitizeString(req.body.display_name || '', 100);
+
+    if (!USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({ error: 'Username must be 3-32 letters, numbers, dots, dashes or underscores' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const player = playerService.createPlayer(db, username, password, displayName);
+    if (!player) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+
+    sendLogin(req, res, player);
+  });
+
+  /**
+   * POST /api/players/login
+   * Log in with username and password
+   * Body: { username, password }
+   */
+  router.post('/login', validateBody(schemas.player), (req, res) => {
+    const player = playerService.verifyPlayer(db, validate.sanitizeString(req.body.username, 32), req.body.password);
+    if (!player) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    sendLogin(req, res, player);
+  });
+
+  /**
+   * POST /api/players/logout
+   * Revoke the current login token
+   */
+  router.post('/logout', (req, res) => {
+    const token = playerService.readTokenFromCookie(req.headers.cookie) || req.headers['x-player-token'];
+    playerService.revokeToken(db, token);
+    res.clearCookie(playerService.PLAYER_COOKIE, { path: '/' });
+    res.json({ success: true });
+  });
+
+  /**
+   * GET /api/players/me
+   * Current player (null when not logged in), effective global role, and sessions they co-GM
+   */
+  router.get('/me', (req, res) => {
+    res.json({
+      player: req.player || null,
+      role: getRole(req),
+      gmSessionIds: req.player ? playerService.getGMSessionIds(db, req.player.id) : []
+    });
+  });
+
+  /**
+   * GET /api/players/me/characters
+   * Characters owned by the current player
+   */
+  router.get('/me/characters', requirePlayer, (req, res) => {
+    const characters = db.prepare('SELECT * FROM characters WHERE owner_id = ? ORDER BY created_at DESC').all(req.player.id);
+    res.json(characters);
+  });
+
+  /**
+   * GET /api/players
+   * List players with their roles (admin only)
+   */
+  router.get('/', requireRole(ROLES.ADMIN, () => null), (req, res) => {
+    res.json(playerService.listPlayers(db));
+  });
+
+  /**
+   * PUT /api/players/:id/role
+   * Set a player's global role (admin only)
+   * Body: { role: 'player' | 'cogm' | 'admin' }
+   */
+  router.put('/:id/role', requireRole(ROLES.ADMIN, () => null), (req, res) => {
+    const { role } = req.body;
+    if (!isValidRole(role)) {
+      return res.status(400).json({ error: `role must be one of: ${Object.values(ROLES).join(', ')}` });
+    }
+
+    const player = playerService.setPlayerRole(db, req.params.id, role);
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+    res.json(player);
+  });
+
+  return router;
+}
+
+module.exports = { createPlayerRoutes };
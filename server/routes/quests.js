@@ -0,0 +1,142 @@
+/**
+ * Quest Routes
+ * The session's quest log: everyone at the table can read it, GMs can edit it by hand
+ */
+
+const express = require('express');
+const { validate } = require('../lib/validation');
+const questService = require('../services/questService');
+const { emitToSession } = require('../lib/rooms');
+const { ROLES } = require('../lib/permissions');
+
+/**
+ * Create quest router with dependencies
+ * Mounted at /api/sessions/:id/quests (uses mergeParams for :id)
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.db - Database instance
+ * @param {Object} deps.io - Socket.IO instance
+ * @param {Object} deps.auth - Auth middleware
+ * @returns {express.Router}
+ */
+function createQuestRoutes(deps) {
+  const { db, io, auth } = deps;
+
+  const router = express.Router({ mergeParams: true });
+  const { checkPassword, requireRole } = auth;
+  const requireGM = requireRole(ROLES.COGM);
+
+  router.use((req, res, next) => {
+    const session = db.prepare('SELECT id FROM game_sessions WHERE id = ?').get(req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    next();
+  });
+
+  // Send the whole (short) quest log so every panel can re-render without another request
+  function broadcastQuests(sessionId) {
+    emitToSession(io, sessionId, 'quests_updated', { sessionId, quests: questService.listQuests(db, sessionId) });
+  }
+
+  // Validate and clean the editable fields of a request body (only those present)
+  function readFields(body, res) {
+    const fields = {};
+    if (body.title !== undefined) {
+      fields.title = validate.sanitizeString(String(body.title), 200).trim();
+      if (!fields.title) {
+        res.status(400).json({ error: 'Quest title is required' });
+        return null;
+      }
+    }
+    for (const key of ['giver', 'reward']) {
+      if (body[key] !== undefined) fields[key] = validate.sanitizeString(String(body[key] || ''), 200);
+    }
+    if (body.description !== undefined) fields.description = validate.sanitizeString(String(body.description || ''), 2000);
+    if (body.status !== undefined) {
+      if (!questService.QUEST_STATUSES.includes(body.status)) {
+        res.status(400).json({ error: `status must be one of: ${questService.QUEST_STATUSES.join(', ')}` });
+        return null;
+      }
+      fields.status = body.status;
+    }
+    if (body.objectives !== undefined) {
+      if (!Array.isArray(body.objectives)) {
+        res.status(400).json({ error: 'objectives must be an array' });
+        return null;
+      }
+      fields.objectives = body.objectives.map(o => typeof o === 'string'
+        ? validate.sanitizeString(o, 300)
+        : { text: validate.sanitizeString(String(o?.text || ''), 300), done: !!o?.done });
+    }
+    return fields;
+  }
+
+  function titleTaken(sessionId, title, exceptId) {
+    const existing = db.prepare('SELECT id FROM quests WHERE session_id = ? AND title = ?').get(sessionId, title);
+    return !!existing && existing.id !== exceptId;
+  }
+
+  /**
+   * GET /api/sessions/:id/quests
+   * The quest log, active quests first
+   */
+  router.get('/', checkPassword, (req, res) => {
+    res.json(questService.listQuests(db, req.params.id));
+  });
+
+  /**
+   * POST /api/sessions/:id/quests
+   * Add a quest
+   * Body: { title, giver?, description?, reward?, objectives?: [string | {text, done}], status? }
+   */
+  router.post('/', checkPassword, requireGM, (req, res) => {
+    const fields = readFields({ ...req.body, title: req.body.title ?? '' }, res);
+    if (!fields) return;
+    if (titleTaken(req.params.id, fields.title)) {
+      return res.status(409).json({ error: `A quest named "${fields.title}" already exists` });
+    }
+
+    const session = db.prepare('SELECT current_turn FROM game_sessions WHERE id = ?').get(req.params.id);
+    const quest = questService.createQuest(db, req.params.id, { ...fields, started_turn: session.current_turn });
+    broadcastQuests(req.params.id);
+    res.json(quest);
+  });
+
+  /**
+   * PUT /api/sessions/:id/quests/:questId
+   * Edit a quest (status, objectives ticked off, ...)
+   * Body: any of { title, giver, description, reward, objectives, status }
+   */
+  router.put('/:questId', checkPassword, requireGM, (req, res) => {
+    const quest = questService.getQuest(db, req.params.id, req.params.questId);
+    if (!quest) return res.status(404).json({ error: 'Quest not found' });
+    const fields = readFields(req.body, res);
+    if (!fields) return;
+    if (fields.title && titleTaken(req.params.id, fields.title, quest.id)) {
+      return res.status(409).json({ error: `A quest named "${fields.title}" already exists` });
+    }
+
+    if (fields.status && fields.status !== quest.status) {
+      const session = db.prepare('SELECT current_turn FROM game_sessions WHERE id = ?').get(req.params.id);
+      fields.resolved_turn = fields.status === 'active' ? null : session.current_turn;
+    }
+
+    const updated = questService.updateQuest(db, req.params.id, quest.id, fields);
+    broadcastQuests(req.params.id);
+    res.json(updated);
+  });
+
+  /**
+   * DELETE /api/sessions/:id/quests/:questId
+   * Remove a quest from the log
+   */
+  router.delete('/:questId', checkPassword, requireGM, (req, res) => {
+    if (!questService.deleteQuest(db, req.params.id, req.params.questId)) {
+      return res.status(404).json({ error: 'Quest not found' });
+    }
+    broadcastQuests(req.params.id);
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = { createQuestRoutes };
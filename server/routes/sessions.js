@@ -7,6 +7,26 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { validate, validateBody, schemas } = require('../lib/validation');
 const tagParser = require('../services/tagParser');
+const { getActiveCombat } = require('../services/combatService');
+const { listQuests } = require('../services/questService');
+const { emitToSession, emitCharacterUpdated } = require('../lib/rooms');
+const { getViewer, filterEntryForViewer } = require('../services/visibilityService');
+const { ROLES, roleAtLeast } = require('../lib/permissions');
+const { toPublicPlayer } = require('../services/playerService');
+const messageStore = require('../services/messageStore');
+const ledgerService = require('../services/ledgerService');
+const snapshotService = require('../services/snapshotService');
+const forkService = require('../services/forkService');
+const deathSaveService = require('../services/deathSaveService');
+const diceService = require('../services/diceService');
+const checkService = require('../services/checkService');
+const restService = require('../services/restService');
+const inventoryService = require('../services/inventoryService');
+const { invalidateCache } = require('../lib/cache');
+
+// History paging for GET /:id/messages
+const MESSAGE_PAGE_SIZE = 50;
+const MAX_MESSAGE_PAGE_SIZE = 200;
 
 /**
  * Create session router with dependencies
@@ -43,9 +63,40 @@ function createSessionRoutes(deps) {
   } = deps;
 
   const router = express.Router();
-  const { checkPassword, checkAdminPassword } = auth;
+  const { checkPassword, getRole, requireRole, requireCharacterOwner } = auth;
+  // Players may only submit/cancel actions for characters they own (the session's GMs act for anyone)
+  const sessionIdParam = req => req.params.id;
+  const checkBodyCharacterOwner = requireCharacterOwner(req => req.body.character_id, sessionIdParam);
+  const checkParamCharacterOwner = requireCharacterOwner(req => req.params.characterId, sessionIdParam);
+  const checkPartyCharacterOwner = requireCharacterOwner(req => req.body.characterId, sessionIdParam);
+  // GMs of the session see every POV and hidden entry
+  const isSessionGM = req => roleAtLeast(getRole(req, req.params.id), ROLES.COGM);
   const { findCharacterByName } = tagParser;
 
+  // ID of a character's pending action, or a fresh one for the action about to be added
+  function pendingActionId(sessionId, characterId) {
+    const existing = db.prepare('SELECT id FROM pending_actions WHERE session_id = ? AND character_id = ?').get(sessionId, characterId);
+    return existing ? existing.id : uuidv4();
+  }
+
+  // Set (or replace) a character's action for the coming turn
+  function upsertPendingAction(sessionId, characterId, action, id = pendingActionId(sessionId, characterId)) {
+    db.prepare(`
+      INSERT INTO pending_actions (id, session_id, character_id, action) VALUES (?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET action = excluded.action
+    `).run(id, sessionId, characterId, action);
+  }
+
+  // While a turn waits on [CHECK:] rolls, its actions are locked in
+  const PAUSED_MESSAGE = 'The Narrator is waiting for check rolls. Roll them (or force the turn) first.';
+
+  // Why a downed character can't take an action
+  function downMessage(character) {
+    return character.life_state === 'dying'
+      ? `${character.character_name} is dying and can only roll death saves`
+      : `${character.character_name} is ${character.life_state === 'dead' ? 'dead' : 'unconscious'} and cannot act`;
+  }
+
   // Helper to get session characters
   function getSessionCharacters(sessionId) {
     if (getSessionCharactersFn) {
@@ -60,13 +111,19 @@ function createSessionRoutes(deps) {
     `).all(sessionId);
   }
 
+  // Session metadata for clients: history is paged separately via GET /:id/messages
+  function toSessionMeta(session) {
+    const { full_history, ...meta } = session;
+    return { ...meta, message_count: messageStore.countMessages(db, session.id) };
+  }
+
   /**
    * GET /api/sessions
-   * List all sessions
+   * List all sessions (metadata only)
    */
   router.get('/', checkPassword, (req, res) => {
     const sessions = db.prepare('SELECT * FROM game_sessions ORDER BY created_at DESC').all();
-    res.json(sessions);
+    res.json(sessions.map(toSessionMeta));
   });
 
   /**
@@ -83,8 +140,8 @@ function createSessionRoutes(deps) {
 
     const id = uuidv4();
 
-    db.prepare('INSERT INTO game_sessions (id, name, full_history, story_summary, scenario) VALUES (?, ?, ?, ?, ?)')
-      .run(id, sanitizedName, '[]', '', sanitizedScenario);
+    db.prepare('INSERT INTO game_sessions (id, name, story_summary, scenario) VALUES (?, ?, ?, ?)')
+      .run(id, sanitizedName, '', sanitizedScenario);
 
     // Link selected characters
     if (validCharIds.length > 0) {
@@ -169,8 +226,7 @@ Do NOT use [CHOICE:] tags or any tracking tags ([HP:], [XP:], etc.) — this is
               const historyEntry = { role: 'assistant', content: openingScene, type: 'narration' };
               if (Object.keys(parsedPOVs).length > 0) historyEntry.povs = parsedPOVs;
 
-              const history = [historyEntry];
-              db.prepare('UPDATE game_sessions SET full_history = ? WHERE id = ?').run(JSON.stringify(history), id);
+              messageStore.appendMessages(db, id, [historyEntry]);
             }
           } catch (aiError) {
             console.error('Failed to generate opening scene:', aiError);
@@ -181,30 +237,77 @@ Do NOT use [CHOICE:] tags or any tracking tags ([HP:], [XP:], etc.) — this is
       }
     }
 
-    const session = db.prepare('SELECT * FROM game_sessions WHERE id = ?').get(id);
+    const session = toSessionMeta(db.prepare('SELECT * FROM game_sessions WHERE id = ?').get(id));
     io.emit('session_created', session);
     res.json(session);
   });
 
   /**
    * GET /api/sessions/:id
-   * Get session details with pending actions
+   * Get session metadata with pending actions, active combat and quest log (history: GET /:id/messages)
+   * While the turn waits on check rolls: checks, and the narration so far (checkNarration)
    */
   router.get('/:id', checkPassword, (req, res) => {
-    const session = db.prepare('SELECT * FROM game_sessions WHERE id = ?').get(req.params.id);
-    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const row = db.prepare('SELECT * FROM game_sessions WHERE id = ?').get(req.params.id);
+    if (!row) return res.status(404).json({ error: 'Session not found' });
+    const session = toSessionMeta(row);
 
     const pendingActions = db.prepare('SELECT * FROM pending_actions WHERE session_id = ?').all(req.params.id);
     const sessionChars = getSessionCharacters(req.params.id);
+    const combat = getActiveCombat(db, req.params.id);
+    const quests = listQuests(db, req.params.id);
+    const pausedTurn = checkService.getPausedTurn(db, req.params.id);
+
+    res.json({
+      session, pendingActions, sessionCharacters: sessionChars, combat, quests,
+      checks: pausedTurn ? pausedTurn.checks : [],
+      checkNarration: pausedTurn ? checkService.stripCheckTags(pausedTurn.narration).trim() : null
+    });
+  });
+
+  /**
+   * GET /api/sessions/:id/messages
+   * One page of history, oldest first. Query: before=<ordinal> (omit for the latest page), limit (default 50, max 200)
+   * Only includes the POVs of ?character_id= (all POVs for admin and the session's GMs)
+   * Narrations carry `changes`: the state ledger rows their tags produced
+   */
+  router.get('/:id/messages', checkPassword, (req, res) => {
+    const sessionId = req.params.id;
+    const session = db.prepare('SELECT id FROM game_sessions WHERE id = ?').get(sessionId);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
 
-    res.json({ session, pendingActions, sessionCharacters: sessionChars });
+    const before = req.query.before !== undefined ? parseInt(req.query.before, 10) : undefined;
+    if (before !== undefined && isNaN(before)) {
+      return res.status(400).json({ error: 'before must be a message ordinal' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MESSAGE_PAGE_SIZE, 1), MAX_MESSAGE_PAGE_SIZE);
+
+    const viewer = getViewer(db, req, isSessionGM);
+    const page = messageStore.getMessagePage(db, sessionId, { before, limit });
+
+    const changesByOrdinal = {};
+    for (const entry of ledgerService.getEntries(db, sessionId, { messageOrdinals: page.messages.map(m => m.ordinal) })) {
+      (changesByOrdinal[entry.message_ordinal] = changesByOrdinal[entry.message_ordinal] || []).push(entry);
+    }
+
+    res.json({
+      // Filtering drops hidden entries' fields, so carry the ordinal (the next cursor) across
+      messages: page.messages.map(m => {
+        const filtered = { ...filterEntryForViewer(m, viewer), ordinal: m.ordinal };
+        if (changesByOrdinal[m.ordinal]) filtered.changes = changesByOrdinal[m.ordinal];
+        return filtered;
+      }),
+      startIndex: page.startIndex,
+      hasMore: page.hasMore,
+      total: messageStore.countMessages(db, sessionId)
+    });
   });
 
   /**
    * DELETE /api/sessions/:id
    * Delete session and associated data
    */
-  router.delete('/:id', checkPassword, (req, res) => {
+  router.delete('/:id', checkPassword, requireRole(ROLES.ADMIN), (req, res) => {
     const sessionId = req.params.id;
 
     try {
@@ -212,6 +315,16 @@ Do NOT use [CHOICE:] tags or any tracking tags ([HP:], [XP:], etc.) — this is
       db.prepare('DELETE FROM session_characters WHERE session_id = ?').run(sessionId);
       db.prepare('DELETE FROM combats WHERE session_id = ?').run(sessionId);
       db.prepare('DELETE FROM game_snapshots WHERE session_id = ?').run(sessionId);
+      db.prepare('DELETE FROM state_ledger WHERE session_id = ?').run(sessionId);
+      db.prepare('DELETE FROM npcs WHERE session_id = ?').run(sessionId);
+      db.prepare('DELETE FROM quests WHERE session_id = ?').run(sessionId);
+      db.prepare('DELETE FROM dice_rolls WHERE session_id = ?').run(sessionId);
+      db.prepare('DELETE FROM ability_checks WHERE session_id = ?').run(sessionId);
+      db.prepare('DELETE FROM session_gms WHERE session_id = ?').run(sessionId);
+      messageStore.deleteSessionMessages(db, sessionId);
+      // A branch's party copies belong to it alone
+      const branchCharacters = db.prepare('DELETE FROM characters WHERE branch_session_id = ?').run(sessionId).changes;
+      if (branchCharacters > 0) invalidateCache('characters:');
       const result = db.prepare('DELETE FROM game_sessions WHERE id = ?').run(sessionId);
 
       if (result.changes > 0) {
@@ -228,10 +341,11 @@ Do NOT use [CHOICE:] tags or any tracking tags ([HP:], [XP:], etc.) — this is
 
   /**
    * POST /api/sessions/:id/action
-   * Submit player action
+   * Submit player action. roll_id (from POST /:id/roll) attaches that server roll: its
+   * [DICE ROLL:] tag replaces any in the text.
    */
-  router.post('/:id/action', checkPassword, async (req, res) => {
-    const { character_id, action } = req.body;
+  router.post('/:id/action', checkPassword, checkBodyCharacterOwner, async (req, res) => {
+    const { character_id, action, roll_id } = req.body;
     const sessionId = req.params.id;
 
     if (processingSessions.has(sessionId)) {
@@ -241,57 +355,198 @@ Do NOT use [CHOICE:] tags or any tracking tags ([HP:], [XP:], etc.) — this is
       });
     }
 
-    const existing = db.prepare('SELECT * FROM pending_actions WHERE session_id = ? AND character_id = ?').get(sessionId, character_id);
-    if (existing) {
-      db.prepare('UPDATE pending_actions SET action = ? WHERE id = ?').run(action, existing.id);
-    } else {
-      db.prepare('INSERT INTO pending_actions (id, session_id, character_id, action) VALUES (?, ?, ?, ?)').run(uuidv4(), sessionId, character_id, action);
+    if (checkService.isPaused(db, sessionId)) {
+      return res.status(409).json({ error: PAUSED_MESSAGE });
+    }
+
+    const character = db.prepare('SELECT character_name, life_state FROM characters WHERE id = ?').get(character_id);
+    if (character && deathSaveService.isDown(character)) {
+      return res.status(409).json({ error: downMessage(character) });
     }
 
+    const actionId = pendingActionId(sessionId, character_id);
+    let actionText = action;
+    if (roll_id) {
+      const session = db.prepare('SELECT id, current_turn FROM game_sessions WHERE id = ?').get(sessionId);
+      if (!session) return res.status(404).json({ error: 'Session not found' });
+      const claim = diceService.claimRoll(db, roll_id, { session, characterId: character_id, actionId });
+      if (claim.error) return res.status(400).json({ error: claim.error });
+      actionText = diceService.withRollTag(action, diceService.formatRollTag(claim.roll));
+    }
+    upsertPendingAction(sessionId, character_id, actionText, actionId);
+
     const pendingActions = db.prepare('SELECT * FROM pending_actions WHERE session_id = ?').all(sessionId);
     const characters = getSessionCharacters(sessionId);
 
-    io.emit('action_submitted', { sessionId, pendingActions, character_id });
+    emitToSession(io, sessionId, 'action_submitted', { sessionId, pendingActions, character_id });
 
-    if (pendingActions.length >= characters.length && characters.length > 0) {
+    if (deathSaveService.isTurnReady(characters, pendingActions)) {
       processingSessions.add(sessionId);
-      io.emit('turn_processing', { sessionId });
+      emitToSession(io, sessionId, 'turn_processing', { sessionId });
 
       try {
         const result = await processAITurn(sessionId, pendingActions, characters);
         res.json({ processed: true, result });
       } catch (error) {
         console.error('AI processing error:', error);
-        io.emit('turn_error', { sessionId, error: error.message });
+        emitToSession(io, sessionId, 'turn_error', { sessionId, error: error.message });
         res.json({ processed: false, error: error.message });
       } finally {
         processingSessions.delete(sessionId);
       }
     } else {
-      res.json({ processed: false, waiting: characters.length - pendingActions.length });
+      res.json({ processed: false, waiting: deathSaveService.awaitedCharacters(characters, pendingActions).length });
     }
   });
 
+  /**
+   * POST /api/sessions/:id/death-save
+   * Roll a death save for a dying character. The roll happens here, not on the client; the result
+   * goes in as the character's action for the turn so the Narrator describes it.
+   */
+  router.post('/:id/death-save', checkPassword, checkBodyCharacterOwner, async (req, res) => {
+    const { character_id } = req.body;
+    const sessionId = req.params.id;
+
+    if (processingSessions.has(sessionId)) {
+      return res.status(409).json({
+        error: 'Turn is currently being processed. Please wait for the Narrator to finish.',
+        processing: true
+      });
+    }
+
+    if (checkService.isPaused(db, sessionId)) {
+      return res.status(409).json({ error: PAUSED_MESSAGE });
+    }
+
+    const character = getSessionCharacters(sessionId).find(c => c.id === character_id);
+    if (!character) {
+      return res.status(404).json({ error: 'Character not found in this session' });
+    }
+    if (character.life_state !== 'dying') {
+      return res.status(400).json({ error: `${character.character_name} is not dying` });
+    }
+    if (db.prepare('SELECT 1 FROM pending_actions WHERE session_id = ? AND character_id = ?').get(sessionId, character_id)) {
+      return res.status(409).json({ error: `${character.character_name} has already rolled a death save this turn` });
+    }
+
+    const save = deathSaveService.rollDeathSave(db, character);
+    upsertPendingAction(sessionId, character_id, deathSaveService.formatDeathSaveAction(character, save));
+
+    const updated = db.prepare('SELECT * FROM characters WHERE id = ?').get(character_id);
+    invalidateCache('characters:');
+    emitCharacterUpdated(io, db, updated);
+    emitToSession(io, sessionId, 'death_save_rolled', {
+      sessionId, character_id, character_name: character.character_name, ...save
+    });
+
+    const pendingActions = db.prepare('SELECT * FROM pending_actions WHERE session_id = ?').all(sessionId);
+    const characters = getSessionCharacters(sessionId);
+
+    emitToSession(io, sessionId, 'action_submitted', { sessionId, pendingActions, character_id });
+
+    if (deathSaveService.isTurnReady(characters, pendingActions)) {
+      processingSessions.add(sessionId);
+      emitToSession(io, sessionId, 'turn_processing', { sessionId });
+
+      try {
+        const result = await processAITurn(sessionId, pendingActions, characters);
+        res.json({ ...save, processed: true, result });
+      } catch (error) {
+        console.error('AI processing error:', error);
+        emitToSession(io, sessionId, 'turn_error', { sessionId, error: error.message });
+        res.json({ ...save, processed: false, error: error.message });
+      } finally {
+        processingSessions.delete(sessionId);
+      }
+    } else {
+      res.json({ ...save, processed: false, waiting: deathSaveService.awaitedCharacters(characters, pendingActions).length });
+    }
+  });
+
+  /**
+   * POST /api/sessions/:id/short-rest
+   * Spend hit dice during a short rest the Narrator called ({ character_id, hit_dice: { Fighter: 2 } }).
+   * Each die is rolled here with the CON modifier and heals the character.
+   */
+  router.post('/:id/short-rest', checkPassword, checkBodyCharacterOwner, (req, res) => {
+    const { character_id, hit_dice } = req.body;
+    const sessionId = req.params.id;
+
+    if (processingSessions.has(sessionId)) {
+      return res.status(409).json({
+        error: 'Turn is currently being processed. Please wait for the Narrator to finish.',
+        processing: true
+      });
+    }
+
+    const session = db.prepare('SELECT id, current_turn FROM game_sessions WHERE id = ?').get(sessionId);
+    const character = session && getSessionCharacters(sessionId).find(c => c.id === character_id);
+    if (!character) {
+      return res.status(404).json({ error: 'Character not found in this session' });
+    }
+    if (!character.short_rest_open) {
+      return res.status(400).json({ error: `${character.character_name} is not taking a short rest` });
+    }
+    if (deathSaveService.isDown(character)) {
+      return res.status(400).json({ error: `${character.character_name} can't spend hit dice while unconscious` });
+    }
+
+    const result = restService.spendHitDice(db, {
+      session,
+      character,
+      playerId: req.player ? req.player.id : null,
+      dice: hit_dice
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    const updated = db.prepare('SELECT * FROM characters WHERE id = ?').get(character_id);
+    invalidateCache('characters:');
+    emitCharacterUpdated(io, db, updated);
+    res.json({ ...result, hit_dice: restService.getHitDice(db, updated) });
+  });
+
+  /**
+   * POST /api/sessions/:id/short-rest/finish
+   * Done spending hit dice ({ character_id }); otherwise the rest ends with the next turn
+   */
+  router.post('/:id/short-rest/finish', checkPassword, checkBodyCharacterOwner, (req, res) => {
+    const { character_id } = req.body;
+    const character = getSessionCharacters(req.params.id).find(c => c.id === character_id);
+    if (!character) {
+      return res.status(404).json({ error: 'Character not found in this session' });
+    }
+
+    restService.closeShortRests(db, [character_id]);
+    const updated = db.prepare('SELECT * FROM characters WHERE id = ?').get(character_id);
+    invalidateCache('characters:');
+    emitCharacterUpdated(io, db, updated);
+    res.json(updated);
+  });
+
   /**
    * DELETE /api/sessions/:id/action/:characterId
    * Cancel pending action
    */
-  router.delete('/:id/action/:characterId', checkPassword, (req, res) => {
+  router.delete('/:id/action/:characterId', checkPassword, checkParamCharacterOwner, (req, res) => {
     const { id: sessionId, characterId } = req.params;
+    if (checkService.isPaused(db, sessionId)) {
+      return res.status(409).json({ error: PAUSED_MESSAGE });
+    }
 
     db.prepare('DELETE FROM pending_actions WHERE session_id = ? AND character_id = ?').run(sessionId, characterId);
 
     const pendingActions = db.prepare('SELECT * FROM pending_actions WHERE session_id = ?').all(sessionId);
-    io.emit('action_cancelled', { sessionId, pendingActions, character_id: characterId });
+    emitToSession(io, sessionId, 'action_cancelled', { sessionId, pendingActions, character_id: characterId });
 
     res.json({ success: true, pendingActions });
   });
 
   /**
    * POST /api/sessions/:id/process
-   * Force process turn (DM override)
+   * Force process turn (DM override). A turn waiting on checks resumes, the server rolling any still outstanding.
    */
-  router.post('/:id/process', checkPassword, async (req, res) => {
+  router.post('/:id/process', checkPassword, requireRole(ROLES.COGM), async (req, res) => {
     const sessionId = req.params.id;
 
     if (processingSessions.has(sessionId)) {
@@ -301,15 +556,22 @@ Do NOT use [CHOICE:] tags or any tracking tags ([HP:], [XP:], etc.) — this is
     const pendingActions = db.prepare('SELECT * FROM pending_actions WHERE session_id = ?').all(sessionId);
     const characters = getSessionCharacters(sessionId);
 
+    if (checkService.isPaused(db, sessionId)) {
+      const session = db.prepare('SELECT * FROM game_sessions WHERE id = ?').get(sessionId);
+      for (const check of checkService.rollOutstandingChecks(db, session, characters)) {
+        emitToSession(io, sessionId, 'check_rolled', { sessionId, check });
+      }
+    }
+
     processingSessions.add(sessionId);
-    io.emit('turn_processing', { sessionId });
+    emitToSession(io, sessionId, 'turn_processing', { sessionId });
 
     try {
       const result = await processAITurn(sessionId, pendingActions, characters);
       res.json({ success: true, result });
     } catch (error) {
       console.error('AI processing error:', error);
-      io.emit('turn_error', { sessionId, error: error.message });
+      emitToSession(io, sessionId, 'turn_error', { sessionId, error: error.message });
       res.status(500).json({ error: error.message });
     } finally {
       processingSessions.delete(sessionId);
@@ -320,7 +582,7 @@ Do NOT use [CHOICE:] tags or any tracking tags ([HP:], [XP:], etc.) — this is
    * POST /api/sessions/:id/gm-message
    * Send hidden GM message (admin only)
    */
-  router.post('/:id/gm-message', checkPassword, checkAdminPassword, (req, res) => {
+  router.post('/:id/gm-message', checkPassword, requireRole(ROLES.COGM), (req, res) => {
     const sessionId = req.params.id;
     const { message } = req.body;
 
@@ -331,16 +593,13 @@ Do NOT use [CHOICE:] tags or any tracking tags ([HP:], [XP:], etc.) — this is
     const session = db.prepare('SELECT * FROM game_sessions WHERE id = ?').get(sessionId);
     if (!session) return res.status(404).json({ error: 'Session not found' });
 
-    let fullHistory = JSON.parse(session.full_history || '[]');
-    fullHistory.push({
+    messageStore.appendMessages(db, sessionId, [{
       role: 'user',
       content: message.trim(),
       type: 'gm_nudge',
       hidden: true,
       timestamp: new Date().toISOString()
-    });
-
-    db.prepare('UPDATE game_sessions SET full_history = ? WHERE id = ?').run(JSON.stringify(fullHistory), sessionId);
+    }]);
 
     console.log(`GM Nudge added to session ${sessionId}: "${message.substring(0, 50)}..."`);
     res.json({ success: true, message: 'GM message added. It will be included in the next AI response.' });
@@ -367,7 +626,7 @@ Do NOT use [CHOICE:] tags or any tracking tags ([HP:], [XP:], etc.) — this is
     const characters = getSessionCharacters(sessionId);
     if (characters.length === 0) return res.status(400).json({ error: 'No characters in session' });
 
-    const fullHistory = JSON.parse(session.full_history || '[]');
+    const fullHistory = messageStore.getHistory(db, sessionId);
     // Find the last narration
     const lastNarration = [...fullHistory].reverse().find(
       e => e.role === 'assistant' || e.type === 'narration'
@@ -413,7 +672,7 @@ RULES:
       const choices = tagParser.parseChoices(responseText, characters);
       console.log(`Parsed ${choices.length} choices from response`);
       if (choices.length > 0) {
-        io.emit('choices_generated', { sessionId, choices });
+        emitToSession(io, sessionId, 'choices_generated', { sessionId, choices });
       }
       res.json({ success: true, choices });
     } catch (error) {
@@ -426,7 +685,7 @@ RULES:
    * POST /api/sessions/:id/reroll
    * Reroll - Regenerate the last AI response (admin only)
    */
-  router.post('/:id/reroll', checkPassword, checkAdminPassword, async (req, res) => {
+  router.post('/:id/reroll', checkPassword, requireRole(ROLES.COGM), async (req, res) => {
     const sessionId = req.params.id;
 
     if (processingSessions.has(sessionId)) {
@@ -440,8 +699,11 @@ RULES:
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
     }
+    if (session.check_narration) {
+      return res.status(409).json({ error: PAUSED_MESSAGE });
+    }
 
-    let fullHistory = JSON.parse(session.full_history || '[]');
+    const fullHistory = messageStore.getHistory(db, sessionId);
 
     if (fullHistory.length === 0) {
       return res.status(400).json({ error: 'No history to reroll' });
@@ -484,33 +746,39 @@ RULES:
       return res.status(400).json({ error: 'No actions found for this turn' });
     }
 
-    // Remove everything from turnStartIdx onwards (includes the turn's context, actions, gm_nudges, and AI response)
-    // Don't filter out gm_nudges from remaining history - they belong to earlier turns
-    fullHistory = fullHistory.slice(0, turnStartIdx);
-
     // Adjust compacted_count if we truncated into the compacted region
     let compactedCount = session.compacted_count || 0;
     const originalCompactedCount = compactedCount;
-    if (fullHistory.length < compactedCount) {
-      compactedCount = fullHistory.length;
+    if (turnStartIdx < compactedCount) {
+      compactedCount = turnStartIdx;
     }
 
-    db.prepare('UPDATE game_sessions SET full_history = ?, compacted_count = ? WHERE id = ?')
-      .run(JSON.stringify(fullHistory), compactedCount, sessionId);
+    // The narration's ledger rows say exactly what its tags changed
+    const narrationOrdinal = messageStore.getOrdinalAt(db, sessionId, lastAssistantIdx);
+
+    // Remove everything from turnStartIdx onwards (includes the turn's context, actions, gm_nudges, and AI response)
+    // Don't filter out gm_nudges from remaining history - they belong to earlier turns.
+    // The turn is played again under its own number, so the timeline keeps no gap where the old one was
+    db.transaction(() => {
+      messageStore.truncateFrom(db, sessionId, turnStartIdx);
+      db.prepare('UPDATE game_sessions SET compacted_count = ?, current_turn = ? WHERE id = ?')
+        .run(compactedCount, Math.max(0, (session.current_turn || 0) - 1), sessionId);
+    })();
 
     if (compactedCount !== originalCompactedCount) {
       console.log(`Reroll: Adjusted compacted_count from ${originalCompactedCount} to ${compactedCount}`);
     }
 
-    // Restore character states from the most recent snapshot (fixes double stat changes on reroll)
+    // Undo the rerolled turn's character changes (fixes double stat changes on reroll).
+    // Turns played before the state ledger existed fall back to the most recent snapshot.
     try {
-      const snapshot = db.prepare('SELECT * FROM game_snapshots WHERE session_id = ? ORDER BY turn_number DESC LIMIT 1').get(sessionId);
-      if (snapshot) {
-        const states = JSON.parse(snapshot.character_states);
-        for (const state of states) {
-          db.prepare('UPDATE characters SET hp = ?, xp = ?, gold = ?, inventory = ?, spell_slots = ?, ac = ?, ac_effects = ? WHERE id = ?')
-            .run(state.hp, state.xp, state.gold, state.inventory, state.spell_slots, state.ac, state.ac_effects, state.id);
-        }
+      const snapshot = snapshotService.getLatestSnapshot(db, sessionId);
+      if (narrationOrdinal !== null && ledgerService.hasActiveEntries(db, sessionId, narrationOrdinal)) {
+        const undo = ledgerService.undoMessage(db, sessionId, narrationOrdinal);
+        console.log(`Reroll: Undid ${undo.undone.length} ledger changes (${undo.conflicts.length} conflicts)`);
+        if (snapshot) db.prepare('DELETE FROM game_snapshots WHERE id = ?').run(snapshot.id);
+      } else if (snapshot) {
+        snapshotService.restoreCharacterStates(db, snapshot);
         // Delete the used snapshot so the new turn creates a fresh one
         db.prepare('DELETE FROM game_snapshots WHERE id = ?').run(snapshot.id);
         console.log(`Reroll: Restored character states from snapshot (turn ${snapshot.turn_number})`);
@@ -533,7 +801,7 @@ RULES:
     console.log(`Reroll initiated for session ${sessionId}: removed last response, ${actionsThisTurn.length} actions restored`);
 
     processingSessions.add(sessionId);
-    io.emit('reroll_started', { sessionId });
+    emitToSession(io, sessionId, 'reroll_started', { sessionId });
 
     try {
       const result = await processAITurn(sessionId, pendingActions, characters);
@@ -546,11 +814,97 @@ RULES:
     }
   });
 
+  /**
+   * GET /api/sessions/:id/timeline
+   * Turns with a snapshot to rewind to, oldest first (co-GM)
+   */
+  router.get('/:id/timeline', checkPassword, requireRole(ROLES.COGM), (req, res) => {
+    const session = db.prepare('SELECT id, current_turn FROM game_sessions WHERE id = ?').get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ currentTurn: session.current_turn, turns: snapshotService.getTimeline(db, session.id) });
+  });
+
+  /**
+   * POST /api/sessions/:id/rewind
+   * Rewind to the start of an earlier turn: later history, character changes and pending actions are discarded (co-GM)
+   * Body: { turn } - the turn to play again
+   */
+  router.post('/:id/rewind', checkPassword, requireRole(ROLES.COGM), (req, res) => {
+    const sessionId = req.params.id;
+
+    if (processingSessions.has(sessionId)) {
+      return res.status(409).json({
+        error: 'Turn is currently being processed. Please wait for the Narrator to finish.',
+        processing: true
+      });
+    }
+
+    const session = db.prepare('SELECT * FROM game_sessions WHERE id = ?').get(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const turn = parseInt(req.body.turn, 10);
+    if (isNaN(turn) || turn < 0 || turn >= session.current_turn) {
+      return res.status(400).json({ error: `turn must be between 0 and ${Math.max(0, session.current_turn - 1)}` });
+    }
+
+    const snapshot = snapshotService.getSnapshotForTurn(db, sessionId, turn);
+    if (!snapshot) {
+      return res.status(404).json({ error: `No snapshot for turn ${turn}` });
+    }
+    if (snapshot.message_ordinal === null) {
+      return res.status(409).json({ error: `Turn ${turn} was played before rewind was available and cannot be rewound to` });
+    }
+
+    const result = snapshotService.rewindToSnapshot(db, sessionId, snapshot);
+    invalidateCache('characters:');
+    for (const characterId of result.characterIds) {
+      const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(characterId);
+      if (character) emitCharacterUpdated(io, db, character);
+    }
+    emitToSession(io, sessionId, 'session_updated', { id: sessionId });
+
+    console.log(`Rewound session ${sessionId} from turn ${session.current_turn} to turn ${turn}: removed ${result.removedMessages} messages`);
+    res.json({ success: true, turn, removedMessages: result.removedMessages, compactedCount: result.compactedCount });
+  });
+
+  /**
+   * POST /api/sessions/:id/fork
+   * Branch the session into a new one that starts at a turn, with its own copy of the party (co-GM)
+   * Body: { turn?, name? } - turn defaults to the current turn
+   */
+  router.post('/:id/fork', checkPassword, requireRole(ROLES.COGM), (req, res) => {
+    const session = db.prepare('SELECT * FROM game_sessions WHERE id = ?').get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const turn = req.body.turn === undefined || req.body.turn === null ? session.current_turn : parseInt(req.body.turn, 10);
+    if (isNaN(turn) || turn < 0 || turn > session.current_turn) {
+      return res.status(400).json({ error: `turn must be between 0 and ${session.current_turn}` });
+    }
+
+    const name = validate.sanitizeString(req.body.name || `${session.name} (branch at turn ${turn})`, 200);
+    const fork = forkService.forkSession(db, session, { turn, name });
+    if (!fork) {
+      return res.status(409).json({ error: `Turn ${turn} has no save point to branch from` });
+    }
+
+    invalidateCache('characters:');
+    const branch = toSessionMeta(db.prepare('SELECT * FROM game_sessions WHERE id = ?').get(fork.sessionId));
+    io.emit('session_created', branch);
+    console.log(`Forked session ${session.id} at turn ${turn} into ${fork.sessionId} (${fork.messageCount} messages)`);
+    res.json(branch);
+  });
+
   /**
    * POST /api/sessions/:id/auto-reply
    * AI Auto-Reply - Generate and submit action for a character
    */
-  router.post('/:id/auto-reply', checkPassword, async (req, res) => {
+  router.post('/:id/auto-reply', checkPassword, checkBodyCharacterOwner, async (req, res) => {
     const sessionId = req.params.id;
     const { character_id, context } = req.body;
 
@@ -563,14 +917,21 @@ RULES:
       return res.status(404).json({ error: 'Session not found' });
     }
 
+    if (session.check_narration) {
+      return res.status(409).json({ error: PAUSED_MESSAGE });
+    }
+
     const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(character_id);
     if (!character) {
       return res.status(404).json({ error: 'Character not found' });
     }
+    if (deathSaveService.isDown(character)) {
+      return res.status(409).json({ error: downMessage(character) });
+    }
 
     const storySummary = session.story_summary || '';
 
-    const fullHistory = JSON.parse(session.full_history || '[]');
+    const fullHistory = messageStore.getHistory(db, sessionId);
     const visibleHistory = fullHistory.filter(m => !m.hidden && m.type !== 'context');
     const recentHistory = visibleHistory.slice(-30);
 
@@ -680,21 +1041,16 @@ Generate ONLY a brief action description.`;
       console.log(`Auto-reply generated for ${character.character_name}: "${generatedAction.substring(0, 100)}..."`);
 
       // Submit this action as if the player did it
-      const existing = db.prepare('SELECT * FROM pending_actions WHERE session_id = ? AND character_id = ?').get(sessionId, character_id);
-      if (existing) {
-        db.prepare('UPDATE pending_actions SET action = ? WHERE id = ?').run(generatedAction, existing.id);
-      } else {
-        db.prepare('INSERT INTO pending_actions (id, session_id, character_id, action) VALUES (?, ?, ?, ?)').run(uuidv4(), sessionId, character_id, generatedAction);
-      }
+      upsertPendingAction(sessionId, character_id, generatedAction);
 
       const pendingActions = db.prepare('SELECT * FROM pending_actions WHERE session_id = ?').all(sessionId);
       const characters = getSessionCharacters(sessionId);
 
-      io.emit('action_submitted', { sessionId, pendingActions, character_id });
+      emitToSession(io, sessionId, 'action_submitted', { sessionId, pendingActions, character_id });
 
-      if (pendingActions.length >= characters.length && characters.length > 0) {
+      if (deathSaveService.isTurnReady(characters, pendingActions)) {
         processingSessions.add(sessionId);
-        io.emit('turn_processing', { sessionId });
+        emitToSession(io, sessionId, 'turn_processing', { sessionId });
 
         try {
           const result = await processAITurn(sessionId, pendingActions, characters);
@@ -718,12 +1074,13 @@ Generate ONLY a brief action description.`;
           processingSessions.delete(sessionId);
         }
       } else {
+        const waiting = deathSaveService.awaitedCharacters(characters, pendingActions).length;
         res.json({
           success: true,
           action: generatedAction,
           processed: false,
-          waiting: characters.length - pendingActions.length,
-          message: `Action submitted for ${character.character_name}. Waiting for ${characters.length - pendingActions.length} more player(s).`
+          waiting,
+          message: `Action submitted for ${character.character_name}. Waiting for ${waiting} more player(s).`
         });
       }
 
@@ -737,18 +1094,18 @@ Generate ONLY a brief action description.`;
    * GET /api/sessions/:id/summary
    * Get session summary (admin only)
    */
-  router.get('/:id/summary', checkPassword, checkAdminPassword, (req, res) => {
+  router.get('/:id/summary', checkPassword, requireRole(ROLES.COGM), (req, res) => {
     const sessionId = req.params.id;
     const session = db.prepare('SELECT * FROM game_sessions WHERE id = ?').get(sessionId);
     if (!session) return res.status(404).json({ error: 'Session not found' });
 
-    const fullHistory = JSON.parse(session.full_history || '[]');
+    const totalMessages = messageStore.countMessages(db, sessionId);
 
     res.json({
       summary: session.story_summary || '',
       compactedCount: session.compacted_count || 0,
-      totalMessages: fullHistory.length,
-      uncompactedMessages: fullHistory.length - (session.compacted_count || 0)
+      totalMessages,
+      uncompactedMessages: totalMessages - (session.compacted_count || 0)
     });
   });
 
@@ -756,7 +1113,7 @@ Generate ONLY a brief action description.`;
    * POST /api/sessions/:id/summary
    * Update session summary (admin only)
    */
-  router.post('/:id/summary', checkPassword, checkAdminPassword, (req, res) => {
+  router.post('/:id/summary', checkPassword, requireRole(ROLES.COGM), (req, res) => {
     const sessionId = req.params.id;
     const { summary } = req.body;
 
@@ -773,7 +1130,7 @@ Generate ONLY a brief action description.`;
    * POST /api/sessions/:id/force-compact
    * Force compact session history (admin only)
    */
-  router.post('/:id/force-compact', checkPassword, checkAdminPassword, async (req, res) => {
+  router.post('/:id/force-compact', checkPassword, requireRole(ROLES.COGM), async (req, res) => {
     const sessionId = req.params.id;
     const session = db.prepare('SELECT * FROM game_sessions WHERE id = ?').get(sessionId);
 
@@ -786,11 +1143,11 @@ Generate ONLY a brief action description.`;
       return res.status(400).json({ error: 'No active API configuration.' });
     }
 
-    const fullHistory = JSON.parse(session.full_history || '[]');
     const compactedCount = session.compacted_count || 0;
     const characters = getSessionCharacters(sessionId);
 
-    const recentHistory = fullHistory.slice(compactedCount);
+    const totalMessages = messageStore.countMessages(db, sessionId);
+    const recentHistory = messageStore.getMessages(db, sessionId, { offset: compactedCount });
 
     if (recentHistory.length === 0) {
       return res.status(400).json({ error: 'No new messages to compact.' });
@@ -801,9 +1158,9 @@ Generate ONLY a brief action description.`;
       const newSummary = await compactHistory(apiConfig, session.story_summary, recentHistory, characters, aiService.extractAIMessage);
 
       db.prepare('UPDATE game_sessions SET story_summary = ?, compacted_count = ?, total_tokens = 0 WHERE id = ?')
-        .run(newSummary, fullHistory.length, sessionId);
+        .run(newSummary, totalMessages, sessionId);
 
-      io.emit('session_compacted', { sessionId, compactedCount: fullHistory.length });
+      emitToSession(io, sessionId, 'session_compacted', { sessionId, compactedCount: totalMessages });
 
       res.json({
         success: true,
@@ -820,13 +1177,14 @@ Generate ONLY a brief action description.`;
 
   /**
    * POST /api/sessions/:id/delete-message
-   * Delete message from session history
+   * Delete message from session history (co-GM)
+   * Body: { index, rollback? } — rollback also undoes the character changes the message's tags made
    */
-  router.post('/:id/delete-message', checkPassword, (req, res) => {
+  router.post('/:id/delete-message', checkPassword, requireRole(ROLES.COGM), (req, res) => {
     const sessionId = req.params.id;
-    const { index } = req.body;
+    const { index, rollback } = req.body;
 
-    if (index === undefined || index < 0) {
+    if (!Number.isInteger(index) || index < 0) {
       return res.status(400).json({ error: 'Invalid message index' });
     }
 
@@ -836,31 +1194,51 @@ Generate ONLY a brief action description.`;
     }
 
     try {
-      const history = JSON.parse(session.full_history || '[]');
-
-      if (index >= history.length) {
+      if (index >= messageStore.countMessages(db, sessionId)) {
         return res.status(400).json({ error: 'Message index out of range' });
       }
 
-      const deletedMessage = history.splice(index, 1)[0];
-
+      let deletedMessage = null;
+      let remainingCount = 0;
+      let undo = null;
       let compactedCount = session.compacted_count || 0;
-      if (index < compactedCount) {
-        compactedCount = Math.max(0, compactedCount - 1);
-      }
-      compactedCount = Math.min(compactedCount, history.length);
+      db.transaction(() => {
+        deletedMessage = messageStore.deleteMessageAt(db, sessionId, index);
+        remainingCount = messageStore.countMessages(db, sessionId);
+        if (rollback && deletedMessage) {
+          undo = ledgerService.undoMessage(db, sessionId, deletedMessage.ordinal);
+        }
+
+        if (index < compactedCount) {
+          compactedCount = Math.max(0, compactedCount - 1);
+        }
+        compactedCount = Math.min(compactedCount, remainingCount);
 
-      db.prepare('UPDATE game_sessions SET full_history = ?, compacted_count = ? WHERE id = ?')
-        .run(JSON.stringify(history), compactedCount, sessionId);
+        db.prepare('UPDATE game_sessions SET compacted_count = ? WHERE id = ?').run(compactedCount, sessionId);
+      })();
 
-      io.emit('session_updated', { id: sessionId });
+      if (undo && undo.characterIds.length > 0) {
+        invalidateCache('characters:');
+        for (const characterId of undo.characterIds) {
+          const character = db.prepare('SELECT * FROM characters WHERE id = ?').get(characterId);
+          if (character) emitCharacterUpdated(io, db, character);
+        }
+      }
+      emitToSession(io, sessionId, 'session_updated', { id: sessionId });
 
       console.log(`Deleted message at index ${index} from session ${sessionId}:`, deletedMessage?.type || deletedMessage?.role);
       if (compactedCount !== (session.compacted_count || 0)) {
         console.log(`Adjusted compacted_count from ${session.compacted_count || 0} to ${compactedCount}`);
       }
 
-      res.json({ success: true, deletedIndex: index, remainingCount: history.length, compactedCount });
+      res.json({
+        success: true,
+        deletedIndex: index,
+        remainingCount,
+        compactedCount,
+        rolledBack: undo ? undo.undone.length : 0,
+        conflicts: undo ? undo.conflicts : []
+      });
     } catch (error) {
       console.error('Failed to delete message:', error);
       res.status(500).json({ error: 'Failed to delete message: ' + error.message });
@@ -871,13 +1249,13 @@ Generate ONLY a brief action description.`;
    * POST /api/sessions/:id/recalculate-xp
    * Scan history for XP awards
    */
-  router.post('/:id/recalculate-xp', checkPassword, (req, res) => {
+  router.post('/:id/recalculate-xp', checkPassword, requireRole(ROLES.COGM), (req, res) => {
     const sessionId = req.params.id;
     const session = db.prepare('SELECT * FROM game_sessions WHERE id = ?').get(sessionId);
     if (!session) return res.status(404).json({ error: 'Session not found' });
 
     const characters = getSessionCharacters(sessionId);
-    const history = JSON.parse(session.full_history || '[]');
+    const history = messageStore.getHistory(db, sessionId);
 
     const xpAwarded = {};
     characters.forEach(c => { xpAwarded[c.id] = 0; });
@@ -918,7 +1296,7 @@ Generate ONLY a brief action description.`;
 
     const updatedCharacters = getSessionCharacters(sessionId);
     for (const char of updatedCharacters) {
-      io.emit('character_updated', char);
+      emitCharacterUpdated(io, db, char);
     }
 
     res.json({ success: true, xpAwarded });
@@ -928,13 +1306,13 @@ Generate ONLY a brief action description.`;
    * POST /api/sessions/:id/recalculate-loot
    * Scan history for gold and items
    */
-  router.post('/:id/recalculate-loot', checkPassword, (req, res) => {
+  router.post('/:id/recalculate-loot', checkPassword, requireRole(ROLES.COGM), (req, res) => {
     const sessionId = req.params.id;
     const session = db.prepare('SELECT * FROM game_sessions WHERE id = ?').get(sessionId);
     if (!session) return res.status(404).json({ error: 'Session not found' });
 
     const characters = getSessionCharacters(sessionId);
-    const history = JSON.parse(session.full_history || '[]');
+    const history = messageStore.getHistory(db, sessionId);
 
     const goldAwarded = {};
     const inventoryChanges = {};
@@ -999,26 +1377,19 @@ Generate ONLY a brief action description.`;
     for (const char of characters) {
       const newGold = Math.max(0, goldAwarded[char.id] || 0);
 
-      const inventory = [];
-      for (const change of inventoryChanges[char.id]) {
-        const existingItem = inventory.find(i => i.name.toLowerCase() === change.item.toLowerCase());
-        if (existingItem) {
-          existingItem.quantity += change.quantity;
-          if (existingItem.quantity <= 0) {
-            inventory.splice(inventory.indexOf(existingItem), 1);
-          }
-        } else if (change.quantity > 0) {
-          inventory.push({ name: change.item, quantity: change.quantity });
-        }
-      }
+      const before = inventoryService.normalizeInventory(db, inventoryService.parseInventory(char.inventory));
+      const inventory = inventoryService.rebuildInventory(db, before, inventoryChanges[char.id]);
 
       db.prepare('UPDATE characters SET gold = ?, inventory = ? WHERE id = ?')
         .run(newGold, JSON.stringify(inventory), char.id);
+      if (inventoryService.armorChanged(before, inventory)) {
+        updateCharacterAC(db, char.id, inventoryService.applyArmor(db, char, inventory, parseAcEffects(char.ac_effects)));
+      }
     }
 
     const updatedCharacters = getSessionCharacters(sessionId);
     for (const char of updatedCharacters) {
-      io.emit('character_updated', char);
+      emitCharacterUpdated(io, db, char);
     }
 
     res.json({ success: true, goldAwarded, inventoryChanges });
@@ -1026,9 +1397,9 @@ Generate ONLY a brief action description.`;
 
   /**
    * POST /api/sessions/:id/recalculate-inventory
-   * Recalculate inventory only from session history
+   * Recalculate inventory only from session history (items still held keep their equip / attune state)
    */
-  router.post('/:id/recalculate-inventory', checkPassword, (req, res) => {
+  router.post('/:id/recalculate-inventory', checkPassword, requireRole(ROLES.COGM), (req, res) => {
     const sessionId = req.params.id;
     const session = db.prepare('SELECT * FROM game_sessions WHERE id = ?').get(sessionId);
 
@@ -1037,7 +1408,7 @@ Generate ONLY a brief action description.`;
     }
 
     const characters = getSessionCharacters(sessionId);
-    const history = JSON.parse(session.full_history || '[]');
+    const history = messageStore.getHistory(db, sessionId);
     const inventoryChanges = {};
 
     for (const char of characters) {
@@ -1079,26 +1450,19 @@ Generate ONLY a brief action description.`;
     }
 
     for (const char of characters) {
-      const inventory = [];
-      for (const change of inventoryChanges[char.id]) {
-        const existingItem = inventory.find(i => i.name.toLowerCase() === change.item.toLowerCase());
-        if (existingItem) {
-          existingItem.quantity += change.quantity;
-          if (existingItem.quantity <= 0) {
-            inventory.splice(inventory.indexOf(existingItem), 1);
-          }
-        } else if (change.quantity > 0) {
-          inventory.push({ name: change.item, quantity: change.quantity });
-        }
-      }
+      const before = inventoryService.normalizeInventory(db, inventoryService.parseInventory(char.inventory));
+      const inventory = inventoryService.rebuildInventory(db, before, inventoryChanges[char.id]);
 
       db.prepare('UPDATE characters SET inventory = ? WHERE id = ?')
         .run(JSON.stringify(inventory), char.id);
+      if (inventoryService.armorChanged(before, inventory)) {
+        updateCharacterAC(db, char.id, inventoryService.applyArmor(db, char, inventory, parseAcEffects(char.ac_effects)));
+      }
     }
 
     const updatedCharacters = getSessionCharacters(sessionId);
     for (const char of updatedCharacters) {
-      io.emit('character_updated', char);
+      emitCharacterUpdated(io, db, char);
     }
 
     res.json({ success: true, inventoryChanges });
@@ -1108,7 +1472,7 @@ Generate ONLY a brief action description.`;
    * POST /api/sessions/:id/recalculate-ac-spells
    * Recalculate AC and spell slots from session history
    */
-  router.post('/:id/recalculate-ac-spells', checkPassword, (req, res) => {
+  router.post('/:id/recalculate-ac-spells', checkPassword, requireRole(ROLES.COGM), (req, res) => {
     const sessionId = req.params.id;
     const session = db.prepare('SELECT * FROM game_sessions WHERE id = ?').get(sessionId);
 
@@ -1117,7 +1481,7 @@ Generate ONLY a brief action description.`;
     }
 
     const characters = getSessionCharacters(sessionId);
-    const history = JSON.parse(session.full_history || '[]');
+    const history = messageStore.getHistory(db, sessionId);
     const acValues = {};
     const acEffectsTracking = {};
     const spellSlotUsage = {};
@@ -1324,7 +1688,7 @@ Generate ONLY a brief action description.`;
 
     const updatedCharacters = getSessionCharacters(sessionId);
     for (const char of updatedCharacters) {
-      io.emit('character_updated', char);
+      emitCharacterUpdated(io, db, char);
     }
 
     res.json({ success: true, ...results });
@@ -1332,9 +1696,9 @@ Generate ONLY a brief action description.`;
 
   /**
    * POST /api/sessions/:id/add-character
-   * Add a character to the session
+   * Add a character to the session (its owner, or a GM of the session)
    */
-  router.post('/:id/add-character', checkPassword, (req, res) => {
+  router.post('/:id/add-character', checkPassword, checkPartyCharacterOwner, (req, res) => {
     const sessionId = req.params.id;
     const { characterId } = req.body;
 
@@ -1356,7 +1720,7 @@ Generate ONLY a brief action description.`;
       .run(uuidv4(), sessionId, characterId);
 
     const sessionChars = getSessionCharacters(sessionId);
-    io.emit('session_updated', { id: sessionId });
+    emitToSession(io, sessionId, 'session_updated', { id: sessionId });
 
     console.log(`Character ${character.character_name} added to session ${session.name}`);
     res.json({ success: true, sessionCharacters: sessionChars });
@@ -1364,9 +1728,9 @@ Generate ONLY a brief action description.`;
 
   /**
    * POST /api/sessions/:id/remove-character
-   * Remove a character from the session
+   * Remove a character from the session (its owner, or a GM of the session)
    */
-  router.post('/:id/remove-character', checkPassword, (req, res) => {
+  router.post('/:id/remove-character', checkPassword, checkPartyCharacterOwner, (req, res) => {
     const sessionId = req.params.id;
     const { characterId } = req.body;
 
@@ -1387,12 +1751,70 @@ Generate ONLY a brief action description.`;
       .run(sessionId, characterId);
 
     const sessionChars = getSessionCharacters(sessionId);
-    io.emit('session_updated', { id: sessionId });
+    emitToSession(io, sessionId, 'session_updated', { id: sessionId });
 
     console.log(`Character ${characterId} removed from session ${session.name}`);
     res.json({ success: true, sessionCharacters: sessionChars });
   });
 
+  // Helper: players assigned as co-GM of a session
+  function getSessionGMs(sessionId) {
+    return db.prepare(`
+      SELECT p.* FROM players p
+      INNER JOIN session_gms g ON p.id = g.player_id
+      WHERE g.session_id = ?
+      ORDER BY p.username COLLATE NOCASE
+    `).all(sessionId).map(toPublicPlayer);
+  }
+
+  /**
+   * GET /api/sessions/:id/gms
+   * List the session's assigned co-GMs
+   */
+  router.get('/:id/gms', checkPassword, requireRole(ROLES.COGM), (req, res) => {
+    res.json({ gms: getSessionGMs(req.params.id) });
+  });
+
+  /**
+   * POST /api/sessions/:id/gms
+   * Assign a player as co-GM of the session (admin only)
+   * Body: { player_id }
+   */
+  router.post('/:id/gms', checkPassword, requireRole(ROLES.ADMIN), (req, res) => {
+    const sessionId = req.params.id;
+    const { player_id } = req.body;
+
+    if (!player_id) {
+      return res.status(400).json({ error: 'player_id is required' });
+    }
+
+    const session = db.prepare('SELECT id FROM game_sessions WHERE id = ?').get(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const player = db.prepare('SELECT id FROM players WHERE id = ?').get(player_id);
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    db.prepare('INSERT OR IGNORE INTO session_gms (id, session_id, player_id) VALUES (?, ?, ?)')
+      .run(uuidv4(), sessionId, player_id);
+
+    res.json({ success: true, gms: getSessionGMs(sessionId) });
+  });
+
+  /**
+   * DELETE /api/sessions/:id/gms/:playerId
+   * Remove a co-GM from the session (admin only)
+   */
+  router.delete('/:id/gms/:playerId', checkPassword, requireRole(ROLES.ADMIN), (req, res) => {
+    db.prepare('DELETE FROM session_gms WHERE session_id = ? AND player_id = ?')
+      .run(req.params.id, req.params.playerId);
+
+    res.json({ success: true, gms: getSessionGMs(req.params.id) });
+  });
+
   return router;
 }
 
@@ -0,0 +1,252 @@
+/**
+ * Check Service
+ * Checks and saving throws the DM asks for mid-turn. A [CHECK: Name | DEX save | DC 15] tag pauses
+ * the turn: the narration so far is kept on the session (check_narration), each named character gets
+ * an ability_checks row, and their players roll on the server. Once every check has a result the turn
+ * resumes with a continuation call that narrates the outcome.
+ *
+ * Proficiency comes from the character's save and skill proficiencies (derivedStatsService).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const diceService = require('./diceService');
+const derivedStatsService = require('./derivedStatsService');
+
+const ABILITY_NAMES = {
+  str: 'strength', dex: 'dexterity', con: 'constitution',
+  int: 'intelligence', wis: 'wisdom', cha: 'charisma'
+};
+
+const SKILL_ABILITIES = {
+  acrobatics: 'dexterity', 'animal handling': 'wisdom', arcana: 'intelligence', athletics: 'strength',
+  deception: 'charisma', history: 'intelligence', insight: 'wisdom', intimidation: 'charisma',
+  investigation: 'intelligence', medicine: 'wisdom', nature: 'intelligence', perception: 'wisdom',
+  performance: 'charisma', persuasion: 'charisma', religion: 'intelligence',
+  'sleight of hand': 'dexterity', stealth: 'dexterity', survival: 'wisdom'
+};
+
+const MODE_LABELS = { adv: ' with advantage', dis: ' with disadvantage' };
+
+// An unconscious creature automatically fails these
+const AUTO_FAIL_SAVES = ['strength', 'dexterity'];
+
+// Follows the results when a paused turn resumes
+const CONTINUE_PROMPT = 'Continue the scene from exactly where you stopped, narrating these results as they fell. ' +
+  'Do not repeat what you already wrote and do not ask for these checks again. Then add [CHOICE:] tags at the end.';
+
+/**
+ * Work out what a check label asks for
+ * @param {string} label - e.g. "DEX save", "Wisdom saving throw", "Perception", "Athletics (STR) check"
+ * @returns {Object|null} {ability, skill, kind}, or null if no ability or skill is named
+ */
+function resolveCheck(label) {
+  const text = String(label || '').toLowerCase();
+  const kind = /\bsav(e|es|ing)\b/.test(text) ? 'save' : 'check';
+  const skill = Object.keys(SKILL_ABILITIES).find(s => text.includes(s)) || null;
+  const abbreviation = Object.keys(ABILITY_NAMES).find(a => new RegExp(`\\b${a}\\b`).test(text));
+  const ability = abbreviation ? ABILITY_NAMES[abbreviation]
+    : Object.values(ABILITY_NAMES).find(a => text.includes(a))
+    || (skill ? SKILL_ABILITIES[skill] : null);
+  if (!ability) return null;
+  return { ability, skill: kind === 'save' ? null : skill, kind };
+}
+
+/**
+ * Proficiency terms a character adds to a check ('', '+PROF' or '+PROF+PROF' for expertise)
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @param {Object} check - ability_checks row (or resolveCheck result)
+ * @returns {string}
+ */
+function proficiencyBonus(db, character, check) {
+  const key = check.kind === 'save' ? `save:${check.ability}`
+    : check.skill ? `skill:${check.skill.replace(/ /g, '-')}` : null;
+  const resolved = key && derivedStatsService.resolveRollStat(db, character, key);
+  return resolved ? resolved.bonus : '';
+}
+
+/**
+ * The paused turn of a session, if it is waiting on checks
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} {narration, checks}
+ */
+function getPausedTurn(db, sessionId) {
+  const session = db.prepare('SELECT check_narration FROM game_sessions WHERE id = ?').get(sessionId);
+  if (!session || !session.check_narration) return null;
+  return { narration: session.check_narration, checks: listChecks(db, sessionId) };
+}
+
+/**
+ * A session's checks for the paused turn, with the character's name
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @returns {Array} ability_checks rows
+ */
+function listChecks(db, sessionId) {
+  return db.prepare(`
+    SELECT k.*, c.character_name FROM ability_checks k
+    LEFT JOIN characters c ON c.id = k.character_id
+    WHERE k.session_id = ?
+    ORDER BY k.created_at, k.rowid
+  `).all(sessionId);
+}
+
+/**
+ * Whether a session's turn is paused for checks
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @returns {boolean}
+ */
+function isPaused(db, sessionId) {
+  return Boolean(db.prepare('SELECT 1 FROM game_sessions WHERE id = ? AND check_narration IS NOT NULL').get(sessionId));
+}
+
+/**
+ * Pause a turn for the [CHECK:] tags in the DM's response. Characters who are down automatically
+ * fail STR and DEX saves and skip anything else; the dead are left out.
+ * @param {Object} db - Database instance
+ * @param {Object} tagParser - Tag parser (parseCheckTags)
+ * @param {Object} session - game_sessions row
+ * @param {string} aiResponse - The DM's response so far
+ * @param {Array} characters - Session characters
+ * @returns {Array} The checks opened (empty if the turn doesn't pause)
+ */
+function openChecks(db, tagParser, session, aiResponse, characters) {
+  const insert = db.prepare(`
+    INSERT INTO ability_checks (id, session_id, turn, character_id, label, ability, skill, kind, dc, mode, outcome)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const requests = tagParser.parseCheckTags(aiResponse, characters);
+  let opened = 0;
+  db.transaction(() => {
+    for (const request of requests) {
+      const character = characters.find(c => c.id === request.characterId);
+      const resolved = resolveCheck(request.label);
+      if (!resolved || character.life_state === 'dead') continue;
+
+      let outcome = null;
+      if (character.life_state === 'dying' || character.life_state === 'stable') {
+        if (resolved.kind !== 'save' || !AUTO_FAIL_SAVES.includes(resolved.ability)) continue;
+        outcome = 'auto_fail';
+      }
+      insert.run(uuidv4(), session.id, session.current_turn || 0, character.id, request.label,
+        resolved.ability, resolved.skill, resolved.kind, request.dc, request.mode, outcome);
+      opened++;
+    }
+    if (opened > 0) {
+      db.prepare('UPDATE game_sessions SET check_narration = ? WHERE id = ?').run(aiResponse, session.id);
+    }
+  })();
+
+  return opened > 0 ? listChecks(db, session.id) : [];
+}
+
+/**
+ * Roll a check on the server and record the result. Advantage or disadvantage is the check's own
+ * (from the [CHECK:] tag) unless a GM overrides it.
+ * @param {Object} db - Database instance
+ * @param {Object} options
+ * @param {Object} options.session - game_sessions row
+ * @param {Object} options.check - ability_checks row (still waiting)
+ * @param {Object} options.character - characters row
+ * @param {string} [options.playerId] - Player who rolled (null when the server rolls for an absent player)
+ * @param {string} [options.mode] - GM override: 'adv' | 'dis', or 'd20' for a normal roll
+ * @returns {Object} The updated ability_checks row plus the roll's tag
+ */
+function rollCheck(db, { session, check, character, playerId, mode }) {
+  const checkMode = mode === undefined ? check.mode : (mode === 'adv' || mode === 'dis' ? mode : null);
+  const d20 = checkMode || 'd20';
+  const roll = diceService.createRoll(db, {
+    session,
+    character,
+    playerId,
+    expression: `${d20}${proficiencyBonus(db, character, check)}`,
+    stat: check.ability,
+    kind: 'check'
+  });
+  diceService.claimRoll(db, roll.signed_id, { session, characterId: character.id, actionId: check.id });
+
+  const outcome = check.dc === null ? 'rolled' : roll.total >= check.dc ? 'success' : 'failure';
+  db.prepare('UPDATE ability_checks SET roll_id = ?, total = ?, outcome = ?, mode = ? WHERE id = ?')
+    .run(roll.id, roll.total, outcome, checkMode, check.id);
+  return {
+    ...db.prepare('SELECT * FROM ability_checks WHERE id = ?').get(check.id),
+    character_name: character.character_name,
+    natural: roll.natural,
+    tag: diceService.formatRollTag(roll)
+  };
+}
+
+/**
+ * Roll every check still waiting (force-processing a paused turn)
+ * @param {Object} db - Database instance
+ * @param {Object} session - game_sessions row
+ * @param {Array} characters - Session characters
+ * @returns {Array} The checks rolled
+ */
+function rollOutstandingChecks(db, session, characters) {
+  return listChecks(db, session.id)
+    .filter(check => !check.outcome)
+    .map(check => {
+      const character = characters.find(c => c.id === check.character_id);
+      return character ? rollCheck(db, { session, check, character, playerId: null }) : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * The results a paused turn resumes with (followed by CONTINUE_PROMPT, and kept in history)
+ * @param {Object} db - Database instance
+ * @param {Array} checks - ability_checks rows (all resolved)
+ * @returns {string} e.g. "CHECK RESULTS:\nAria: DEX save with advantage vs DC 15 — [DICE ROLL: ...] → SUCCESS"
+ */
+function formatCheckResults(db, checks) {
+  const rollById = db.prepare('SELECT * FROM dice_rolls WHERE id = ?');
+  // A check whose character left the session mid-pause never gets a result
+  const lines = checks.filter(check => check.outcome).map(check => {
+    const against = `${MODE_LABELS[check.mode] || ''}${check.dc === null ? '' : ` vs DC ${check.dc}`}`;
+    if (check.outcome === 'auto_fail') {
+      return `${check.character_name}: ${check.label}${against} — automatically fails (unconscious)`;
+    }
+    const roll = rollById.get(check.roll_id);
+    const tag = roll ? ` ${diceService.formatRollTag(roll)}` : ` ${check.total}`;
+    return `${check.character_name}: ${check.label}${against} —${tag}${check.outcome === 'rolled' ? '' : ` → ${check.outcome.toUpperCase()}`}`;
+  });
+  return `CHECK RESULTS:\n${lines.join('\n')}`;
+}
+
+/**
+ * Forget a session's checks and paused narration (turn finished, rewound or deleted)
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ */
+function clearChecks(db, sessionId) {
+  db.prepare('DELETE FROM ability_checks WHERE session_id = ?').run(sessionId);
+  db.prepare('UPDATE game_sessions SET check_narration = NULL WHERE id = ?').run(sessionId);
+}
+
+/**
+ * Strip [CHECK:] tags from narration
+ * @param {string} text - Narration
+ * @returns {string}
+ */
+function stripCheckTags(text) {
+  return text.replace(/\[CHECK:\s*[^\]]+\]/gi, '');
+}
+
+module.exports = {
+  CONTINUE_PROMPT,
+  resolveCheck,
+  proficiencyBonus,
+  getPausedTurn,
+  listChecks,
+  isPaused,
+  openChecks,
+  rollCheck,
+  rollOutstandingChecks,
+  formatCheckResults,
+  clearChecks,
+  stripCheckTags
+};
@@ -0,0 +1,265 @@
+/**
+ * Combat Service
+ * Initiative rolling, turn order, and combat state stored in the combats table
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../lib/logger');
+
+/**
+ * Roll initiative (d20 + bonus)
+ * @param {number} bonus - Initiative bonus
+ * @returns {Object} {roll, total}
+ */
+function rollInitiative(bonus) {
+  const roll = Math.floor(Math.random() * 20) + 1;
+  return { roll, total: roll + (parseInt(bonus) || 0) };
+}
+
+/**
+ * Sort combatants by initiative (highest first), ties broken by bonus then name
+ * @param {Array} combatants - Combatant objects
+ * @returns {Array} Sorted combatants (new array)
+ */
+function sortByInitiative(combatants) {
+  return [...combatants].sort((a, b) =>
+    (b.initiative - a.initiative) ||
+    ((b.initiative_bonus || 0) - (a.initiative_bonus || 0)) ||
+    a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * Parse a combats row into a combat object
+ * @param {Object} row - Database row
+ * @returns {Object|null} Combat with parsed combatants
+ */
+function parseCombat(row) {
+  if (!row) return null;
+  let combatants = [];
+  try {
+    combatants = JSON.parse(row.combatants || '[]');
+  } catch (e) {
+    combatants = [];
+  }
+  return {
+    id: row.id,
+    session_id: row.session_id,
+    name: row.name,
+    is_active: !!row.is_active,
+    round: row.round,
+    current_turn: row.current_turn,
+    combatants,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Get the active combat for a session
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} Active combat or null
+ */
+function getActiveCombat(db, sessionId) {
+  const row = db.prepare('SELECT * FROM combats WHERE session_id = ? AND is_active = 1 ORDER BY created_at DESC LIMIT 1').get(sessionId);
+  return parseCombat(row);
+}
+
+/**
+ * Build enemy combatants from a list of enemy definitions
+ * Enemies with count > 1 are numbered ("Goblin 1", "Goblin 2")
+ * @param {Array} enemies - Array of {name, initiative_bonus, count, hp, ac}
+ * @returns {Array} Enemy combatants with rolled initiative
+ */
+function buildEnemyCombatants(enemies) {
+  const combatants = [];
+  for (const enemy of enemies || []) {
+    const name = (enemy.name || '').trim();
+    if (!name) continue;
+    const count = Math.min(Math.max(parseInt(enemy.count) || 1, 1), 20);
+    const bonus = parseInt(enemy.initiative_bonus) || 0;
+
+    for (let i = 1; i <= count; i++) {
+      const { roll, total } = rollInitiative(bonus);
+      const combatant = {
+        id: uuidv4(),
+        type: 'enemy',
+        name: count > 1 ? `${name} ${i}` : name,
+        initiative: total,
+        initiative_roll: roll,
+        initiative_bonus: bonus
+      };
+      if (enemy.hp !== undefined && enemy.hp !== null && enemy.hp !== '') {
+        combatant.hp = parseInt(enemy.hp) || 0;
+        combatant.max_hp = combatant.hp;
+      }
+      if (enemy.ac !== undefined && enemy.ac !== null && enemy.ac !== '') {
+        combatant.ac = parseInt(enemy.ac) || 10;
+      }
+      combatants.push(combatant);
+    }
+  }
+  return combatants;
+}
+
+/**
+ * Start a new combat for a session, rolling initiative for characters and enemies
+ * Any combat already active in the session is closed first.
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {Array} characters - Session characters (uses initiative_bonus)
+ * @param {Array} enemies - Array of {name, initiative_bonus, count, hp, ac}
+ * @param {string} name - Encounter name
+ * @returns {Object} The new combat
+ */
+function startCombat(db, sessionId, characters, enemies, name) {
+  const characterCombatants = characters.map(c => {
+    const bonus = c.initiative_bonus || 0;
+    const { roll, total } = rollInitiative(bonus);
+    return {
+      id: uuidv4(),
+      type: 'character',
+      character_id: c.id,
+      name: c.character_name,
+      initiative: total,
+      initiative_roll: roll,
+      initiative_bonus: bonus
+    };
+  });
+
+  const combatants = sortByInitiative([...characterCombatants, ...buildEnemyCombatants(enemies)]);
+  const combatId = uuidv4();
+
+  db.transaction(() => {
+    db.prepare('UPDATE combats SET is_active = 0 WHERE session_id = ? AND is_active = 1').run(sessionId);
+    db.prepare('INSERT INTO combats (id, session_id, name, is_active, current_turn, round, combatants) VALUES (?, ?, ?, 1, 0, 1, ?)')
+      .run(combatId, sessionId, name || 'Combat', JSON.stringify(combatants));
+  })();
+
+  logger.info('Combat started', { sessionId, combatId, combatants: combatants.length });
+  return parseCombat(db.prepare('SELECT * FROM combats WHERE id = ?').get(combatId));
+}
+
+/**
+ * Advance to the next combatant, incrementing the round when the order wraps
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} Updated combat, or null if no combat is active
+ */
+function advanceTurn(db, sessionId) {
+  const combat = getActiveCombat(db, sessionId);
+  if (!combat || combat.combatants.length === 0) return combat;
+
+  let nextTurn = combat.current_turn + 1;
+  let round = combat.round;
+  if (nextTurn >= combat.combatants.length) {
+    nextTurn = 0;
+    round += 1;
+  }
+
+  db.prepare('UPDATE combats SET current_turn = ?, round = ? WHERE id = ?').run(nextTurn, round, combat.id);
+  return { ...combat, current_turn: nextTurn, round };
+}
+
+/**
+ * Add enemies to the active combat, keeping whose turn it is
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {Array} enemies - Array of {name, initiative_bonus, count, hp, ac}
+ * @returns {Object|null} Updated combat, or null if no combat is active
+ */
+function addCombatants(db, sessionId, enemies) {
+  const combat = getActiveCombat(db, sessionId);
+  if (!combat) return null;
+
+  const current = combat.combatants[combat.current_turn];
+  const combatants = sortByInitiative([...combat.combatants, ...buildEnemyCombatants(enemies)]);
+  const currentTurn = current ? Math.max(0, combatants.findIndex(c => c.id === current.id)) : 0;
+
+  db.prepare('UPDATE combats SET combatants = ?, current_turn = ? WHERE id = ?')
+    .run(JSON.stringify(combatants), currentTurn, combat.id);
+  return { ...combat, combatants, current_turn: currentTurn };
+}
+
+/**
+ * Remove a combatant from the active combat (e.g. an enemy was defeated)
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {string} combatantId - Combatant ID
+ * @returns {Object|null} Updated combat, or null if no combat is active
+ */
+function removeCombatant(db, sessionId, combatantId) {
+  const combat = getActiveCombat(db, sessionId);
+  if (!combat) return null;
+
+  const idx = combat.combatants.findIndex(c => c.id === combatantId);
+  if (idx === -1) return combat;
+
+  const combatants = combat.combatants.filter(c => c.id !== combatantId);
+  let currentTurn = combat.current_turn;
+  if (idx < currentTurn) currentTurn -= 1;
+  if (currentTurn >= combatants.length) currentTurn = 0;
+
+  db.prepare('UPDATE combats SET combatants = ?, current_turn = ? WHERE id = ?')
+    .run(JSON.stringify(combatants), currentTurn, combat.id);
+  return { ...combat, combatants, current_turn: currentTurn };
+}
+
+/**
+ * End the active combat for a session
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} The combat that was ended, or null if none was active
+ */
+function endCombat(db, sessionId) {
+  const combat = getActiveCombat(db, sessionId);
+  if (!combat) return null;
+
+  db.prepare('UPDATE combats SET is_active = 0 WHERE id = ?').run(combat.id);
+  logger.info('Combat ended', { sessionId, combatId: combat.id, rounds: combat.round });
+  return { ...combat, is_active: false };
+}
+
+/**
+ * Format combat state for the AI's PARTY STATUS context
+ * @param {Object} combat - Combat object
+ * @param {Array} characters - Session characters (for live HP)
+ * @returns {string} Formatted combat block, or empty string if no combat
+ */
+function formatCombatForContext(combat, characters) {
+  if (!combat || !combat.is_active) return '';
+
+  const lines = combat.combatants.map((c, idx) => {
+    const marker = idx === combat.current_turn ? '→ ' : '  ';
+    let line = `${marker}${c.initiative} ${c.name}`;
+    if (c.type === 'character') {
+      const char = (characters || []).find(ch => ch.id === c.character_id);
+      if (char) line += ` (HP ${char.hp}/${char.max_hp})`;
+    } else {
+      const details = [];
+      if (c.hp !== undefined) details.push(`HP ${c.hp}/${c.max_hp}`);
+      if (c.ac !== undefined) details.push(`AC ${c.ac}`);
+      line += details.length > 0 ? ` [enemy, ${details.join(', ')}]` : ' [enemy]';
+    }
+    return line;
+  });
+
+  const current = combat.combatants[combat.current_turn];
+  let info = `COMBAT ACTIVE: ${combat.name} — Round ${combat.round}`;
+  if (current) info += `, ${current.name}'s turn`;
+  info += `\nInitiative order:\n${lines.join('\n')}`;
+  return info;
+}
+
+module.exports = {
+  rollInitiative,
+  sortByInitiative,
+  parseCombat,
+  getActiveCombat,
+  startCombat,
+  advanceTurn,
+  addCombatants,
+  removeCombatant,
+  endCombat,
+  formatCombatForContext
+};
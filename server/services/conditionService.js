@@ -0,0 +1,150 @@
+/**
+ * Condition Service
+ * Status effects on characters (Poisoned, Prone, Blessed, Concentrating...), stored as JSON in
+ * characters.conditions: [{name, source, expires, rounds_left}]
+ *   expires: 'rounds' (counted down each combat round; minutes and hours are converted to rounds),
+ *            'rest' (until the next long rest) or null (until removed)
+ */
+
+// A round is 6 seconds
+const ROUNDS_PER_MINUTE = 10;
+
+/**
+ * Parse a character's conditions column
+ * @param {string} json - characters.conditions
+ * @returns {Array} Conditions
+ */
+function parseConditions(json) {
+  try {
+    const conditions = JSON.parse(json || '[]');
+    return Array.isArray(conditions) ? conditions : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Parse a tag duration: "3 rounds", "3r", "10 min", "1h", "until rest"
+ * @param {string} text - Duration text
+ * @returns {Object|null} {expires, rounds_left}, or null if it isn't a duration
+ */
+function parseDuration(text) {
+  const t = (text || '').trim().toLowerCase();
+  if (!t) return { expires: null, rounds_left: null };
+  if (/^(until\s+)?(long\s+)?rest$/.test(t)) return { expires: 'rest', rounds_left: null };
+
+  const match = t.match(/^(\d+)\s*(r|rd|rds|rounds?|m|min|mins|minutes?|h|hr|hrs|hours?)$/);
+  if (!match) return null;
+  const amount = parseInt(match[1]);
+  const unit = match[2][0];
+  const rounds = unit === 'r' ? amount : unit === 'm' ? amount * ROUNDS_PER_MINUTE : amount * 60 * ROUNDS_PER_MINUTE;
+  return { expires: 'rounds', rounds_left: Math.max(1, rounds) };
+}
+
+/**
+ * Human-readable time left: "3 rounds", "9 min", "2 h", "until rest", or ''
+ * @param {Object} condition - Condition
+ * @returns {string}
+ */
+function formatDuration(condition) {
+  if (condition.expires === 'rest') return 'until rest';
+  if (condition.expires !== 'rounds') return '';
+  const rounds = condition.rounds_left;
+  if (rounds < ROUNDS_PER_MINUTE) return `${rounds} round${rounds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(rounds / ROUNDS_PER_MINUTE);
+  return minutes < 60 ? `${minutes} min` : `${Math.ceil(minutes / 60)} h`;
+}
+
+/**
+ * Add a condition, replacing (and so refreshing) one with the same name
+ * @param {Array} conditions - Current conditions
+ * @param {Object} condition - {name, source?, expires?, rounds_left?}
+ * @returns {Array} New conditions
+ */
+function addCondition(conditions, condition) {
+  const entry = {
+    name: condition.name,
+    source: condition.source || '',
+    expires: condition.expires || null,
+    rounds_left: condition.expires === 'rounds' ? condition.rounds_left : null
+  };
+  return [...removeCondition(conditions, condition.name), entry];
+}
+
+/**
+ * Remove a condition by name (case-insensitive)
+ * @param {Array} conditions - Current conditions
+ * @param {string} name - Condition name
+ * @returns {Array} New conditions
+ */
+function removeCondition(conditions, name) {
+  const wanted = name.toLowerCase();
+  return conditions.filter(c => c.name.toLowerCase() !== wanted);
+}
+
+/**
+ * Conditions left after a long rest: only those without an expiry
+ * (a long rest outlasts anything timed, and "until rest" ends by definition)
+ * @param {Array} conditions - Current conditions
+ * @returns {Array} New conditions
+ */
+function afterLongRest(conditions) {
+  return conditions.filter(c => !c.expires);
+}
+
+/**
+ * Count timed conditions down by some rounds, dropping those that run out
+ * @param {Array} conditions - Current conditions
+ * @param {number} rounds - Rounds passed
+ * @returns {Array} New conditions
+ */
+function afterRounds(conditions, rounds) {
+  return conditions
+    .map(c => c.expires === 'rounds' ? { ...c, rounds_left: c.rounds_left - rounds } : c)
+    .filter(c => c.expires !== 'rounds' || c.rounds_left > 0);
+}
+
+/**
+ * A new combat round started: tick down the conditions of the characters in the fight
+ * @param {Object} db - Database instance
+ * @param {Array<string>} characterIds - Characters taking part
+ * @returns {Array<string>} IDs of the characters whose conditions changed
+ */
+function advanceRound(db, characterIds) {
+  const changed = [];
+  for (const id of characterIds) {
+    const row = db.prepare('SELECT conditions FROM characters WHERE id = ?').get(id);
+    if (!row) continue;
+    const conditions = parseConditions(row.conditions);
+    if (!conditions.some(c => c.expires === 'rounds')) continue;
+    db.prepare('UPDATE characters SET conditions = ? WHERE id = ?').run(JSON.stringify(afterRounds(conditions, 1)), id);
+    changed.push(id);
+  }
+  return changed;
+}
+
+/**
+ * Conditions for a character's line in PARTY STATUS
+ * @param {string} json - characters.conditions
+ * @returns {string} e.g. "Poisoned (58 min left, Giant Spider), Prone", or ''
+ */
+function formatConditionsForContext(json) {
+  return parseConditions(json).map(c => {
+    const details = [formatDuration(c), c.source].filter(Boolean);
+    if (details[0] && c.expires === 'rounds') details[0] += ' left';
+    return details.length > 0 ? `${c.name} (${details.join(', ')})` : c.name;
+  }).join(', ');
+}
+
+module.exports = {
+  ROUNDS_PER_MINUTE,
+  parseConditions,
+  parseDuration,
+  formatDuration,
+  addCondition,
+  removeCondition,
+  afterLongRest,
+  afterRounds,
+  advanceRound,
+  formatConditionsForContext
+};
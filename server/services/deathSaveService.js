@@ -0,0 +1,205 @@
+/**
+ * Death Save Service
+ * What happens at 0 HP (5e): a character drops to 'dying' and rolls a death save on each of their
+ * turns (10+ succeeds, a natural 1 counts as two failures, a natural 20 brings them back at 1 HP).
+ * Three successes leave them 'stable' but still unconscious; three failures leave them 'dead'.
+ * Healing wakes a dying or stable character, damage while down is a failure, and damage that
+ * drops them to 0 with at least their max HP left over kills outright.
+ *
+ * State lives on characters: life_state ('conscious' | 'dying' | 'stable' | 'dead'),
+ * death_successes and death_failures.
+ */
+
+const crypto = require('crypto');
+
+// States in which a character cannot act
+const DOWN_STATES = ['dying', 'stable', 'dead'];
+
+// "1 success", "2 failures"
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : word === 'success' ? 'es' : 's'}`;
+}
+
+/**
+ * Whether a character is unconscious or dead
+ * @param {Object} character - characters row
+ * @returns {boolean}
+ */
+function isDown(character) {
+  return DOWN_STATES.includes(character.life_state);
+}
+
+/**
+ * Characters the turn is still waiting on: everyone conscious who hasn't submitted.
+ * Dying, stable and dead characters never hold up a turn.
+ * @param {Array} characters - Session characters
+ * @param {Array} pendingActions - pending_actions rows
+ * @returns {Array} Characters still to act
+ */
+function awaitedCharacters(characters, pendingActions) {
+  return characters.filter(c => !isDown(c) && !pendingActions.some(a => a.character_id === c.id));
+}
+
+/**
+ * Whether a turn has everything it needs to run. With the whole party down, the first death
+ * save is enough.
+ * @param {Array} characters - Session characters
+ * @param {Array} pendingActions - pending_actions rows
+ * @returns {boolean}
+ */
+function isTurnReady(characters, pendingActions) {
+  return characters.length > 0 && pendingActions.length > 0 && awaitedCharacters(characters, pendingActions).length === 0;
+}
+
+/**
+ * Life state fields after an HP change
+ * @param {Object} character - characters row before the change
+ * @param {number} newHp - HP after the change (clamped at 0)
+ * @param {number} damage - Damage dealt (unclamped), or 0 for healing or a set
+ * @returns {Object|null} {life_state, death_successes, death_failures}, or null if unchanged
+ */
+function lifeStateAfterHpChange(character, newHp, damage) {
+  const state = character.life_state || 'conscious';
+  if (newHp > 0) {
+    return state === 'conscious' ? null : { life_state: 'conscious', death_successes: 0, death_failures: 0 };
+  }
+
+  if (state === 'conscious' || state === 'dead') {
+    if (damage - (character.hp || 0) >= character.max_hp) {
+      return { life_state: 'dead', death_successes: 0, death_failures: 3 };
+    }
+    return { life_state: 'dying', death_successes: 0, death_failures: 0 };
+  }
+
+  if (damage > 0) {
+    // A stable character starts dying again
+    const failures = Math.min((character.death_failures || 0) + 1, 3);
+    const successes = state === 'stable' ? 0 : character.death_successes || 0;
+    return { life_state: failures >= 3 ? 'dead' : 'dying', death_successes: successes, death_failures: failures };
+  }
+  return null;
+}
+
+/**
+ * Write a character's new HP and the life state that follows from it.
+ * The dead are left alone (HP stays at 0) unless the change is a deliberate revive.
+ * @param {Object} db - Database instance
+ * @param {string} characterId - Character ID
+ * @param {number} newHp - HP after the change (already clamped to 0..max)
+ * @param {Object} [options]
+ * @param {number} [options.damage] - Damage dealt before clamping, for failures and instant death
+ * @param {boolean} [options.revive] - Let HP above 0 raise a dead character (manual edits only)
+ * @returns {string|null} The new life_state if it changed, else null
+ */
+function applyHpChange(db, characterId, newHp, { damage = 0, revive = false } = {}) {
+  const character = db.prepare('SELECT hp, max_hp, life_state, death_successes, death_failures FROM characters WHERE id = ?').get(characterId);
+  if (!character) return null;
+  if (character.life_state === 'dead' && !revive) return null;
+
+  const next = lifeStateAfterHpChange(character, newHp, damage);
+  if (!next) {
+    db.prepare('UPDATE characters SET hp = ? WHERE id = ?').run(newHp, characterId);
+    return null;
+  }
+  db.prepare('UPDATE characters SET hp = ?, life_state = ?, death_successes = ?, death_failures = ? WHERE id = ?')
+    .run(newHp, next.life_state, next.death_successes, next.death_failures, characterId);
+  return next.life_state === (character.life_state || 'conscious') ? null : next.life_state;
+}
+
+/**
+ * Roll a death save for a dying character
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @returns {Object} {roll, outcome, life_state, death_successes, death_failures}
+ *   outcome: 'success' | 'failure' | 'critical' (nat 20, back at 1 HP) | 'fumble' (nat 1, two failures)
+ */
+function rollDeathSave(db, character) {
+  const roll = crypto.randomInt(1, 21);
+  let successes = character.death_successes || 0;
+  let failures = character.death_failures || 0;
+  let outcome;
+  let lifeState = 'dying';
+
+  if (roll === 20) {
+    outcome = 'critical';
+    db.prepare('UPDATE characters SET hp = 1 WHERE id = ?').run(character.id);
+    lifeState = 'conscious';
+    successes = 0;
+    failures = 0;
+  } else {
+    if (roll === 1) {
+      outcome = 'fumble';
+      failures += 2;
+    } else if (roll >= 10) {
+      outcome = 'success';
+      successes += 1;
+    } else {
+      outcome = 'failure';
+      failures += 1;
+    }
+    if (failures >= 3) {
+      lifeState = 'dead';
+      failures = 3;
+    } else if (successes >= 3) {
+      lifeState = 'stable';
+      successes = 0;
+      failures = 0;
+    }
+  }
+
+  db.prepare('UPDATE characters SET life_state = ?, death_successes = ?, death_failures = ? WHERE id = ?')
+    .run(lifeState, successes, failures, character.id);
+  return { roll, outcome, life_state: lifeState, death_successes: successes, death_failures: failures };
+}
+
+/**
+ * The pending action a death save becomes, for the Narrator to describe
+ * @param {Object} character - characters row
+ * @param {Object} save - rollDeathSave result
+ * @returns {string} e.g. "[Death save] Rolled 14: success (2 successes, 1 failure)"
+ */
+function formatDeathSaveAction(character, save) {
+  const name = character.character_name;
+  const tally = `(${plural(save.death_successes, 'success')}, ${plural(save.death_failures, 'failure')})`;
+  switch (save.outcome === 'critical' ? 'critical' : save.life_state) {
+    case 'critical':
+      return `[Death save] Natural 20! ${name} regains 1 HP and wakes up.`;
+    case 'stable':
+      return `[Death save] Rolled ${save.roll}: third success. ${name} is stable but still unconscious at 0 HP.`;
+    case 'dead':
+      return `[Death save] Rolled ${save.roll}: third failure. ${name} has died.`;
+    default:
+      return save.outcome === 'fumble'
+        ? `[Death save] Natural 1: two failures ${tally}`
+        : `[Death save] Rolled ${save.roll}: ${save.outcome} ${tally}`;
+  }
+}
+
+/**
+ * Life state for a character's line in PARTY STATUS
+ * @param {Object} character - characters row
+ * @returns {string} e.g. "DYING — unconscious at 0 HP (death saves: 1 success, 2 failures)", or '' when conscious
+ */
+function formatLifeStateForContext(character) {
+  switch (character.life_state) {
+    case 'dying':
+      return `DYING — unconscious at 0 HP (death saves: ${plural(character.death_successes || 0, 'success')}, ${plural(character.death_failures || 0, 'failure')})`;
+    case 'stable':
+      return 'UNCONSCIOUS — stable at 0 HP';
+    case 'dead':
+      return 'DEAD';
+    default:
+      return '';
+  }
+}
+
+module.exports = {
+  DOWN_STATES,
+  isDown,
+  awaitedCharacters,
+  isTurnReady,
+  applyHpChange,
+  rollDeathSave,
+  formatDeathSaveAction,
+  formatLifeStateForContext
+};
@@ -0,0 +1,229 @@
+/**
+ * Derived Stats Service
+ * The numbers a character sheet works out from the rest: proficiency bonus, saving throws, the 18 skills,
+ * passive scores and spellcasting. Proficiencies are structured:
+ *   characters.skill_proficiencies  JSON {skillIndex: 'proficient' | 'expertise'}
+ *   characters.save_proficiencies   JSON [ability]
+ * While either is NULL (characters made before they existed) it is read from the skills text and the
+ * starting class's saving throws (server/data/srd/classes.json, or the homebrew class).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dice = require('../../shared/dice');
+const dndData = require('./dndDataService');
+
+const SRD_DIR = path.join(__dirname, '../data/srd');
+const SKILLS = JSON.parse(fs.readFileSync(path.join(SRD_DIR, 'skills.json'), 'utf-8'));
+
+const ABILITY_BY_LABEL = dice.ABILITIES;
+const LABEL_BY_ABILITY = Object.fromEntries(Object.entries(ABILITY_BY_LABEL).map(([label, ability]) => [ability, label]));
+const ABILITIES = Object.values(ABILITY_BY_LABEL);
+const PROFICIENCY_LEVELS = ['proficient', 'expertise'];
+
+// Passive scores the DM compares against hidden DCs
+const PASSIVE_SKILLS = ['perception', 'investigation', 'insight'];
+
+function parseJson(text) {
+  if (text === null || text === undefined || text === '') return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+function formatModifier(value) {
+  return value >= 0 ? `+${value}` : `${value}`;
+}
+
+/**
+ * Skill proficiencies found in the free-text skills column, e.g. "Perception +5, Stealth (Expertise)"
+ * @param {string} text - characters.skills
+ * @returns {Object} {skillIndex: 'proficient' | 'expertise'}
+ */
+function parseSkillsText(text) {
+  const proficiencies = {};
+  for (const part of String(text || '').toLowerCase().split(/[,;\n]/)) {
+    const skill = SKILLS.find(s => part.includes(s.name.toLowerCase()));
+    if (skill) proficiencies[skill.index] = /expert/.test(part) ? 'expertise' : 'proficient';
+  }
+  return proficiencies;
+}
+
+/**
+ * A character's skill and save proficiencies
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @returns {Object} {skills: {skillIndex: 'proficient' | 'expertise'}, saves: [ability]}
+ */
+function getProficiencies(db, character) {
+  const skills = parseJson(character.skill_proficiencies) || parseSkillsText(character.skills);
+  let saves = parseJson(character.save_proficiencies);
+  if (!Array.isArray(saves)) {
+    // Multiclassing doesn't add saving throws: only the starting class counts
+    const startingClass = dndData.findClass(db, character.class);
+    saves = startingClass ? startingClass.saving_throws.map(label => ABILITY_BY_LABEL[label]) : [];
+  }
+  return { skills, saves };
+}
+
+/**
+ * Check edited proficiencies and put them in their stored form
+ * @param {Object} [skills] - {skillIndex: 'proficient' | 'expertise'}
+ * @param {Array} [saves] - [ability]
+ * @returns {Object} {skill_proficiencies?, save_proficiencies?} JSON strings, or {error}
+ */
+function normalizeProficiencies(skills, saves) {
+  const result = {};
+  if (skills !== undefined) {
+    if (!skills || typeof skills !== 'object' || Array.isArray(skills)) return { error: 'skill_proficiencies must be an object' };
+    for (const [index, level] of Object.entries(skills)) {
+      if (!SKILLS.some(s => s.index === index)) return { error: `Unknown skill: ${index}` };
+      if (!PROFICIENCY_LEVELS.includes(level)) return { error: `Proficiency must be one of: ${PROFICIENCY_LEVELS.join(', ')}` };
+    }
+    result.skill_proficiencies = JSON.stringify(skills);
+  }
+  if (saves !== undefined) {
+    if (!Array.isArray(saves) || saves.some(a => !ABILITIES.includes(a))) {
+      return { error: `save_proficiencies must be a list of: ${ABILITIES.join(', ')}` };
+    }
+    result.save_proficiencies = JSON.stringify([...new Set(saves)]);
+  }
+  return result;
+}
+
+/**
+ * Work out a character's sheet
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @returns {Object} {proficiency_bonus, abilities, saves, skills, passives, spellcasting}
+ *   abilities: {strength: {score, modifier}}; saves: {strength: {modifier, proficient}}
+ *   skills: {perception: {name, ability, modifier, proficiency: null | 'proficient' | 'expertise'}}
+ *   passives: {perception, investigation, insight}
+ *   spellcasting: [{classes, ability, save_dc, attack_bonus}] (one per casting ability)
+ */
+function computeDerivedStats(db, character) {
+  const proficiencyBonus = dice.characterModifiers(character).PROF;
+  const proficiencies = getProficiencies(db, character);
+
+  const abilities = {};
+  const saves = {};
+  for (const ability of ABILITIES) {
+    const modifier = dice.abilityModifier(character[ability]);
+    const proficient = proficiencies.saves.includes(ability);
+    abilities[ability] = { score: character[ability] ?? 10, modifier };
+    saves[ability] = { modifier: modifier + (proficient ? proficiencyBonus : 0), proficient };
+  }
+
+  const skills = {};
+  for (const skill of SKILLS) {
+    const ability = ABILITY_BY_LABEL[skill.ability_score];
+    const proficiency = proficiencies.skills[skill.index] || null;
+    const multiplier = proficiency === 'expertise' ? 2 : proficiency ? 1 : 0;
+    skills[skill.index] = {
+      name: skill.name,
+      ability,
+      modifier: abilities[ability].modifier + multiplier * proficiencyBonus,
+      proficiency
+    };
+  }
+
+  const passives = {};
+  for (const index of PASSIVE_SKILLS) passives[index] = 10 + skills[index].modifier;
+
+  let classLevels = parseJson(character.classes);
+  if (!classLevels || Object.keys(classLevels).length === 0) classLevels = { [character.class]: character.level || 1 };
+  const spellcasting = [];
+  for (const className of Object.keys(classLevels)) {
+    const srdClass = dndData.findClass(db, className);
+    if (!srdClass || !srdClass.spellcasting_ability) continue;
+    const ability = ABILITY_BY_LABEL[srdClass.spellcasting_ability];
+    const existing = spellcasting.find(s => s.ability === ability);
+    if (existing) {
+      existing.classes.push(className);
+      continue;
+    }
+    const modifier = abilities[ability].modifier;
+    spellcasting.push({
+      classes: [className],
+      ability,
+      save_dc: 8 + proficiencyBonus + modifier,
+      attack_bonus: proficiencyBonus + modifier
+    });
+  }
+
+  return { proficiency_bonus: proficiencyBonus, abilities, saves, skills, passives, spellcasting };
+}
+
+/**
+ * A d20 roll for a save or skill: the ability whose modifier is added, plus the proficiency terms
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @param {string} key - 'save:dexterity' or 'skill:perception'
+ * @returns {Object|null} {stat, bonus: '' | '+PROF' | '+PROF+PROF', label}, or null if the key is unknown
+ */
+function resolveRollStat(db, character, key) {
+  const [kind, name] = String(key || '').split(':');
+  const proficiencies = getProficiencies(db, character);
+  if (kind === 'save' && ABILITIES.includes(name)) {
+    return {
+      stat: name,
+      bonus: proficiencies.saves.includes(name) ? '+PROF' : '',
+      label: `${LABEL_BY_ABILITY[name]} save`
+    };
+  }
+  const skill = kind === 'skill' && SKILLS.find(s => s.index === name);
+  if (!skill) return null;
+  const proficiency = proficiencies.skills[skill.index];
+  return {
+    stat: ABILITY_BY_LABEL[skill.ability_score],
+    bonus: proficiency === 'expertise' ? '+PROF+PROF' : proficiency ? '+PROF' : '',
+    label: skill.name
+  };
+}
+
+/**
+ * The sheet for PARTY STATUS, with proficiency already added to every number
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @returns {string} e.g. "Proficiency +2 | Saves: STR +5, DEX +1, ... | Proficient skills: Athletics +5, Perception +2
+ *   | Passive Perception 12, Investigation 10, Insight 10 | Spell save DC 13, spell attack +5 (Wizard)"
+ */
+function formatDerivedForContext(db, character) {
+  const derived = computeDerivedStats(db, character);
+  const saves = ABILITIES.map(a => `${LABEL_BY_ABILITY[a]} ${formatModifier(derived.saves[a].modifier)}`);
+  const skills = Object.values(derived.skills)
+    .filter(s => s.proficiency)
+    .map(s => `${s.name} ${formatModifier(s.modifier)}${s.proficiency === 'expertise' ? ' (expertise)' : ''}`);
+
+  const parts = [
+    `Proficiency ${formatModifier(derived.proficiency_bonus)}`,
+    `Saves: ${saves.join(', ')}`
+  ];
+  if (skills.length > 0) parts.push(`Proficient skills: ${skills.join(', ')}`);
+  parts.push(`Passive Perception ${derived.passives.perception}, Investigation ${derived.passives.investigation}, Insight ${derived.passives.insight}`);
+  for (const casting of derived.spellcasting) {
+    parts.push(`Spell save DC ${casting.save_dc}, spell attack ${formatModifier(casting.attack_bonus)} (${casting.classes.join(', ')})`);
+  }
+  return parts.join(' | ');
+}
+
+/**
+ * A character row with its computed sheet attached (for API responses)
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @returns {Object} character plus derived
+ */
+function withDerivedStats(db, character) {
+  return { ...character, derived: computeDerivedStats(db, character) };
+}
+
+module.exports = {
+  getProficiencies,
+  normalizeProficiencies,
+  computeDerivedStats,
+  resolveRollStat,
+  formatDerivedForContext,
+  withDerivedStats
+};
@@ -0,0 +1,252 @@
+/**
+ * Dice Service
+ * Server-side dice: every roll is made here, stored in dice_rolls, and handed back with a signed id.
+ * A player submits the signed id with their action, and the action carries the server's result
+ * instead of whatever the browser claims. Rolls are single-use and only good for the turn they
+ * were made in. Only a character's latest action roll counts: rolling again voids the earlier ones,
+ * and the tag of the roll finally used says how many were discarded.
+ *
+ * Signed id: "<roll id>.<HMAC-SHA256 of id:session:character>", keyed by the dice_roll_secret setting.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const dice = require('../../shared/dice');
+
+const STATS = Object.values(dice.ABILITIES);
+const STAT_LABELS = Object.fromEntries(Object.entries(dice.ABILITIES).map(([label, stat]) => [stat, label]));
+
+// Matches the roll tag an action carries, e.g. "[DICE ROLL: d20 = 14 +2 DEX (score 14) = 16]"
+const ROLL_TAG_PATTERN = /\[DICE ROLL:[^\]]*\]/gi;
+
+// Rolls made for something other than an action (the /roll command, hit dice, a level's hit points)
+const NON_ACTION_KINDS = ['free', 'hit_die', 'level_up'];
+
+// Server dice: crypto-random, 1..sides
+function randomDie(sides) {
+  return crypto.randomInt(1, sides + 1);
+}
+
+function getSecret(db) {
+  const row = db.prepare("SELECT value FROM settings WHERE key = 'dice_roll_secret'").get();
+  if (!row) throw new Error('dice_roll_secret setting is missing');
+  return row.value;
+}
+
+function signature(db, rollId, sessionId, characterId) {
+  return crypto.createHmac('sha256', getSecret(db))
+    .update(`${rollId}:${sessionId}:${characterId || ''}`)
+    .digest('hex');
+}
+
+/**
+ * Signed id for a roll
+ * @param {Object} db - Database instance
+ * @param {Object} roll - dice_rolls row
+ * @returns {string}
+ */
+function signRollId(db, roll) {
+  return `${roll.id}.${signature(db, roll.id, roll.session_id, roll.character_id)}`;
+}
+
+/**
+ * Roll dice and record the roll
+ * @param {Object} db - Database instance
+ * @param {Object} options
+ * @param {Object} options.session - game_sessions row
+ * @param {Object} [options.character] - characters row, if the roll is for a character
+ * @param {string} [options.playerId] - Player who rolled
+ * @param {string} options.expression - Dice expression (shared/dice.js syntax; STR..CHA and PROF need a character)
+ * @param {string} [options.stat] - Ability whose modifier is added (needs a character)
+ * @param {string} [options.kind] - 'action' (rolled to go with an action, the default), 'free', 'check', 'hit_die'
+ *   or 'level_up' (a level's hit points)
+ * @returns {Object|null} dice_rolls row (rolls parsed) plus signed_id and natural, or null if the
+ *   expression is invalid or refers to stats without a character
+ */
+function createRoll(db, { session, character, playerId, expression, stat, kind = 'action' }) {
+  const result = dice.roll(expression, {
+    modifiers: character ? dice.characterModifiers(character) : null,
+    random: randomDie
+  });
+  if (!result) return null;
+
+  const score = character && STATS.includes(stat) ? (character[stat] ?? 10) : null;
+  const statModifier = score === null ? 0 : Math.floor((score - 10) / 2);
+  const flatModifier = result.terms.filter(t => !t.dice).reduce((sum, t) => sum + t.value, 0);
+
+  const roll = {
+    id: uuidv4(),
+    session_id: session.id,
+    character_id: character ? character.id : null,
+    player_id: playerId || null,
+    turn: session.current_turn || 0,
+    expression: result.expression,
+    stat: score === null ? null : stat,
+    score,
+    modifier: flatModifier + statModifier,
+    rolls: result.terms,
+    total: result.total + statModifier,
+    kind
+  };
+  // A new action roll replaces the character's unused ones from this turn
+  if (kind === 'action' && roll.character_id) {
+    db.prepare(`
+      UPDATE dice_rolls SET voided_at = CURRENT_TIMESTAMP
+      WHERE session_id = ? AND character_id = ? AND turn = ? AND kind = 'action' AND action_id IS NULL AND voided_at IS NULL
+    `).run(roll.session_id, roll.character_id, roll.turn);
+  }
+  db.prepare(`
+    INSERT INTO dice_rolls (id, session_id, character_id, player_id, turn, expression, stat, score, modifier, rolls, total, kind)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(roll.id, roll.session_id, roll.character_id, roll.player_id, roll.turn, roll.expression,
+    roll.stat, roll.score, roll.modifier, JSON.stringify(roll.rolls), roll.total, roll.kind);
+
+  return { ...roll, natural: result.natural, signed_id: signRollId(db, roll) };
+}
+
+/**
+ * Look up the roll behind a signed id, checking it belongs to this session and character
+ * @param {Object} db - Database instance
+ * @param {string} signedId - Signed roll id
+ * @param {string} sessionId - Session ID
+ * @param {string} characterId - Character ID
+ * @returns {Object|null} dice_rolls row, or null if the signature or owner doesn't match
+ */
+function verifyRoll(db, signedId, sessionId, characterId) {
+  const [rollId, sig] = String(signedId || '').split('.');
+  if (!rollId || !sig) return null;
+
+  const expected = Buffer.from(signature(db, rollId, sessionId, characterId));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  const roll = db.prepare('SELECT * FROM dice_rolls WHERE id = ?').get(rollId);
+  if (!roll || roll.session_id !== sessionId || roll.character_id !== characterId) return null;
+  return roll;
+}
+
+/**
+ * Use a roll for an action. Fails for a bad signature, a roll already used, one from an earlier turn,
+ * or one a later roll replaced. Resubmitting an action with a new roll voids the roll it had before;
+ * the claimed roll records how many of the character's action rolls this turn were discarded.
+ * @param {Object} db - Database instance
+ * @param {string} signedId - Signed roll id
+ * @param {Object} options
+ * @param {Object} options.session - game_sessions row
+ * @param {string} options.characterId - Character submitting the action
+ * @param {string} options.actionId - pending_actions row the roll goes with
+ * @returns {Object} {roll} or {error}
+ */
+function claimRoll(db, signedId, { session, characterId, actionId }) {
+  const roll = verifyRoll(db, signedId, session.id, characterId);
+  if (!roll) return { error: 'Invalid roll id' };
+  if (roll.action_id) return { error: 'This roll has already been used' };
+  if (roll.turn !== (session.current_turn || 0)) return { error: 'This roll is from an earlier turn' };
+  if (NON_ACTION_KINDS.includes(roll.kind)) return { error: 'This roll was not made for an action' };
+  if (roll.voided_at) return { error: 'A later roll replaced this one — submit your latest roll' };
+
+  let discarded = 0;
+  if (roll.kind === 'action') {
+    db.prepare(`
+      UPDATE dice_rolls SET voided_at = CURRENT_TIMESTAMP
+      WHERE action_id = ? AND turn = ? AND kind = 'action' AND voided_at IS NULL
+    `).run(actionId, roll.turn);
+    discarded = db.prepare(`
+      SELECT COUNT(*) AS n FROM dice_rolls
+      WHERE session_id = ? AND character_id = ? AND turn = ? AND kind = 'action' AND voided_at IS NOT NULL
+    `).get(roll.session_id, roll.character_id, roll.turn).n;
+  }
+
+  db.prepare('UPDATE dice_rolls SET action_id = ?, claimed_at = CURRENT_TIMESTAMP, discarded = ? WHERE id = ?')
+    .run(actionId, discarded, roll.id);
+  return { roll: { ...roll, action_id: actionId, discarded } };
+}
+
+/**
+ * The roll tag an action carries, in the format the DM prompt describes
+ * @param {Object} roll - dice_rolls row
+ * @returns {string} e.g. "[DICE ROLL: d20 = 14 +2 DEX (score 14) = 16]", "[DICE ROLL: 4d6dl1 = (6, 4, 3, 1 dropped) = 13]",
+ *   "[DICE ROLL: d20 = 17; 2 earlier rolls discarded]"
+ */
+function formatRollTag(roll) {
+  const terms = typeof roll.rolls === 'string' ? JSON.parse(roll.rolls) : roll.rolls;
+  const breakdown = dice.describe(terms);
+  const discarded = roll.discarded > 0
+    ? `; ${roll.discarded} earlier ${roll.discarded === 1 ? 'roll' : 'rolls'} discarded`
+    : '';
+  if (roll.stat) {
+    const statModifier = Math.floor((roll.score - 10) / 2);
+    return `[DICE ROLL: ${roll.expression} = ${breakdown} ${statModifier >= 0 ? '+' : ''}${statModifier} ${STAT_LABELS[roll.stat]} (score ${roll.score}) = ${roll.total}${discarded}]`;
+  }
+  return breakdown === String(roll.total)
+    ? `[DICE ROLL: ${roll.expression} = ${roll.total}${discarded}]`
+    : `[DICE ROLL: ${roll.expression} = ${breakdown} = ${roll.total}${discarded}]`;
+}
+
+/**
+ * Replace any roll tags in the action text with the tag of the server roll
+ * @param {string} action - Action text as submitted
+ * @param {string} tag - formatRollTag() of the claimed roll
+ * @returns {string}
+ */
+function withRollTag(action, tag) {
+  return `${action.replace(ROLL_TAG_PATTERN, '').trim()}\n${tag}`;
+}
+
+/**
+ * Mark roll tags in pending actions that no server roll backs (typed by hand, or edited).
+ * Such tags become "[UNVERIFIED ROLL: ...]" so the DM doesn't take them at face value.
+ * @param {Object} db - Database instance
+ * @param {Array} pendingActions - pending_actions rows
+ * @param {Array} characters - Session characters
+ * @returns {Array} pendingActions, with flagged action text where needed
+ */
+function flagUnverifiedRolls(db, pendingActions, characters) {
+  const claimedBy = db.prepare('SELECT * FROM dice_rolls WHERE action_id = ?');
+  return pendingActions.map(pa => {
+    const tags = pa.action.match(ROLL_TAG_PATTERN);
+    if (!tags) return pa;
+
+    const genuine = claimedBy.all(pa.id).map(formatRollTag);
+    let flagged = false;
+    const action = pa.action.replace(ROLL_TAG_PATTERN, tag => {
+      if (genuine.includes(tag)) return tag;
+      flagged = true;
+      return tag.replace(/^\[DICE ROLL:/i, '[UNVERIFIED ROLL:');
+    });
+    if (flagged) {
+      const character = characters.find(c => c.id === pa.character_id);
+      console.warn(`Unverified dice roll in action from ${character ? character.character_name : pa.character_id}`);
+    }
+    return flagged ? { ...pa, action } : pa;
+  });
+}
+
+/**
+ * Latest rolls in a session, newest first
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {number} [limit] - Maximum rows
+ * @returns {Array} dice_rolls rows (rolls parsed) with character_name
+ */
+function listRolls(db, sessionId, limit = 100) {
+  return db.prepare(`
+    SELECT r.*, c.character_name FROM dice_rolls r
+    LEFT JOIN characters c ON c.id = r.character_id
+    WHERE r.session_id = ?
+    ORDER BY r.created_at DESC, r.rowid DESC
+    LIMIT ?
+  `).all(sessionId, limit).map(r => ({ ...r, rolls: JSON.parse(r.rolls || '[]') }));
+}
+
+module.exports = {
+  STATS,
+  createRoll,
+  signRollId,
+  verifyRoll,
+  claimRoll,
+  formatRollTag,
+  withRollTag,
+  flagUnverifiedRolls,
+  listRolls
+};
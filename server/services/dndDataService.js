@@ -1,20 +1,53 @@
 /**
  * D&D 5e Data Service
- * Serves static SRD data for races/classes/skills/backgrounds.
- * Fetches spells & equipment from the D&D 5e API and caches in SQLite.
+ * Serves SRD data bundled in server/data/srd: races, classes, subclasses, skills, backgrounds, spells,
+ * equipment, magic items and monsters. Spells, equipment, magic items and monsters are indexed
+ * at startup for search.
+ *
+ * Homebrew races, classes, subclasses, backgrounds and magic items (homebrewService) are listed after the SRD ones;
+ * every entry in those lists carries source: 'SRD' or 'homebrew'.
+ *
+ * The D&D 5e API (dnd5eapi.co) is only an optional refresh source: refreshFromApi() fetches its
+ * spells, equipment and magic items into dnd_data_cache, and those entries then replace the bundled
+ * ones with the same index. Nothing here needs the network to answer a request.
  */
 
 const fs = require('fs');
 const path = require('path');
 const logger = require('../lib/logger');
+const homebrew = require('./homebrewService');
 
 const SRD_DIR = path.join(__dirname, '../data/srd');
-const STATIC_RACES = JSON.parse(fs.readFileSync(path.join(SRD_DIR, 'races.json'), 'utf-8'));
-const STATIC_CLASSES = JSON.parse(fs.readFileSync(path.join(SRD_DIR, 'classes.json'), 'utf-8'));
-const STATIC_SKILLS = JSON.parse(fs.readFileSync(path.join(SRD_DIR, 'skills.json'), 'utf-8'));
-const STATIC_BACKGROUNDS = JSON.parse(fs.readFileSync(path.join(SRD_DIR, 'backgrounds.json'), 'utf-8'));
+const readSrd = (file) => JSON.parse(fs.readFileSync(path.join(SRD_DIR, file), 'utf-8'));
+const withSource = (list) => list.map(entry => entry.source ? entry : { ...entry, source: 'SRD' });
+const STATIC_RACES = withSource(readSrd('races.json'));
+const STATIC_CLASSES = withSource(readSrd('classes.json'));
+const STATIC_SUBCLASSES = withSource(readSrd('subclass-spells.json'));
+const STATIC_SKILLS = readSrd('skills.json');
+const STATIC_BACKGROUNDS = withSource(readSrd('backgrounds.json'));
+const STATIC_SPELLS = readSrd('spells.json');
+const STATIC_EQUIPMENT = readSrd('equipment.json');
+const STATIC_MAGIC_ITEMS = readSrd('magic-items.json');
+const STATIC_MONSTERS = readSrd('monsters.json');
+const MONSTERS_BY_INDEX = new Map(STATIC_MONSTERS.map(m => [m.index, m]));
 
-const BASE_URL = 'https://www.dnd5eapi.co/api';
+const API_ORIGIN = 'https://www.dnd5eapi.co';
+
+// dnd_data_cache keys holding refreshed data sets
+const REFRESH_KEYS = {
+  spells: 'srd:spells',
+  equipment: 'srd:equipment',
+  magicItems: 'srd:magic-items'
+};
+
+// Worth of each coin in gold pieces (cost filters compare in gp)
+const COIN_VALUES = { cp: 0.01, sp: 0.1, ep: 0.5, gp: 1, pp: 10 };
+
+const DEFAULT_SEARCH_LIMIT = 50;
+const MAX_SEARCH_LIMIT = 500;
+
+// Details fetched at once during a refresh
+const FETCH_BATCH_SIZE = 10;
 
 // ============================================
 // Cache helpers
@@ -31,7 +64,9 @@ function setCache(db, key, data) {
 }
 
 async function apiFetch(urlPath) {
-  const url = urlPath.startsWith('http') ? urlPath : `${BASE_URL}${urlPath}`;
+  // List results link to details as "/api/..." paths
+  const url = urlPath.startsWith('http') ? urlPath
+    : urlPath.startsWith('/api/') ? `${API_ORIGIN}${urlPath}` : `${API_ORIGIN}/api${urlPath}`;
   const res = await fetch(url);
   if (!res.ok) {
     throw new Error(`D&D API error: ${res.status} for ${url}`);
@@ -39,105 +74,359 @@ async function apiFetch(urlPath) {
   return res.json();
 }
 
+// ============================================
+// Indexes
+// ============================================
+
+function groupBy(list, keysOf) {
+  const groups = new Map();
+  for (const entry of list) {
+    for (const key of keysOf(entry)) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+  }
+  return groups;
+}
+
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/'/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Bundled entries with refreshed ones laid over them (same index wins), sorted by name
+ */
+function mergeEntries(bundled, refreshed) {
+  if (!Array.isArray(refreshed) || refreshed.length === 0) return bundled;
+  const byIndex = new Map(bundled.map(entry => [entry.index, entry]));
+  for (const entry of refreshed) byIndex.set(entry.index, entry);
+  return [...byIndex.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function buildIndexes(spells, equipment, srdMagicItems) {
+  const magicItems = withSource(srdMagicItems);
+  return {
+    spells,
+    spellsByIndex: new Map(spells.map(s => [s.index, s])),
+    spellsByClass: groupBy(spells, s => s.classes.map(slugify)),
+    spellsByLevel: groupBy(spells, s => [s.level]),
+    equipment,
+    equipmentByIndex: new Map(equipment.map(e => [e.index, e])),
+    equipmentByCategory: groupBy(equipment, e => e.categories),
+    magicItems,
+    magicItemsByIndex: new Map(magicItems.map(m => [m.index, m])),
+    magicItemsByRarity: groupBy(magicItems, m => [slugify(m.rarity)])
+  };
+}
+
+let indexes = buildIndexes(STATIC_SPELLS, STATIC_EQUIPMENT, STATIC_MAGIC_ITEMS);
+let refreshLoaded = false;
+
+/**
+ * The indexes, with any refreshed data from an earlier run laid over the bundled files
+ */
+function getIndexes(db) {
+  if (!refreshLoaded) {
+    refreshLoaded = true;
+    const spells = getCached(db, REFRESH_KEYS.spells);
+    const equipment = getCached(db, REFRESH_KEYS.equipment);
+    const magicItems = getCached(db, REFRESH_KEYS.magicItems);
+    if (spells || equipment || magicItems) {
+      indexes = buildIndexes(
+        mergeEntries(STATIC_SPELLS, spells),
+        mergeEntries(STATIC_EQUIPMENT, equipment),
+        mergeEntries(STATIC_MAGIC_ITEMS, magicItems)
+      );
+    }
+  }
+  return indexes;
+}
+
+function matchesName(entry, name) {
+  return !name || entry.name.toLowerCase().includes(String(name).toLowerCase());
+}
+
+function parseFlag(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return value === true || value === 'true' || value === '1';
+}
+
+function parseLimit(limit) {
+  return Math.min(MAX_SEARCH_LIMIT, Math.max(1, parseInt(limit) || DEFAULT_SEARCH_LIMIT));
+}
+
+/**
+ * An item's cost in gold pieces (null when it has none)
+ * @param {Object} item - Equipment entry
+ * @returns {number|null}
+ */
+function costInGold(item) {
+  if (!item.cost || !COIN_VALUES[item.cost.unit]) return null;
+  return item.cost.quantity * COIN_VALUES[item.cost.unit];
+}
+
 // ============================================
 // Races
 // ============================================
 
 async function getRaces(db) {
-  return STATIC_RACES;
+  return [...STATIC_RACES, ...homebrew.getHomebrewData(db, 'race')];
 }
 
 // ============================================
 // Classes
 // ============================================
 
+/**
+ * SRD and homebrew classes
+ * @param {Object} db - Database instance
+ * @returns {Array}
+ */
+function listClasses(db) {
+  return [...STATIC_CLASSES, ...homebrew.getHomebrewData(db, 'class')];
+}
+
 async function getClasses(db) {
-  return STATIC_CLASSES;
+  return listClasses(db);
+}
+
+/**
+ * A class by index or name, SRD or homebrew
+ * @param {Object} db - Database instance
+ * @param {string} name - e.g. "wizard" or "Wizard"
+ * @returns {Object|null}
+ */
+function findClass(db, name) {
+  const key = String(name || '').toLowerCase();
+  return listClasses(db).find(c => c.index === key || c.name.toLowerCase() === key) || null;
+}
+
+/**
+ * SRD and homebrew subclasses: {index, name, class, spells: {level: [spellIndex]}, features?: {level: [name]}}
+ * @param {Object} db - Database instance
+ * @returns {Array}
+ */
+function getSubclasses(db) {
+  return [...STATIC_SUBCLASSES, ...homebrew.getHomebrewData(db, 'subclass')];
+}
+
+/**
+ * A subclass by index
+ * @param {Object} db - Database instance
+ * @param {string} index - e.g. "life-domain"
+ * @returns {Object|null}
+ */
+function findSubclass(db, index) {
+  return getSubclasses(db).find(s => s.index === index) || null;
 }
 
 // ============================================
-// Spells by Class
+// Spells
 // ============================================
 
 async function getSpellsByClass(db, classIndex, level) {
-  const cacheKey = `spells:${classIndex}:${level}`;
-  const cached = getCached(db, cacheKey);
-  if (cached) return cached;
-
-  const data = await apiFetch(`/classes/${classIndex}/spells`);
-  const filtered = (data.results || []).filter(s => s.level === level);
-
-  // Batch fetch details for each spell
-  const spells = [];
-  for (const spell of filtered) {
-    const detail = await apiFetch(spell.url);
-    spells.push({
-      index: detail.index,
-      name: detail.name,
-      level: detail.level,
-      school: detail.school ? detail.school.name : null,
-      casting_time: detail.casting_time,
-      range: detail.range,
-      components: detail.components,
-      duration: detail.duration,
-      desc: detail.desc,
-    });
-  }
+  return (getIndexes(db).spellsByClass.get(slugify(classIndex)) || []).filter(s => s.level === level);
+}
 
-  setCache(db, cacheKey, spells);
-  return spells;
+/**
+ * A spell, with any refreshed data laid over the bundled file
+ * @param {Object} db - Database instance
+ * @param {string} spellIndex - e.g. "fireball"
+ * @returns {Object|null}
+ */
+function getSpell(db, spellIndex) {
+  return getIndexes(db).spellsByIndex.get(spellIndex) || null;
+}
+
+async function getSpellDetail(db, spellIndex) {
+  return getSpell(db, spellIndex);
+}
+
+/**
+ * Search spells
+ * @param {Object} db - Database instance
+ * @param {Object} filters
+ * @param {string} [filters.name] - Part of the name
+ * @param {number|string} [filters.level] - Spell level (0 for cantrips)
+ * @param {string} [filters.school] - e.g. "Evocation"
+ * @param {string} [filters.class] - Class index or name, e.g. "wizard"
+ * @param {boolean|string} [filters.ritual] - Only rituals (true) or non-rituals (false)
+ * @param {boolean|string} [filters.concentration] - Only concentration spells (true) or the others (false)
+ * @param {number|string} [filters.limit] - Most results to return (default 50, max 500)
+ * @returns {Promise<Array>} Spells by level, then name
+ */
+async function searchSpells(db, filters = {}) {
+  const data = getIndexes(db);
+  const level = filters.level === undefined || filters.level === '' ? null : parseInt(filters.level);
+  const ritual = parseFlag(filters.ritual);
+  const concentration = parseFlag(filters.concentration);
+
+  let candidates = data.spells;
+  if (filters.class) candidates = data.spellsByClass.get(slugify(filters.class)) || [];
+  else if (level !== null) candidates = data.spellsByLevel.get(level) || [];
+
+  return candidates
+    .filter(s => matchesName(s, filters.name)
+      && (level === null || s.level === level)
+      && (!filters.school || s.school.toLowerCase() === String(filters.school).toLowerCase())
+      && (ritual === null || s.ritual === ritual)
+      && (concentration === null || s.concentration === concentration))
+    .sort((a, b) => a.level - b.level || a.name.localeCompare(b.name))
+    .slice(0, parseLimit(filters.limit));
 }
 
 // ============================================
-// Spell Detail
+// Equipment
 // ============================================
 
-async function getSpellDetail(db, spellIndex) {
-  const cacheKey = `spell:${spellIndex}`;
-  const cached = getCached(db, cacheKey);
-  if (cached) return cached;
+async function getEquipmentByCategory(db, category) {
+  return getIndexes(db).equipmentByCategory.get(category) || [];
+}
 
-  const detail = await apiFetch(`/spells/${spellIndex}`);
-  const result = {
-    index: detail.index,
-    name: detail.name,
-    level: detail.level,
-    school: detail.school ? detail.school.name : null,
-    casting_time: detail.casting_time,
-    range: detail.range,
-    components: detail.components,
-    material: detail.material,
-    duration: detail.duration,
-    concentration: detail.concentration,
-    ritual: detail.ritual,
-    desc: detail.desc,
-    higher_level: detail.higher_level,
-    classes: (detail.classes || []).map(c => c.name),
-  };
+/**
+ * Search equipment
+ * @param {Object} db - Database instance
+ * @param {Object} filters
+ * @param {string} [filters.name] - Part of the name
+ * @param {string} [filters.category] - Category index, e.g. "weapon", "martial-weapons", "heavy-armor", "arcane-foci"
+ * @param {number|string} [filters.min_cost] - Cheapest cost in gp
+ * @param {number|string} [filters.max_cost] - Dearest cost in gp
+ * @param {number|string} [filters.limit] - Most results to return (default 50, max 500)
+ * @returns {Promise<Array>} Equipment by name
+ */
+async function searchEquipment(db, filters = {}) {
+  const data = getIndexes(db);
+  const minCost = filters.min_cost === undefined || filters.min_cost === '' ? null : parseFloat(filters.min_cost);
+  const maxCost = filters.max_cost === undefined || filters.max_cost === '' ? null : parseFloat(filters.max_cost);
+  const candidates = filters.category ? data.equipmentByCategory.get(filters.category) || [] : data.equipment;
 
-  setCache(db, cacheKey, result);
-  return result;
+  return candidates
+    .filter(item => {
+      if (!matchesName(item, filters.name)) return false;
+      if (minCost === null && maxCost === null) return true;
+      const cost = costInGold(item);
+      return cost !== null && (minCost === null || cost >= minCost) && (maxCost === null || cost <= maxCost);
+    })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .slice(0, parseLimit(filters.limit));
 }
 
 // ============================================
-// Equipment by Category
+// Magic Items
 // ============================================
 
-async function getEquipmentByCategory(db, category) {
-  const cacheKey = `equipment:${category}`;
-  const cached = getCached(db, cacheKey);
-  if (cached) return cached;
+async function getMagicItemDetail(db, itemIndex) {
+  const item = getIndexes(db).magicItemsByIndex.get(itemIndex);
+  if (item) return item;
+  const entry = homebrew.findEntry(db, 'item', itemIndex);
+  return entry ? { ...entry.data, source: 'homebrew' } : null;
+}
 
-  const data = await apiFetch(`/equipment-categories/${category}`);
-  const equipment = (data.equipment || []).map(e => ({
-    index: e.index,
-    name: e.name,
-    cost: e.cost || null,
-    weight: e.weight || null,
-  }));
+/**
+ * Search magic items
+ * @param {Object} db - Database instance
+ * @param {Object} filters
+ * @param {string} [filters.name] - Part of the name
+ * @param {string} [filters.rarity] - e.g. "rare", "very-rare", "Very Rare", "varies"
+ * @param {string} [filters.category] - armor | weapon | potion | ring | rod | scroll | staff | wand | wondrous-items
+ * @param {boolean|string} [filters.attunement] - Only items that need attunement (true) or the others (false)
+ * @param {number|string} [filters.limit] - Most results to return (default 50, max 500)
+ * @returns {Promise<Array>} Magic items by name
+ */
+async function searchMagicItems(db, filters = {}) {
+  const data = getIndexes(db);
+  const attunement = parseFlag(filters.attunement);
+  const rarity = filters.rarity ? slugify(filters.rarity) : null;
+  const candidates = [
+    ...(rarity ? data.magicItemsByRarity.get(rarity) || [] : data.magicItems),
+    ...homebrew.getHomebrewData(db, 'item').filter(item => !rarity || slugify(item.rarity) === rarity)
+  ];
 
-  setCache(db, cacheKey, equipment);
-  return equipment;
+  return candidates
+    .filter(item => matchesName(item, filters.name)
+      && (!filters.category || item.category === filters.category)
+      && (attunement === null || Boolean(item.attunement) === attunement))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .slice(0, parseLimit(filters.limit));
+}
+
+/**
+ * The equipment entry or magic item (SRD or homebrew) with this index or name, for linking inventory items
+ * @param {Object} db - Database instance
+ * @param {string} nameOrIndex - e.g. "Chain Mail", "chain-mail" or "Bag of Holding"
+ * @returns {Object|null} {kind: 'equipment' | 'magic-item', entry}
+ */
+function findItem(db, nameOrIndex) {
+  const key = String(nameOrIndex || '').trim().toLowerCase();
+  if (!key) return null;
+  const data = getIndexes(db);
+  const matches = entry => entry.index === key || entry.name.toLowerCase() === key;
+
+  const equipment = data.equipmentByIndex.get(key) || data.equipment.find(matches);
+  if (equipment) return { kind: 'equipment', entry: equipment };
+  const magicItem = data.magicItemsByIndex.get(key) || data.magicItems.find(matches)
+    || homebrew.getHomebrewData(db, 'item').find(matches);
+  return magicItem ? { kind: 'magic-item', entry: magicItem } : null;
+}
+
+// ============================================
+// Monsters
+// ============================================
+
+/**
+ * A challenge rating as a number ("1/4" -> 0.25)
+ * @param {number|string} cr
+ * @returns {number|null}
+ */
+function parseChallengeRating(cr) {
+  if (cr === undefined || cr === null || cr === '') return null;
+  const [numerator, denominator] = String(cr).split('/');
+  const value = denominator ? parseFloat(numerator) / parseFloat(denominator) : parseFloat(numerator);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * A monster's stat block
+ * @param {string} monsterIndex - e.g. "goblin"
+ * @returns {Object|null}
+ */
+function getMonster(monsterIndex) {
+  return MONSTERS_BY_INDEX.get(monsterIndex) || null;
+}
+
+async function getMonsterDetail(db, monsterIndex) {
+  return getMonster(monsterIndex);
+}
+
+/**
+ * Search monsters
+ * @param {Object} db - Database instance
+ * @param {Object} filters
+ * @param {string} [filters.name] - Part of the name
+ * @param {number|string} [filters.cr] - Exact challenge rating ("1/4", 0.25, 5)
+ * @param {number|string} [filters.min_cr] - Lowest challenge rating
+ * @param {number|string} [filters.max_cr] - Highest challenge rating
+ * @param {string} [filters.type] - Creature type, e.g. "undead" (matches "humanoid (goblinoid)" for "humanoid")
+ * @param {string} [filters.size] - Tiny | Small | Medium | Large | Huge | Gargantuan
+ * @param {number|string} [filters.limit] - Most results to return (default 50, max 500)
+ * @returns {Promise<Array>} Monsters by challenge rating, then name
+ */
+async function searchMonsters(db, filters = {}) {
+  const cr = parseChallengeRating(filters.cr);
+  const minCr = parseChallengeRating(filters.min_cr);
+  const maxCr = parseChallengeRating(filters.max_cr);
+  const type = filters.type ? String(filters.type).toLowerCase() : null;
+  const size = filters.size ? String(filters.size).toLowerCase() : null;
+
+  return STATIC_MONSTERS
+    .filter(m => matchesName(m, filters.name)
+      && (cr === null || m.challenge_rating === cr)
+      && (minCr === null || m.challenge_rating >= minCr)
+      && (maxCr === null || m.challenge_rating <= maxCr)
+      && (!type || m.type.toLowerCase().startsWith(type))
+      && (!size || m.size.toLowerCase() === size))
+    .sort((a, b) => a.challenge_rating - b.challenge_rating || a.name.localeCompare(b.name))
+    .slice(0, parseLimit(filters.limit));
 }
 
 // ============================================
@@ -153,15 +442,178 @@ async function getSkills(db) {
 // ============================================
 
 async function getBackgrounds(db) {
-  return STATIC_BACKGROUNDS;
+  return [...STATIC_BACKGROUNDS, ...homebrew.getHomebrewData(db, 'background')];
+}
+
+// ============================================
+// Homebrew
+// ============================================
+
+/**
+ * Whether the SRD data already has an entry of a homebrew type with this index
+ * (homebrew indexes can't reuse them, so every index in a merged list stays unique)
+ * @param {Object} db - Database instance
+ * @param {string} type - race | class | background | item
+ * @param {string} index - Entry index
+ * @returns {boolean}
+ */
+function hasSrdEntry(db, type, index) {
+  if (type === 'item') return getIndexes(db).magicItemsByIndex.has(index);
+  const lists = { race: STATIC_RACES, class: STATIC_CLASSES, subclass: STATIC_SUBCLASSES, background: STATIC_BACKGROUNDS };
+  return (lists[type] || []).some(entry => entry.index === index);
+}
+
+// ============================================
+// Refresh from the D&D 5e API (optional)
+// ============================================
+
+async function fetchAll(listPath) {
+  const list = await apiFetch(listPath);
+  const details = [];
+  const results = list.results || [];
+  for (let i = 0; i < results.length; i += FETCH_BATCH_SIZE) {
+    details.push(...await Promise.all(results.slice(i, i + FETCH_BATCH_SIZE).map(r => apiFetch(r.url))));
+  }
+  return details;
+}
+
+function spellFromApi(detail) {
+  const spell = {
+    index: detail.index,
+    name: detail.name,
+    level: detail.level,
+    school: detail.school ? detail.school.name : null,
+    casting_time: detail.casting_time,
+    range: detail.range,
+    components: detail.components || [],
+    material: detail.material || null,
+    duration: detail.duration,
+    concentration: Boolean(detail.concentration),
+    ritual: Boolean(detail.ritual),
+    desc: detail.desc || [],
+    higher_level: detail.higher_level || [],
+    classes: (detail.classes || []).map(c => c.name)
+  };
+  if (detail.dc && detail.dc.dc_type) spell.save = detail.dc.dc_type.name;
+  if (detail.attack_type) spell.attack_type = detail.attack_type.charAt(0).toUpperCase() + detail.attack_type.slice(1);
+  if (detail.damage && detail.damage.damage_type) spell.damage_type = detail.damage.damage_type.name;
+  return spell;
+}
+
+function equipmentFromApi(detail) {
+  const category = detail.equipment_category ? detail.equipment_category.index : 'adventuring-gear';
+  const item = {
+    index: detail.index,
+    name: detail.name,
+    equipment_category: category,
+    categories: [category],
+    cost: detail.cost || null,
+    weight: detail.weight ?? null
+  };
+  if (detail.weapon_category) {
+    item.categories.push(`${slugify(detail.weapon_category)}-weapons`, `${slugify(detail.weapon_range)}-weapons`);
+    Object.assign(item, {
+      weapon_category: detail.weapon_category,
+      weapon_range: detail.weapon_range,
+      damage: detail.damage ? { dice: detail.damage.damage_dice, type: detail.damage.damage_type.name.toLowerCase() } : null,
+      properties: (detail.properties || []).map(p => p.name)
+    });
+    if (detail.two_handed_damage) {
+      item.two_handed_damage = { dice: detail.two_handed_damage.damage_dice, type: detail.two_handed_damage.damage_type.name.toLowerCase() };
+    }
+    if (detail.throw_range || (detail.range && detail.range.long)) item.range = detail.throw_range || detail.range;
+  } else if (detail.armor_category) {
+    item.categories.push(detail.armor_category === 'Shield' ? 'shields' : `${slugify(detail.armor_category)}-armor`);
+    Object.assign(item, {
+      armor_category: detail.armor_category,
+      armor_class: { base: detail.armor_class.base, dex_bonus: detail.armor_class.dex_bonus, max_bonus: detail.armor_class.max_bonus ?? null },
+      str_minimum: detail.str_minimum || 0,
+      stealth_disadvantage: Boolean(detail.stealth_disadvantage)
+    });
+  } else {
+    const subcategory = detail.gear_category ? detail.gear_category.name : detail.tool_category || detail.vehicle_category;
+    if (subcategory) item.categories.push(slugify(subcategory));
+    if (detail.gear_category) item.gear_category = detail.gear_category.name;
+    if (detail.tool_category) item.tool_category = detail.tool_category;
+    if (detail.vehicle_category) item.vehicle_category = detail.vehicle_category;
+    if (detail.contents && detail.contents.length > 0) {
+      item.contents = detail.contents.map(c => `${c.quantity > 1 ? `${c.quantity} ` : ''}${c.item.name}`);
+    }
+  }
+  return item;
+}
+
+function magicItemFromApi(detail) {
+  // The first line of desc is the header, e.g. "Wondrous item, rare (requires attunement by a wizard)"
+  const [header = '', ...desc] = detail.desc || [];
+  const type = header.split(',')[0].trim();
+  const attunement = header.match(/\((requires attunement[^)]*)\)/i);
+  const rarity = detail.rarity ? detail.rarity.name : 'Varies';
+  return {
+    index: detail.index,
+    name: detail.name,
+    category: detail.equipment_category ? slugify(detail.equipment_category.name) : 'wondrous-items',
+    type,
+    rarity: rarity.toLowerCase() === 'varies' ? 'Varies' : rarity,
+    attunement: attunement ? attunement[1].toLowerCase() : null,
+    desc
+  };
+}
+
+/**
+ * Fetch spells, equipment and magic items from the D&D 5e API and lay them over the bundled data.
+ * Each set is stored in dnd_data_cache, so the refresh outlives restarts; a set that fails to
+ * download keeps whatever it had before.
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object>} {spells, equipment, magic_items} entries fetched, and {errors} if any set failed
+ */
+async function refreshFromApi(db) {
+  const sets = [
+    ['spells', REFRESH_KEYS.spells, '/spells', spellFromApi],
+    ['equipment', REFRESH_KEYS.equipment, '/equipment', equipmentFromApi],
+    ['magic_items', REFRESH_KEYS.magicItems, '/magic-items', magicItemFromApi]
+  ];
+
+  const result = {};
+  const errors = [];
+  for (const [name, key, listPath, convert] of sets) {
+    try {
+      const entries = (await fetchAll(listPath)).map(convert);
+      setCache(db, key, entries);
+      result[name] = entries.length;
+    } catch (e) {
+      logger.error('D&D data refresh failed', { set: name, error: e.message });
+      errors.push(`${name}: ${e.message}`);
+    }
+  }
+
+  refreshLoaded = false;
+  getIndexes(db);
+  return errors.length > 0 ? { ...result, errors } : result;
 }
 
 module.exports = {
   getRaces,
+  listClasses,
   getClasses,
+  findClass,
+  getSubclasses,
+  findSubclass,
   getSpellsByClass,
+  getSpell,
   getSpellDetail,
+  searchSpells,
   getEquipmentByCategory,
+  searchEquipment,
+  getMagicItemDetail,
+  searchMagicItems,
+  findItem,
+  getMonster,
+  getMonsterDetail,
+  searchMonsters,
   getSkills,
   getBackgrounds,
+  hasSrdEntry,
+  costInGold,
+  refreshFromApi,
 };
@@ -0,0 +1,205 @@
+/**
+ * Encounter Service
+ * The GM's encounter builder: SRD monsters rated against the party with the Dungeon Master's Guide
+ * XP budget. Each character adds their level's easy / medium / hard / deadly threshold; the monsters'
+ * XP is multiplied by a factor for how many of them there are (one step up for parties of fewer than
+ * three, one step down for six or more) and compared with those totals.
+ *
+ * A built encounter can start a combat with its monsters and be sent to the DM as a GM nudge carrying
+ * the full stat blocks, so the AI runs those numbers instead of making its own up.
+ */
+
+const dice = require('../../shared/dice');
+const dndData = require('./dndDataService');
+
+// XP thresholds per character level: [easy, medium, hard, deadly]
+const XP_THRESHOLDS = {
+  1: [25, 50, 75, 100], 2: [50, 100, 150, 200], 3: [75, 150, 225, 400], 4: [125, 250, 375, 500],
+  5: [250, 500, 750, 1100], 6: [300, 600, 900, 1400], 7: [350, 750, 1100, 1700], 8: [450, 900, 1400, 2100],
+  9: [550, 1100, 1600, 2400], 10: [600, 1200, 1900, 2800], 11: [800, 1600, 2400, 3600], 12: [1000, 2000, 3000, 4500],
+  13: [1100, 2200, 3400, 5100], 14: [1250, 2500, 3800, 5700], 15: [1400, 2800, 4300, 6400], 16: [1600, 3200, 4800, 7200],
+  17: [2000, 3900, 5900, 8800], 18: [2100, 4200, 6300, 9500], 19: [2400, 4900, 7300, 10900], 20: [2800, 5700, 8500, 12700]
+};
+
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'deadly'];
+
+// Encounter multipliers in order; the monster count picks a step
+const MULTIPLIERS = [0.5, 1, 1.5, 2, 2.5, 3, 4, 5];
+
+// Most copies of one monster in an encounter (matches the combat tracker's limit)
+const MAX_COUNT = 20;
+
+function multiplierStep(monsterCount) {
+  if (monsterCount <= 1) return 1;
+  if (monsterCount === 2) return 2;
+  if (monsterCount <= 6) return 3;
+  if (monsterCount <= 10) return 4;
+  if (monsterCount <= 14) return 5;
+  return 6;
+}
+
+function formatModifier(value) {
+  return value >= 0 ? `+${value}` : `${value}`;
+}
+
+/**
+ * The encounter multiplier for a number of monsters against a party
+ * @param {number} monsterCount - Monsters in the encounter
+ * @param {number} partySize - Characters in the party
+ * @returns {number}
+ */
+function getMultiplier(monsterCount, partySize) {
+  let step = multiplierStep(monsterCount);
+  if (partySize < 3) step += 1;
+  else if (partySize >= 6) step -= 1;
+  return MULTIPLIERS[Math.max(0, Math.min(MULTIPLIERS.length - 1, step))];
+}
+
+/**
+ * The party's XP thresholds, summed over its characters (the dead don't count)
+ * @param {Array} characters - Session characters
+ * @returns {Object} {easy, medium, hard, deadly}
+ */
+function getPartyThresholds(characters) {
+  const thresholds = { easy: 0, medium: 0, hard: 0, deadly: 0 };
+  for (const character of characters) {
+    if (character.life_state === 'dead') continue;
+    const level = Math.min(20, Math.max(1, parseInt(character.level) || 1));
+    XP_THRESHOLDS[level].forEach((xp, i) => { thresholds[DIFFICULTIES[i]] += xp; });
+  }
+  return thresholds;
+}
+
+/**
+ * Look up the monsters an encounter asks for
+ * @param {Array} entries - [{index, count}]
+ * @returns {Object} {monsters: [{monster, count}]} or {error}
+ */
+function resolveMonsters(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) return { error: 'Add at least one monster' };
+  const monsters = [];
+  for (const entry of entries) {
+    const monster = dndData.getMonster(String(entry && entry.index || ''));
+    if (!monster) return { error: `Unknown monster: ${entry && entry.index}` };
+    const count = Math.min(MAX_COUNT, Math.max(1, parseInt(entry.count) || 1));
+    const existing = monsters.find(m => m.monster.index === monster.index);
+    if (existing) existing.count = Math.min(MAX_COUNT, existing.count + count);
+    else monsters.push({ monster, count });
+  }
+  return { monsters };
+}
+
+/**
+ * Rate an encounter against the party
+ * @param {Array} characters - Session characters
+ * @param {Array} entries - [{index, count}] monster indexes from the SRD bestiary
+ * @returns {Object} {party, thresholds, monsters, monster_count, base_xp, multiplier, adjusted_xp, difficulty}
+ *   or {error}. difficulty is 'trivial' below the easy threshold, then easy / medium / hard / deadly.
+ */
+function rateEncounter(characters, entries) {
+  const resolved = resolveMonsters(entries);
+  if (resolved.error) return resolved;
+
+  const party = characters.filter(c => c.life_state !== 'dead');
+  if (party.length === 0) return { error: 'The session has no living characters' };
+
+  const thresholds = getPartyThresholds(party);
+  const monsterCount = resolved.monsters.reduce((sum, m) => sum + m.count, 0);
+  const baseXp = resolved.monsters.reduce((sum, m) => sum + m.monster.xp * m.count, 0);
+  const multiplier = getMultiplier(monsterCount, party.length);
+  const adjustedXp = Math.round(baseXp * multiplier);
+  const difficulty = [...DIFFICULTIES].reverse().find(d => adjustedXp >= thresholds[d]) || 'trivial';
+
+  return {
+    party: party.map(c => ({ id: c.id, name: c.character_name, level: c.level })),
+    thresholds,
+    monsters: resolved.monsters.map(({ monster, count }) => ({
+      index: monster.index,
+      name: monster.name,
+      cr: monster.cr,
+      xp: monster.xp,
+      count
+    })),
+    monster_count: monsterCount,
+    base_xp: baseXp,
+    multiplier,
+    adjusted_xp: adjustedXp,
+    difficulty
+  };
+}
+
+/**
+ * An encounter's monsters as combat tracker enemies (initiative from DEX, SRD hit points and AC)
+ * @param {Object} encounter - rateEncounter result
+ * @returns {Array} [{name, initiative_bonus, count, hp, ac}]
+ */
+function toCombatEnemies(encounter) {
+  return encounter.monsters.map(({ index, count }) => {
+    const monster = dndData.getMonster(index);
+    return {
+      name: monster.name,
+      initiative_bonus: dice.abilityModifier(monster.dexterity),
+      count,
+      hp: monster.hit_points,
+      ac: monster.armor_class
+    };
+  });
+}
+
+/**
+ * A monster's stat block as plain text
+ * @param {Object} monster - SRD monster
+ * @returns {string}
+ */
+function formatStatBlock(monster) {
+  const abilities = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma']
+    .map(a => `${a.slice(0, 3).toUpperCase()} ${monster[a]} (${formatModifier(dice.abilityModifier(monster[a]))})`);
+  const lines = [
+    `${monster.name} — ${monster.size} ${monster.type}, ${monster.alignment}. CR ${monster.cr} (${monster.xp} XP)`,
+    `AC ${monster.armor_class}${monster.armor_desc ? ` (${monster.armor_desc})` : ''} | HP ${monster.hit_points}${monster.hit_dice ? ` (${monster.hit_dice})` : ''} | Speed ${monster.speed}`,
+    abilities.join(', ')
+  ];
+  const details = [
+    ['Saves', monster.saving_throws], ['Skills', monster.skills],
+    ['Vulnerable', monster.damage_vulnerabilities], ['Resists', monster.damage_resistances],
+    ['Immune', monster.damage_immunities], ['Condition immunities', monster.condition_immunities],
+    ['Senses', [monster.senses, `passive Perception ${monster.passive_perception}`].filter(Boolean).join(', ')],
+    ['Languages', monster.languages]
+  ].filter(([, value]) => value).map(([label, value]) => `${label}: ${value}`);
+  lines.push(details.join(' | '));
+
+  const section = (title, entries) => {
+    if (!entries || entries.length === 0) return;
+    lines.push(`${title}:`);
+    for (const entry of entries) lines.push(`- ${entry.name}. ${entry.desc.replace(/\n/g, ' ')}`);
+  };
+  section('Traits', monster.traits);
+  section('Actions', monster.actions);
+  section('Reactions', monster.reactions);
+  section('Legendary actions', monster.legendary_actions);
+  return lines.join('\n');
+}
+
+/**
+ * The GM nudge for an encounter: what to run, how hard it is, and every stat block
+ * @param {Object} encounter - rateEncounter result
+ * @param {string} [name] - Encounter name
+ * @returns {string}
+ */
+function formatEncounterNudge(encounter, name) {
+  const roster = encounter.monsters.map(m => `${m.name}${m.count > 1 ? ` x${m.count}` : ''}`).join(', ');
+  const blocks = encounter.monsters.map(m => formatStatBlock(dndData.getMonster(m.index)));
+  return `ENCOUNTER${name ? `: ${name}` : ''} — ${roster} (${encounter.difficulty}, ${encounter.adjusted_xp} adjusted XP against the party). ` +
+    'Run these creatures with exactly these stat blocks: use their AC, hit points, attack bonuses, damage and save DCs as written, ' +
+    'and award the listed XP when they are defeated.\n\n' + blocks.join('\n\n');
+}
+
+module.exports = {
+  XP_THRESHOLDS,
+  getMultiplier,
+  getPartyThresholds,
+  rateEncounter,
+  toCombatEnemies,
+  formatStatBlock,
+  formatEncounterNudge
+};
@@ -0,0 +1,113 @@
+/**
+ * Fork Service
+ * Branch a session at a turn into a new session ("what if" timelines) without touching the original.
+ *
+ * The branch gets its own copies of the party (characters.branch_session_id = the branch), the history up to the
+ * fork point with the same ordinals, the summary, snapshots and ledger rows of the turns it keeps, and the NPC registry and quest log.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getSessionCharacters } = require('./characterService');
+const messageStore = require('./messageStore');
+const snapshotService = require('./snapshotService');
+const ledgerService = require('./ledgerService');
+const npcService = require('./npcService');
+const questService = require('./questService');
+
+/**
+ * Where a fork at a turn starts from
+ * Forking at the current turn takes the live state; an earlier turn needs its snapshot.
+ * @param {Object} db - Database instance
+ * @param {Object} session - Source game_sessions row
+ * @param {number} turn - Turn the branch will play next
+ * @returns {Object|null} {throughOrdinal, storySummary, compactedCount, snapshot?}, or null if the turn cannot be forked
+ */
+function getForkPoint(db, session, turn) {
+  if (turn === session.current_turn) {
+    const { maxOrdinal } = db.prepare('SELECT MAX(ordinal) as maxOrdinal FROM session_messages WHERE session_id = ?').get(session.id);
+    return {
+      throughOrdinal: maxOrdinal ?? -1,
+      storySummary: session.story_summary || '',
+      compactedCount: session.compacted_count || 0
+    };
+  }
+
+  const snapshot = snapshotService.getSnapshotForTurn(db, session.id, turn);
+  if (!snapshot || snapshot.message_ordinal === null) return null;
+  return {
+    throughOrdinal: snapshot.message_ordinal,
+    storySummary: snapshot.story_summary || '',
+    compactedCount: snapshot.compacted_count || 0,
+    snapshot
+  };
+}
+
+/**
+ * Copy a character row for a branch, optionally with the state a snapshot recorded
+ * @param {Object} db - Database instance
+ * @param {Object} character - Source characters row
+ * @param {string} branchSessionId - Session the copy belongs to
+ * @param {Object} [state] - Snapshot state for this character
+ * @returns {string} New character ID
+ */
+function cloneCharacter(db, character, branchSessionId, state) {
+  const id = uuidv4();
+  const row = { ...character, ...(state || {}), id, branch_session_id: branchSessionId };
+  const columns = Object.keys(row);
+  db.prepare(`INSERT INTO characters (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+    .run(...columns.map(col => row[col]));
+  return id;
+}
+
+/**
+ * Fork a session into a new branch session (one transaction)
+ * @param {Object} db - Database instance
+ * @param {Object} session - Source game_sessions row
+ * @param {Object} options
+ * @param {number} options.turn - Turn the branch will play next (0..current_turn)
+ * @param {string} options.name - Branch name
+ * @returns {Object|null} {sessionId, characterIdMap, messageCount}, or null if there is no save point for the turn
+ */
+function forkSession(db, session, { turn, name }) {
+  const forkPoint = getForkPoint(db, session, turn);
+  if (!forkPoint) return null;
+
+  const snapshotStates = {};
+  if (forkPoint.snapshot) {
+    for (const state of JSON.parse(forkPoint.snapshot.character_states)) snapshotStates[state.id] = state;
+  }
+
+  const sessionId = uuidv4();
+  const characterIdMap = {};
+  let messageCount = 0;
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO game_sessions (id, name, story_summary, scenario, current_turn, compacted_count, total_tokens, parent_session_id, forked_at_turn)
+      VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?)
+    `).run(sessionId, name, forkPoint.storySummary, session.scenario, turn, forkPoint.compactedCount, session.id, turn);
+
+    const linkCharacter = db.prepare('INSERT INTO session_characters (id, session_id, character_id) VALUES (?, ?, ?)');
+    for (const character of getSessionCharacters(db, session.id)) {
+      characterIdMap[character.id] = cloneCharacter(db, character, sessionId, snapshotStates[character.id]);
+      linkCharacter.run(uuidv4(), sessionId, characterIdMap[character.id]);
+    }
+
+    messageCount = messageStore.copyHistory(db, session.id, sessionId, { throughOrdinal: forkPoint.throughOrdinal, characterIdMap });
+    snapshotService.copySnapshots(db, session.id, sessionId, { beforeTurn: turn, characterIdMap });
+    ledgerService.copyEntries(db, session.id, sessionId, { beforeTurn: turn, characterIdMap });
+    npcService.copyNpcs(db, session.id, sessionId);
+    questService.copyQuests(db, session.id, sessionId);
+
+    const addGM = db.prepare('INSERT INTO session_gms (id, session_id, player_id) VALUES (?, ?, ?)');
+    for (const { player_id } of db.prepare('SELECT player_id FROM session_gms WHERE session_id = ?').all(session.id)) {
+      addGM.run(uuidv4(), sessionId, player_id);
+    }
+  })();
+
+  return { sessionId, characterIdMap, messageCount };
+}
+
+module.exports = {
+  forkSession
+};
@@ -0,0 +1,313 @@
+/**
+ * Homebrew Service
+ * The table's own races, classes, subclasses, backgrounds and magic items, kept in the homebrew table. Each
+ * entry is stored in the same shape as its server/data/srd file (races.json, classes.json, subclass-spells.json
+ * plus features, backgrounds.json, magic-items.json) and validated against it, so the character builder and searches can list it next
+ * to the SRD entries without knowing the difference.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const dice = require('../../shared/dice');
+
+const HOMEBREW_TYPES = ['race', 'class', 'subclass', 'background', 'item'];
+
+const ABILITY_LABELS = Object.keys(dice.ABILITIES);
+const SIZES = ['Tiny', 'Small', 'Medium', 'Large', 'Huge', 'Gargantuan'];
+const HIT_DICE = [6, 8, 10, 12];
+const SPELLCASTING_PROGRESSIONS = ['full', 'half', 'pact'];
+const DEFAULT_ASI_LEVELS = [4, 8, 12, 16, 19];
+const ITEM_CATEGORIES = ['armor', 'weapon', 'wondrous-items', 'potion', 'ring', 'rod', 'scroll', 'staff', 'wand'];
+const RARITIES = ['Common', 'Uncommon', 'Rare', 'Very Rare', 'Legendary', 'Artifact', 'Varies'];
+
+const MAX_TEXT = 5000;
+
+// ============================================
+// Validation
+// ============================================
+
+// Thrown by the readers below and turned into { error } by validateEntry
+class ShapeError extends Error {}
+
+function fail(message) {
+  throw new ShapeError(message);
+}
+
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/'/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function readString(value, field, { required = false, max = 200 } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) fail(`${field} is required`);
+    return null;
+  }
+  if (typeof value !== 'string') fail(`${field} must be a string`);
+  if (value.length > max) fail(`${field} is longer than ${max} characters`);
+  return value.trim();
+}
+
+function readInteger(value, field, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) fail(`${field} must be a whole number from ${min} to ${max}`);
+  return value;
+}
+
+function readOneOf(value, field, options) {
+  if (!options.includes(value)) fail(`${field} must be one of: ${options.join(', ')}`);
+  return value;
+}
+
+function readArray(value, field, readItem) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) fail(`${field} must be an array`);
+  return value.map((item, i) => readItem(item, `${field}[${i}]`));
+}
+
+function readStrings(value, field, max = 200) {
+  return readArray(value, field, (item, itemField) => readString(item, itemField, { required: true, max }));
+}
+
+function readObject(value, field) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) fail(`${field} must be an object`);
+  return value;
+}
+
+// {level: [names]}, as class features and subclass spells are kept
+function readLevelMap(value, field) {
+  const map = {};
+  for (const [level, names] of Object.entries(value === undefined ? {} : readObject(value, field))) {
+    readInteger(Number(level), `${field} key "${level}"`, 1, 20);
+    map[String(Number(level))] = readStrings(names, `${field}.${level}`);
+  }
+  return map;
+}
+
+function checkFields(data, allowed) {
+  const unknown = Object.keys(data).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) fail(`Unknown field${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+}
+
+// One reader per type; each returns the entry in its SRD file's shape (minus index, added by validateEntry)
+const SHAPES = {
+  race: {
+    fields: ['speed', 'size', 'ability_bonuses', 'traits', 'languages', 'subraces'],
+    read: (data) => ({
+      speed: data.speed === undefined ? 30 : readInteger(data.speed, 'speed', 5, 120),
+      size: data.size === undefined ? 'Medium' : readOneOf(data.size, 'size', SIZES),
+      ability_bonuses: readArray(data.ability_bonuses, 'ability_bonuses', (bonus, field) => {
+        readObject(bonus, field);
+        return {
+          ability: readOneOf(bonus.ability, `${field}.ability`, ABILITY_LABELS),
+          bonus: readInteger(bonus.bonus, `${field}.bonus`, -5, 5)
+        };
+      }),
+      traits: readStrings(data.traits, 'traits'),
+      languages: readStrings(data.languages, 'languages'),
+      subraces: readStrings(data.subraces, 'subraces')
+    })
+  },
+
+  class: {
+    fields: ['hit_die', 'saving_throws', 'proficiencies', 'proficiency_choices', 'is_caster', 'spellcasting_ability',
+      'spellcasting_progression', 'multiclass_prerequisites', 'asi_levels', 'features'],
+    read: (data) => {
+      const isCaster = data.is_caster === undefined ? false : data.is_caster;
+      if (typeof isCaster !== 'boolean') fail('is_caster must be true or false');
+      return {
+        hit_die: readOneOf(data.hit_die, 'hit_die', HIT_DICE),
+        saving_throws: readArray(data.saving_throws, 'saving_throws', (label, field) => readOneOf(label, field, ABILITY_LABELS)),
+        proficiencies: readStrings(data.proficiencies, 'proficiencies'),
+        proficiency_choices: readArray(data.proficiency_choices, 'proficiency_choices', (choice, field) => {
+          readObject(choice, field);
+          const options = readObject(choice.from, `${field}.from`).options;
+          return {
+            choose: readInteger(choice.choose, `${field}.choose`, 1, 18),
+            from: {
+              options: readArray(options, `${field}.from.options`, (option, optionField) => ({
+                item: { name: readString(readObject(option.item, `${optionField}.item`).name, `${optionField}.item.name`, { required: true }) }
+              }))
+            }
+          };
+        }),
+        is_caster: isCaster,
+        spellcasting_ability: isCaster ? readOneOf(data.spellcasting_ability, 'spellcasting_ability', ABILITY_LABELS) : null,
+        spellcasting_progression: isCaster
+          ? readOneOf(data.spellcasting_progression, 'spellcasting_progression', SPELLCASTING_PROGRESSIONS)
+          : null,
+        multiclass_prerequisites: readArray(data.multiclass_prerequisites, 'multiclass_prerequisites', (minimums, field) => {
+          const entries = Object.entries(readObject(minimums, field));
+          if (entries.length === 0) fail(`${field} must name at least one ability`);
+          return Object.fromEntries(entries.map(([label, score]) =>
+            [readOneOf(label, `${field} ability`, ABILITY_LABELS), readInteger(score, `${field}.${label}`, 1, 30)]));
+        }),
+        asi_levels: data.asi_levels === undefined ? DEFAULT_ASI_LEVELS
+          : readArray(data.asi_levels, 'asi_levels', (level, field) => readInteger(level, field, 1, 20)),
+        features: readLevelMap(data.features, 'features')
+      };
+    }
+  },
+
+  // class is the parent class's name; spells (SRD spell indexes) are always prepared from that class level on
+  subclass: {
+    fields: ['class', 'features', 'spells'],
+    read: (data) => ({
+      class: readString(data.class, 'class', { required: true, max: 100 }),
+      features: readLevelMap(data.features, 'features'),
+      spells: readLevelMap(data.spells, 'spells')
+    })
+  },
+
+  background: {
+    fields: ['feature', 'starting_proficiencies', 'starting_equipment'],
+    read: (data) => {
+      const feature = readObject(data.feature, 'feature');
+      return {
+        feature: {
+          name: readString(feature.name, 'feature.name', { required: true }),
+          desc: readStrings(feature.desc, 'feature.desc', MAX_TEXT)
+        },
+        starting_proficiencies: readStrings(data.starting_proficiencies, 'starting_proficiencies'),
+        starting_equipment: readStrings(data.starting_equipment, 'starting_equipment')
+      };
+    }
+  },
+
+  item: {
+    fields: ['category', 'type', 'rarity', 'attunement', 'desc'],
+    read: (data) => ({
+      category: readOneOf(data.category, 'category', ITEM_CATEGORIES),
+      type: readString(data.type, 'type', { required: true }),
+      rarity: readOneOf(data.rarity, 'rarity', RARITIES),
+      attunement: readString(data.attunement, 'attunement'),
+      desc: readStrings(data.desc, 'desc', MAX_TEXT)
+    })
+  }
+};
+
+/**
+ * Check an entry against its SRD shape and fill in the optional fields' defaults
+ * @param {string} type - race | class | subclass | background | item
+ * @param {Object} data - The entry as it would appear in the SRD file (index optional, made from the name)
+ * @returns {Object} {entry} or {error} naming the first field that doesn't fit
+ */
+function validateEntry(type, data) {
+  const shape = SHAPES[type];
+  if (!shape) return { error: `type must be one of: ${HOMEBREW_TYPES.join(', ')}` };
+
+  try {
+    readObject(data, 'data');
+    // source is what /api/dnd labels entries with, so a copied SRD or homebrew entry can be pasted back in
+    checkFields(data, ['index', 'name', 'source', ...shape.fields]);
+
+    const name = readString(data.name, 'name', { required: true, max: 100 });
+    const index = data.index === undefined || data.index === '' ? slugify(name) : readString(data.index, 'index', { max: 100 });
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(index)) fail('index must be lowercase letters, numbers and dashes');
+
+    return { entry: { index, name, ...shape.read(data) } };
+  } catch (error) {
+    if (error instanceof ShapeError) return { error: error.message };
+    throw error;
+  }
+}
+
+// ============================================
+// Storage
+// ============================================
+
+function parseEntry(row) {
+  if (!row) return null;
+  return { id: row.id, type: row.type, index: row.entry_index, name: row.name, data: JSON.parse(row.data),
+    created_at: row.created_at, updated_at: row.updated_at };
+}
+
+/**
+ * List homebrew entries, by type then name
+ * @param {Object} db - Database instance
+ * @param {string} [type] - Only this type
+ * @returns {Array} [{id, type, index, name, data, created_at, updated_at}]
+ */
+function listEntries(db, type) {
+  const rows = type
+    ? db.prepare('SELECT * FROM homebrew WHERE type = ? ORDER BY name').all(type)
+    : db.prepare('SELECT * FROM homebrew ORDER BY type, name').all();
+  return rows.map(parseEntry);
+}
+
+/**
+ * Get one homebrew entry
+ * @param {Object} db - Database instance
+ * @param {string} id - Entry ID
+ * @returns {Object|null}
+ */
+function getEntry(db, id) {
+  return parseEntry(db.prepare('SELECT * FROM homebrew WHERE id = ?').get(id));
+}
+
+/**
+ * Find a homebrew entry by type and index
+ * @param {Object} db - Database instance
+ * @param {string} type - Entry type
+ * @param {string} index - Entry index
+ * @returns {Object|null}
+ */
+function findEntry(db, type, index) {
+  return parseEntry(db.prepare('SELECT * FROM homebrew WHERE type = ? AND entry_index = ?').get(type, index));
+}
+
+/**
+ * Store a validated entry
+ * @param {Object} db - Database instance
+ * @param {string} type - Entry type
+ * @param {Object} data - validateEntry result
+ * @returns {Object} The new entry
+ */
+function createEntry(db, type, data) {
+  const id = uuidv4();
+  db.prepare('INSERT INTO homebrew (id, type, entry_index, name, data) VALUES (?, ?, ?, ?, ?)')
+    .run(id, type, data.index, data.name, JSON.stringify(data));
+  return getEntry(db, id);
+}
+
+/**
+ * Replace an entry's data (its type stays)
+ * @param {Object} db - Database instance
+ * @param {string} id - Entry ID
+ * @param {Object} data - validateEntry result
+ * @returns {Object|null} The updated entry, or null if not found
+ */
+function updateEntry(db, id, data) {
+  db.prepare('UPDATE homebrew SET entry_index = ?, name = ?, data = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+    .run(data.index, data.name, JSON.stringify(data), id);
+  return getEntry(db, id);
+}
+
+/**
+ * Delete a homebrew entry
+ * @param {Object} db - Database instance
+ * @param {string} id - Entry ID
+ * @returns {boolean} Whether an entry was deleted
+ */
+function deleteEntry(db, id) {
+  return db.prepare('DELETE FROM homebrew WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * The homebrew entries of one type in their SRD shape, labelled source: 'homebrew'
+ * @param {Object} db - Database instance
+ * @param {string} type - Entry type
+ * @returns {Array}
+ */
+function getHomebrewData(db, type) {
+  return listEntries(db, type).map(entry => ({ ...entry.data, source: 'homebrew' }));
+}
+
+module.exports = {
+  HOMEBREW_TYPES,
+  validateEntry,
+  listEntries,
+  getEntry,
+  findEntry,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  getHomebrewData
+};
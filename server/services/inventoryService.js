@@ -0,0 +1,418 @@
+/**
+ * Inventory Service
+ * Item records in characters.inventory, linked to SRD equipment and magic items by name where they match:
+ *   [{name, quantity, index, type, weight, cost, equipped, attuned, requires_attunement, charges, notes}]
+ *   weight is pounds and cost gold pieces, each per unit; charges is {current, max} or null.
+ * Older {name, quantity} entries are filled in the first time they pass through normalizeItem.
+ * Equipped armor sets the base of ac_effects and an equipped shield adds an effect (marked item: true);
+ * carried weight is compared with STR for encumbrance, and at most three items can be attuned.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const dice = require('../../shared/dice');
+const dndData = require('./dndDataService');
+const restService = require('./restService');
+
+const ATTUNEMENT_LIMIT = 3;
+const ITEM_TYPES = ['armor', 'shield', 'weapon', 'gear', 'tool', 'mount', 'magic item', 'other'];
+
+// SRD equipment_category -> item type (armor is split into armor and shield by armor_category)
+const TYPE_BY_CATEGORY = {
+  weapon: 'weapon',
+  'adventuring-gear': 'gear',
+  tools: 'tool',
+  'mounts-and-vehicles': 'mount'
+};
+
+// Unarmored Defense, as enrichCharacter sets it when a character is created
+const UNARMORED_DEFENSE = { Barbarian: 'constitution', Monk: 'wisdom' };
+
+function findByName(inventory, name) {
+  const key = String(name || '').trim().toLowerCase();
+  return inventory.find(i => i.name.toLowerCase() === key) || null;
+}
+
+// The SRD armor entry behind an inventory item, if it is one
+function getArmor(db, item) {
+  const found = item.index ? dndData.findItem(db, item.index) : null;
+  return found && found.kind === 'equipment' && found.entry.armor_class ? found.entry : null;
+}
+
+/**
+ * Parse a character's inventory column
+ * @param {string} json - characters.inventory
+ * @returns {Array} Items as stored
+ */
+function parseInventory(json) {
+  try {
+    const inventory = JSON.parse(json || '[]');
+    return Array.isArray(inventory) ? inventory.filter(i => i && i.name) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * An item record with every field, linked to its SRD entry the first time through
+ * @param {Object} db - Database instance
+ * @param {Object} item - Stored item ({name, quantity} at the least)
+ * @returns {Object}
+ */
+function normalizeItem(db, item) {
+  const normalized = {
+    name: String(item.name).trim(),
+    quantity: Math.max(1, parseInt(item.quantity) || 1),
+    index: item.index ?? null,
+    type: ITEM_TYPES.includes(item.type) ? item.type : 'other',
+    weight: typeof item.weight === 'number' ? item.weight : null,
+    cost: typeof item.cost === 'number' ? item.cost : null,
+    equipped: Boolean(item.equipped),
+    attuned: Boolean(item.attuned),
+    requires_attunement: Boolean(item.requires_attunement),
+    charges: item.charges && typeof item.charges === 'object'
+      ? { current: Math.max(0, parseInt(item.charges.current) || 0), max: Math.max(0, parseInt(item.charges.max) || 0) }
+      : null,
+    notes: typeof item.notes === 'string' ? item.notes : ''
+  };
+  // index is only missing on items that were never linked; null means "looked, no SRD match"
+  if (item.index !== undefined) return normalized;
+
+  const found = dndData.findItem(db, normalized.name);
+  if (!found) return normalized;
+  const { entry } = found;
+  normalized.index = entry.index;
+  if (found.kind === 'magic-item') {
+    normalized.type = 'magic item';
+    normalized.requires_attunement = Boolean(entry.attunement);
+  } else {
+    normalized.type = entry.equipment_category === 'armor'
+      ? (entry.armor_category === 'Shield' ? 'shield' : 'armor')
+      : TYPE_BY_CATEGORY[entry.equipment_category] || 'other';
+    normalized.weight = entry.weight ?? null;
+    normalized.cost = dndData.costInGold(entry);
+  }
+  return normalized;
+}
+
+/**
+ * Every item in an inventory as a full record
+ * @param {Object} db - Database instance
+ * @param {Array} inventory - Stored items
+ * @returns {Array}
+ */
+function normalizeInventory(db, inventory) {
+  return inventory.map(item => normalizeItem(db, item));
+}
+
+/**
+ * Replace the whole inventory. Attunement is dropped on items that don't require it, and at most
+ * ATTUNEMENT_LIMIT may be attuned.
+ * @param {Object} db - Database instance
+ * @param {Array} inventory - New items
+ * @returns {Object} {inventory} or {error}
+ */
+function setInventory(db, inventory) {
+  const items = normalizeInventory(db, inventory.filter(i => i && i.name));
+  for (const item of items) {
+    if (!item.requires_attunement) item.attuned = false;
+  }
+  if (items.filter(i => i.attuned).length > ATTUNEMENT_LIMIT) {
+    return { error: `At most ${ATTUNEMENT_LIMIT} items can be attuned at once` };
+  }
+  return { inventory: items };
+}
+
+/**
+ * Add some of an item, stacking onto one with the same name
+ * @param {Object} db - Database instance
+ * @param {Array} inventory - Current items
+ * @param {string} name - Item name (an SRD name or index links it)
+ * @param {number} quantity - How many
+ * @returns {Array} Updated inventory
+ */
+function addItem(db, inventory, name, quantity = 1) {
+  const items = normalizeInventory(db, inventory);
+  const existing = findByName(items, name);
+  if (existing) {
+    existing.quantity += Math.max(1, parseInt(quantity) || 1);
+  } else {
+    items.push(normalizeItem(db, { name, quantity }));
+  }
+  return items;
+}
+
+/**
+ * Change one item's details
+ * @param {Object} db - Database instance
+ * @param {Array} inventory - Current items
+ * @param {string} name - Item name
+ * @param {Object} changes - Any of {quantity, type, weight, cost, requires_attunement, charges: {current, max} | null, notes}
+ * @returns {Object} {inventory} or {error}
+ */
+function updateItem(db, inventory, name, changes = {}) {
+  const items = normalizeInventory(db, inventory);
+  const item = findByName(items, name);
+  if (!item) return { error: `${name} is not in the inventory` };
+
+  if (changes.quantity !== undefined) {
+    const quantity = parseInt(changes.quantity);
+    if (!(quantity >= 1)) return { error: 'quantity must be at least 1' };
+    item.quantity = quantity;
+  }
+  if (changes.type !== undefined) {
+    if (!ITEM_TYPES.includes(changes.type)) return { error: `type must be one of: ${ITEM_TYPES.join(', ')}` };
+    item.type = changes.type;
+  }
+  for (const field of ['weight', 'cost']) {
+    if (changes[field] === undefined) continue;
+    const value = changes[field] === null || changes[field] === '' ? null : Number(changes[field]);
+    if (value !== null && !(value >= 0)) return { error: `${field} must be a number, 0 or more` };
+    item[field] = value;
+  }
+  if (changes.requires_attunement !== undefined) {
+    item.requires_attunement = Boolean(changes.requires_attunement);
+    if (!item.requires_attunement) item.attuned = false;
+  }
+  if (changes.charges !== undefined) {
+    if (changes.charges === null) {
+      item.charges = null;
+    } else {
+      const max = parseInt(changes.charges.max ?? item.charges?.max);
+      const current = parseInt(changes.charges.current ?? max);
+      if (!(max >= 0) || !(current >= 0) || current > max) return { error: 'charges must be { current, max } with current from 0 to max' };
+      item.charges = { current, max };
+    }
+  }
+  if (changes.notes !== undefined) item.notes = String(changes.notes).slice(0, 500);
+  return { inventory: items };
+}
+
+/**
+ * Equip or unequip an item. Putting on armor takes off any other armor, and a shield any other shield.
+ * @param {Object} db - Database instance
+ * @param {Array} inventory - Current items
+ * @param {string} name - Item name
+ * @param {boolean} equipped - Equip (true) or unequip (false)
+ * @returns {Object} {inventory} or {error}
+ */
+function setEquipped(db, inventory, name, equipped) {
+  const items = normalizeInventory(db, inventory);
+  const item = findByName(items, name);
+  if (!item) return { error: `${name} is not in the inventory` };
+
+  if (equipped && (item.type === 'armor' || item.type === 'shield')) {
+    for (const other of items) {
+      if (other !== item && other.type === item.type) other.equipped = false;
+    }
+  }
+  item.equipped = Boolean(equipped);
+  return { inventory: items };
+}
+
+/**
+ * Attune to an item or end the attunement (at most ATTUNEMENT_LIMIT at once)
+ * @param {Object} db - Database instance
+ * @param {Array} inventory - Current items
+ * @param {string} name - Item name
+ * @param {boolean} attuned - Attune (true) or end it (false)
+ * @returns {Object} {inventory} or {error}
+ */
+function setAttuned(db, inventory, name, attuned) {
+  const items = normalizeInventory(db, inventory);
+  const item = findByName(items, name);
+  if (!item) return { error: `${name} is not in the inventory` };
+
+  if (attuned && !item.attuned) {
+    if (!item.requires_attunement) return { error: `${item.name} doesn't require attunement` };
+    const count = items.filter(i => i.attuned).length;
+    if (count >= ATTUNEMENT_LIMIT) {
+      return { error: `Already attuned to ${ATTUNEMENT_LIMIT} items — end an attunement first` };
+    }
+  }
+  item.attuned = Boolean(attuned);
+  return { inventory: items };
+}
+
+/**
+ * Remove some of an item (all of it at quantity 0)
+ * @param {Object} db - Database instance
+ * @param {Array} inventory - Current items
+ * @param {string} name - Item name
+ * @param {number} quantity - How many
+ * @returns {Array} Updated inventory
+ */
+function removeItem(db, inventory, name, quantity = 1) {
+  const items = normalizeInventory(db, inventory);
+  const item = findByName(items, name);
+  if (!item) return items;
+  item.quantity -= Math.max(1, parseInt(quantity) || 1);
+  return items.filter(i => i.quantity > 0);
+}
+
+/**
+ * An inventory rebuilt from the [ITEM:] tags in a session's history. Quantities come from the changes;
+ * items still held keep their record (equipped, attuned, charges, notes), the rest are dropped.
+ * @param {Object} db - Database instance
+ * @param {Array} inventory - Current items
+ * @param {Array} changes - [{item, quantity}] in history order, quantity negative for removals
+ * @returns {Array} Rebuilt inventory
+ */
+function rebuildInventory(db, inventory, changes) {
+  const current = normalizeInventory(db, inventory);
+  const totals = [];
+  for (const change of changes) {
+    const existing = findByName(totals, change.item);
+    if (existing) {
+      existing.quantity += change.quantity;
+      if (existing.quantity <= 0) totals.splice(totals.indexOf(existing), 1);
+    } else if (change.quantity > 0) {
+      totals.push({ name: change.item, quantity: change.quantity });
+    }
+  }
+  return totals.map(({ name, quantity }) => {
+    const held = findByName(current, name);
+    return held ? { ...held, quantity } : normalizeItem(db, { name, quantity });
+  });
+}
+
+/**
+ * Whether the worn armor or shield differs between two inventories
+ * @param {Array} before - Normalized items
+ * @param {Array} after - Normalized items
+ * @returns {boolean}
+ */
+function armorChanged(before, after) {
+  const worn = items => items
+    .filter(i => i.equipped && (i.type === 'armor' || i.type === 'shield'))
+    .map(i => i.name.toLowerCase())
+    .sort()
+    .join('|');
+  return worn(before) !== worn(after);
+}
+
+/**
+ * AC effects with the equipped armor and shield applied. The base becomes the armor (SRD AC plus DEX,
+ * capped for medium armor); with none it goes back to unarmored if the old base was an SRD armor.
+ * Other effects are kept.
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @param {Array} inventory - Normalized items
+ * @param {Object} acEffects - Current AC effects {base_source, base_value, effects}
+ * @returns {Object} New AC effects
+ */
+function applyArmor(db, character, inventory, acEffects) {
+  const dex = dice.abilityModifier(character.dexterity);
+  const result = { ...acEffects, effects: acEffects.effects.filter(e => !e.item) };
+
+  const body = inventory.find(i => i.equipped && i.type === 'armor' && getArmor(db, i));
+  if (body) {
+    const ac = getArmor(db, body).armor_class;
+    const bonus = ac.dex_bonus ? (ac.max_bonus === null ? dex : Math.min(dex, ac.max_bonus)) : 0;
+    result.base_source = body.name;
+    result.base_value = ac.base + bonus;
+  } else if (dndData.findItem(db, acEffects.base_source)?.entry.armor_class) {
+    const classes = Object.keys(restService.getClassLevels(character));
+    const defense = classes.find(c => UNARMORED_DEFENSE[c]);
+    result.base_source = defense ? `Unarmored Defense (${defense})` : 'Unarmored';
+    result.base_value = 10 + dex + (defense ? dice.abilityModifier(character[UNARMORED_DEFENSE[defense]]) : 0);
+  }
+
+  const shield = inventory.find(i => i.equipped && i.type === 'shield' && getArmor(db, i));
+  if (shield) {
+    result.effects.push({
+      id: uuidv4(),
+      name: shield.name,
+      value: getArmor(db, shield).armor_class.base,
+      type: 'equipment',
+      temporary: false,
+      item: true
+    });
+  }
+  return result;
+}
+
+/**
+ * What the character carries against what STR allows (encumbrance variant: over 5 × STR is
+ * encumbered, over 10 × STR heavily encumbered, carrying capacity 15 × STR), plus attunement
+ * and armor the character is too weak for
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @param {Array} inventory - Normalized items
+ * @returns {Object} {weight, capacity, status, attuned, attunement_limit, warnings}
+ */
+function getLoad(db, character, inventory) {
+  const strength = character.strength || 10;
+  const weight = Math.round(inventory.reduce((sum, i) => sum + (i.weight || 0) * i.quantity, 0) * 100) / 100;
+  const capacity = strength * 15;
+  const status = weight > capacity ? 'over capacity'
+    : weight > strength * 10 ? 'heavily encumbered'
+    : weight > strength * 5 ? 'encumbered'
+    : 'unencumbered';
+
+  const warnings = [];
+  if (status === 'encumbered') warnings.push('Encumbered: speed -10 ft');
+  if (status === 'heavily encumbered') warnings.push('Heavily encumbered: speed -20 ft, disadvantage on STR/DEX/CON rolls');
+  if (status === 'over capacity') warnings.push(`Carrying more than ${capacity} lb`);
+  for (const item of inventory.filter(i => i.equipped && i.type === 'armor')) {
+    const armor = getArmor(db, item);
+    if (!armor) continue;
+    if (armor.str_minimum > strength) warnings.push(`${item.name} needs STR ${armor.str_minimum}: speed -10 ft`);
+    if (armor.stealth_disadvantage) warnings.push(`${item.name}: disadvantage on Stealth`);
+  }
+
+  return {
+    weight,
+    capacity,
+    status,
+    attuned: inventory.filter(i => i.attuned).length,
+    attunement_limit: ATTUNEMENT_LIMIT,
+    warnings
+  };
+}
+
+/**
+ * An inventory for PARTY STATUS
+ * @param {Array} inventory - Stored items
+ * @returns {string} e.g. "Chain Mail (equipped), Wand of Magic Missiles (attuned, 5/7 charges), Torch x5", or ''
+ */
+function formatInventoryForContext(inventory) {
+  return inventory.map(item => {
+    const details = [];
+    if (item.equipped) details.push('equipped');
+    if (item.attuned) details.push('attuned');
+    if (item.charges) details.push(`${item.charges.current}/${item.charges.max} charges`);
+    const name = item.quantity > 1 ? `${item.name} x${item.quantity}` : item.name;
+    return details.length > 0 ? `${name} (${details.join(', ')})` : name;
+  }).join(', ');
+}
+
+/**
+ * Carrying and armor problems for PARTY STATUS
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @returns {string} e.g. "142/240 lb, Encumbered: speed -10 ft", or '' with nothing to report
+ */
+function formatLoadForContext(db, character) {
+  const load = getLoad(db, character, normalizeInventory(db, parseInventory(character.inventory)));
+  return load.warnings.length > 0 ? [`${load.weight}/${load.capacity} lb`, ...load.warnings].join(', ') : '';
+}
+
+module.exports = {
+  ATTUNEMENT_LIMIT,
+  ITEM_TYPES,
+  parseInventory,
+  normalizeItem,
+  normalizeInventory,
+  setInventory,
+  addItem,
+  updateItem,
+  setEquipped,
+  setAttuned,
+  removeItem,
+  rebuildInventory,
+  armorChanged,
+  applyArmor,
+  getLoad,
+  formatInventoryForContext,
+  formatLoadForContext
+};
@@ -0,0 +1,272 @@
+/**
+ * Ledger Service
+ * Turn-by-turn record of every character change applied from AI tags, and precise undo of those changes.
+ *
+ * Each state_ledger row is one field of one character changed by one tag:
+ *   turn, message_ordinal (the narration that carried the tag), character_id, field, before/after, source_tag
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const deathSaveService = require('./deathSaveService');
+
+// Character columns the ledger watches
+const TRACKED_FIELDS = ['hp', 'xp', 'gold', 'inventory', 'spell_slots', 'ac', 'ac_effects', 'inspiration_points', 'conditions',
+  'life_state', 'death_successes', 'death_failures', 'hit_dice_spent'];
+
+// Counters: undo can subtract the change even if the value moved on since
+const DELTA_FIELDS = ['hp', 'xp', 'gold', 'inspiration_points'];
+
+/**
+ * Read the tracked fields of some characters
+ * @param {Object} db - Database instance
+ * @param {Array<string>} characterIds - Character IDs
+ * @returns {Object} Map of character ID -> {field: value as stored text}
+ */
+function readTrackedState(db, characterIds) {
+  const select = db.prepare(`SELECT id, ${TRACKED_FIELDS.join(', ')} FROM characters WHERE id = ?`);
+  const state = {};
+  for (const id of characterIds) {
+    const row = select.get(id);
+    if (!row) continue;
+    state[id] = {};
+    for (const field of TRACKED_FIELDS) {
+      state[id][field] = row[field] === null || row[field] === undefined ? null : String(row[field]);
+    }
+  }
+  return state;
+}
+
+/**
+ * Create a recorder that diffs characters after each tag and writes what changed to the ledger
+ * @param {Object} db - Database instance
+ * @param {Object} context - {sessionId, turn}
+ * @param {Array} characters - Characters the tags may touch
+ * @returns {Object} {record(sourceTag)} — call after applying each tag
+ */
+function createRecorder(db, { sessionId, turn }, characters) {
+  const characterIds = characters.map(c => c.id);
+  let baseline = readTrackedState(db, characterIds);
+  const insert = db.prepare(`
+    INSERT INTO state_ledger (id, session_id, turn, character_id, field, before_value, after_value, source_tag)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  return {
+    record(sourceTag) {
+      const current = readTrackedState(db, characterIds);
+      for (const id of Object.keys(current)) {
+        for (const field of TRACKED_FIELDS) {
+          const before = baseline[id] ? baseline[id][field] : null;
+          const after = current[id][field];
+          if (before !== after) {
+            insert.run(uuidv4(), sessionId, turn ?? 0, id, field, before, after, sourceTag);
+          }
+        }
+      }
+      baseline = current;
+    }
+  };
+}
+
+/**
+ * Attach a turn's not-yet-linked ledger rows to the narration that produced them
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {number} turn - Turn number the rows were recorded under
+ * @param {number} messageOrdinal - Ordinal of the narration in session_messages
+ */
+function linkToMessage(db, sessionId, turn, messageOrdinal) {
+  db.prepare('UPDATE state_ledger SET message_ordinal = ? WHERE session_id = ? AND turn = ? AND message_ordinal IS NULL')
+    .run(messageOrdinal, sessionId, turn);
+}
+
+/**
+ * List ledger rows for a session with character names
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {Object} [filter]
+ * @param {number} [filter.turn] - Only this turn
+ * @param {Array<number>} [filter.messageOrdinals] - Only rows linked to these narrations
+ * @returns {Array} Ledger rows, oldest first
+ */
+function getEntries(db, sessionId, { turn, messageOrdinals } = {}) {
+  let sql = `
+    SELECT l.*, c.character_name FROM state_ledger l
+    LEFT JOIN characters c ON c.id = l.character_id
+    WHERE l.session_id = ?`;
+  const params = [sessionId];
+  if (turn !== undefined) {
+    sql += ' AND l.turn = ?';
+    params.push(turn);
+  }
+  if (messageOrdinals) {
+    if (messageOrdinals.length === 0) return [];
+    sql += ` AND l.message_ordinal IN (${messageOrdinals.map(() => '?').join(',')})`;
+    params.push(...messageOrdinals);
+  }
+  sql += ' ORDER BY l.rowid';
+  return db.prepare(sql).all(...params);
+}
+
+/**
+ * Undo ledger rows, newest first
+ * A field that still holds the recorded "after" value goes back to "before". Counters that moved
+ * on since have only this change subtracted; other fields that moved on are reported as conflicts
+ * and left alone. HP stays within 0..max_hp and goes through deathSaveService.applyHpChange, so the life
+ * state follows it; HP isn't given back to the dead.
+ * @param {Object} db - Database instance
+ * @param {Array} entries - state_ledger rows
+ * @returns {Object} {undone: [ids], conflicts: [{id, character_id, field}], characterIds: [touched IDs]}
+ */
+function undoEntries(db, entries) {
+  const result = { undone: [], conflicts: [], characterIds: [] };
+  const pending = entries
+    .filter(e => !e.undone_at && TRACKED_FIELDS.includes(e.field))
+    .sort((a, b) => b.rowid - a.rowid);
+
+  db.transaction(() => {
+    for (const entry of pending) {
+      const character = db.prepare(`SELECT ${entry.field} AS value, max_hp, life_state FROM characters WHERE id = ?`).get(entry.character_id);
+      if (!character || (entry.field === 'hp' && character.life_state === 'dead')) {
+        result.conflicts.push({ id: entry.id, character_id: entry.character_id, field: entry.field });
+        continue;
+      }
+
+      const current = character.value === null || character.value === undefined ? null : String(character.value);
+      let restored;
+      if (current === entry.after_value) {
+        restored = entry.before_value;
+      } else if (DELTA_FIELDS.includes(entry.field)) {
+        const delta = Number(entry.after_value || 0) - Number(entry.before_value || 0);
+        restored = String(Math.max(0, Number(current || 0) - delta));
+      } else {
+        result.conflicts.push({ id: entry.id, character_id: entry.character_id, field: entry.field });
+        continue;
+      }
+
+      const value = restored !== null && (DELTA_FIELDS.includes(entry.field) || entry.field === 'ac') ? Number(restored) : restored;
+      if (entry.field === 'hp') {
+        deathSaveService.applyHpChange(db, entry.character_id, Math.min(Math.max(0, value), character.max_hp));
+      } else {
+        db.prepare(`UPDATE characters SET ${entry.field} = ? WHERE id = ?`).run(value, entry.character_id);
+      }
+      db.prepare('UPDATE state_ledger SET undone_at = CURRENT_TIMESTAMP WHERE id = ?').run(entry.id);
+      result.undone.push(entry.id);
+      if (!result.characterIds.includes(entry.character_id)) result.characterIds.push(entry.character_id);
+    }
+  })();
+
+  return result;
+}
+
+/**
+ * Ledger rows (with rowid, for undo ordering) matching a condition
+ * @param {Object} db - Database instance
+ * @param {string} where - SQL condition on state_ledger
+ * @param {Array} params - Condition parameters
+ * @returns {Array}
+ */
+function selectForUndo(db, where, params) {
+  return db.prepare(`SELECT rowid, * FROM state_ledger WHERE ${where} AND undone_at IS NULL`).all(...params);
+}
+
+/**
+ * Undo a single ledger row
+ * AC and its effects list always change together, so undoing either undoes both.
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {string} entryId - Ledger row ID
+ * @returns {Object|null} Undo result, or null if the row does not exist
+ */
+function undoEntry(db, sessionId, entryId) {
+  const entry = db.prepare('SELECT * FROM state_ledger WHERE id = ? AND session_id = ?').get(entryId, sessionId);
+  if (!entry) return null;
+
+  if (entry.field === 'ac' || entry.field === 'ac_effects') {
+    return undoEntries(db, selectForUndo(db,
+      "session_id = ? AND turn = ? AND character_id = ? AND source_tag IS ? AND field IN ('ac', 'ac_effects')",
+      [sessionId, entry.turn, entry.character_id, entry.source_tag]));
+  }
+  return undoEntries(db, selectForUndo(db, 'id = ?', [entryId]));
+}
+
+/**
+ * Undo everything one turn changed
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {number} turn - Turn number
+ * @returns {Object} Undo result
+ */
+function undoTurn(db, sessionId, turn) {
+  return undoEntries(db, selectForUndo(db, 'session_id = ? AND turn = ?', [sessionId, turn]));
+}
+
+/**
+ * Undo everything changed after a turn (later turns, newest first)
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {number} turn - Last turn to keep
+ * @returns {Object} Undo result
+ */
+function undoAfterTurn(db, sessionId, turn) {
+  return undoEntries(db, selectForUndo(db, 'session_id = ? AND turn > ?', [sessionId, turn]));
+}
+
+/**
+ * Undo everything a narration's tags changed
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {number} messageOrdinal - Narration ordinal
+ * @returns {Object} Undo result
+ */
+function undoMessage(db, sessionId, messageOrdinal) {
+  return undoEntries(db, selectForUndo(db, 'session_id = ? AND message_ordinal = ?', [sessionId, messageOrdinal]));
+}
+
+/**
+ * Whether a narration has ledger rows that are not undone yet
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {number} messageOrdinal - Narration ordinal
+ * @returns {boolean}
+ */
+function hasActiveEntries(db, sessionId, messageOrdinal) {
+  return !!db.prepare('SELECT 1 FROM state_ledger WHERE session_id = ? AND message_ordinal = ? AND undone_at IS NULL LIMIT 1')
+    .get(sessionId, messageOrdinal);
+}
+
+/**
+ * Copy a session's ledger rows for turns before a point into another session (forks)
+ * @param {Object} db - Database instance
+ * @param {string} fromSessionId - Session to copy from
+ * @param {string} toSessionId - Session to copy into
+ * @param {Object} options
+ * @param {number} options.beforeTurn - Copy turns lower than this
+ * @param {Object} options.characterIdMap - Old character ID -> new (only these characters are copied)
+ */
+function copyEntries(db, fromSessionId, toSessionId, { beforeTurn, characterIdMap }) {
+  const rows = db.prepare('SELECT * FROM state_ledger WHERE session_id = ? AND turn < ? ORDER BY rowid').all(fromSessionId, beforeTurn);
+  const insert = db.prepare(`
+    INSERT INTO state_ledger (id, session_id, turn, message_ordinal, character_id, field, before_value, after_value, source_tag, undone_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  for (const row of rows) {
+    if (!characterIdMap[row.character_id]) continue;
+    insert.run(uuidv4(), toSessionId, row.turn, row.message_ordinal, characterIdMap[row.character_id],
+      row.field, row.before_value, row.after_value, row.source_tag, row.undone_at, row.created_at);
+  }
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  createRecorder,
+  linkToMessage,
+  getEntries,
+  undoEntries,
+  undoEntry,
+  undoTurn,
+  undoAfterTurn,
+  undoMessage,
+  hasActiveEntries,
+  copyEntries
+};
@@ -0,0 +1,299 @@
+/**
+ * Level Up Service
+ * Rules-driven level ups from server/data/srd/classes.json and homebrew classes: multiclass prerequisites, hit points
+ * (rolled on the server into the session's dice log, or the fixed average), the class features of the new
+ * class level, Ability Score Improvements / feats at the class's ASI levels, the features of the character's subclass (the one
+ * picked in the spellbook), and spell slots from the multiclass
+ * spellcaster table. Classes in neither level up with a d8 and no listed features.
+ */
+
+const dice = require('../../shared/dice');
+const diceService = require('./diceService');
+const restService = require('./restService');
+const derivedStatsService = require('./derivedStatsService');
+const dndData = require('./dndDataService');
+const spellbookService = require('./spellbookService');
+
+const MAX_LEVEL = 20;
+const MAX_ABILITY_SCORE = 20;
+const DEFAULT_HIT_DIE = 8;
+const DEFAULT_ASI_LEVELS = [4, 8, 12, 16, 19];
+const ABILITIES = Object.values(dice.ABILITIES);
+
+// Spell slots by caster level (levels 1-9), PHB multiclass spellcaster table
+const SPELL_SLOTS_BY_CASTER_LEVEL = [
+  [],
+  [2], [3], [4, 2], [4, 3], [4, 3, 2], [4, 3, 3], [4, 3, 3, 1], [4, 3, 3, 2], [4, 3, 3, 3, 1], [4, 3, 3, 3, 2],
+  [4, 3, 3, 3, 2, 1], [4, 3, 3, 3, 2, 1], [4, 3, 3, 3, 2, 1, 1], [4, 3, 3, 3, 2, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1, 1], [4, 3, 3, 3, 2, 1, 1, 1], [4, 3, 3, 3, 2, 1, 1, 1, 1],
+  [4, 3, 3, 3, 3, 1, 1, 1, 1], [4, 3, 3, 3, 3, 2, 1, 1, 1], [4, 3, 3, 3, 3, 2, 2, 1, 1]
+];
+
+// The character's subclass if it belongs to this class
+function findSubclassFor(db, character, className) {
+  const index = spellbookService.parseSpellbook(character.spellbook).subclass;
+  const subclass = index ? dndData.findSubclass(db, index) : null;
+  return subclass && subclass.class.toLowerCase() === className.toLowerCase() ? subclass : null;
+}
+
+/**
+ * Whether a character's ability scores meet a class's multiclassing prerequisites
+ * @param {Object} character - characters row
+ * @param {Object} srdClass - classes.json or homebrew class entry
+ * @returns {boolean}
+ */
+function meetsPrerequisites(character, srdClass) {
+  const options = srdClass.multiclass_prerequisites || [];
+  if (options.length === 0) return true;
+  return options.some(minimums =>
+    Object.entries(minimums).every(([label, minimum]) => (character[dice.ABILITIES[label]] ?? 10) >= minimum));
+}
+
+function formatPrerequisites(srdClass) {
+  return (srdClass.multiclass_prerequisites || [])
+    .map(minimums => Object.entries(minimums).map(([label, minimum]) => `${label} ${minimum}`).join(' and '))
+    .join(' or ');
+}
+
+/**
+ * Why a character can't take a level in a class (multiclassing needs the prerequisites of the
+ * new class and of every class they already have)
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @param {Object} classLevels - {className: level}
+ * @param {string} className - Class to level
+ * @returns {string|null} The reason, or null if they can
+ */
+function multiclassBlocker(db, character, classLevels, className) {
+  const key = className.toLowerCase();
+  if (Object.keys(classLevels).some(c => c.toLowerCase() === key)) return null;
+
+  const target = dndData.findClass(db, className);
+  if (target && !meetsPrerequisites(character, target)) {
+    return `Multiclassing into ${target.name} needs ${formatPrerequisites(target)}`;
+  }
+  for (const current of Object.keys(classLevels)) {
+    const srdClass = dndData.findClass(db, current);
+    if (srdClass && !meetsPrerequisites(character, srdClass)) {
+      return `Multiclassing out of ${srdClass.name} needs ${formatPrerequisites(srdClass)}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Spell slot maximums for a set of class levels. Full and half casters share the multiclass table
+ * (a lone half caster rounds up, as on its own class table); Pact Magic slots are added at the pact
+ * slot level, since a character keeps a single slot list.
+ * @param {Object} db - Database instance
+ * @param {Object} classLevels - {className: level}
+ * @returns {Object} {slotLevel: max}
+ */
+function computeSpellSlots(db, classLevels) {
+  const casters = Object.entries(classLevels)
+    .map(([className, level]) => ({ srdClass: dndData.findClass(db, className), level: parseInt(level) || 0 }))
+    .filter(c => c.srdClass && c.srdClass.spellcasting_progression);
+
+  const spellcasters = casters.filter(c => c.srdClass.spellcasting_progression !== 'pact');
+  let casterLevel = 0;
+  for (const { srdClass, level } of spellcasters) {
+    if (srdClass.spellcasting_progression === 'full') casterLevel += level;
+    else if (spellcasters.length === 1) casterLevel += level >= 2 ? Math.ceil(level / 2) : 0;
+    else casterLevel += Math.floor(level / 2);
+  }
+
+  const slots = {};
+  SPELL_SLOTS_BY_CASTER_LEVEL[Math.min(casterLevel, MAX_LEVEL)].forEach((count, i) => {
+    slots[String(i + 1)] = count;
+  });
+
+  const pact = casters.find(c => c.srdClass.spellcasting_progression === 'pact');
+  if (pact) {
+    const slotLevel = String(Math.min(5, Math.ceil(pact.level / 2)));
+    const count = pact.level >= 17 ? 4 : pact.level >= 11 ? 3 : pact.level >= 2 ? 2 : 1;
+    slots[slotLevel] = (slots[slotLevel] || 0) + count;
+  }
+  return slots;
+}
+
+/**
+ * What taking a level in each class would give a character
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @returns {Object} {level, con_modifier, classes: [{name, hit_die, class_level, hp_average, features,
+ *   asi, multiclass, eligible, reason, spell_slots}]} — the character's classes first, then the SRD and
+ *   homebrew classes
+ */
+function getLevelUpOptions(db, character) {
+  const classLevels = restService.getClassLevels(character);
+  const conModifier = dice.abilityModifier(character.constitution);
+  const names = [...Object.keys(classLevels)];
+  for (const srdClass of dndData.listClasses(db)) {
+    if (!names.some(n => n.toLowerCase() === srdClass.index)) names.push(srdClass.name);
+  }
+
+  const classes = names.map(name => {
+    const srdClass = dndData.findClass(db, name);
+    const current = Object.keys(classLevels).find(c => c.toLowerCase() === name.toLowerCase());
+    const classLevel = (current ? parseInt(classLevels[current]) || 0 : 0) + 1;
+    const hitDie = srdClass ? srdClass.hit_die : DEFAULT_HIT_DIE;
+    const subclass = findSubclassFor(db, character, name);
+    const reason = character.level >= MAX_LEVEL ? `Level ${MAX_LEVEL} is the highest level`
+      : multiclassBlocker(db, character, classLevels, name);
+    return {
+      name: current || (srdClass ? srdClass.name : name),
+      hit_die: hitDie,
+      class_level: classLevel,
+      hp_average: Math.max(1, hitDie / 2 + 1 + conModifier),
+      features: [
+        ...(srdClass ? (srdClass.features || {})[String(classLevel)] || [] : []),
+        ...(subclass ? (subclass.features || {})[String(classLevel)] || [] : [])
+      ],
+      asi: ((srdClass && srdClass.asi_levels) || DEFAULT_ASI_LEVELS).includes(classLevel),
+      multiclass: !current,
+      eligible: !reason,
+      reason,
+      spell_slots: computeSpellSlots(db, { ...classLevels, [current || name]: classLevel })
+    };
+  });
+
+  return { level: (character.level || 1) + 1, con_modifier: conModifier, classes };
+}
+
+/**
+ * Check an Ability Score Improvement: +2 to one ability or +1 to two, none above 20
+ * @param {Object} character - characters row
+ * @param {Object} asi - {ability: 1 | 2}
+ * @returns {string|null} Error, or null if it is valid
+ */
+function validateAsi(character, asi) {
+  const entries = Object.entries(asi || {});
+  if (entries.length === 0 || entries.some(([ability, value]) => !ABILITIES.includes(ability) || ![1, 2].includes(value))) {
+    return `An Ability Score Improvement is +2 to one of ${ABILITIES.join(', ')}, or +1 to two of them`;
+  }
+  if (entries.reduce((sum, [, value]) => sum + value, 0) !== 2) {
+    return 'An Ability Score Improvement adds 2 points in total';
+  }
+  const capped = entries.find(([ability, value]) => (character[ability] ?? 10) + value > MAX_ABILITY_SCORE);
+  if (capped) return `${capped[0]} can't go above ${MAX_ABILITY_SCORE}`;
+  return null;
+}
+
+function appendText(text, addition) {
+  return text ? `${text}, ${addition}` : addition;
+}
+
+/**
+ * Level a character up
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row (XP already checked)
+ * @param {Object} choices
+ * @param {string} choices.className - Class to take the level in
+ * @param {string} [choices.hpMethod] - 'roll' (server-rolled hit die) or 'average' (default)
+ * @param {Object} [choices.session] - game_sessions row whose dice log records a rolled hit die
+ * @param {string} [choices.playerId] - Player who leveled up
+ * @param {Object} [choices.asi] - {ability: 1 | 2} at an ASI level
+ * @param {string} [choices.feat] - Feat name, instead of the ASI
+ * @returns {Object} {level, className, classLevel, hp: {method, die, roll, gained}, features, asi, feat,
+ *   spellSlots, summary} or {error}
+ */
+function applyLevelUp(db, character, { className, hpMethod = 'average', asi = null, feat = null, session = null, playerId = null }) {
+  const options = getLevelUpOptions(db, character);
+  const option = options.classes.find(c => c.name.toLowerCase() === String(className || '').toLowerCase());
+  if (!option) return { error: `Unknown class: ${className}` };
+  if (!option.eligible) return { error: option.reason };
+  if (!['roll', 'average'].includes(hpMethod)) return { error: "hp_method must be 'roll' or 'average'" };
+  if (hpMethod === 'roll' && !session) {
+    return { error: `${character.character_name} isn't in a session to roll hit points in: take the average instead` };
+  }
+
+  const featName = typeof feat === 'string' ? feat.trim() : '';
+  if (option.asi) {
+    if (asi && featName) return { error: 'Choose an Ability Score Improvement or a feat, not both' };
+    if (!asi && !featName) {
+      return { error: `${option.name} ${option.class_level} gives an Ability Score Improvement: choose +2 to one ability, +1 to two, or a feat` };
+    }
+    if (asi) {
+      const asiError = validateAsi(character, asi);
+      if (asiError) return { error: asiError };
+    }
+  } else if (asi || featName) {
+    return { error: `${option.name} ${option.class_level} has no Ability Score Improvement` };
+  }
+
+  const updates = {};
+  for (const [ability, value] of Object.entries(asi || {})) updates[ability] = (character[ability] ?? 10) + value;
+
+  // A higher CON modifier raises max HP for every level, this one included
+  const oldConModifier = dice.abilityModifier(character.constitution);
+  const conModifier = dice.abilityModifier(updates.constitution ?? character.constitution);
+  // Only the die is rolled (this level's ASI may change the CON modifier); the roll goes in the dice log
+  const roll = hpMethod === 'roll'
+    ? diceService.createRoll(db, { session, character, playerId, expression: `d${option.hit_die}`, kind: 'level_up' }).total
+    : null;
+  const hpGained = Math.max(1, (roll ?? option.hit_die / 2 + 1) + conModifier)
+    + (conModifier - oldConModifier) * (character.level || 1);
+  updates.max_hp = character.max_hp + hpGained;
+  // The down stay down: a level doesn't wake anyone
+  updates.hp = character.life_state === 'dying' || character.life_state === 'stable' || character.life_state === 'dead'
+    ? character.hp : character.hp + hpGained;
+
+  if (updates.dexterity !== undefined) {
+    updates.initiative_bonus = (character.initiative_bonus || 0) + dice.abilityModifier(updates.dexterity) - dice.abilityModifier(character.dexterity);
+  }
+
+  const classLevels = { ...restService.getClassLevels(character) };
+  const existing = Object.keys(classLevels).find(c => c.toLowerCase() === option.name.toLowerCase());
+  classLevels[existing || option.name] = option.class_level;
+  updates.classes = JSON.stringify(classLevels);
+  updates.level = options.level;
+  updates.class = Object.entries(classLevels).sort((a, b) => b[1] - a[1])[0][0];
+
+  // Saves come only from the first class: pin them before the class (and the fallback) can change
+  if (option.multiclass && !character.save_proficiencies) {
+    updates.save_proficiencies = JSON.stringify(derivedStatsService.getProficiencies(db, character).saves);
+  }
+
+  if (option.features.length > 0) {
+    updates.class_features = appendText(character.class_features, `${option.name} ${option.class_level}: ${option.features.join(', ')}`);
+  }
+  if (featName) updates.feats = appendText(character.feats, featName);
+
+  // Slots only grow on a level up (hand-added slots, e.g. a subclass's, are kept); new slots arrive unspent
+  let spellSlots = {};
+  try {
+    spellSlots = JSON.parse(character.spell_slots || '{}');
+  } catch (e) {}
+  for (const [level, max] of Object.entries(option.spell_slots)) {
+    const slot = spellSlots[level] || { current: 0, max: 0 };
+    if (max > slot.max) spellSlots[level] = { current: (slot.current ?? slot.max) + max - slot.max, max };
+  }
+  updates.spell_slots = JSON.stringify(spellSlots);
+
+  const columns = Object.keys(updates);
+  db.prepare(`UPDATE characters SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`)
+    .run(...columns.map(c => updates[c]), character.id);
+
+  const gains = [`+${hpGained} max HP`];
+  if (option.features.length > 0) gains.push(option.features.join(', '));
+  if (asi) gains.push(Object.entries(asi).map(([ability, value]) => `${ability.slice(0, 3).toUpperCase()} +${value}`).join(', '));
+  if (featName) gains.push(`feat: ${featName}`);
+
+  return {
+    level: options.level,
+    className: option.name,
+    classLevel: option.class_level,
+    hp: { method: hpMethod, die: option.hit_die, roll, gained: hpGained },
+    features: option.features,
+    asi,
+    feat: featName || null,
+    spellSlots,
+    summary: `${character.character_name} reached level ${options.level} (${option.name} ${option.class_level}): ${gains.join('; ')}`
+  };
+}
+
+module.exports = {
+  computeSpellSlots,
+  getLevelUpOptions,
+  applyLevelUp
+};
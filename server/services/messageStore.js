@@ -0,0 +1,297 @@
+/**
+ * Message Store
+ * Session history as rows in session_messages (one row per entry) instead of one JSON blob.
+ *
+ * Entries keep the shape the rest of the app already uses:
+ *   { role, content, type?, character_id?, character_name?, player_name?, povs?, hidden?, timestamp? }
+ * Positions (0-based, used by compacted_count and delete-message) follow ordinal order;
+ * ordinals only ever grow, so gaps after deletes are fine.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Entry fields that have their own column — everything else rides along in meta
+const COLUMN_FIELDS = ['role', 'type', 'character_id', 'content', 'povs', 'hidden'];
+
+/**
+ * Convert a history entry into column values
+ * @param {Object} entry - History entry
+ * @returns {Object} Column values (without id/session_id/ordinal)
+ */
+function entryToRow(entry) {
+  const meta = {};
+  for (const [key, value] of Object.entries(entry)) {
+    if (!COLUMN_FIELDS.includes(key) && value !== undefined) meta[key] = value;
+  }
+  return {
+    role: entry.role || 'user',
+    type: entry.type || null,
+    character_id: entry.character_id || null,
+    content: entry.content ?? '',
+    povs: entry.povs && Object.keys(entry.povs).length > 0 ? JSON.stringify(entry.povs) : null,
+    hidden: entry.hidden ? 1 : 0,
+    meta: Object.keys(meta).length > 0 ? JSON.stringify(meta) : null
+  };
+}
+
+/**
+ * Convert a session_messages row back into a history entry
+ * @param {Object} row - session_messages row
+ * @returns {Object} History entry
+ */
+function rowToEntry(row) {
+  const entry = { role: row.role, content: row.content };
+  if (row.type) entry.type = row.type;
+  if (row.character_id) entry.character_id = row.character_id;
+  if (row.meta) {
+    try {
+      Object.assign(entry, JSON.parse(row.meta));
+    } catch (e) {
+      // Ignore unreadable meta — the core fields are still usable
+    }
+  }
+  if (row.povs) {
+    try {
+      entry.povs = JSON.parse(row.povs);
+    } catch (e) {
+      // Ignore unreadable POVs
+    }
+  }
+  if (row.hidden) entry.hidden = true;
+  return entry;
+}
+
+/**
+ * Number of history entries in a session
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @returns {number}
+ */
+function countMessages(db, sessionId) {
+  return db.prepare('SELECT COUNT(*) as count FROM session_messages WHERE session_id = ?').get(sessionId).count;
+}
+
+/**
+ * Read history entries in order
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {Object} [options]
+ * @param {number} [options.offset=0] - Skip this many entries from the start
+ * @param {number} [options.limit] - Return at most this many entries
+ * @returns {Array} History entries
+ */
+function getMessages(db, sessionId, { offset = 0, limit } = {}) {
+  const rows = db.prepare(`
+    SELECT * FROM session_messages WHERE session_id = ?
+    ORDER BY ordinal LIMIT ? OFFSET ?
+  `).all(sessionId, limit ?? -1, Math.max(0, offset));
+  return rows.map(rowToEntry);
+}
+
+/**
+ * Read one page of history, newest first by cursor
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {Object} [options]
+ * @param {number} [options.before] - Only entries with a lower ordinal (omit for the latest page)
+ * @param {number} [options.limit=50] - Page size
+ * @returns {Object} {messages (oldest first, each with its ordinal), startIndex (position of the first), hasMore}
+ */
+function getMessagePage(db, sessionId, { before, limit = 50 } = {}) {
+  const rows = before === undefined || before === null
+    ? db.prepare('SELECT * FROM session_messages WHERE session_id = ? ORDER BY ordinal DESC LIMIT ?').all(sessionId, limit)
+    : db.prepare('SELECT * FROM session_messages WHERE session_id = ? AND ordinal < ? ORDER BY ordinal DESC LIMIT ?').all(sessionId, before, limit);
+  rows.reverse();
+
+  const firstOrdinal = rows.length > 0 ? rows[0].ordinal : before;
+  const startIndex = firstOrdinal === undefined || firstOrdinal === null
+    ? 0
+    : db.prepare('SELECT COUNT(*) as count FROM session_messages WHERE session_id = ? AND ordinal < ?').get(sessionId, firstOrdinal).count;
+
+  return {
+    messages: rows.map(row => ({ ...rowToEntry(row), ordinal: row.ordinal })),
+    startIndex,
+    hasMore: startIndex > 0
+  };
+}
+
+/**
+ * Read a session's whole history
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @returns {Array} History entries
+ */
+function getHistory(db, sessionId) {
+  return getMessages(db, sessionId);
+}
+
+/**
+ * Most recent history entry
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} History entry, or null for an empty history
+ */
+function getLastMessage(db, sessionId) {
+  const row = db.prepare('SELECT * FROM session_messages WHERE session_id = ? ORDER BY ordinal DESC LIMIT 1').get(sessionId);
+  return row ? rowToEntry(row) : null;
+}
+
+/**
+ * Append entries to the end of a session's history (one transaction)
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {Array} entries - History entries, in order
+ * @returns {Array<number>} Ordinals assigned to the entries
+ */
+function appendMessages(db, sessionId, entries) {
+  if (!entries || entries.length === 0) return [];
+
+  const insert = db.prepare(`
+    INSERT INTO session_messages (id, session_id, ordinal, role, type, character_id, content, povs, hidden, meta)
+    VALUES (@id, @session_id, @ordinal, @role, @type, @character_id, @content, @povs, @hidden, @meta)
+  `);
+
+  return db.transaction(() => {
+    const { maxOrdinal } = db.prepare('SELECT MAX(ordinal) as maxOrdinal FROM session_messages WHERE session_id = ?').get(sessionId);
+    let ordinal = maxOrdinal ?? -1;
+    const ordinals = [];
+    for (const entry of entries) {
+      ordinal++;
+      insert.run({ id: uuidv4(), session_id: sessionId, ordinal, ...entryToRow(entry) });
+      ordinals.push(ordinal);
+    }
+    return ordinals;
+  })();
+}
+
+/**
+ * Row ID of the entry at a position
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {number} index - 0-based position
+ * @returns {string|null}
+ */
+function getMessageIdAt(db, sessionId, index) {
+  const row = db.prepare('SELECT id FROM session_messages WHERE session_id = ? ORDER BY ordinal LIMIT 1 OFFSET ?')
+    .get(sessionId, index);
+  return row ? row.id : null;
+}
+
+/**
+ * Ordinal of the entry at a position
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {number} index - 0-based position
+ * @returns {number|null}
+ */
+function getOrdinalAt(db, sessionId, index) {
+  const row = db.prepare('SELECT ordinal FROM session_messages WHERE session_id = ? ORDER BY ordinal LIMIT 1 OFFSET ?')
+    .get(sessionId, index);
+  return row ? row.ordinal : null;
+}
+
+/**
+ * Delete the entry at a position
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {number} index - 0-based position
+ * @returns {Object|null} The deleted entry (with its ordinal), or null if out of range
+ */
+function deleteMessageAt(db, sessionId, index) {
+  const id = getMessageIdAt(db, sessionId, index);
+  if (!id) return null;
+  const row = db.prepare('SELECT * FROM session_messages WHERE id = ?').get(id);
+  db.prepare('DELETE FROM session_messages WHERE id = ?').run(id);
+  return { ...rowToEntry(row), ordinal: row.ordinal };
+}
+
+/**
+ * Drop every entry from a position onwards
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {number} index - 0-based position of the first entry to drop
+ * @returns {number} Entries removed
+ */
+function truncateFrom(db, sessionId, index) {
+  const row = db.prepare('SELECT ordinal FROM session_messages WHERE session_id = ? ORDER BY ordinal LIMIT 1 OFFSET ?')
+    .get(sessionId, Math.max(0, index));
+  if (!row) return 0;
+  return db.prepare('DELETE FROM session_messages WHERE session_id = ? AND ordinal >= ?').run(sessionId, row.ordinal).changes;
+}
+
+/**
+ * Replace a session's whole history (one transaction)
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {Array} entries - New history entries
+ */
+function replaceHistory(db, sessionId, entries) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM session_messages WHERE session_id = ?').run(sessionId);
+    appendMessages(db, sessionId, entries);
+  })();
+}
+
+/**
+ * Copy the start of one session's history into another, keeping ordinals
+ * @param {Object} db - Database instance
+ * @param {string} fromSessionId - Session to copy from
+ * @param {string} toSessionId - Session to copy into (expected to be empty)
+ * @param {Object} options
+ * @param {number} options.throughOrdinal - Last ordinal to copy
+ * @param {Object} [options.characterIdMap] - Old character ID -> new, for action entries
+ * @returns {number} Entries copied
+ */
+function copyHistory(db, fromSessionId, toSessionId, { throughOrdinal, characterIdMap = {} }) {
+  const rows = db.prepare('SELECT * FROM session_messages WHERE session_id = ? AND ordinal <= ? ORDER BY ordinal')
+    .all(fromSessionId, throughOrdinal);
+  const insert = db.prepare(`
+    INSERT INTO session_messages (id, session_id, ordinal, role, type, character_id, content, povs, hidden, meta, created_at)
+    VALUES (@id, @session_id, @ordinal, @role, @type, @character_id, @content, @povs, @hidden, @meta, @created_at)
+  `);
+
+  db.transaction(() => {
+    for (const row of rows) {
+      insert.run({
+        id: uuidv4(),
+        session_id: toSessionId,
+        ordinal: row.ordinal,
+        role: row.role,
+        type: row.type,
+        character_id: characterIdMap[row.character_id] || row.character_id,
+        content: row.content,
+        povs: row.povs,
+        hidden: row.hidden,
+        meta: row.meta,
+        created_at: row.created_at
+      });
+    }
+  })();
+  return rows.length;
+}
+
+/**
+ * Delete all of a session's history
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ */
+function deleteSessionMessages(db, sessionId) {
+  db.prepare('DELETE FROM session_messages WHERE session_id = ?').run(sessionId);
+}
+
+module.exports = {
+  entryToRow,
+  rowToEntry,
+  countMessages,
+  getMessages,
+  getMessagePage,
+  getHistory,
+  getLastMessage,
+  getOrdinalAt,
+  appendMessages,
+  deleteMessageAt,
+  truncateFrom,
+  replaceHistory,
+  copyHistory,
+  deleteSessionMessages
+};
@@ -0,0 +1,218 @@
+/**
+ * NPC Service
+ * Per-session NPC registry (name, description, location, attitude toward each PC, status, notes),
+ * filled in by [NPC:] tags and edited by GMs, so NPCs survive history compaction.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const NPC_STATUSES = ['alive', 'dead', 'missing', 'unknown'];
+
+// NPCs seen this many turns back still count as part of the current scene
+const RECENT_TURNS = 3;
+const MAX_CONTEXT_NPCS = 12;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse an npcs row into an NPC object
+ * @param {Object} row - Database row
+ * @returns {Object|null} NPC with parsed attitudes
+ */
+function parseNpc(row) {
+  if (!row) return null;
+  let attitudes = {};
+  try {
+    attitudes = JSON.parse(row.attitudes || '{}');
+  } catch (e) {
+    attitudes = {};
+  }
+  return { ...row, attitudes };
+}
+
+/**
+ * List a session's NPCs, most recently seen first
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @returns {Array} NPCs
+ */
+function listNpcs(db, sessionId) {
+  return db.prepare('SELECT * FROM npcs WHERE session_id = ? ORDER BY last_seen_turn DESC, name').all(sessionId).map(parseNpc);
+}
+
+/**
+ * Get one NPC of a session
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {string} npcId - NPC ID
+ * @returns {Object|null}
+ */
+function getNpc(db, sessionId, npcId) {
+  return parseNpc(db.prepare('SELECT * FROM npcs WHERE id = ? AND session_id = ?').get(npcId, sessionId));
+}
+
+/**
+ * Find an NPC by name (case-insensitive)
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {string} name - NPC name
+ * @returns {Object|null}
+ */
+function findNpcByName(db, sessionId, name) {
+  return parseNpc(db.prepare('SELECT * FROM npcs WHERE session_id = ? AND name = ?').get(sessionId, name.trim()));
+}
+
+/**
+ * Create an NPC
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {Object} fields - {name, description, location, attitudes, status, notes, last_seen_turn}
+ * @returns {Object} The new NPC
+ */
+function createNpc(db, sessionId, fields) {
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO npcs (id, session_id, name, description, location, attitudes, status, notes, last_seen_turn)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, sessionId, fields.name.trim(), fields.description || '', fields.location || '',
+    JSON.stringify(fields.attitudes || {}), fields.status || 'alive', fields.notes || '', fields.last_seen_turn || 0);
+  return getNpc(db, sessionId, id);
+}
+
+/**
+ * Update some fields of an NPC
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {string} npcId - NPC ID
+ * @param {Object} fields - Any of {name, description, location, attitudes, status, notes, last_seen_turn}
+ * @returns {Object|null} The updated NPC, or null if not found
+ */
+function updateNpc(db, sessionId, npcId, fields) {
+  const columns = ['name', 'description', 'location', 'attitudes', 'status', 'notes', 'last_seen_turn']
+    .filter(col => fields[col] !== undefined);
+  if (columns.length > 0) {
+    const values = columns.map(col => col === 'attitudes' ? JSON.stringify(fields.attitudes) : fields[col]);
+    db.prepare(`UPDATE npcs SET ${columns.map(col => `${col} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND session_id = ?`)
+      .run(...values, npcId, sessionId);
+  }
+  return getNpc(db, sessionId, npcId);
+}
+
+/**
+ * Delete an NPC
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {string} npcId - NPC ID
+ * @returns {boolean} Whether an NPC was deleted
+ */
+function deleteNpc(db, sessionId, npcId) {
+  return db.prepare('DELETE FROM npcs WHERE id = ? AND session_id = ?').run(npcId, sessionId).changes > 0;
+}
+
+/**
+ * Apply a parsed [NPC:] tag: create the NPC or merge the tag into the existing entry
+ * Attitudes are merged per character; notes are appended unless already recorded.
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {Object} tag - Parsed tag {name, description?, location?, attitudes?, status?, note?}
+ * @param {number} turn - Turn the NPC was seen in
+ * @returns {Object} {npc, created}
+ */
+function applyNpcTag(db, sessionId, tag, turn) {
+  const existing = findNpcByName(db, sessionId, tag.name);
+  if (!existing) {
+    const npc = createNpc(db, sessionId, {
+      name: tag.name,
+      description: tag.description,
+      location: tag.location,
+      attitudes: tag.attitudes,
+      status: tag.status,
+      notes: tag.note,
+      last_seen_turn: turn
+    });
+    return { npc, created: true };
+  }
+
+  const fields = { last_seen_turn: turn };
+  if (tag.description) fields.description = tag.description;
+  if (tag.location) fields.location = tag.location;
+  if (tag.status) fields.status = tag.status;
+  if (tag.attitudes) fields.attitudes = { ...existing.attitudes, ...tag.attitudes };
+  if (tag.note && !existing.notes.toLowerCase().includes(tag.note.toLowerCase())) {
+    fields.notes = existing.notes ? `${existing.notes}\n${tag.note}` : tag.note;
+  }
+  return { npc: updateNpc(db, sessionId, existing.id, fields), created: false };
+}
+
+/**
+ * NPCs worth reminding the DM of this turn: anyone named in the given text (recent story and
+ * the players' actions) plus living NPCs seen in the last few turns
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {string} text - Recent story and actions to look for names in
+ * @param {number} currentTurn - Turn being processed
+ * @returns {Array} NPCs, most recently seen first
+ */
+function getRelevantNpcs(db, sessionId, text, currentTurn) {
+  const haystack = (text || '').toLowerCase();
+  // Full name, or a first name long enough not to match by accident
+  const mentioned = npc => {
+    const name = npc.name.toLowerCase();
+    const firstName = name.split(' ')[0];
+    return haystack.includes(name) || (firstName.length > 2 && new RegExp(`\\b${escapeRegExp(firstName)}\\b`).test(haystack));
+  };
+
+  return listNpcs(db, sessionId)
+    .filter(npc => mentioned(npc) || (npc.status === 'alive' && npc.last_seen_turn >= currentTurn - RECENT_TURNS))
+    .slice(0, MAX_CONTEXT_NPCS);
+}
+
+/**
+ * Format NPCs for the DM's system prompt
+ * @param {Array} npcs - NPCs
+ * @returns {string} Context block, or '' when there are none
+ */
+function formatNpcsForContext(npcs) {
+  if (!npcs || npcs.length === 0) return '';
+
+  const lines = npcs.map(npc => {
+    let line = `- ${npc.name}`;
+    if (npc.description) line += ` (${npc.description})`;
+    if (npc.location) line += ` @ ${npc.location}`;
+    if (npc.status !== 'alive') line += ` [${npc.status.toUpperCase()}]`;
+    const attitudes = Object.entries(npc.attitudes);
+    if (attitudes.length > 0) line += `\n  Attitude: ${attitudes.map(([name, attitude]) => `${name} ${attitude}`).join(', ')}`;
+    if (npc.notes) line += `\n  Notes: ${npc.notes.replace(/\n/g, '; ')}`;
+    return line;
+  });
+
+  return `KNOWN NPCS (keep them consistent; update them with [NPC:] tags):\n${lines.join('\n')}`;
+}
+
+/**
+ * Copy a session's NPCs into another session (forks)
+ * @param {Object} db - Database instance
+ * @param {string} fromSessionId - Session to copy from
+ * @param {string} toSessionId - Session to copy into
+ */
+function copyNpcs(db, fromSessionId, toSessionId) {
+  for (const npc of listNpcs(db, fromSessionId)) {
+    createNpc(db, toSessionId, npc);
+  }
+}
+
+module.exports = {
+  NPC_STATUSES,
+  listNpcs,
+  getNpc,
+  findNpcByName,
+  createNpc,
+  updateNpc,
+  deleteNpc,
+  applyNpcTag,
+  getRelevantNpcs,
+  formatNpcsForContext,
+  copyNpcs
+};
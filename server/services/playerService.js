@@ -0,0 +1,179 @@
+/**
+ * Player Service
+ * Lightweight player accounts: registration, login tokens, and character ownership
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+
+// Cookie carrying the player's login token
+const PLAYER_COOKIE = 'dnd_player';
+
+// Login tokens last 30 days
+const TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a login token for storage (only the hash is kept in the database)
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Strip a players row down to what clients may see
+ * @param {Object} row - players row
+ * @returns {Object|null} Public player {id, username, display_name, role}
+ */
+function toPublicPlayer(row) {
+  if (!row) return null;
+  return { id: row.id, username: row.username, display_name: row.display_name || row.username, role: row.role || 'player' };
+}
+
+/**
+ * Create a player account
+ * @param {Object} db - Database instance
+ * @param {string} username - Unique login name (case-insensitive)
+ * @param {string} password - Plain password
+ * @param {string} [displayName] - Name shown at the table
+ * @returns {Object|null} Public player, or null if the username is taken
+ */
+function createPlayer(db, username, password, displayName) {
+  const existing = db.prepare('SELECT id FROM players WHERE username = ? COLLATE NOCASE').get(username);
+  if (existing) return null;
+
+  const id = uuidv4();
+  db.prepare('INSERT INTO players (id, username, display_name, password_hash) VALUES (?, ?, ?, ?)')
+    .run(id, username, displayName || username, bcrypt.hashSync(password, 10));
+  return toPublicPlayer(db.prepare('SELECT * FROM players WHERE id = ?').get(id));
+}
+
+/**
+ * Check a username/password pair
+ * @param {Object} db - Database instance
+ * @param {string} username - Login name
+ * @param {string} password - Plain password
+ * @returns {Object|null} Public player, or null on bad credentials
+ */
+function verifyPlayer(db, username, password) {
+  const row = db.prepare('SELECT * FROM players WHERE username = ? COLLATE NOCASE').get(username);
+  if (!row || !bcrypt.compareSync(password, row.password_hash)) return null;
+  return toPublicPlayer(row);
+}
+
+/**
+ * Issue a new login token for a player
+ * @param {Object} db - Database instance
+ * @param {string} playerId - Player ID
+ * @returns {Object} {token, expiresAt}
+ */
+function issueToken(db, playerId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MS).toISOString();
+  db.prepare('INSERT INTO player_tokens (token_hash, player_id, expires_at) VALUES (?, ?, ?)')
+    .run(hashToken(token), playerId, expiresAt);
+  return { token, expiresAt };
+}
+
+/**
+ * Revoke a login token
+ * @param {Object} db - Database instance
+ * @param {string} token - Raw token
+ */
+function revokeToken(db, token) {
+  if (!token) return;
+  db.prepare('DELETE FROM player_tokens WHERE token_hash = ?').run(hashToken(token));
+}
+
+/**
+ * Resolve a login token to its player
+ * @param {Object} db - Database instance
+ * @param {string} token - Raw token
+ * @returns {Object|null} Public player, or null if the token is unknown or expired
+ */
+function findPlayerByToken(db, token) {
+  if (!token || typeof token !== 'string') return null;
+  const row = db.prepare(`
+    SELECT p.* FROM player_tokens t
+    INNER JOIN players p ON p.id = t.player_id
+    WHERE t.token_hash = ? AND t.expires_at > ?
+  `).get(hashToken(token), new Date().toISOString());
+  return toPublicPlayer(row);
+}
+
+/**
+ * Read the player token from a Cookie header
+ * @param {string} cookieHeader - Raw Cookie header
+ * @returns {string|null} Token or null
+ */
+function readTokenFromCookie(cookieHeader) {
+  if (!cookieHeader) return null;
+  for (const part of cookieHeader.split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name === PLAYER_COOKIE) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+/**
+ * List all players (for role management)
+ * @param {Object} db - Database instance
+ * @returns {Array} Public players, alphabetical
+ */
+function listPlayers(db) {
+  return db.prepare('SELECT * FROM players ORDER BY username COLLATE NOCASE').all().map(toPublicPlayer);
+}
+
+/**
+ * Set a player's global role
+ * @param {Object} db - Database instance
+ * @param {string} playerId - Player ID
+ * @param {string} role - New role (validated by the caller)
+ * @returns {Object|null} Updated public player, or null if not found
+ */
+function setPlayerRole(db, playerId, role) {
+  const result = db.prepare('UPDATE players SET role = ? WHERE id = ?').run(role, playerId);
+  if (result.changes === 0) return null;
+  return toPublicPlayer(db.prepare('SELECT * FROM players WHERE id = ?').get(playerId));
+}
+
+/**
+ * Sessions a player is assigned to as co-GM
+ * @param {Object} db - Database instance
+ * @param {string} playerId - Player ID
+ * @returns {Array<string>} Session IDs
+ */
+function getGMSessionIds(db, playerId) {
+  return db.prepare('SELECT session_id FROM session_gms WHERE player_id = ?').all(playerId).map(row => row.session_id);
+}
+
+/**
+ * Whether a player (or admin / GM) may act for a character
+ * Characters without an owner predate player accounts and stay open to everyone until claimed.
+ * @param {Object} character - characters row
+ * @param {Object|null} player - Public player (null when not logged in)
+ * @param {boolean} canOverride - Whether the requester may act for any character (admin, or GM of the session)
+ * @returns {boolean}
+ */
+function canControlCharacter(character, player, canOverride) {
+  if (canOverride || !character.owner_id) return true;
+  return !!player && player.id === character.owner_id;
+}
+
+module.exports = {
+  PLAYER_COOKIE,
+  TOKEN_TTL_MS,
+  toPublicPlayer,
+  createPlayer,
+  verifyPlayer,
+  issueToken,
+  revokeToken,
+  findPlayerByToken,
+  readTokenFromCookie,
+  listPlayers,
+  setPlayerRole,
+  getGMSessionIds,
+  canControlCharacter
+};
@@ -0,0 +1,228 @@
+/**
+ * Quest Service
+ * Per-session quest log (title, giver, objectives, status, reward), kept up to date by [QUEST:] tags
+ * and GMs, and fed back to the DM so open threads survive history compaction.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const QUEST_STATUSES = ['active', 'completed', 'failed'];
+
+/**
+ * Parse a quests row into a quest object
+ * @param {Object} row - Database row
+ * @returns {Object|null} Quest with parsed objectives
+ */
+function parseQuest(row) {
+  if (!row) return null;
+  let objectives = [];
+  try {
+    objectives = JSON.parse(row.objectives || '[]');
+  } catch (e) {
+    objectives = [];
+  }
+  return { ...row, objectives };
+}
+
+/**
+ * List a session's quests: active ones first, then newest first
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @returns {Array} Quests
+ */
+function listQuests(db, sessionId) {
+  return db.prepare(`
+    SELECT * FROM quests WHERE session_id = ?
+    ORDER BY status = 'active' DESC, started_turn DESC, created_at DESC
+  `).all(sessionId).map(parseQuest);
+}
+
+/**
+ * Get one quest of a session
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {string} questId - Quest ID
+ * @returns {Object|null}
+ */
+function getQuest(db, sessionId, questId) {
+  return parseQuest(db.prepare('SELECT * FROM quests WHERE id = ? AND session_id = ?').get(questId, sessionId));
+}
+
+/**
+ * Find a quest by title: exact (case-insensitive) first, then an active quest whose title
+ * contains or is contained in the given one ("Lost Ring" for "The Lost Ring")
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {string} title - Quest title as written by the DM
+ * @returns {Object|null}
+ */
+function findQuest(db, sessionId, title) {
+  const exact = db.prepare('SELECT * FROM quests WHERE session_id = ? AND title = ?').get(sessionId, title.trim());
+  if (exact) return parseQuest(exact);
+
+  const wanted = title.trim().toLowerCase();
+  return listQuests(db, sessionId).find(q => q.status === 'active' &&
+    (q.title.toLowerCase().includes(wanted) || wanted.includes(q.title.toLowerCase()))) || null;
+}
+
+/**
+ * Normalize objectives given as strings or {text, done}
+ * @param {Array} objectives - Objectives
+ * @returns {Array} [{text, done}]
+ */
+function normalizeObjectives(objectives) {
+  return (objectives || [])
+    .map(o => typeof o === 'string' ? { text: o, done: false } : { text: String(o.text || ''), done: !!o.done })
+    .map(o => ({ ...o, text: o.text.trim() }))
+    .filter(o => o.text);
+}
+
+/**
+ * Create a quest
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {Object} fields - {title, giver, description, objectives, status, reward, started_turn, resolved_turn}
+ * @returns {Object} The new quest
+ */
+function createQuest(db, sessionId, fields) {
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO quests (id, session_id, title, giver, description, objectives, status, reward, started_turn, resolved_turn)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, sessionId, fields.title.trim(), fields.giver || '', fields.description || '',
+    JSON.stringify(normalizeObjectives(fields.objectives)), fields.status || 'active', fields.reward || '',
+    fields.started_turn || 0, fields.resolved_turn ?? null);
+  return getQuest(db, sessionId, id);
+}
+
+/**
+ * Update some fields of a quest
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {string} questId - Quest ID
+ * @param {Object} fields - Any of {title, giver, description, objectives, status, reward, resolved_turn}
+ * @returns {Object|null} The updated quest, or null if not found
+ */
+function updateQuest(db, sessionId, questId, fields) {
+  const columns = ['title', 'giver', 'description', 'objectives', 'status', 'reward', 'resolved_turn']
+    .filter(col => fields[col] !== undefined);
+  if (columns.length > 0) {
+    const values = columns.map(col => col === 'objectives' ? JSON.stringify(normalizeObjectives(fields.objectives)) : fields[col]);
+    db.prepare(`UPDATE quests SET ${columns.map(col => `${col} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND session_id = ?`)
+      .run(...values, questId, sessionId);
+  }
+  return getQuest(db, sessionId, questId);
+}
+
+/**
+ * Delete a quest
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {string} questId - Quest ID
+ * @returns {boolean} Whether a quest was deleted
+ */
+function deleteQuest(db, sessionId, questId) {
+  return db.prepare('DELETE FROM quests WHERE id = ? AND session_id = ?').run(questId, sessionId).changes > 0;
+}
+
+// Loose objective match: same text, or one contains the other
+function findObjective(objectives, text) {
+  const wanted = text.toLowerCase();
+  return objectives.find(o => o.text.toLowerCase() === wanted) ||
+    objectives.find(o => o.text.toLowerCase().includes(wanted) || wanted.includes(o.text.toLowerCase()));
+}
+
+/**
+ * Apply a parsed [QUEST:] tag
+ * ADD and UPDATE create the quest if it is new (the DM sometimes skips ADD); UPDATE ticks off `done`
+ * objectives (adding them ticked if unknown) and appends `add` ones. COMPLETE / FAIL of an unknown
+ * quest is ignored.
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {Object} tag - Parsed tag {action, title, description?, giver?, reward?, objectives?, done?, add?}
+ * @param {number} turn - Turn the tag was applied in
+ * @returns {Object|null} {quest, change: 'added'|'updated'|'completed'|'failed'}, or null if ignored
+ */
+function applyQuestTag(db, sessionId, tag, turn) {
+  const existing = findQuest(db, sessionId, tag.title);
+
+  if (tag.action === 'complete' || tag.action === 'fail') {
+    if (!existing) return null;
+    const status = tag.action === 'complete' ? 'completed' : 'failed';
+    return { quest: updateQuest(db, sessionId, existing.id, { status, resolved_turn: turn }), change: status };
+  }
+
+  const objectives = existing ? existing.objectives.map(o => ({ ...o })) : [];
+  for (const text of [...(tag.objectives || []), ...(tag.add || [])]) {
+    if (!findObjective(objectives, text)) objectives.push({ text, done: false });
+  }
+  for (const text of tag.done || []) {
+    const objective = findObjective(objectives, text);
+    if (objective) objective.done = true;
+    else objectives.push({ text, done: true });
+  }
+
+  if (!existing) {
+    const quest = createQuest(db, sessionId, {
+      title: tag.title,
+      giver: tag.giver,
+      description: tag.description,
+      reward: tag.reward,
+      objectives,
+      started_turn: turn
+    });
+    return { quest, change: 'added' };
+  }
+
+  const fields = { objectives };
+  if (tag.giver) fields.giver = tag.giver;
+  if (tag.description) fields.description = tag.description;
+  if (tag.reward) fields.reward = tag.reward;
+  return { quest: updateQuest(db, sessionId, existing.id, fields), change: 'updated' };
+}
+
+/**
+ * Format the active quests for the DM's system prompt
+ * @param {Array} quests - Quests (only active ones are included)
+ * @returns {string} Context block, or '' when nothing is open
+ */
+function formatQuestsForContext(quests) {
+  const active = (quests || []).filter(q => q.status === 'active');
+  if (active.length === 0) return '';
+
+  const lines = active.map(q => {
+    let line = `- ${q.title}`;
+    if (q.giver) line += ` (from ${q.giver})`;
+    if (q.description) line += `: ${q.description}`;
+    if (q.reward) line += `\n  Reward: ${q.reward}`;
+    for (const o of q.objectives) line += `\n  [${o.done ? 'x' : ' '}] ${o.text}`;
+    return line;
+  });
+
+  return `ACTIVE QUESTS (open threads — advance or resolve them with [QUEST:] tags):\n${lines.join('\n')}`;
+}
+
+/**
+ * Copy a session's quests into another session (forks)
+ * @param {Object} db - Database instance
+ * @param {string} fromSessionId - Session to copy from
+ * @param {string} toSessionId - Session to copy into
+ */
+function copyQuests(db, fromSessionId, toSessionId) {
+  for (const quest of listQuests(db, fromSessionId)) {
+    createQuest(db, toSessionId, quest);
+  }
+}
+
+module.exports = {
+  QUEST_STATUSES,
+  listQuests,
+  getQuest,
+  findQuest,
+  createQuest,
+  updateQuest,
+  deleteQuest,
+  applyQuestTag,
+  formatQuestsForContext,
+  copyQuests
+};
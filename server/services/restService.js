@@ -0,0 +1,234 @@
+/**
+ * Rest Service
+ * Hit dice and short rests. A character has one hit die per class level, sized by the class
+ * (server/data/srd/classes.json or homebrew hit_die); dice spent are kept per class in characters.hit_dice_spent
+ * ({"Fighter": 1}). A [SHORT REST:] tag refreshes short-rest resources and opens the rest
+ * (short_rest_open) so players can spend hit dice until the next turn; a long rest gives back half.
+ */
+
+const diceService = require('./diceService');
+const deathSaveService = require('./deathSaveService');
+const dndData = require('./dndDataService');
+
+// Classes in neither the SRD file nor homebrew roll a d8
+const DEFAULT_HIT_DIE = 8;
+
+// Class features that come back on a short rest, with the class level they are gained at.
+// Their uses aren't counted anywhere, so a short rest only reports them; pact slots are refreshed.
+const SHORT_REST_FEATURES = {
+  bard: [['Bardic Inspiration', 5]],
+  cleric: [['Channel Divinity', 2]],
+  druid: [['Wild Shape', 2]],
+  fighter: [['Second Wind', 1], ['Action Surge', 2]],
+  monk: [['Ki', 2]],
+  paladin: [['Channel Divinity', 3]]
+};
+
+/**
+ * A character's classes and levels ({"Fighter": 3, "Wizard": 2}), from the classes JSON or class/level
+ * @param {Object} character - characters row
+ * @returns {Object}
+ */
+function getClassLevels(character) {
+  try {
+    const classes = JSON.parse(character.classes || '{}');
+    if (Object.keys(classes).length > 0) return classes;
+  } catch (e) {}
+  return character.class ? { [character.class]: character.level || 1 } : {};
+}
+
+function parseSpent(json) {
+  try {
+    const spent = JSON.parse(json || '{}');
+    return spent && typeof spent === 'object' && !Array.isArray(spent) ? spent : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * A character's hit dice, largest die first
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @returns {Array} [{className, die, max, spent, available}]
+ */
+function getHitDice(db, character) {
+  const spent = parseSpent(character.hit_dice_spent);
+  return Object.entries(getClassLevels(character))
+    .map(([className, level]) => {
+      const max = parseInt(level) || 0;
+      const used = Math.min(max, Math.max(0, parseInt(spent[className]) || 0));
+      return {
+        className,
+        die: dndData.findClass(db, className)?.hit_die || DEFAULT_HIT_DIE,
+        max,
+        spent: used,
+        available: max - used
+      };
+    })
+    .filter(h => h.max > 0)
+    .sort((a, b) => b.die - a.die);
+}
+
+/**
+ * Hit dice for PARTY STATUS, e.g. "2/3 d10 (Fighter), 1/2 d6 (Wizard)"
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @returns {string}
+ */
+function formatHitDice(db, character) {
+  return getHitDice(db, character).map(h => `${h.available}/${h.max} d${h.die} (${h.className})`).join(', ');
+}
+
+/**
+ * Spend hit dice during a short rest: each die is rolled on the server and adds the CON modifier
+ * (a die heals at least 0). HP can't go over max.
+ * @param {Object} db - Database instance
+ * @param {Object} options
+ * @param {Object} options.session - game_sessions row (the rolls go in its dice log)
+ * @param {Object} options.character - characters row
+ * @param {string} [options.playerId] - Player who rolled
+ * @param {Object} options.dice - Dice to spend per class, e.g. {"Fighter": 2}
+ * @returns {Object} {rolls: [{className, total, tag}], healed, hp} or {error}
+ */
+function spendHitDice(db, { session, character, playerId, dice }) {
+  const hitDice = getHitDice(db, character);
+  const requests = Object.entries(dice || {})
+    .map(([className, count]) => ({ hitDie: hitDice.find(h => h.className.toLowerCase() === className.toLowerCase()), count: parseInt(count) || 0 }))
+    .filter(r => r.count > 0);
+
+  if (requests.length === 0) return { error: 'Choose at least one hit die to spend' };
+  if (character.hp >= character.max_hp) return { error: `${character.character_name} is already at full HP` };
+  for (const { hitDie, count } of requests) {
+    if (!hitDie) return { error: `${character.character_name} has no hit dice for that class` };
+    if (hitDie.available === 0) return { error: `${character.character_name} has no ${hitDie.className} hit dice left` };
+    if (count > hitDie.available) {
+      return { error: `${character.character_name} has only ${hitDie.available} ${hitDie.className} hit ${hitDie.available === 1 ? 'die' : 'dice'} left` };
+    }
+  }
+
+  const spent = parseSpent(character.hit_dice_spent);
+  const rolls = [];
+  let healed = 0;
+  db.transaction(() => {
+    for (const { hitDie, count } of requests) {
+      for (let i = 0; i < count; i++) {
+        const roll = diceService.createRoll(db, {
+          session,
+          character,
+          playerId,
+          expression: `d${hitDie.die}`,
+          stat: 'constitution',
+          kind: 'hit_die'
+        });
+        rolls.push({ className: hitDie.className, total: roll.total, tag: diceService.formatRollTag(roll) });
+        healed += Math.max(0, roll.total);
+      }
+      spent[hitDie.className] = hitDie.spent + count;
+    }
+    const hp = Math.min(character.max_hp, character.hp + healed);
+    deathSaveService.applyHpChange(db, character.id, hp);
+    db.prepare('UPDATE characters SET hit_dice_spent = ? WHERE id = ?').run(JSON.stringify(spent), character.id);
+  })();
+
+  const { hp } = db.prepare('SELECT hp FROM characters WHERE id = ?').get(character.id);
+  return { rolls, healed: hp - character.hp, hp };
+}
+
+/**
+ * Pact Magic after a short rest: a warlock's pact slots come back. For a pure warlock that is every
+ * slot; a multiclass warlock gets back their pact slot count at the pact slot level. A homebrew class
+ * with the pact progression counts as a warlock.
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @param {Object} spellSlots - {level: {current, max}}
+ * @returns {number} Slots restored (spellSlots is updated in place)
+ */
+function restorePactSlots(db, character, spellSlots) {
+  const classLevels = getClassLevels(character);
+  const warlockClass = Object.keys(classLevels).find(c => dndData.findClass(db, c)?.spellcasting_progression === 'pact');
+  if (!warlockClass) return 0;
+
+  const warlockLevel = parseInt(classLevels[warlockClass]) || 1;
+  const levels = Object.keys(classLevels).length === 1
+    ? Object.keys(spellSlots)
+    : [String(Math.min(5, Math.ceil(warlockLevel / 2)))];
+  let toRestore = Object.keys(classLevels).length === 1 ? Infinity
+    : warlockLevel >= 17 ? 4 : warlockLevel >= 11 ? 3 : warlockLevel >= 2 ? 2 : 1;
+
+  let restored = 0;
+  for (const level of levels) {
+    const slot = spellSlots[level];
+    if (!slot || !slot.max) continue;
+    const regained = Math.min(toRestore, slot.max - (slot.current ?? slot.max));
+    slot.current = (slot.current ?? slot.max) + regained;
+    toRestore -= regained;
+    restored += regained;
+  }
+  return restored;
+}
+
+/**
+ * Short rest: refresh pact slots and open the rest for spending hit dice
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @returns {Array<string>} What came back, e.g. ["2 pact slots", "Second Wind", "Action Surge"]
+ */
+function shortRest(db, character) {
+  let spellSlots = {};
+  try {
+    spellSlots = JSON.parse(character.spell_slots || '{}');
+  } catch (e) {}
+
+  const refreshed = [];
+  const pactSlots = restorePactSlots(db, character, spellSlots);
+  if (pactSlots > 0) refreshed.push(`${pactSlots} pact slot${pactSlots === 1 ? '' : 's'}`);
+  for (const [className, level] of Object.entries(getClassLevels(character))) {
+    for (const [feature, minLevel] of SHORT_REST_FEATURES[className.toLowerCase()] || []) {
+      if ((parseInt(level) || 0) >= minLevel && !refreshed.includes(feature)) refreshed.push(feature);
+    }
+  }
+
+  db.prepare('UPDATE characters SET spell_slots = ?, short_rest_open = 1 WHERE id = ?')
+    .run(JSON.stringify(spellSlots), character.id);
+  return refreshed;
+}
+
+/**
+ * End the short rests of some characters (their chance to spend hit dice is over)
+ * @param {Object} db - Database instance
+ * @param {Array<string>} characterIds - Character IDs
+ */
+function closeShortRests(db, characterIds) {
+  const close = db.prepare('UPDATE characters SET short_rest_open = 0 WHERE id = ? AND short_rest_open = 1');
+  for (const id of characterIds) close.run(id);
+}
+
+/**
+ * Hit dice spent after a long rest: half the character's total (at least one) comes back,
+ * largest dice first
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @returns {string} New hit_dice_spent JSON
+ */
+function afterLongRest(db, character) {
+  const hitDice = getHitDice(db, character);
+  let toRegain = Math.max(1, Math.floor(hitDice.reduce((sum, h) => sum + h.max, 0) / 2));
+  const spent = {};
+  for (const hitDie of hitDice) {
+    const regained = Math.min(toRegain, hitDie.spent);
+    toRegain -= regained;
+    if (hitDie.spent - regained > 0) spent[hitDie.className] = hitDie.spent - regained;
+  }
+  return JSON.stringify(spent);
+}
+
+module.exports = {
+  getClassLevels,
+  getHitDice,
+  formatHitDice,
+  spendHitDice,
+  shortRest,
+  closeShortRests,
+  afterLongRest
+};
@@ -0,0 +1,179 @@
+/**
+ * Snapshot Service
+ * Save points in game_snapshots, one per turn: every character's state before the turn's tags were
+ * applied, plus where the story stood (last history ordinal, summary, compacted_count) when it began.
+ * Reroll restores the latest one; rewind can return to any of them.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Character columns a snapshot captures and restores; the level up ones go with XP, so a rewind past a
+// level up takes the level back too
+const SNAPSHOT_FIELDS = ['hp', 'ac', 'xp', 'gold', 'inventory', 'spell_slots', 'ac_effects', 'inspiration_points', 'conditions',
+  'life_state', 'death_successes', 'death_failures', 'hit_dice_spent', 'short_rest_open',
+  'level', 'max_hp', 'class', 'classes', 'strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma',
+  'initiative_bonus', 'feats', 'class_features', 'save_proficiencies', 'spellbook'];
+
+/**
+ * Save a snapshot for the turn about to be applied
+ * @param {Object} db - Database instance
+ * @param {Object} session - game_sessions row as read when the turn started
+ * @param {Array} characters - The session's characters (state before this turn's tags)
+ */
+function saveSnapshot(db, session, characters) {
+  const characterStates = characters.map(c => {
+    const state = { id: c.id };
+    for (const field of SNAPSHOT_FIELDS) state[field] = c[field];
+    return state;
+  });
+  const { maxOrdinal } = db.prepare('SELECT MAX(ordinal) as maxOrdinal FROM session_messages WHERE session_id = ?').get(session.id);
+
+  db.prepare(`
+    INSERT INTO game_snapshots (id, session_id, turn_number, character_states, message_ordinal, story_summary, compacted_count)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(uuidv4(), session.id, session.current_turn, JSON.stringify(characterStates),
+    maxOrdinal ?? -1, session.story_summary || '', session.compacted_count || 0);
+}
+
+/**
+ * Write a snapshot's character states back to the characters table
+ * Fields missing from older snapshots (inspiration_points, conditions, life state, hit dice, level up columns) are left as they are.
+ * @param {Object} db - Database instance
+ * @param {Object} snapshot - game_snapshots row
+ * @returns {Array<string>} IDs of the characters restored
+ */
+function restoreCharacterStates(db, snapshot) {
+  const states = JSON.parse(snapshot.character_states);
+  const restored = [];
+  for (const state of states) {
+    const fields = SNAPSHOT_FIELDS.filter(field => state[field] !== undefined);
+    if (fields.length === 0) continue;
+    const result = db.prepare(`UPDATE characters SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`)
+      .run(...fields.map(f => state[f]), state.id);
+    if (result.changes > 0) restored.push(state.id);
+  }
+  return restored;
+}
+
+/**
+ * Most recent snapshot of a session
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @returns {Object|undefined}
+ */
+function getLatestSnapshot(db, sessionId) {
+  return db.prepare('SELECT * FROM game_snapshots WHERE session_id = ? ORDER BY turn_number DESC LIMIT 1').get(sessionId);
+}
+
+/**
+ * Snapshot taken when a turn began
+ * A turn that failed and was retried can leave more than one — the first holds the untouched state.
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {number} turn - Turn number
+ * @returns {Object|undefined}
+ */
+function getSnapshotForTurn(db, sessionId, turn) {
+  return db.prepare('SELECT * FROM game_snapshots WHERE session_id = ? AND turn_number = ? ORDER BY created_at, rowid LIMIT 1')
+    .get(sessionId, turn);
+}
+
+/**
+ * Turns that can be rewound to, oldest first
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @returns {Array} [{turn, created_at, rewindable, preview}] — preview is the start of the turn's narration
+ */
+function getTimeline(db, sessionId) {
+  const snapshots = db.prepare(`
+    SELECT turn_number, MIN(created_at) as created_at, MIN(message_ordinal) as message_ordinal
+    FROM game_snapshots WHERE session_id = ?
+    GROUP BY turn_number ORDER BY turn_number
+  `).all(sessionId);
+  const narration = db.prepare(`
+    SELECT content FROM session_messages
+    WHERE session_id = ? AND ordinal > ? AND role = 'assistant'
+    ORDER BY ordinal LIMIT 1
+  `);
+
+  return snapshots.map(snapshot => {
+    const rewindable = snapshot.message_ordinal !== null;
+    const row = rewindable ? narration.get(sessionId, snapshot.message_ordinal) : null;
+    return {
+      turn: snapshot.turn_number,
+      created_at: snapshot.created_at,
+      rewindable,
+      preview: row ? row.content.slice(0, 160) : ''
+    };
+  });
+}
+
+/**
+ * Put a session back to where it stood when a turn began: drop the history written since,
+ * restore characters, summary and compacted_count, clear pending actions and checks, and forget the
+ * ledger rows and snapshots of the dropped turns (one transaction)
+ * @param {Object} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @param {Object} snapshot - game_snapshots row of the turn to return to (must have message_ordinal)
+ * @returns {Object} {removedMessages, characterIds, compactedCount}
+ */
+function rewindToSnapshot(db, sessionId, snapshot) {
+  const turn = snapshot.turn_number;
+  let result;
+
+  db.transaction(() => {
+    const removedMessages = db.prepare('DELETE FROM session_messages WHERE session_id = ? AND ordinal > ?')
+      .run(sessionId, snapshot.message_ordinal).changes;
+    const remaining = db.prepare('SELECT COUNT(*) as count FROM session_messages WHERE session_id = ?').get(sessionId).count;
+    const compactedCount = Math.min(snapshot.compacted_count || 0, remaining);
+
+    const characterIds = restoreCharacterStates(db, snapshot);
+
+    db.prepare('UPDATE game_sessions SET current_turn = ?, story_summary = ?, compacted_count = ?, total_tokens = 0, check_narration = NULL WHERE id = ?')
+      .run(turn, snapshot.story_summary || '', compactedCount, sessionId);
+    db.prepare('DELETE FROM pending_actions WHERE session_id = ?').run(sessionId);
+    db.prepare('DELETE FROM ability_checks WHERE session_id = ?').run(sessionId);
+    db.prepare('DELETE FROM state_ledger WHERE session_id = ? AND turn >= ?').run(sessionId, turn);
+    db.prepare('DELETE FROM game_snapshots WHERE session_id = ? AND turn_number >= ?').run(sessionId, turn);
+
+    result = { removedMessages, characterIds, compactedCount };
+  })();
+
+  return result;
+}
+
+/**
+ * Copy a session's snapshots for turns before a point into another session (forks), so the
+ * copy can be rewound too
+ * @param {Object} db - Database instance
+ * @param {string} fromSessionId - Session to copy from
+ * @param {string} toSessionId - Session to copy into
+ * @param {Object} options
+ * @param {number} options.beforeTurn - Copy turns lower than this
+ * @param {Object} options.characterIdMap - Old character ID -> new (only these characters are copied)
+ */
+function copySnapshots(db, fromSessionId, toSessionId, { beforeTurn, characterIdMap }) {
+  const snapshots = db.prepare('SELECT * FROM game_snapshots WHERE session_id = ? AND turn_number < ? ORDER BY rowid').all(fromSessionId, beforeTurn);
+  const insert = db.prepare(`
+    INSERT INTO game_snapshots (id, session_id, turn_number, character_states, message_ordinal, story_summary, compacted_count, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  for (const snapshot of snapshots) {
+    // Characters no longer in the party have no copy — leave them out rather than point at the originals
+    const states = JSON.parse(snapshot.character_states)
+      .filter(state => characterIdMap[state.id])
+      .map(state => ({ ...state, id: characterIdMap[state.id] }));
+    insert.run(uuidv4(), toSessionId, snapshot.turn_number, JSON.stringify(states), snapshot.message_ordinal,
+      snapshot.story_summary, snapshot.compacted_count, snapshot.created_at);
+  }
+}
+
+module.exports = {
+  saveSnapshot,
+  restoreCharacterStates,
+  getLatestSnapshot,
+  getSnapshotForTurn,
+  getTimeline,
+  rewindToSnapshot,
+  copySnapshots
+};
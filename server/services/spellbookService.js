@@ -0,0 +1,380 @@
+/**
+ * Spellbook Service
+ * A character's spells as SRD spell entries, kept in characters.spellbook:
+ *   {subclass: 'life-domain' | null, spells: [{index, name, level, class, prepared, always}]}
+ * Spells are learned per class and held to that class's limits (cantrips known, spells known, or the
+ * daily number of prepared spells: ability modifier + class level). always marks spells that are
+ * prepared without counting against the limit; the subclass's own spells (server/data/srd/subclass-spells.json
+ * or a homebrew subclass) are added on top by class level.
+ * Casting spends a slot from characters.spell_slots and starts concentration as a "Concentrating"
+ * condition, which replaces (and so ends) the one before it.
+ */
+
+const dice = require('../../shared/dice');
+const dndData = require('./dndDataService');
+const conditionService = require('./conditionService');
+const restService = require('./restService');
+const deathSaveService = require('./deathSaveService');
+
+const CONCENTRATING = 'Concentrating';
+
+// Cantrips known from each class level on ({fromLevel: count})
+const CANTRIPS_KNOWN = {
+  bard: { 1: 2, 4: 3, 10: 4 },
+  cleric: { 1: 3, 4: 4, 10: 5 },
+  druid: { 1: 2, 4: 3, 10: 4 },
+  sorcerer: { 1: 4, 4: 5, 10: 6 },
+  warlock: { 1: 2, 4: 3, 10: 4 },
+  wizard: { 1: 3, 4: 4, 10: 5 }
+};
+
+// Spells known at class levels 1-20, for the classes that learn a fixed list
+const SPELLS_KNOWN = {
+  bard: [4, 5, 6, 7, 8, 9, 10, 11, 12, 14, 15, 15, 16, 18, 19, 19, 20, 22, 22, 22],
+  ranger: [0, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11],
+  sorcerer: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 12, 13, 13, 14, 14, 15, 15, 15, 15],
+  warlock: [2, 3, 4, 5, 6, 7, 8, 9, 10, 10, 11, 11, 12, 12, 13, 13, 14, 14, 15, 15]
+};
+
+// Classes that prepare from their list after a long rest: the part of the class level added to the modifier
+const PREPARE_LEVEL_FACTOR = { cleric: 1, druid: 1, wizard: 1, paladin: 0.5 };
+
+// Classes with Ritual Casting; a wizard can cast a ritual from the spellbook without preparing it
+const RITUAL_CASTERS = ['bard', 'cleric', 'druid', 'wizard'];
+
+// The character's name for a class ("Cleric" may be stored as "cleric") and its level there
+function findClassLevel(character, className) {
+  const entry = Object.entries(restService.getClassLevels(character))
+    .find(([name]) => name.toLowerCase() === className.toLowerCase());
+  return entry ? { name: entry[0], level: parseInt(entry[1]) || 0 } : null;
+}
+
+function stepValue(steps, level) {
+  let value = 0;
+  for (const [from, count] of Object.entries(steps)) {
+    if (level >= Number(from)) value = count;
+  }
+  return value;
+}
+
+function maxSpellLevel(progression, level) {
+  if (progression === 'full') return Math.min(9, Math.ceil(level / 2));
+  if (progression === 'half') return level < 2 ? 0 : Math.min(5, Math.ceil(level / 4));
+  if (progression === 'pact') return Math.min(5, Math.ceil(level / 2));
+  return 0;
+}
+
+function ordinal(level) {
+  return level === 1 ? '1st' : level === 2 ? '2nd' : level === 3 ? '3rd' : `${level}th`;
+}
+
+/**
+ * Parse a character's spellbook column
+ * @param {string} json - characters.spellbook
+ * @returns {Object} {subclass, spells}
+ */
+function parseSpellbook(json) {
+  try {
+    const book = JSON.parse(json || '{}');
+    return {
+      subclass: typeof book.subclass === 'string' ? book.subclass : null,
+      spells: Array.isArray(book.spells) ? book.spells.filter(s => s && s.index) : []
+    };
+  } catch (e) {
+    return { subclass: null, spells: [] };
+  }
+}
+
+/**
+ * The character's spellcasting classes with their limits and how many spells count against them
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @returns {Array} [{name, index, level, ability, max_spell_level, prepares, ritual_casting,
+ *   cantrips: {count, max}, spells_known: {count, max} | null, prepared: {count, max} | null}]
+ *   max is null where the class has no SRD table (homebrew)
+ */
+function getCastingClasses(db, character) {
+  const spells = getAllSpells(db, character);
+  const result = [];
+  for (const [name, classLevel] of Object.entries(restService.getClassLevels(character))) {
+    const data = dndData.findClass(db, name);
+    if (!data || !data.spellcasting_ability) continue;
+    const level = parseInt(classLevel) || 1;
+    const modifier = dice.abilityModifier(character[dice.ABILITIES[data.spellcasting_ability]]);
+    const entries = spells.filter(s => s.class === name && !s.always);
+    const leveled = entries.filter(s => s.level > 0);
+    const srd = data.source === 'SRD';
+    const factor = PREPARE_LEVEL_FACTOR[data.index];
+    const knownTable = SPELLS_KNOWN[data.index];
+
+    result.push({
+      name,
+      index: data.index,
+      level,
+      ability: data.spellcasting_ability,
+      max_spell_level: maxSpellLevel(data.spellcasting_progression, level),
+      prepares: Boolean(factor),
+      ritual_casting: RITUAL_CASTERS.includes(data.index),
+      cantrips: {
+        count: entries.length - leveled.length,
+        max: srd ? stepValue(CANTRIPS_KNOWN[data.index] || {}, level) : null
+      },
+      spells_known: factor ? null : { count: leveled.length, max: knownTable ? knownTable[level - 1] : null },
+      prepared: factor
+        ? { count: leveled.filter(s => s.prepared).length, max: Math.max(1, modifier + Math.floor(level * factor)) }
+        : null
+    });
+  }
+  return result;
+}
+
+// The subclass's spells for the character's level in its class, as always-prepared entries
+function getSubclassSpells(db, character, subclassIndex) {
+  const subclass = subclassIndex ? dndData.findSubclass(db, subclassIndex) : null;
+  if (!subclass) return [];
+  const classLevel = findClassLevel(character, subclass.class);
+  if (!classLevel) return [];
+  const spells = [];
+  for (const [level, indexes] of Object.entries(subclass.spells)) {
+    if (classLevel.level < Number(level)) continue;
+    for (const index of indexes) {
+      const spell = dndData.getSpell(db, index);
+      if (spell) spells.push({ index, name: spell.name, level: spell.level, class: classLevel.name, prepared: true, always: true, subclass: subclass.name });
+    }
+  }
+  return spells;
+}
+
+// Every spell the character has: the book's entries plus the subclass's, one per index
+function getAllSpells(db, character) {
+  const book = parseSpellbook(character.spellbook);
+  const spells = book.spells.map(s => ({ ...s }));
+  for (const extra of getSubclassSpells(db, character, book.subclass)) {
+    const existing = spells.find(s => s.index === extra.index);
+    if (existing) Object.assign(existing, { always: true, subclass: extra.subclass });
+    else spells.push(extra);
+  }
+  return spells;
+}
+
+// Whether a spell can be cast with a slot right now: cantrips and known spells always, prepared casters' once prepared
+function isReady(entry, casting) {
+  if (entry.level === 0 || entry.always) return true;
+  return !casting || !casting.prepares || Boolean(entry.prepared);
+}
+
+/**
+ * The spell the character is concentrating on, from the Concentrating condition
+ * @param {Object} character - characters row
+ * @returns {Object|null} {spell, duration}
+ */
+function getConcentration(character) {
+  const condition = conditionService.parseConditions(character.conditions).find(c => c.name === CONCENTRATING);
+  return condition ? { spell: condition.source || null, duration: conditionService.formatDuration(condition) } : null;
+}
+
+/**
+ * The spellbook as the modal shows it
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @returns {Object} {subclass, subclasses, classes, spells, concentration}
+ *   spells: [{index, name, level, school, casting_time, range, duration, concentration, ritual,
+ *   class, prepared, always, subclass?, ready}] by level, then name
+ */
+function getSpellbookView(db, character) {
+  const classes = getCastingClasses(db, character);
+  const spells = getAllSpells(db, character).map(entry => {
+    const spell = dndData.getSpell(db, entry.index) || {};
+    return {
+      ...entry,
+      school: spell.school,
+      casting_time: spell.casting_time,
+      range: spell.range,
+      duration: spell.duration,
+      concentration: Boolean(spell.concentration),
+      ritual: Boolean(spell.ritual),
+      ready: isReady(entry, classes.find(c => c.name === entry.class))
+    };
+  }).sort((a, b) => a.level - b.level || a.name.localeCompare(b.name));
+
+  return {
+    subclass: parseSpellbook(character.spellbook).subclass,
+    subclasses: dndData.getSubclasses(db).filter(s => findClassLevel(character, s.class))
+      .map(s => ({ index: s.index, name: s.name, class: s.class })),
+    classes,
+    spells,
+    concentration: getConcentration(character)
+  };
+}
+
+/**
+ * Change the spellbook
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @param {Object} change - {action: 'add' | 'remove' | 'prepare' | 'subclass', spell?, class?, prepared?, always?, subclass?}
+ *   add: learn an SRD spell for one of the character's casting classes (always: prepared outside the limit,
+ *        and not held to the class's spell list); prepare: prepared true/false; subclass: SRD or homebrew subclass index or null
+ * @returns {Object} {spellbook} (the new column value) or {error}
+ */
+function changeSpellbook(db, character, change = {}) {
+  const book = parseSpellbook(character.spellbook);
+  const classes = getCastingClasses(db, character);
+  const entry = book.spells.find(s => s.index === change.spell);
+
+  if (change.action === 'subclass') {
+    if (change.subclass) {
+      const subclass = dndData.findSubclass(db, change.subclass);
+      if (!subclass) return { error: `Unknown subclass: ${change.subclass}` };
+      if (!findClassLevel(character, subclass.class)) return { error: `${subclass.name} is a ${subclass.class} subclass` };
+    }
+    book.subclass = change.subclass || null;
+  } else if (change.action === 'add') {
+    const spell = dndData.getSpell(db, change.spell);
+    if (!spell) return { error: `Unknown spell: ${change.spell}` };
+    if (entry) return { error: `${spell.name} is already in the spellbook` };
+
+    const casting = change.class
+      ? classes.find(c => c.name.toLowerCase() === String(change.class).toLowerCase())
+      : classes.length === 1 ? classes[0] : null;
+    if (!casting) {
+      return { error: classes.length === 0 ? `${character.character_name} has no spellcasting class` : `class must be one of: ${classes.map(c => c.name).join(', ')}` };
+    }
+    const always = Boolean(change.always);
+    const srd = dndData.findClass(db, casting.index)?.source === 'SRD';
+    if (srd && !always && !spell.classes.some(name => name.toLowerCase() === casting.index)) {
+      return { error: `${spell.name} isn't on the ${casting.name} spell list` };
+    }
+    if (spell.level > casting.max_spell_level) {
+      return { error: `A level ${casting.level} ${casting.name} can't learn ${ordinal(spell.level)}-level spells yet` };
+    }
+    if (!always) {
+      const limit = spell.level === 0 ? casting.cantrips : casting.spells_known;
+      if (limit && limit.max !== null && limit.count >= limit.max) {
+        return { error: `A level ${casting.level} ${casting.name} knows ${limit.max} ${spell.level === 0 ? 'cantrips' : 'spells'}` };
+      }
+    }
+    book.spells.push({ index: spell.index, name: spell.name, level: spell.level, class: casting.name, prepared: false, always });
+  } else if (change.action === 'remove') {
+    if (!entry) return { error: 'That spell is not in the spellbook' };
+    book.spells = book.spells.filter(s => s !== entry);
+  } else if (change.action === 'prepare') {
+    if (!entry) return { error: 'That spell is not in the spellbook' };
+    const casting = classes.find(c => c.name === entry.class);
+    const always = getAllSpells(db, character).some(s => s.index === entry.index && s.always);
+    if (!casting || !casting.prepares || entry.level === 0 || always) {
+      return { error: `${entry.name} is always ready — it doesn't need preparing` };
+    }
+    const prepared = Boolean(change.prepared);
+    if (prepared && !entry.prepared && casting.prepared.count >= casting.prepared.max) {
+      return { error: `${character.character_name} can prepare ${casting.prepared.max} ${casting.name} spells (${casting.ability} modifier + ${casting.name} level${casting.index === 'paladin' ? ' / 2' : ''})` };
+    }
+    entry.prepared = prepared;
+  } else {
+    return { error: "action must be 'add', 'remove', 'prepare' or 'subclass'" };
+  }
+
+  return { spellbook: JSON.stringify(book) };
+}
+
+// "Up to 1 minute" -> the Concentrating condition's expiry; spells that last days run out in hours
+function concentrationExpiry(duration) {
+  const text = String(duration || '').toLowerCase().replace(/^up to\s+/, '')
+    .replace(/^(\d+)\s*days?$/, (match, days) => `${days * 24} hours`);
+  return conditionService.parseDuration(text) || { expires: null, rounds_left: null };
+}
+
+/**
+ * Cast a spell from the spellbook: spend the slot and start concentration (not while dying, stable or dead)
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @param {Object} options - {spell, slot_level?, ritual?}
+ *   slot_level defaults to the lowest slot at or above the spell's level with one left;
+ *   a ritual takes 10 minutes longer and spends no slot
+ * @returns {Object} {spell_slots, conditions, cast: {spell, slot_level, ritual, concentration: {spell, ended} | null}} or {error}
+ */
+function castSpell(db, character, { spell: spellIndex, slot_level: slotLevel, ritual = false } = {}) {
+  if (deathSaveService.isDown(character)) {
+    return { error: `${character.character_name} is ${character.life_state === 'dead' ? 'dead' : 'unconscious'} and cannot cast` };
+  }
+  const entry = getAllSpells(db, character).find(s => s.index === spellIndex);
+  const spell = dndData.getSpell(db, spellIndex);
+  if (!entry || !spell) return { error: 'That spell is not in the spellbook' };
+  const casting = getCastingClasses(db, character).find(c => c.name === entry.class);
+
+  let slots = {};
+  try {
+    slots = JSON.parse(character.spell_slots || '{}');
+  } catch (e) {}
+
+  let slotUsed = null;
+  if (ritual) {
+    if (!spell.ritual) return { error: `${spell.name} isn't a ritual` };
+    if (casting && !casting.ritual_casting) return { error: `${casting.name}s can't cast rituals` };
+    if (casting && casting.index !== 'wizard' && !isReady(entry, casting)) return { error: `Prepare ${spell.name} to cast it as a ritual` };
+  } else if (spell.level > 0) {
+    if (!isReady(entry, casting)) return { error: `${spell.name} isn't prepared` };
+    const available = level => (slots[level]?.current ?? slots[level]?.max ?? 0) > 0;
+    if (slotLevel !== undefined && slotLevel !== null && slotLevel !== '') {
+      slotUsed = parseInt(slotLevel);
+      if (!(slotUsed >= spell.level)) return { error: `${spell.name} needs a ${ordinal(spell.level)}-level slot or higher` };
+      if (!available(slotUsed)) return { error: `No ${ordinal(slotUsed)}-level slots left` };
+    } else {
+      slotUsed = Object.keys(slots).map(Number).sort((a, b) => a - b).find(level => level >= spell.level && available(level)) ?? null;
+      if (slotUsed === null) return { error: `No slots of ${ordinal(spell.level)} level or higher left` };
+    }
+    const slot = slots[slotUsed];
+    slots[slotUsed] = { ...slot, current: (slot.current ?? slot.max) - 1 };
+  }
+
+  let conditions = conditionService.parseConditions(character.conditions);
+  let concentration = null;
+  if (spell.concentration) {
+    const previous = getConcentration(character);
+    conditions = conditionService.addCondition(conditions, {
+      name: CONCENTRATING,
+      source: spell.name,
+      ...concentrationExpiry(spell.duration)
+    });
+    concentration = { spell: spell.name, ended: previous ? previous.spell : null };
+  }
+
+  return {
+    spell_slots: JSON.stringify(slots),
+    conditions: JSON.stringify(conditions),
+    cast: { spell, slot_level: slotUsed, ritual: Boolean(ritual), concentration }
+  };
+}
+
+/**
+ * The spellbook for PARTY STATUS
+ * @param {Object} db - Database instance
+ * @param {Object} character - characters row
+ * @returns {string} e.g. "Cantrips: Fire Bolt, Light | Prepared: Shield (1), Fireball (3) | Known, not prepared: Sleep (1)", or ''
+ */
+function formatSpellbookForContext(db, character) {
+  const classes = getCastingClasses(db, character);
+  const spells = getAllSpells(db, character).sort((a, b) => a.level - b.level || a.name.localeCompare(b.name));
+  if (spells.length === 0) return '';
+
+  const label = s => `${s.name} (${s.level})`;
+  const cantrips = spells.filter(s => s.level === 0).map(s => s.name);
+  const ready = spells.filter(s => s.level > 0 && isReady(s, classes.find(c => c.name === s.class))).map(label);
+  const unprepared = spells.filter(s => s.level > 0 && !isReady(s, classes.find(c => c.name === s.class))).map(label);
+
+  const parts = [];
+  if (cantrips.length > 0) parts.push(`Cantrips: ${cantrips.join(', ')}`);
+  if (ready.length > 0) parts.push(`Prepared: ${ready.join(', ')}`);
+  if (unprepared.length > 0) parts.push(`Known, not prepared: ${unprepared.join(', ')}`);
+  return parts.join(' | ');
+}
+
+module.exports = {
+  CONCENTRATING,
+  parseSpellbook,
+  getCastingClasses,
+  getConcentration,
+  getSpellbookView,
+  changeSpellbook,
+  castSpell,
+  formatSpellbookForContext
+};
@@ -5,6 +5,15 @@
 
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../lib/logger');
+const combatService = require('./combatService');
+const { emitToSession, emitCharacterUpdated } = require('../lib/rooms');
+const ledgerService = require('./ledgerService');
+const npcService = require('./npcService');
+const questService = require('./questService');
+const conditionService = require('./conditionService');
+const deathSaveService = require('./deathSaveService');
+const restService = require('./restService');
+const inventoryService = require('./inventoryService');
 
 /**
  * Apply all parsed tags from an AI response to the database
@@ -15,6 +24,7 @@ const logger = require('../lib/logger');
  * @param {Function} deps.parseAcEffects - AC effects parser
  * @param {Function} deps.calculateTotalAC - AC calculator
  * @param {Function} deps.updateCharacterAC - AC updater (takes db, charId, acEffects)
+ * @param {number} [deps.turn] - Turn being processed (recorded in the state ledger)
  * @param {string} aiResponse - The AI response text
  * @param {Array} characters - Array of character objects
  * @param {string} sessionId - Session ID
@@ -31,8 +41,16 @@ function applyAllTags(deps, aiResponse, characters, sessionId) {
     hp: [],
     spellSlots: [],
     ac: [],
+    combat: [],
+    npcs: [],
+    quests: [],
+    conditions: [],
+    shortRests: [],
   };
 
+  // Every character change below is written to the state ledger, attributed to the tag that caused it
+  const ledger = ledgerService.createRecorder(db, { sessionId, turn: deps.turn }, characters);
+
   // Debug: Log tag detection
   const allTags = aiResponse.match(/\[[A-Z]+:[^\]]+\]/gi);
   console.log('All tags found:', allTags);
@@ -53,7 +71,7 @@ function applyAllTags(deps, aiResponse, characters, sessionId) {
           if (char) {
             db.prepare('UPDATE characters SET xp = MAX(0, xp + ?) WHERE id = ?').run(xpAmount, char.id);
             const updatedChar = db.prepare('SELECT * FROM characters WHERE id = ?').get(char.id);
-            io.emit('character_updated', updatedChar);
+            emitCharacterUpdated(io, db, updatedChar);
             console.log(`XP Update: ${char.character_name} +${xpAmount} -> ${updatedChar.xp} XP`);
             summary.xp.push({ character: char.character_name, amount: xpAmount });
           } else {
@@ -61,6 +79,7 @@ function applyAllTags(deps, aiResponse, characters, sessionId) {
           }
         }
       }
+      ledger.record(match);
     }
   }
 
@@ -82,7 +101,7 @@ function applyAllTags(deps, aiResponse, characters, sessionId) {
             const newMoney = Math.max(0, (char.gold || 0) + moneyAmount);
             db.prepare('UPDATE characters SET gold = ? WHERE id = ?').run(newMoney, char.id);
             const updatedChar = db.prepare('SELECT * FROM characters WHERE id = ?').get(char.id);
-            io.emit('character_updated', updatedChar);
+            emitCharacterUpdated(io, db, updatedChar);
             console.log(`Money update: ${char.character_name} ${sign > 0 ? '+' : ''}${moneyAmount} -> ${newMoney}`);
             summary.money.push({ character: char.character_name, amount: moneyAmount });
           } else {
@@ -90,6 +109,7 @@ function applyAllTags(deps, aiResponse, characters, sessionId) {
           }
         }
       }
+      ledger.record(match);
     }
   }
 
@@ -117,12 +137,8 @@ function applyAllTags(deps, aiResponse, characters, sessionId) {
 
           const char = findCharacterByName(characters, charName);
           if (char) {
-            let inventory = [];
-            try {
-              inventory = JSON.parse(char.inventory || '[]');
-            } catch (e) {
-              inventory = [];
-            }
+            const before = inventoryService.normalizeInventory(db, inventoryService.parseInventory(char.inventory));
+            const inventory = before.map(i => ({ ...i }));
 
             if (isAdding) {
               const existingItem = inventory.find(i =>
@@ -134,7 +150,7 @@ function applyAllTags(deps, aiResponse, characters, sessionId) {
                 existingItem.quantity = (existingItem.quantity || 1) + quantity;
                 console.log(`Updated existing item: ${existingItem.name} -> qty ${existingItem.quantity}`);
               } else {
-                inventory.push({ name: itemName, quantity: quantity });
+                inventory.push(inventoryService.normalizeItem(db, { name: itemName, quantity }));
                 console.log(`Added new item: ${itemName} x${quantity}`);
               }
             } else {
@@ -159,13 +175,23 @@ function applyAllTags(deps, aiResponse, characters, sessionId) {
             // Clean up any items with quantity <= 0 that might have slipped through
             const cleanedInventory = inventory.filter(i => (i.quantity || 1) > 0);
             db.prepare('UPDATE characters SET inventory = ? WHERE id = ?').run(JSON.stringify(cleanedInventory), char.id);
-            io.emit('character_updated', { ...char, inventory: JSON.stringify(cleanedInventory) });
+            // Losing worn armor or a shield takes it off
+            if (inventoryService.armorChanged(before, cleanedInventory)) {
+              const acEffects = inventoryService.applyArmor(db, char, cleanedInventory, parseAcEffects(char.ac_effects));
+              const acResult = updateCharacterAC(db, char.id, acEffects);
+              char.ac = acResult.ac;
+              char.ac_effects = JSON.stringify(acResult.ac_effects);
+            }
+            // Later tags in this response start from the updated inventory
+            char.inventory = JSON.stringify(cleanedInventory);
+            emitCharacterUpdated(io, db, { ...char });
             summary.items.push({ character: char.character_name, item: itemName, quantity, isAdding });
           } else {
             console.log(`Character not found: "${charName}". Available:`, characters.map(c => c.character_name));
           }
         }
       }
+      ledger.record(match);
     }
   }
 
@@ -197,7 +223,7 @@ function applyAllTags(deps, aiResponse, characters, sessionId) {
                 }
               }
               db.prepare('UPDATE characters SET spell_slots = ?, inspiration_points = 4 WHERE id = ?').run(JSON.stringify(spellSlots), partyChar.id);
-              io.emit('character_updated', { ...partyChar, spell_slots: JSON.stringify(spellSlots), inspiration_points: 4 });
+              emitCharacterUpdated(io, db, { ...partyChar, spell_slots: JSON.stringify(spellSlots), inspiration_points: 4 });
             }
             summary.spellSlots.push({ character: 'Party', action: 'rest' });
             continue;
@@ -249,14 +275,15 @@ function applyAllTags(deps, aiResponse, characters, sessionId) {
 
             if (slotLevel === 'rest') {
               db.prepare('UPDATE characters SET spell_slots = ?, inspiration_points = 4 WHERE id = ?').run(JSON.stringify(spellSlots), char.id);
-              io.emit('character_updated', { ...char, spell_slots: JSON.stringify(spellSlots), inspiration_points: 4 });
+              emitCharacterUpdated(io, db, { ...char, spell_slots: JSON.stringify(spellSlots), inspiration_points: 4 });
             } else {
               db.prepare('UPDATE characters SET spell_slots = ? WHERE id = ?').run(JSON.stringify(spellSlots), char.id);
-              io.emit('character_updated', { ...char, spell_slots: JSON.stringify(spellSlots) });
+              emitCharacterUpdated(io, db, { ...char, spell_slots: JSON.stringify(spellSlots) });
             }
           }
         }
       }
+      ledger.record(match);
     }
   }
 
@@ -280,9 +307,10 @@ function applyAllTags(deps, aiResponse, characters, sessionId) {
           acEffects.base_value = baseValue;
           updateCharacterAC(db, char.id, acEffects);
           const updatedChar = db.prepare('SELECT * FROM characters WHERE id = ?').get(char.id);
-          io.emit('character_updated', updatedChar);
+          emitCharacterUpdated(io, db, updatedChar);
           summary.ac.push({ character: char.character_name, action: 'set_base', armor: armorName, value: baseValue });
         }
+        ledger.record(match);
         continue;
       }
 
@@ -313,9 +341,10 @@ function applyAllTags(deps, aiResponse, characters, sessionId) {
           }
           updateCharacterAC(db, char.id, acEffects);
           const updatedChar = db.prepare('SELECT * FROM characters WHERE id = ?').get(char.id);
-          io.emit('character_updated', updatedChar);
+          emitCharacterUpdated(io, db, updatedChar);
           summary.ac.push({ character: char.character_name, action: 'add_effect', effect: effectName, value: effectValue });
         }
+        ledger.record(match);
         continue;
       }
 
@@ -331,9 +360,10 @@ function applyAllTags(deps, aiResponse, characters, sessionId) {
           acEffects.effects = acEffects.effects.filter(e => e.name.toLowerCase() !== effectName.toLowerCase());
           updateCharacterAC(db, char.id, acEffects);
           const updatedChar = db.prepare('SELECT * FROM characters WHERE id = ?').get(char.id);
-          io.emit('character_updated', updatedChar);
+          emitCharacterUpdated(io, db, updatedChar);
           summary.ac.push({ character: char.character_name, action: 'remove_effect', effect: effectName });
         }
+        ledger.record(match);
         continue;
       }
     }
@@ -353,8 +383,9 @@ function applyAllTags(deps, aiResponse, characters, sessionId) {
       })();
 
       for (const char of targets) {
-        // Restore HP to max
-        db.prepare('UPDATE characters SET hp = max_hp WHERE id = ?').run(char.id);
+        // Restore HP to max (waking anyone unconscious; the dead stay dead)
+        const { max_hp: maxHp } = db.prepare('SELECT max_hp FROM characters WHERE id = ?').get(char.id);
+        deathSaveService.applyHpChange(db, char.id, maxHp);
 
         // Restore spell slots
         let spellSlots = {};
@@ -369,14 +400,62 @@ function applyAllTags(deps, aiResponse, characters, sessionId) {
           }
         }
 
-        // Restore inspiration points to 4
-        db.prepare('UPDATE characters SET spell_slots = ?, inspiration_points = 4 WHERE id = ?')
-          .run(JSON.stringify(spellSlots), char.id);
+        // Restore inspiration points to 4; timed and until-rest conditions end; half the hit dice come back
+        const current = db.prepare('SELECT conditions, hit_dice_spent FROM characters WHERE id = ?').get(char.id);
+        const conditions = conditionService.afterLongRest(conditionService.parseConditions(current.conditions));
+        const hitDiceSpent = restService.afterLongRest(db, { ...char, hit_dice_spent: current.hit_dice_spent });
+        db.prepare('UPDATE characters SET spell_slots = ?, inspiration_points = 4, conditions = ?, hit_dice_spent = ? WHERE id = ?')
+          .run(JSON.stringify(spellSlots), JSON.stringify(conditions), hitDiceSpent, char.id);
 
         const updatedChar = db.prepare('SELECT * FROM characters WHERE id = ?').get(char.id);
-        io.emit('character_updated', updatedChar);
+        emitCharacterUpdated(io, db, updatedChar);
         console.log(`REST: ${char.character_name} - HP restored to max, spell slots restored, inspiration reset to 4`);
       }
+      ledger.record(match);
+    }
+  }
+
+  // ==================== SHORT REST ====================
+  // A short rest lasts until the next turn: that is when its hit dice can be spent
+  restService.closeShortRests(db, characters.map(c => c.id));
+  const shortRestMatches = aiResponse.match(/\[SHORT REST:\s*([^\]]+)\]/gi);
+  if (shortRestMatches) {
+    console.log('SHORT REST tags found:', shortRestMatches);
+    for (const match of shortRestMatches) {
+      for (const char of tagParser.parseShortRestTags(match, characters)) {
+        const current = db.prepare('SELECT * FROM characters WHERE id = ?').get(char.id);
+        if (current.life_state === 'dead') continue;
+        const refreshed = restService.shortRest(db, current);
+
+        const updatedChar = db.prepare('SELECT * FROM characters WHERE id = ?').get(char.id);
+        emitCharacterUpdated(io, db, updatedChar);
+        summary.shortRests.push({ character: char.character_name, refreshed });
+        console.log(`SHORT REST: ${char.character_name}${refreshed.length ? ` - ${refreshed.join(', ')} refreshed` : ''}`);
+      }
+      ledger.record(match);
+    }
+  }
+
+  // ==================== CONDITION ====================
+  // After REST, so "[REST: Party] ... [CONDITION: Thorin +Poisoned]" leaves the new condition in place
+  const conditionMatches = aiResponse.match(/\[CONDITION:\s*([^\]]+)\]/gi);
+  if (conditionMatches) {
+    console.log('CONDITION tags found:', conditionMatches);
+    for (const match of conditionMatches) {
+      for (const change of tagParser.parseConditionTags(match, characters)) {
+        const row = db.prepare('SELECT conditions FROM characters WHERE id = ?').get(change.characterId);
+        const current = conditionService.parseConditions(row && row.conditions);
+        const conditions = change.action === 'add'
+          ? conditionService.addCondition(current, change)
+          : conditionService.removeCondition(current, change.name);
+        db.prepare('UPDATE characters SET conditions = ? WHERE id = ?').run(JSON.stringify(conditions), change.characterId);
+
+        const updatedChar = db.prepare('SELECT * FROM characters WHERE id = ?').get(change.characterId);
+        emitCharacterUpdated(io, db, updatedChar);
+        console.log(`CONDITION: ${change.characterName} ${change.action === 'add' ? '+' : '-'}${change.name}`);
+        summary.conditions.push({ character: change.characterName, action: change.action, name: change.name });
+      }
+      ledger.record(match);
     }
   }
 
@@ -412,15 +491,79 @@ function applyAllTags(deps, aiResponse, characters, sessionId) {
             newHp = Math.max(currentHp - value, 0);
           }
 
-          db.prepare('UPDATE characters SET hp = ? WHERE id = ?').run(newHp, char.id);
+          // Dropping to 0 starts death saves, healing wakes the character up
+          const lifeState = deathSaveService.applyHpChange(db, char.id, newHp, { damage: operator === '-' ? value : 0 });
           const updatedChar = db.prepare('SELECT * FROM characters WHERE id = ?').get(char.id);
-          io.emit('character_updated', updatedChar);
-          console.log(`HP Update: ${char.character_name} ${operator}${value} -> ${newHp} HP`);
-          summary.hp.push({ character: char.character_name, operator, value, newHp });
+          emitCharacterUpdated(io, db, updatedChar);
+          console.log(`HP Update: ${char.character_name} ${operator}${value} -> ${newHp} HP${lifeState ? ` (${lifeState})` : ''}`);
+          summary.hp.push({ character: char.character_name, operator, value, newHp, lifeState });
         } else {
           console.log(`HP Update FAILED: Character "${charName}" not found in session`);
         }
       }
+      ledger.record(match);
+    }
+  }
+
+  // ==================== COMBAT ====================
+  const combatTags = tagParser.parseCombatTags ? tagParser.parseCombatTags(aiResponse) : [];
+  if (combatTags.length > 0) {
+    console.log('COMBAT tags found:', combatTags);
+    for (const tag of combatTags) {
+      if (tag.action === 'start') {
+        // Re-read characters so initiative uses current stats
+        const freshChars = characters
+          .map(c => db.prepare('SELECT * FROM characters WHERE id = ?').get(c.id))
+          .filter(Boolean);
+        const combat = combatService.startCombat(db, sessionId, freshChars, tag.enemies, tag.name);
+        emitToSession(io, sessionId, 'combat_updated', { sessionId, combat });
+        console.log(`COMBAT: started "${combat.name}" with ${combat.combatants.length} combatants`);
+        summary.combat.push({ action: 'start', name: combat.name, combatants: combat.combatants.length });
+      } else if (tag.action === 'add') {
+        const combat = combatService.addCombatants(db, sessionId, tag.enemies);
+        if (combat) {
+          emitToSession(io, sessionId, 'combat_updated', { sessionId, combat });
+          summary.combat.push({ action: 'add', enemies: tag.enemies.map(e => e.name) });
+        } else {
+          console.log('COMBAT ADD ignored: no active combat');
+        }
+      } else if (tag.action === 'end') {
+        const combat = combatService.endCombat(db, sessionId);
+        if (combat) {
+          emitToSession(io, sessionId, 'combat_ended', { sessionId, combatId: combat.id });
+          console.log(`COMBAT: ended "${combat.name}" after ${combat.round} rounds`);
+          summary.combat.push({ action: 'end', name: combat.name, rounds: combat.round });
+        }
+      }
+    }
+  }
+
+  // ==================== NPC ====================
+  const npcTags = tagParser.parseNPCTags ? tagParser.parseNPCTags(aiResponse, characters) : [];
+  if (npcTags.length > 0) {
+    console.log('NPC tags found:', npcTags.map(t => t.name));
+    for (const tag of npcTags) {
+      const { npc, created } = npcService.applyNpcTag(db, sessionId, tag, deps.turn ?? 0);
+      console.log(`NPC ${created ? 'added' : 'updated'}: ${npc.name}`);
+      summary.npcs.push({ name: npc.name, created });
+    }
+    emitToSession(io, sessionId, 'npcs_updated', { sessionId });
+  }
+
+  // ==================== QUEST ====================
+  const questTags = tagParser.parseQuestTags ? tagParser.parseQuestTags(aiResponse) : [];
+  if (questTags.length > 0) {
+    console.log('QUEST tags found:', questTags.map(t => `${t.action} ${t.title}`));
+    for (const tag of questTags) {
+      const result = questService.applyQuestTag(db, sessionId, tag, deps.turn ?? 0);
+      if (!result) {
+        console.log(`QUEST ${tag.action.toUpperCase()} ignored: no quest "${tag.title}"`);
+        continue;
+      }
+      summary.quests.push({ title: result.quest.title, change: result.change });
+    }
+    if (summary.quests.length > 0) {
+      emitToSession(io, sessionId, 'quests_updated', { sessionId, quests: questService.listQuests(db, sessionId) });
     }
   }
 
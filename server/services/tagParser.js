@@ -1,10 +1,11 @@
 /**
  * Tag Parser Service
- * Parses DM response tags like [XP:], [HP:], [ITEM:], [SPELL:], [AC:], [MONEY:]
+ * Parses DM response tags like [XP:], [HP:], [ITEM:], [SPELL:], [AC:], [MONEY:], [COMBAT:], [NPC:], [QUEST:], [CONDITION:], [CHECK:], [SHORT REST:]
  */
 
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../lib/logger');
+const { parseDuration } = require('./conditionService');
 
 /**
  * Find character by name with fuzzy matching
@@ -365,6 +366,307 @@ function parseACChanges(text, characters) {
   return changes;
 }
 
+/**
+ * Parse a comma-separated enemy list for combat tags
+ * Format: "Goblin x3 +2, Bugbear +1 HP 27 AC 16"
+ * @param {string} list - Enemy list text
+ * @returns {Array} Array of {name, count, initiative_bonus, hp, ac}
+ */
+function parseEnemyList(list) {
+  const enemies = [];
+  if (!list) return enemies;
+
+  for (const part of list.split(',')) {
+    let text = part.trim();
+    if (!text) continue;
+
+    const enemy = { count: 1, initiative_bonus: 0 };
+    text = text.replace(/\bx\s*(\d+)\b/i, (m, n) => { enemy.count = parseInt(n); return ''; });
+    text = text.replace(/\bHP\s*(\d+)\b/i, (m, n) => { enemy.hp = parseInt(n); return ''; });
+    text = text.replace(/\bAC\s*(\d+)\b/i, (m, n) => { enemy.ac = parseInt(n); return ''; });
+    text = text.replace(/(^|\s)([+-]\d+)(?=\s|$)/, (m, lead, n) => { enemy.initiative_bonus = parseInt(n); return lead; });
+
+    enemy.name = text.replace(/\s{2,}/g, ' ').trim();
+    if (enemy.name) enemies.push(enemy);
+  }
+
+  return enemies;
+}
+
+/**
+ * Parse combat tags from AI response
+ * Format: [COMBAT: START | Goblin x3 +2, Bugbear +1] or [COMBAT: START Bridge Ambush | Goblin x3]
+ *         [COMBAT: ADD | Goblin Shaman +1] or [COMBAT: END]
+ * @param {string} text - AI response text
+ * @returns {Array} Array of {action, name, enemies}
+ */
+function parseCombatTags(text) {
+  const tags = [];
+  const combatMatches = text.match(/\[COMBAT:\s*([^\]]+)\]/gi);
+  if (!combatMatches) return tags;
+
+  for (const match of combatMatches) {
+    const content = match.replace(/\[COMBAT:\s*/i, '').replace(']', '').trim();
+    const [head, ...rest] = content.split('|');
+    const headMatch = head.trim().match(/^(START|BEGIN|ADD|END|STOP)\b\s*(.*)$/i);
+    if (!headMatch) continue;
+
+    const verb = headMatch[1].toUpperCase();
+    const action = verb === 'BEGIN' ? 'start' : verb === 'STOP' ? 'end' : verb.toLowerCase();
+
+    tags.push({
+      action,
+      name: headMatch[2].trim() || null,
+      enemies: action === 'end' ? [] : parseEnemyList(rest.join('|'))
+    });
+  }
+
+  return tags;
+}
+
+// [NPC:] field keys and the aliases the DM may use for them
+const NPC_FIELD_ALIASES = {
+  description: ['desc', 'description', 'role', 'who'],
+  location: ['at', 'location', 'loc', 'where'],
+  attitudes: ['attitude', 'attitudes', 'feels'],
+  status: ['status', 'state'],
+  note: ['note', 'notes', 'promise', 'secret']
+};
+
+const NPC_STATUSES = {
+  alive: ['alive', 'living', 'ok', 'well'],
+  dead: ['dead', 'killed', 'deceased', 'slain'],
+  missing: ['missing', 'gone', 'fled', 'vanished'],
+  unknown: ['unknown', '?']
+};
+
+/**
+ * Parse an NPC attitude list: "Thorin friendly, Elara: wary" or "Party hostile"
+ * @param {string} text - Attitude list
+ * @param {Array} characters - Array of character objects
+ * @returns {Object} Map of characterName -> attitude
+ */
+function parseNPCAttitudes(text, characters) {
+  const attitudes = {};
+  for (const part of text.split(',')) {
+    const words = part.replace(/[:=]/g, ' ').trim().split(/\s+/).filter(Boolean);
+    // Shortest leading run of words that names a character; the rest is the attitude
+    for (let k = 1; k < words.length; k++) {
+      const who = words.slice(0, k).join(' ');
+      const attitude = words.slice(k).join(' ');
+      if (['party', 'all', 'everyone'].includes(who.toLowerCase())) {
+        for (const c of characters) attitudes[c.character_name] = attitude;
+        break;
+      }
+      const char = findCharacterByName(characters, who);
+      if (char) {
+        attitudes[char.character_name] = attitude;
+        break;
+      }
+    }
+  }
+  return attitudes;
+}
+
+/**
+ * Parse NPC tracking tags from AI response
+ * Format: [NPC: Mira Thorne | desc: halfling innkeeper | at: The Gilded Goose | attitude: Thorin friendly, Elara wary | status: alive | note: promised free rooms]
+ * Every field but the name is optional; an unlabelled second field is the description.
+ * @param {string} text - AI response text
+ * @param {Array} characters - Array of character objects
+ * @returns {Array} Array of {name, description?, location?, attitudes?, status?, note?}
+ */
+function parseNPCTags(text, characters) {
+  const npcs = [];
+  const npcMatches = text.match(/\[NPC:\s*([^\]]+)\]/gi);
+  if (!npcMatches) return npcs;
+
+  for (const match of npcMatches) {
+    const content = match.replace(/\[NPC:\s*/i, '').replace(']', '');
+    const [namePart, ...fields] = content.split('|').map(p => p.trim());
+    if (!namePart) continue;
+
+    const npc = { name: namePart };
+    for (const field of fields) {
+      const keyMatch = field.match(/^([a-z]+)\s*:\s*(.*)$/i);
+      const key = keyMatch
+        ? Object.keys(NPC_FIELD_ALIASES).find(k => NPC_FIELD_ALIASES[k].includes(keyMatch[1].toLowerCase()))
+        : null;
+      const value = key ? keyMatch[2].trim() : field;
+      if (!value) continue;
+
+      if (key === 'attitudes') {
+        npc.attitudes = { ...(npc.attitudes || {}), ...parseNPCAttitudes(value, characters) };
+      } else if (key === 'status') {
+        const status = Object.keys(NPC_STATUSES).find(st => NPC_STATUSES[st].includes(value.toLowerCase()));
+        if (status) npc.status = status;
+      } else if (key) {
+        npc[key] = value;
+      } else if (!npc.description) {
+        npc.description = value;
+      }
+    }
+    npcs.push(npc);
+  }
+
+  return npcs;
+}
+
+/**
+ * Parse condition tags from AI response
+ * Format: [CONDITION: Thorin +Poisoned 1h] or [CONDITION: Thorin -Poisoned]
+ *         [CONDITION: Party +Blessed 1 min | Bless] (source after the pipe)
+ *         [CONDITION: Elara +Concentrating 10 min, Thorin -Prone]
+ * Durations: rounds (3r, 3 rounds), minutes (10 min), hours (1h), "until rest"; none means until removed.
+ * @param {string} text - AI response text
+ * @param {Array} characters - Array of character objects
+ * @returns {Array} Array of {characterId, characterName, action, name, source, expires, rounds_left}
+ */
+function parseConditionTags(text, characters) {
+  const changes = [];
+  const conditionMatches = text.match(/\[CONDITION:\s*([^\]]+)\]/gi);
+  if (!conditionMatches) return changes;
+
+  for (const match of conditionMatches) {
+    const content = match.replace(/\[CONDITION:\s*/i, '').replace(']', '');
+    const [list, ...sourceParts] = content.split('|');
+    const source = sourceParts.join('|').trim();
+
+    for (const part of list.split(',')) {
+      const entryMatch = part.trim().match(/^(.+?)\s+([+-])\s*(.+)$/);
+      if (!entryMatch) continue;
+      const [, who, sign, rest] = entryMatch;
+
+      // A trailing duration is split off the condition name if it parses as one
+      let name = rest.trim();
+      let duration = { expires: null, rounds_left: null };
+      const durationMatch = name.match(/^(.+?)\s+((?:until\s+)?(?:long\s+)?rest|\d+\s*[a-z]+)$/i);
+      if (sign === '+' && durationMatch && parseDuration(durationMatch[2])) {
+        name = durationMatch[1].trim();
+        duration = parseDuration(durationMatch[2]);
+      }
+      if (!name) continue;
+
+      const targets = ['party', 'all', 'everyone'].includes(who.trim().toLowerCase())
+        ? characters
+        : [findCharacterByName(characters, who)].filter(Boolean);
+      for (const char of targets) {
+        changes.push({
+          characterId: char.id,
+          characterName: char.character_name,
+          action: sign === '+' ? 'add' : 'remove',
+          name,
+          source,
+          ...duration
+        });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Parse check / saving throw requests from AI response
+ * Format: [CHECK: Name | DEX save | DC 15 | adv] (several names: "Aria, Bob"; everyone: "party";
+ * the DC and "adv" / "dis" are optional)
+ * @param {string} text - AI response text
+ * @param {Array} characters - Array of character objects
+ * @returns {Array} Array of {characterId, characterName, label, dc, mode} (dc null if not given; mode 'adv' | 'dis' | null)
+ */
+function parseCheckTags(text, characters) {
+  const checks = [];
+  const checkMatches = text.match(/\[CHECK:\s*([^\]]+)\]/gi);
+  if (!checkMatches) return checks;
+
+  for (const match of checkMatches) {
+    const content = match.replace(/\[CHECK:\s*/i, '').replace(']', '');
+    const [who, label, ...extra] = content.split('|').map(p => p.trim());
+    if (!who || !label) continue;
+    const dcMatch = extra.join(' ').match(/(\d+)/);
+    const modeMatch = extra.join(' ').toLowerCase().match(/\b(adv|advantage|dis|disadvantage)\b/);
+    const mode = modeMatch ? modeMatch[1].slice(0, 3) : null;
+
+    const targets = ['party', 'all', 'everyone'].includes(who.toLowerCase())
+      ? characters
+      : who.split(',').map(name => findCharacterByName(characters, name)).filter(Boolean);
+    for (const char of targets) {
+      if (checks.some(c => c.characterId === char.id && c.label.toLowerCase() === label.toLowerCase())) continue;
+      checks.push({
+        characterId: char.id,
+        characterName: char.character_name,
+        label,
+        dc: dcMatch ? parseInt(dcMatch[1]) : null,
+        mode
+      });
+    }
+  }
+
+  return checks;
+}
+
+// [QUEST:] verbs and field keys, with the aliases the DM may use for them
+const QUEST_ACTIONS = {
+  add: ['add', 'new', 'start'],
+  update: ['update', 'progress'],
+  complete: ['complete', 'completed', 'done'],
+  fail: ['fail', 'failed']
+};
+
+const QUEST_FIELD_ALIASES = {
+  description: ['desc', 'description'],
+  giver: ['giver', 'from', 'given by'],
+  reward: ['reward', 'rewards'],
+  objectives: ['objectives', 'objective', 'goals', 'goal'],
+  done: ['done', 'completed', 'complete', 'check'],
+  add: ['add', 'new']
+};
+
+/**
+ * Parse quest tags from AI response
+ * Format: [QUEST: ADD | The Lost Ring | giver: Mira | reward: 50 gold | objectives: Find the ring; Return it to Mira]
+ *         [QUEST: UPDATE | The Lost Ring | done: Find the ring | add: Search the crypt]
+ *         [QUEST: COMPLETE | The Lost Ring] or [QUEST: FAIL | The Lost Ring]
+ * Objective lists are separated by semicolons.
+ * @param {string} text - AI response text
+ * @returns {Array} Array of {action, title, description?, giver?, reward?, objectives?, done?, add?}
+ */
+function parseQuestTags(text) {
+  const quests = [];
+  const questMatches = text.match(/\[QUEST:\s*([^\]]+)\]/gi);
+  if (!questMatches) return quests;
+
+  const splitList = value => value.split(';').map(o => o.trim()).filter(Boolean);
+
+  for (const match of questMatches) {
+    const content = match.replace(/\[QUEST:\s*/i, '').replace(']', '');
+    const [verb, title, ...fields] = content.split('|').map(p => p.trim());
+    const action = Object.keys(QUEST_ACTIONS).find(a => QUEST_ACTIONS[a].includes((verb || '').toLowerCase()));
+    if (!action || !title) continue;
+
+    const quest = { action, title };
+    for (const field of fields) {
+      const keyMatch = field.match(/^([a-z ]+?)\s*:\s*(.*)$/i);
+      const key = keyMatch
+        ? Object.keys(QUEST_FIELD_ALIASES).find(k => QUEST_FIELD_ALIASES[k].includes(keyMatch[1].toLowerCase()))
+        : null;
+      const value = key ? keyMatch[2].trim() : field;
+      if (!value) continue;
+
+      if (key === 'objectives' || key === 'done' || key === 'add') {
+        quest[key] = [...(quest[key] || []), ...splitList(value)];
+      } else if (key) {
+        quest[key] = value;
+      } else if (!quest.description) {
+        quest.description = value;
+      }
+    }
+    quests.push(quest);
+  }
+
+  return quests;
+}
+
 /**
  * Parse all tags from AI response
  * @param {string} text - AI response text
@@ -435,6 +737,10 @@ function parseAllTags(text, characters) {
     spellSlots: parseSpellSlotChanges(text, characters),
     ac: parseACChanges(text, characters),
     choices: parseChoices(text, characters),
+    combat: parseCombatTags(text),
+    npcs: parseNPCTags(text, characters),
+    quests: parseQuestTags(text),
+    conditions: parseConditionTags(text, characters),
   };
 }
 
@@ -523,6 +829,31 @@ function parseRestTags(text, characters) {
   return rests;
 }
 
+/**
+ * Parse [SHORT REST: Name] or [SHORT REST: Party] tags from AI response
+ * Several names can be given: [SHORT REST: Thorin, Elara]
+ * @param {string} text - AI response text
+ * @param {Array} characters - Array of character objects
+ * @returns {Array} Characters taking a short rest (each once)
+ */
+function parseShortRestTags(text, characters) {
+  const resting = [];
+  const restMatches = text.match(/\[SHORT REST:\s*([^\]]+)\]/gi);
+  if (!restMatches) return resting;
+
+  for (const match of restMatches) {
+    const who = match.replace(/\[SHORT REST:\s*/i, '').replace(']', '').trim();
+    const targets = ['party', 'all', 'everyone'].includes(who.toLowerCase())
+      ? characters
+      : who.split(',').map(name => findCharacterByName(characters, name)).filter(Boolean);
+    for (const char of targets) {
+      if (!resting.includes(char)) resting.push(char);
+    }
+  }
+
+  return resting;
+}
+
 /**
  * Parse [POV: CharacterName]...[/POV] sections from AI response
  * @param {string} text - AI response text
@@ -556,8 +887,15 @@ module.exports = {
   parseSpellSlotChanges,
   parseACChanges,
   parseChoices,
+  parseEnemyList,
+  parseCombatTags,
+  parseNPCTags,
+  parseQuestTags,
+  parseConditionTags,
+  parseCheckTags,
   parseAllTags,
   parseRestTags,
+  parseShortRestTags,
   parsePOVSections,
   applyInventoryChange,
   calculateNewHP
@@ -3,8 +3,22 @@
  * Handles AI turn processing, history compaction, token estimation, and game snapshots
  */
 
-const { v4: uuidv4 } = require('uuid');
 const logger = require('../lib/logger');
+const { getActiveCombat, formatCombatForContext } = require('./combatService');
+const { emitToSession } = require('../lib/rooms');
+const messageStore = require('./messageStore');
+const ledgerService = require('./ledgerService');
+const snapshotService = require('./snapshotService');
+const npcService = require('./npcService');
+const questService = require('./questService');
+const conditionService = require('./conditionService');
+const deathSaveService = require('./deathSaveService');
+const diceService = require('./diceService');
+const checkService = require('./checkService');
+const restService = require('./restService');
+const derivedStatsService = require('./derivedStatsService');
+const spellbookService = require('./spellbookService');
+const inventoryService = require('./inventoryService');
 
 /**
  * Estimate token count for text (rough approximation: ~4 chars per token)
@@ -160,8 +174,11 @@ async function processAITurn(deps, sessionId, pendingActions, characters) {
   const settings = {};
   db.prepare('SELECT key, value FROM settings').all().forEach(row => settings[row.key] = row.value);
 
-  let fullHistory = JSON.parse(session.full_history || '[]');
   const compactedCount = session.compacted_count || 0;
+  // Only the uncompacted tail is loaded; this turn's entries are appended in one transaction at the end
+  const storedCount = messageStore.countMessages(db, sessionId);
+  const storedRecent = messageStore.getMessages(db, sessionId, { offset: compactedCount });
+  const newEntries = [];
 
   // Build character info
   const characterInfo = characters.map(c => {
@@ -181,40 +198,50 @@ async function processAITurn(deps, sessionId, pendingActions, characters) {
     }
     acDisplay += ')';
 
-    // Parse inventory for display
-    let inventoryDisplay = '';
-    try {
-      const inv = JSON.parse(c.inventory || '[]');
-      if (inv.length > 0) {
-        inventoryDisplay = inv.map(i => i.quantity > 1 ? `${i.name} x${i.quantity}` : i.name).join(', ');
-      }
-    } catch (e) {}
+    const inventoryDisplay = inventoryService.formatInventoryForContext(inventoryService.parseInventory(c.inventory));
 
     let info = `${c.character_name} (${c.race} ${classDisplay}, played by ${c.player_name}):\n`;
     info += `  Stats: STR:${c.strength} DEX:${c.dexterity} CON:${c.constitution} INT:${c.intelligence} WIS:${c.wisdom} CHA:${c.charisma}\n`;
+    info += `  Sheet: ${derivedStatsService.formatDerivedForContext(db, c)}\n`;
     info += `  HP: ${c.hp}/${c.max_hp}, AC: ${acDisplay}, Gold: ${c.gold || 0}`;
     if (c.inspiration_points !== undefined) info += `, Inspiration: ${c.inspiration_points}`;
+    const hitDice = restService.formatHitDice(db, c);
+    if (hitDice) info += `\n  Hit Dice: ${hitDice}`;
+    const conditions = conditionService.formatConditionsForContext(c.conditions);
+    if (conditions) info += `\n  Conditions: ${conditions}`;
+    const lifeState = deathSaveService.formatLifeStateForContext(c);
+    if (lifeState) info += `\n  Status: ${lifeState}`;
     if (inventoryDisplay) info += `\n  Inventory: ${inventoryDisplay}`;
+    const load = inventoryService.formatLoadForContext(db, c);
+    if (load) info += `\n  Load: ${load}`;
     if (c.appearance) info += `\n  Appearance: ${c.appearance}`;
     if (c.backstory) info += `\n  Backstory: ${c.backstory}`;
     if (c.skills) info += `\n  Skills: ${c.skills}`;
     if (c.spells) info += `\n  Spells: ${c.spells}`;
+    const spellbook = spellbookService.formatSpellbookForContext(db, c);
+    if (spellbook) info += `\n  Spellbook: ${spellbook}`;
     if (c.passives) info += `\n  Passives: ${c.passives}`;
     if (c.class_features) info += `\n  Class Features: ${c.class_features}`;
     if (c.feats) info += `\n  Feats: ${c.feats}`;
     return info;
   }).join('\n\n');
 
+  // Roll tags that no server roll backs are passed on flagged, not trusted
+  pendingActions = diceService.flagUnverifiedRolls(db, pendingActions, characters);
+
   // Build action summary
   const actionSummary = pendingActions.map(pa => {
     const char = characters.find(c => c.id === pa.character_id);
     return `${char ? char.character_name : 'Unknown'}: ${pa.action}`;
   }).join('\n');
 
+  // Active combat (initiative order, whose turn) rides along with the party status
+  const combatInfo = formatCombatForContext(getActiveCombat(db, sessionId), characters);
+
   // Store character context as hidden system context
-  fullHistory.push({
+  newEntries.push({
     role: 'user',
-    content: characterInfo,
+    content: combatInfo ? `${characterInfo}\n\n${combatInfo}` : characterInfo,
     type: 'context',
     hidden: true
   });
@@ -223,7 +250,7 @@ async function processAITurn(deps, sessionId, pendingActions, characters) {
   for (const pa of pendingActions) {
     const char = characters.find(c => c.id === pa.character_id);
     if (char) {
-      fullHistory.push({
+      newEntries.push({
         role: 'user',
         content: pa.action,
         type: 'action',
@@ -235,13 +262,13 @@ async function processAITurn(deps, sessionId, pendingActions, characters) {
   }
 
   // Build messages array for AI - only send messages after compacted_count
-  let recentHistory = fullHistory.slice(compactedCount);
+  let recentHistory = [...storedRecent, ...newEntries];
 
   // Safety net: If compacted_count is stale
-  if (recentHistory.length === 0 && fullHistory.length > 0) {
-    const fallbackCount = Math.min(10, fullHistory.length);
-    recentHistory = fullHistory.slice(-fallbackCount);
-    console.warn(`Safety fallback: compacted_count (${compactedCount}) exceeded history length (${fullHistory.length}). Using last ${fallbackCount} messages.`);
+  if (compactedCount > storedCount && storedCount > 0) {
+    const fallbackCount = Math.min(10, storedCount);
+    recentHistory = [...messageStore.getMessages(db, sessionId, { offset: storedCount - fallbackCount }), ...newEntries];
+    console.warn(`Safety fallback: compacted_count (${compactedCount}) exceeded history length (${storedCount}). Using last ${fallbackCount} messages.`);
   }
 
   // Convert stored history to AI-compatible format
@@ -274,16 +301,32 @@ async function processAITurn(deps, sessionId, pendingActions, characters) {
     aiMessages.push({ role: 'user', content: currentUserContent.join('\n\n') });
   }
 
+  // NPCs in the scene or named lately, so names, attitudes and promises outlive compaction
+  const npcInfo = npcService.formatNpcsForContext(npcService.getRelevantNpcs(db, sessionId,
+    [...recentHistory.slice(-6).map(e => e.content), actionSummary].join('\n'), session.current_turn));
+  // Open quests, so threads summarized away by compaction aren't forgotten
+  const questInfo = questService.formatQuestsForContext(questService.listQuests(db, sessionId));
+
   const messages = [
-    { role: 'system', content: DEFAULT_SYSTEM_PROMPT + (session.story_summary ? `\n\nSTORY SO FAR:\n${session.story_summary}` : '') },
+    { role: 'system', content: DEFAULT_SYSTEM_PROMPT + (session.story_summary ? `\n\nSTORY SO FAR:\n${session.story_summary}` : '') + (questInfo ? `\n\n${questInfo}` : '') + (npcInfo ? `\n\n${npcInfo}` : '') },
     ...aiMessages,
     // No assistant prefill — Anthropic rejects trailing whitespace and it adds unnecessary tokens
   ];
 
+  // A turn paused for [CHECK:] rolls resumes after the DM's own narration, with the results
+  const pausedTurn = checkService.getPausedTurn(db, sessionId);
+  const checkResults = pausedTurn ? checkService.formatCheckResults(db, pausedTurn.checks) : null;
+  if (pausedTurn) {
+    messages.push(
+      { role: 'assistant', content: pausedTurn.narration },
+      { role: 'user', content: `${checkResults}\n\n${checkService.CONTINUE_PROMPT}` }
+    );
+  }
+
   // Debug logging
   console.log('=== AI Request Debug ===');
   console.log(`Compacted count: ${compactedCount}`);
-  console.log(`Full history length: ${fullHistory.length}`);
+  console.log(`Full history length: ${storedCount + newEntries.length}`);
   console.log(`Recent history length (sent to AI): ${recentHistory.length}`);
   console.log(`Has story summary: ${!!session.story_summary}`);
   if (session.story_summary) {
@@ -308,12 +351,24 @@ async function processAITurn(deps, sessionId, pendingActions, characters) {
 
   const tokensUsed = data.usage?.total_tokens || estimateTokens(JSON.stringify(messages) + aiResponse);
 
+  if (pausedTurn) {
+    aiResponse = `${pausedTurn.narration}\n\n${aiResponse}`;
+  } else {
+    // Stop here until the players named in [CHECK:] tags roll; the turn finishes on the next call
+    const checks = checkService.openChecks(db, tagParser, session, aiResponse, characters);
+    if (checks.length > 0) {
+      emitToSession(io, sessionId, 'checks_requested', { sessionId, checks });
+      return { paused: true, checks };
+    }
+  }
+
   // Parse choices before stripping them from the response
   const parsedChoices = tagParser.parseChoices ? tagParser.parseChoices(aiResponse, characters) : [];
 
-  // Strip CHOICE tags from the narration stored in history
-  const cleanedResponse = aiResponse
+  // Strip CHOICE, NPC and CHECK tags (GM bookkeeping) from the narration stored in history
+  const cleanedResponse = checkService.stripCheckTags(aiResponse)
     .replace(/\[CHOICE:\s*[^\]]+\]/gi, '')
+    .replace(/\[NPC:\s*[^\]]+\]/gi, '')
     .replace(/\n{3,}/g, '\n\n')
     .trim();
 
@@ -352,25 +407,21 @@ async function processAITurn(deps, sessionId, pendingActions, characters) {
   }
   const hasPOVs = Object.keys(parsedPOVs).length > 0;
 
+  // Check results go in history (not shown in the story) so later turns know how the rolls went
+  if (checkResults) {
+    newEntries.push({ role: 'user', content: checkResults, type: 'check_results' });
+  }
+
   // Build history entry with POVs attached
   const historyEntry = { role: 'assistant', content: cleanedResponse, type: 'narration' };
   if (hasPOVs) {
     historyEntry.povs = parsedPOVs;
   }
-  fullHistory.push(historyEntry);
+  newEntries.push(historyEntry);
 
-  // Snapshot character states BEFORE applying tags (for reroll restore)
+  // Snapshot character states BEFORE applying tags (for reroll and rewind)
   try {
-    const characterStates = characters.map(c => ({
-      id: c.id,
-      hp: c.hp, max_hp: c.max_hp, ac: c.ac,
-      xp: c.xp, gold: c.gold,
-      inventory: c.inventory,
-      spell_slots: c.spell_slots,
-      ac_effects: c.ac_effects
-    }));
-    db.prepare('INSERT INTO game_snapshots (id, session_id, turn_number, character_states) VALUES (?, ?, ?, ?)')
-      .run(uuidv4(), sessionId, session.current_turn, JSON.stringify(characterStates));
+    snapshotService.saveSnapshot(db, session, characters);
     console.log(`Snapshot saved for session ${sessionId}, turn ${session.current_turn}`);
   } catch (snapshotError) {
     console.error('Failed to save game snapshot:', snapshotError.message);
@@ -381,12 +432,13 @@ async function processAITurn(deps, sessionId, pendingActions, characters) {
   console.log('Looking for tags in response...');
 
   const tagApplicatorDeps = {
-    db, io, tagParser, parseAcEffects, calculateTotalAC, updateCharacterAC
+    db, io, tagParser, parseAcEffects, calculateTotalAC, updateCharacterAC,
+    turn: session.current_turn
   };
   applyAllTags(tagApplicatorDeps, aiResponse, characters, sessionId);
 
   // Update session - calculate tokens based on recent history only
-  const recentHistoryForTokenCount = fullHistory.slice(compactedCount);
+  const recentHistoryForTokenCount = [...storedRecent, ...newEntries];
   const recentHistoryTokens = estimateTokens(JSON.stringify(recentHistoryForTokenCount));
 
   const maxTokens = parseInt(settings.max_tokens_before_compact) || 8000;
@@ -400,7 +452,7 @@ async function processAITurn(deps, sessionId, pendingActions, characters) {
 
   if (shouldCompact) {
     console.log('Compacting history...');
-    const recentHistoryToCompact = fullHistory.slice(compactedCount, -1);
+    const recentHistoryToCompact = recentHistoryForTokenCount.slice(0, -1);
 
     // Progressive: if history is very long, compact in chunks of 25
     if (recentHistoryToCompact.length > 50) {
@@ -417,7 +469,7 @@ async function processAITurn(deps, sessionId, pendingActions, characters) {
     } else {
       // Normal compaction for shorter histories
       newSummary = await compactHistory(apiConfig, session.story_summary, recentHistoryToCompact, characters, extractAIMessage);
-      newCompactedCount = fullHistory.length - 1;
+      newCompactedCount = storedCount + newEntries.length - 1;
     }
 
     // Cap summary length at 4000 chars
@@ -426,26 +478,34 @@ async function processAITurn(deps, sessionId, pendingActions, characters) {
       newSummary = await compactHistory(apiConfig, '',
         [{ role: 'assistant', content: newSummary }], characters, extractAIMessage);
     }
-
-    db.prepare('UPDATE game_sessions SET story_summary = ?, full_history = ?, compacted_count = ?, total_tokens = 0, current_turn = current_turn + 1 WHERE id = ?')
-      .run(newSummary, JSON.stringify(fullHistory), newCompactedCount, sessionId);
-  } else {
-    db.prepare('UPDATE game_sessions SET full_history = ?, total_tokens = ?, current_turn = current_turn + 1 WHERE id = ?')
-      .run(JSON.stringify(fullHistory), recentHistoryTokens, sessionId);
   }
 
-  // Clear pending actions
-  db.prepare('DELETE FROM pending_actions WHERE session_id = ?').run(sessionId);
+  // Append this turn's entries, advance the turn and clear pending actions together
+  db.transaction(() => {
+    const ordinals = messageStore.appendMessages(db, sessionId, newEntries);
+    // The narration is the last entry — tie this turn's ledger rows to it
+    ledgerService.linkToMessage(db, sessionId, session.current_turn, ordinals[ordinals.length - 1]);
+    if (shouldCompact) {
+      db.prepare('UPDATE game_sessions SET story_summary = ?, compacted_count = ?, total_tokens = 0, current_turn = current_turn + 1 WHERE id = ?')
+        .run(newSummary, newCompactedCount, sessionId);
+    } else {
+      db.prepare('UPDATE game_sessions SET total_tokens = ?, current_turn = current_turn + 1 WHERE id = ?')
+        .run(recentHistoryTokens, sessionId);
+    }
+    db.prepare('DELETE FROM pending_actions WHERE session_id = ?').run(sessionId);
+    checkService.clearChecks(db, sessionId);
+  })();
 
   // Emit update to all clients
-  io.emit('turn_processed', {
+  emitToSession(io, sessionId, 'turn_processed', {
     sessionId,
     response: cleanedResponse,
     turn: session.current_turn + 1,
     tokensUsed: recentHistoryTokens,
     compacted: shouldCompact,
     choices: parsedChoices,
-    povs: hasPOVs ? parsedPOVs : null
+    // POVs are private — each client fetches only its own via GET /api/sessions/:id/messages
+    hasPOVs
   });
 
   return { response: cleanedResponse, tokensUsed: recentHistoryTokens };
@@ -484,8 +544,11 @@ async function streamAITurn(deps, sessionId, pendingActions, characters) {
   const settings = {};
   db.prepare('SELECT key, value FROM settings').all().forEach(row => settings[row.key] = row.value);
 
-  let fullHistory = JSON.parse(session.full_history || '[]');
   const compactedCount = session.compacted_count || 0;
+  // Only the uncompacted tail is loaded; this turn's entries are appended in one transaction at the end
+  const storedCount = messageStore.countMessages(db, sessionId);
+  const storedRecent = messageStore.getMessages(db, sessionId, { offset: compactedCount });
+  const newEntries = [];
 
   // Build character info (same as processAITurn)
   const characterInfo = characters.map(c => {
@@ -505,40 +568,50 @@ async function streamAITurn(deps, sessionId, pendingActions, characters) {
     }
     acDisplay += ')';
 
-    // Parse inventory for display
-    let inventoryDisplay = '';
-    try {
-      const inv = JSON.parse(c.inventory || '[]');
-      if (inv.length > 0) {
-        inventoryDisplay = inv.map(i => i.quantity > 1 ? `${i.name} x${i.quantity}` : i.name).join(', ');
-      }
-    } catch (e) {}
+    const inventoryDisplay = inventoryService.formatInventoryForContext(inventoryService.parseInventory(c.inventory));
 
     let info = `${c.character_name} (${c.race} ${classDisplay}, played by ${c.player_name}):\n`;
     info += `  Stats: STR:${c.strength} DEX:${c.dexterity} CON:${c.constitution} INT:${c.intelligence} WIS:${c.wisdom} CHA:${c.charisma}\n`;
+    info += `  Sheet: ${derivedStatsService.formatDerivedForContext(db, c)}\n`;
     info += `  HP: ${c.hp}/${c.max_hp}, AC: ${acDisplay}, Gold: ${c.gold || 0}`;
     if (c.inspiration_points !== undefined) info += `, Inspiration: ${c.inspiration_points}`;
+    const hitDice = restService.formatHitDice(db, c);
+    if (hitDice) info += `\n  Hit Dice: ${hitDice}`;
+    const conditions = conditionService.formatConditionsForContext(c.conditions);
+    if (conditions) info += `\n  Conditions: ${conditions}`;
+    const lifeState = deathSaveService.formatLifeStateForContext(c);
+    if (lifeState) info += `\n  Status: ${lifeState}`;
     if (inventoryDisplay) info += `\n  Inventory: ${inventoryDisplay}`;
+    const load = inventoryService.formatLoadForContext(db, c);
+    if (load) info += `\n  Load: ${load}`;
     if (c.appearance) info += `\n  Appearance: ${c.appearance}`;
     if (c.backstory) info += `\n  Backstory: ${c.backstory}`;
     if (c.skills) info += `\n  Skills: ${c.skills}`;
     if (c.spells) info += `\n  Spells: ${c.spells}`;
+    const spellbook = spellbookService.formatSpellbookForContext(db, c);
+    if (spellbook) info += `\n  Spellbook: ${spellbook}`;
     if (c.passives) info += `\n  Passives: ${c.passives}`;
     if (c.class_features) info += `\n  Class Features: ${c.class_features}`;
     if (c.feats) info += `\n  Feats: ${c.feats}`;
     return info;
   }).join('\n\n');
 
+  // Roll tags that no server roll backs are passed on flagged, not trusted
+  pendingActions = diceService.flagUnverifiedRolls(db, pendingActions, characters);
+
   // Build action summary
   const actionSummary = pendingActions.map(pa => {
     const char = characters.find(c => c.id === pa.character_id);
     return `${char ? char.character_name : 'Unknown'}: ${pa.action}`;
   }).join('\n');
 
+  // Active combat (initiative order, whose turn) rides along with the party status
+  const combatInfo = formatCombatForContext(getActiveCombat(db, sessionId), characters);
+
   // Store character context as hidden system context
-  fullHistory.push({
+  newEntries.push({
     role: 'user',
-    content: characterInfo,
+    content: combatInfo ? `${characterInfo}\n\n${combatInfo}` : characterInfo,
     type: 'context',
     hidden: true
   });
@@ -547,7 +620,7 @@ async function streamAITurn(deps, sessionId, pendingActions, characters) {
   for (const pa of pendingActions) {
     const char = characters.find(c => c.id === pa.character_id);
     if (char) {
-      fullHistory.push({
+      newEntries.push({
         role: 'user',
         content: pa.action,
         type: 'action',
@@ -559,13 +632,13 @@ async function streamAITurn(deps, sessionId, pendingActions, characters) {
   }
 
   // Build messages array for AI - only send messages after compacted_count
-  let recentHistory = fullHistory.slice(compactedCount);
+  let recentHistory = [...storedRecent, ...newEntries];
 
   // Safety net
-  if (recentHistory.length === 0 && fullHistory.length > 0) {
-    const fallbackCount = Math.min(10, fullHistory.length);
-    recentHistory = fullHistory.slice(-fallbackCount);
-    console.warn(`Safety fallback: compacted_count (${compactedCount}) exceeded history length (${fullHistory.length}). Using last ${fallbackCount} messages.`);
+  if (compactedCount > storedCount && storedCount > 0) {
+    const fallbackCount = Math.min(10, storedCount);
+    recentHistory = [...messageStore.getMessages(db, sessionId, { offset: storedCount - fallbackCount }), ...newEntries];
+    console.warn(`Safety fallback: compacted_count (${compactedCount}) exceeded history length (${storedCount}). Using last ${fallbackCount} messages.`);
   }
 
   // Convert stored history to AI-compatible format
@@ -598,17 +671,33 @@ async function streamAITurn(deps, sessionId, pendingActions, characters) {
     aiMessages.push({ role: 'user', content: currentUserContent.join('\n\n') });
   }
 
+  // NPCs in the scene or named lately, so names, attitudes and promises outlive compaction
+  const npcInfo = npcService.formatNpcsForContext(npcService.getRelevantNpcs(db, sessionId,
+    [...recentHistory.slice(-6).map(e => e.content), actionSummary].join('\n'), session.current_turn));
+  // Open quests, so threads summarized away by compaction aren't forgotten
+  const questInfo = questService.formatQuestsForContext(questService.listQuests(db, sessionId));
+
   const messages = [
-    { role: 'system', content: DEFAULT_SYSTEM_PROMPT + (session.story_summary ? `\n\nSTORY SO FAR:\n${session.story_summary}` : '') },
+    { role: 'system', content: DEFAULT_SYSTEM_PROMPT + (session.story_summary ? `\n\nSTORY SO FAR:\n${session.story_summary}` : '') + (questInfo ? `\n\n${questInfo}` : '') + (npcInfo ? `\n\n${npcInfo}` : '') },
     ...aiMessages,
     // No assistant prefill — Anthropic rejects trailing whitespace and it adds unnecessary tokens
   ];
 
+  // A turn paused for [CHECK:] rolls resumes after the DM's own narration, with the results
+  const pausedTurn = checkService.getPausedTurn(db, sessionId);
+  const checkResults = pausedTurn ? checkService.formatCheckResults(db, pausedTurn.checks) : null;
+  if (pausedTurn) {
+    messages.push(
+      { role: 'assistant', content: pausedTurn.narration },
+      { role: 'user', content: `${checkResults}\n\n${checkService.CONTINUE_PROMPT}` }
+    );
+  }
+
   // Debug logging
   console.log('=== AI Stream Request Debug ===');
   console.log(`Provider: ${provider}`);
   console.log(`Compacted count: ${compactedCount}`);
-  console.log(`Full history length: ${fullHistory.length}`);
+  console.log(`Full history length: ${storedCount + newEntries.length}`);
   console.log(`Recent history length (sent to AI): ${recentHistory.length}`);
   console.log(`Total messages to AI: ${messages.length}`);
 
@@ -620,11 +709,15 @@ async function streamAITurn(deps, sessionId, pendingActions, characters) {
   };
 
   let aiResponse = '';
+  if (pausedTurn) {
+    // Clients still show the narration before the pause; the continuation follows it
+    emitToSession(io, sessionId, 'turn_chunk', { sessionId, text: '\n\n' });
+  }
   try {
     for await (const chunk of callAIStream(streamConfig, messages, { maxTokens: 64000 })) {
       aiResponse += chunk;
       // Emit each chunk to clients for real-time display
-      io.emit('turn_chunk', { sessionId, text: chunk });
+      emitToSession(io, sessionId, 'turn_chunk', { sessionId, text: chunk });
     }
   } catch (streamError) {
     console.error('Stream error:', streamError);
@@ -639,12 +732,24 @@ async function streamAITurn(deps, sessionId, pendingActions, characters) {
 
   const tokensUsed = estimateTokens(JSON.stringify(messages) + aiResponse);
 
+  if (pausedTurn) {
+    aiResponse = `${pausedTurn.narration}\n\n${aiResponse}`;
+  } else {
+    // Stop here until the players named in [CHECK:] tags roll; the turn finishes on the next call
+    const checks = checkService.openChecks(db, tagParser, session, aiResponse, characters);
+    if (checks.length > 0) {
+      emitToSession(io, sessionId, 'checks_requested', { sessionId, checks });
+      return { paused: true, checks };
+    }
+  }
+
   // Parse choices before stripping them from the response
   const parsedChoices = tagParser.parseChoices ? tagParser.parseChoices(aiResponse, characters) : [];
 
-  // Strip CHOICE tags from the narration stored in history
-  const cleanedResponse = aiResponse
+  // Strip CHOICE, NPC and CHECK tags (GM bookkeeping) from the narration stored in history
+  const cleanedResponse = checkService.stripCheckTags(aiResponse)
     .replace(/\[CHOICE:\s*[^\]]+\]/gi, '')
+    .replace(/\[NPC:\s*[^\]]+\]/gi, '')
     .replace(/\n{3,}/g, '\n\n')
     .trim();
 
@@ -653,7 +758,7 @@ async function streamAITurn(deps, sessionId, pendingActions, characters) {
   let parsedPOVs = {};
   if (characters.length > 0) {
     console.log(`Converting streamed scene to POV for ${characters.length} characters...`);
-    io.emit('turn_chunk', { sessionId, text: '\n\n[Converting to POV...]' });
+    emitToSession(io, sessionId, 'turn_chunk', { sessionId, text: '\n\n[Converting to POV...]' });
 
     const povConfig = {
       endpoint: apiConfig.api_endpoint,
@@ -692,25 +797,21 @@ async function streamAITurn(deps, sessionId, pendingActions, characters) {
   }
   const hasPOVs = Object.keys(parsedPOVs).length > 0;
 
+  // Check results go in history (not shown in the story) so later turns know how the rolls went
+  if (checkResults) {
+    newEntries.push({ role: 'user', content: checkResults, type: 'check_results' });
+  }
+
   // Build history entry with POVs attached
   const historyEntry = { role: 'assistant', content: cleanedResponse, type: 'narration' };
   if (hasPOVs) {
     historyEntry.povs = parsedPOVs;
   }
-  fullHistory.push(historyEntry);
+  newEntries.push(historyEntry);
 
-  // Snapshot character states BEFORE applying tags (for reroll restore)
+  // Snapshot character states BEFORE applying tags (for reroll and rewind)
   try {
-    const characterStates = characters.map(c => ({
-      id: c.id,
-      hp: c.hp, max_hp: c.max_hp, ac: c.ac,
-      xp: c.xp, gold: c.gold,
-      inventory: c.inventory,
-      spell_slots: c.spell_slots,
-      ac_effects: c.ac_effects
-    }));
-    db.prepare('INSERT INTO game_snapshots (id, session_id, turn_number, character_states) VALUES (?, ?, ?, ?)')
-      .run(uuidv4(), sessionId, session.current_turn, JSON.stringify(characterStates));
+    snapshotService.saveSnapshot(db, session, characters);
     console.log(`Snapshot saved for session ${sessionId}, turn ${session.current_turn}`);
   } catch (snapshotError) {
     console.error('Failed to save game snapshot:', snapshotError.message);
@@ -721,12 +822,13 @@ async function streamAITurn(deps, sessionId, pendingActions, characters) {
   console.log('Looking for tags in response...');
 
   const tagApplicatorDeps = {
-    db, io, tagParser, parseAcEffects, calculateTotalAC, updateCharacterAC
+    db, io, tagParser, parseAcEffects, calculateTotalAC, updateCharacterAC,
+    turn: session.current_turn
   };
   applyAllTags(tagApplicatorDeps, aiResponse, characters, sessionId);
 
   // Update session - calculate tokens based on recent history only
-  const recentHistoryForTokenCount = fullHistory.slice(compactedCount);
+  const recentHistoryForTokenCount = [...storedRecent, ...newEntries];
   const recentHistoryTokens = estimateTokens(JSON.stringify(recentHistoryForTokenCount));
 
   const maxTokens = parseInt(settings.max_tokens_before_compact) || 8000;
@@ -740,7 +842,7 @@ async function streamAITurn(deps, sessionId, pendingActions, characters) {
 
   if (shouldCompact) {
     console.log('Compacting history...');
-    const recentHistoryToCompact = fullHistory.slice(compactedCount, -1);
+    const recentHistoryToCompact = recentHistoryForTokenCount.slice(0, -1);
 
     // Progressive: if history is very long, compact in chunks of 25
     if (recentHistoryToCompact.length > 50) {
@@ -757,7 +859,7 @@ async function streamAITurn(deps, sessionId, pendingActions, characters) {
     } else {
       // Normal compaction for shorter histories
       newSummary = await compactHistory(apiConfig, session.story_summary, recentHistoryToCompact, characters, extractAIMessage);
-      newCompactedCount = fullHistory.length - 1;
+      newCompactedCount = storedCount + newEntries.length - 1;
     }
 
     // Cap summary length at 4000 chars
@@ -766,26 +868,34 @@ async function streamAITurn(deps, sessionId, pendingActions, characters) {
       newSummary = await compactHistory(apiConfig, '',
         [{ role: 'assistant', content: newSummary }], characters, extractAIMessage);
     }
-
-    db.prepare('UPDATE game_sessions SET story_summary = ?, full_history = ?, compacted_count = ?, total_tokens = 0, current_turn = current_turn + 1 WHERE id = ?')
-      .run(newSummary, JSON.stringify(fullHistory), newCompactedCount, sessionId);
-  } else {
-    db.prepare('UPDATE game_sessions SET full_history = ?, total_tokens = ?, current_turn = current_turn + 1 WHERE id = ?')
-      .run(JSON.stringify(fullHistory), recentHistoryTokens, sessionId);
   }
 
-  // Clear pending actions
-  db.prepare('DELETE FROM pending_actions WHERE session_id = ?').run(sessionId);
+  // Append this turn's entries, advance the turn and clear pending actions together
+  db.transaction(() => {
+    const ordinals = messageStore.appendMessages(db, sessionId, newEntries);
+    // The narration is the last entry — tie this turn's ledger rows to it
+    ledgerService.linkToMessage(db, sessionId, session.current_turn, ordinals[ordinals.length - 1]);
+    if (shouldCompact) {
+      db.prepare('UPDATE game_sessions SET story_summary = ?, compacted_count = ?, total_tokens = 0, current_turn = current_turn + 1 WHERE id = ?')
+        .run(newSummary, newCompactedCount, sessionId);
+    } else {
+      db.prepare('UPDATE game_sessions SET total_tokens = ?, current_turn = current_turn + 1 WHERE id = ?')
+        .run(recentHistoryTokens, sessionId);
+    }
+    db.prepare('DELETE FROM pending_actions WHERE session_id = ?').run(sessionId);
+    checkService.clearChecks(db, sessionId);
+  })();
 
   // Emit final turn_processed to all clients (replaces streaming content with formatted version)
-  io.emit('turn_processed', {
+  emitToSession(io, sessionId, 'turn_processed', {
     sessionId,
     response: cleanedResponse,
     turn: session.current_turn + 1,
     tokensUsed: recentHistoryTokens,
     compacted: shouldCompact,
     choices: parsedChoices,
-    povs: hasPOVs ? parsedPOVs : null
+    // POVs are private — each client fetches only its own via GET /api/sessions/:id/messages
+    hasPOVs
   });
 
   return { response: cleanedResponse, tokensUsed: recentHistoryTokens };
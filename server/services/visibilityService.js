@@ -0,0 +1,80 @@
+/**
+ * Visibility Service
+ * Decides which parts of a session's history a viewer may see.
+ * Players get the shared 3rd-person scene plus their own character's POV;
+ * the GM/admin sees every POV and all hidden entries.
+ */
+
+const { canControlCharacter } = require('./playerService');
+
+/**
+ * Build the viewer for a request
+ * Requested characters the player does not control are dropped, so their POVs stay private.
+ * @param {Object} db - Database instance
+ * @param {Object} req - Express request (reads ?character_id=, comma-separated allowed; req.player)
+ * @param {Function} isAdminRequest - Admin check (takes req)
+ * @returns {Object} Viewer {isAdmin, characterIds, characterNames}
+ */
+function getViewer(db, req, isAdminRequest) {
+  const isAdmin = isAdminRequest ? isAdminRequest(req) : false;
+  const requestedIds = String(req.query.character_id || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  let characters = [];
+  if (requestedIds.length > 0) {
+    const placeholders = requestedIds.map(() => '?').join(',');
+    characters = db.prepare(`SELECT id, character_name, owner_id FROM characters WHERE id IN (${placeholders})`)
+      .all(...requestedIds)
+      .filter(c => canControlCharacter(c, req.player || null, isAdmin));
+  }
+
+  return {
+    isAdmin,
+    characterIds: characters.map(c => c.id),
+    characterNames: characters.map(c => c.character_name)
+  };
+}
+
+/**
+ * Filter a single history entry for a viewer
+ * Hidden entries keep their slot (message indexes are positional) but lose their content.
+ * @param {Object} entry - History entry
+ * @param {Object} viewer - Viewer from getViewer
+ * @returns {Object} Entry safe to send to this viewer
+ */
+function filterEntryForViewer(entry, viewer) {
+  if (viewer.isAdmin) return entry;
+
+  if (entry.hidden || entry.type === 'context' || entry.type === 'gm_nudge') {
+    return { role: entry.role, type: entry.type, hidden: true, content: '' };
+  }
+
+  if (entry.povs) {
+    const { povs, ...rest } = entry;
+    const ownPovs = {};
+    for (const name of viewer.characterNames) {
+      if (povs[name]) ownPovs[name] = povs[name];
+    }
+    return Object.keys(ownPovs).length > 0 ? { ...rest, povs: ownPovs } : rest;
+  }
+
+  return entry;
+}
+
+/**
+ * Filter a history array for a viewer
+ * @param {Array} history - Full history entries
+ * @param {Object} viewer - Viewer from getViewer
+ * @returns {Array} Filtered history (same length)
+ */
+function filterHistoryForViewer(history, viewer) {
+  return history.map(entry => filterEntryForViewer(entry, viewer));
+}
+
+module.exports = {
+  getViewer,
+  filterEntryForViewer,
+  filterHistoryForViewer
+};
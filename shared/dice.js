@@ -0,0 +1,240 @@
+/**
+ * Dice Expressions
+ * Parser and roller shared by the server (require) and the browser (public/js/utils/dice.js).
+ *
+ * An expression is terms joined by + and -:
+ *   2d6, d20, d%         dice (d% is d100)
+ *   4d6dl1, 4d6kh3       drop lowest / keep highest (also dh, kl; k = kh); the count defaults to 1
+ *   2d20kh1, adv / dis   advantage / disadvantage (adv = 2d20kh1, dis = 2d20kl1)
+ *   d6!                  exploding: a die showing its max adds another die
+ *   2d6r1, 2d6r2         reroll (once) any die showing that number or lower
+ *   3, STR ... CHA, PROF flat numbers, ability modifiers and proficiency bonus (need a character)
+ * e.g. "1d8+2d6+3", "d20+DEX+PROF", "adv+STR"
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DiceExpression = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const MAX_TERMS = 20;
+  const MAX_DICE = 100;
+  const MAX_SIDES = 1000;
+  const MAX_EXPLOSIONS = 100;
+
+  const ABILITIES = {
+    STR: 'strength', DEX: 'dexterity', CON: 'constitution',
+    INT: 'intelligence', WIS: 'wisdom', CHA: 'charisma'
+  };
+  const REFS = [...Object.keys(ABILITIES), 'PROF'];
+
+  const DICE_PATTERN = /(\d*)d(\d+|%)((?:(?:kh|kl|dh|dl|k|r)\d*|!)*)/iy;
+  const MODIFIER_PATTERN = /(kh|kl|dh|dl|k|r)(\d*)|!/gi;
+  const WORD_PATTERN = /[a-z]+/iy;
+  const NUMBER_PATTERN = /\d+/y;
+
+  function match(pattern, text, index) {
+    pattern.lastIndex = index;
+    return pattern.exec(text);
+  }
+
+  // "4d6dl1" -> dice term, or null if the numbers are out of range
+  function parseDice(m) {
+    const count = m[1] ? parseInt(m[1]) : 1;
+    const sides = m[2] === '%' ? 100 : parseInt(m[2]);
+    if (count < 1 || count > MAX_DICE || sides < 1 || sides > MAX_SIDES) return null;
+
+    const term = { type: 'dice', count, sides, keep: null, explode: false, reroll: null };
+    for (const mod of m[3].matchAll(MODIFIER_PATTERN)) {
+      if (mod[0] === '!') {
+        if (sides < 2) return null;
+        term.explode = true;
+        continue;
+      }
+      const kind = mod[1].toLowerCase();
+      const n = mod[2] === '' ? 1 : parseInt(mod[2]);
+      if (kind === 'r') {
+        if (mod[2] === '' || n >= sides) return null;
+        term.reroll = n;
+      } else {
+        if (term.keep || n < 1 || n > count) return null;
+        // Dropping n is keeping the rest from the other end
+        term.keep = kind === 'dl' ? { highest: true, n: count - n }
+          : kind === 'dh' ? { highest: false, n: count - n }
+          : { highest: kind !== 'kl', n };
+        if (term.keep.n < 1) return null;
+      }
+    }
+    term.notation = m[0].toLowerCase();
+    return term;
+  }
+
+  /**
+   * Parse an expression into terms
+   * @param {string} expression - e.g. "d20+DEX+PROF"
+   * @returns {Array|null} Terms ({type: 'dice'|'number'|'ref', sign, ...}), or null if invalid
+   */
+  function parse(expression) {
+    const text = String(expression || '').replace(/\s+/g, '');
+    if (!text) return null;
+
+    const terms = [];
+    let index = 0;
+    let sign = 1;
+    while (index < text.length) {
+      if (terms.length > 0 || text[index] === '-' || text[index] === '+') {
+        if (text[index] !== '+' && text[index] !== '-') return null;
+        sign = text[index] === '-' ? -1 : 1;
+        index++;
+      }
+
+      let term = null;
+      let m;
+      if ((m = match(DICE_PATTERN, text, index))) {
+        term = parseDice(m);
+      } else if ((m = match(WORD_PATTERN, text, index))) {
+        const word = m[0].toUpperCase();
+        if (word === 'ADV' || word === 'DIS') {
+          term = { type: 'dice', count: 2, sides: 20, keep: { highest: word === 'ADV', n: 1 }, explode: false, reroll: null, notation: word.toLowerCase() };
+        } else if (REFS.includes(word)) {
+          term = { type: 'ref', name: word, notation: word };
+        }
+      } else if ((m = match(NUMBER_PATTERN, text, index))) {
+        term = { type: 'number', value: parseInt(m[0]), notation: m[0] };
+      }
+      if (!term || terms.length >= MAX_TERMS) return null;
+
+      terms.push({ ...term, sign });
+      index += m[0].length;
+    }
+    return terms;
+  }
+
+  /**
+   * The modifier of an ability score (a missing score counts as 10)
+   * @param {number} [score]
+   * @returns {number}
+   */
+  function abilityModifier(score) {
+    return Math.floor(((score ?? 10) - 10) / 2);
+  }
+
+  /**
+   * Ability modifiers and proficiency bonus of a character, for STR..CHA and PROF
+   * @param {Object} character - Character with strength..charisma and level
+   * @returns {Object} e.g. {STR: 3, DEX: 1, ..., PROF: 2}
+   */
+  function characterModifiers(character) {
+    const modifiers = {};
+    for (const [ref, stat] of Object.entries(ABILITIES)) {
+      modifiers[ref] = abilityModifier(character[stat]);
+    }
+    modifiers.PROF = Math.floor(((character.level || 1) - 1) / 4) + 2;
+    return modifiers;
+  }
+
+  function defaultRandom(sides) {
+    return Math.floor(Math.random() * sides) + 1;
+  }
+
+  function rollDiceTerm(term, random) {
+    const dice = [];
+    for (let i = 0; i < term.count; i++) {
+      let value = random(term.sides);
+      const die = {};
+      if (term.reroll !== null && value <= term.reroll) {
+        die.rerolled = value;
+        value = random(term.sides);
+      }
+      die.value = value;
+      dice.push(die);
+    }
+
+    if (term.explode) {
+      let explosions = 0;
+      for (let i = 0; i < dice.length && explosions < MAX_EXPLOSIONS; i++) {
+        if (dice[i].value === term.sides) {
+          dice.splice(i + 1, 0, { value: random(term.sides), exploded: true });
+          explosions++;
+        }
+      }
+    }
+
+    if (term.keep) {
+      const order = dice.map((d, i) => i)
+        .sort((a, b) => term.keep.highest ? dice[b].value - dice[a].value : dice[a].value - dice[b].value);
+      order.slice(term.keep.n).forEach(i => { dice[i].dropped = true; });
+    }
+
+    return dice;
+  }
+
+  /**
+   * Roll an expression
+   * @param {string} expression - Dice expression
+   * @param {Object} [options]
+   * @param {Object} [options.modifiers] - Values for STR..CHA and PROF (characterModifiers())
+   * @param {Function} [options.random] - (sides) => 1..sides; Math.random by default
+   * @returns {Object|null} {expression, terms: [{notation, sign, value, dice?}], total, natural}, or null if
+   *   the expression is invalid or uses a reference with no value
+   *   expression: normalized, e.g. "d20+DEX"; dice: [{value, dropped?, exploded?, rerolled?}]
+   *   natural: the kept die of a lone d20 term (for nat 1 / nat 20), else null
+   */
+  function roll(expression, { modifiers = null, random = defaultRandom } = {}) {
+    const terms = parse(expression);
+    if (!terms) return null;
+
+    const results = [];
+    for (const term of terms) {
+      if (term.type === 'dice') {
+        const dice = rollDiceTerm(term, random);
+        const value = dice.filter(d => !d.dropped).reduce((sum, d) => sum + d.value, 0);
+        results.push({ notation: term.notation, sign: term.sign, sides: term.sides, value: value * term.sign, dice });
+      } else if (term.type === 'ref') {
+        if (!modifiers || modifiers[term.name] === undefined) return null;
+        results.push({ notation: term.name, sign: term.sign, value: modifiers[term.name] * term.sign });
+      } else {
+        results.push({ notation: term.notation, sign: term.sign, value: term.value * term.sign });
+      }
+    }
+
+    const diceTerms = results.filter(r => r.dice);
+    const kept = diceTerms.length === 1 && diceTerms[0].sides === 20 ? diceTerms[0].dice.filter(d => !d.dropped) : [];
+    return {
+      expression: results.map((r, i) => `${r.sign < 0 ? '-' : i > 0 ? '+' : ''}${r.notation}`).join(''),
+      terms: results,
+      total: results.reduce((sum, r) => sum + r.value, 0),
+      natural: kept.length === 1 ? kept[0].value : null
+    };
+  }
+
+  function describeDie(die) {
+    let text = die.rerolled !== undefined ? `${die.rerolled}→${die.value}` : `${die.value}`;
+    if (die.exploded) text += '!';
+    return die.dropped ? `${text} dropped` : text;
+  }
+
+  /**
+   * Each die and modifier of a roll, e.g. "(6, 4, 3, 1 dropped) +3" or "(14, 9 dropped) +2 DEX"
+   * A lone die shows as just its number. No square brackets, so it can sit inside a [DICE ROLL:] tag.
+   * @param {Array} terms - roll().terms
+   * @returns {string}
+   */
+  function describe(terms) {
+    return terms.map((term, i) => {
+      let text;
+      if (term.dice) {
+        const plain = term.dice.length === 1 && term.dice[0].rerolled === undefined;
+        text = plain ? describeDie(term.dice[0]) : `(${term.dice.map(describeDie).join(', ')})`;
+        if (term.sign < 0) text = `-${text}`;
+      } else {
+        text = `${term.value}${term.notation === String(Math.abs(term.value)) ? '' : ` ${term.notation}`}`;
+      }
+      if (i === 0) return text;
+      return text.startsWith('-') ? `-${text.slice(1)}` : `+${text}`;
+    }).join(' ');
+  }
+
+  return { ABILITIES, parse, roll, describe, abilityModifier, characterModifiers };
+});